@@ -1,22 +1,76 @@
-import { fetchGoogleSheetsData } from "./dataFetcher.js";
-import { CONFIG } from "./config.js";
+import { fetchSheetWithCache } from "./dataFetcher.js";
+import { parseXliff, isXliffFile } from "./xliff.js";
+import { parsePo, isPoFile } from "./po.js";
+import {
+  getLanguageInfo,
+  findUnknownLanguages,
+  registerLanguage,
+  registerLanguageRows,
+  getAddedLanguages,
+  languageToRow,
+  LANGUAGE_LIST_COLUMNS,
+  PLURAL_CATEGORIES,
+} from "./languageRegistry.js";
 import {
   parseCSV,
+  generateCSV,
   generateLocalizationCSV,
   extractLanguages,
+  getStandardColumns,
+  EXPORT_TYPE_COLUMN,
+  SUGGESTIONS_COLUMN,
 } from "./csvParser.js";
 import {
   generateDiffHTML,
   getDiffSummary,
   generateCharDiff,
   generateEnhancedLineDiff,
+  generateSheetChangesHTML,
 } from "./diffModule.js";
 import {
   checkIfMerged,
   checkIfLQAMerged,
   checkEnhancedMergeStatus,
-  normalizeText,
 } from "./mergeChecker.js";
+import {
+  checkMarkupIntegrity,
+  generateMarkupIssuesHTML,
+} from "./markupChecker.js";
+import {
+  loadGlossary,
+  checkGlossaryConsistency,
+  generateGlossaryIssuesHTML,
+} from "./glossaryChecker.js";
+import { formatValidationEntry } from "./uploadValidator.js";
+import {
+  compareBaseFiles,
+  applyChanges,
+  computeCellChanges,
+  mergeLanguageData,
+  resolveMergeConflicts,
+  listMergeChanges,
+  summarizeSheetChanges,
+  hasLanguageColumn,
+} from "./localisationCore.js";
+import {
+  ServerClient,
+  NotFoundError,
+  ServerUnavailableError,
+  RequestRejectedError,
+  UnauthorizedError,
+} from "./serverClient.js";
+import { SheetsWriter } from "./sheetsWriter.js";
+import { createZip } from "./zipWriter.js";
+import {
+  generateRuntimeBundles,
+  getRuntimeBundleFiles,
+} from "./runtimeBundles.js";
+import { CONFIG } from "./config.js";
+import { initProject, renderProjectSelector } from "./projectRegistry.js";
+import { restoreBackup } from "./versionRestore.js";
+
+// Admin token is kept for the browser session only
+const ADMIN_TOKEN_KEY = "adminToken";
 
 class AdminManager {
   constructor() {
@@ -26,11 +80,17 @@ class AdminManager {
     this.languages = [];
     this.serverFileStatuses = [];
     this.lqaFileStatuses = [];
+    this.glossary = null;
+    this.server = new ServerClient({
+      adminToken: sessionStorage.getItem(ADMIN_TOKEN_KEY),
+    });
+    this.sheetsWriter = new SheetsWriter();
     this.init();
   }
 
   init() {
     this.bindEvents();
+    this.updateAdminSession();
     this.fetchDataAutomatically();
     this.setupBeforeUnloadWarning();
 
@@ -39,6 +99,9 @@ class AdminManager {
   }
 
   bindEvents() {
+    document
+      .getElementById("adminLoginBtn")
+      .addEventListener("click", () => this.toggleAdminLogin());
     document
       .getElementById("processBaseFileBtn")
       .addEventListener("click", () => this.processBaseFile());
@@ -51,6 +114,17 @@ class AdminManager {
     document
       .getElementById("downloadUpdatedBtn")
       .addEventListener("click", () => this.downloadUpdatedFile());
+    document
+      .getElementById("downloadBundlesBtn")
+      .addEventListener("click", () => this.downloadRuntimeBundles());
+    document
+      .getElementById("addLanguageBtn")
+      .addEventListener("click", () => this.addLanguage());
+    if (this.sheetsWriter.isConfigured()) {
+      const writeButton = document.getElementById("writeToSheetBtn");
+      writeButton.classList.remove("hidden");
+      writeButton.addEventListener("click", () => this.writeToSheet());
+    }
     document
       .getElementById("processLanguageFilesBtn")
       .addEventListener("click", () => this.processLanguageFiles());
@@ -88,9 +162,16 @@ class AdminManager {
     try {
       this.showStatus("Fetching latest data from Google Sheets...");
 
-      this.originalData = await fetchGoogleSheetsData();
+      const [sheet] = await Promise.all([
+        fetchSheetWithCache(),
+        this.loadAddedLanguages(),
+        this.fetchGlossary(),
+      ]);
+      this.originalData = sheet.data;
       this.modifiedData = [...this.originalData]; // Copy for modifications
       this.extractLanguages();
+      this.addPendingLanguageColumns();
+      this.showSheetNotice(sheet);
       this.displayDataOverview();
 
       // Automatically fetch server files after main data is loaded
@@ -109,6 +190,277 @@ class AdminManager {
     this.languages = extractLanguages(this.originalData);
   }
 
+  /**
+   * Register the languages added on this page, stored on the server
+   */
+  async loadAddedLanguages() {
+    try {
+      registerLanguageRows(parseCSV(await this.server.getData(CONFIG.LANGUAGE_LIST_ID)));
+    } catch (error) {
+      // Nothing added yet, or the server is down: the built-in languages still work
+      if (!(error instanceof NotFoundError)) {
+        console.warn("Could not load the added languages:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Load the glossary that merge review checks terminology against
+   */
+  async fetchGlossary() {
+    try {
+      this.glossary = await loadGlossary();
+    } catch (error) {
+      // Without a glossary merge review just skips the terminology check
+      console.warn("Glossary not loaded:", error.message);
+    }
+  }
+
+  /**
+   * Store the languages added on this page, so translators can pick them
+   * before the sheet has their column
+   * @returns {Promise<boolean>} True once the server has the list
+   */
+  async saveAddedLanguages() {
+    const csv = generateCSV(getAddedLanguages().map(languageToRow), LANGUAGE_LIST_COLUMNS);
+    try {
+      const result = await this.runAsAdmin(() =>
+        this.server.upload(CONFIG.LANGUAGE_LIST_ID, csv)
+      );
+      return Boolean(result);
+    } catch (error) {
+      console.error("Saving the added languages failed:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Give the languages added on this page an empty column until the sheet has one
+   */
+  addPendingLanguageColumns() {
+    getAddedLanguages()
+      .map((info) => info.column)
+      .filter((language) => !this.languages.includes(language))
+      .forEach((language) => this.addLanguageColumn(language));
+  }
+
+  /**
+   * Append an empty language column to the edited data
+   * @param {string} language - Language column
+   */
+  addLanguageColumn(language) {
+    this.modifiedData = this.modifiedData.map((row) => ({
+      ...row,
+      [language]: row[language] || "",
+    }));
+    this.languages.push(language);
+    this.markUnsavedChanges();
+    document.getElementById("downloadSection").classList.remove("hidden");
+  }
+
+  async addLanguage() {
+    if (!this.modifiedData) return;
+
+    const language = await this.showAddLanguageDialog();
+    if (!language) return;
+
+    this.addLanguageColumn(language);
+    this.displayDataOverview();
+
+    this.showStatus(`Saving ${language} to the server...`);
+    const saved = await this.saveAddedLanguages();
+    this.showStatus(
+      saved
+        ? `${language} added. Translators can pick it now; write the changes to the sheet or download the updated file to add its column.`
+        : `${language} added to this page only: the server could not store it, so translators won't see it until the sheet has its column.`,
+      saved ? "success" : "error"
+    );
+  }
+
+  /**
+   * Ask for the details of a new language and register it
+   * @returns {Promise<string|null>} The new language column, null when cancelled
+   */
+  showAddLanguageDialog() {
+    const reservedColumns = [...getStandardColumns(), EXPORT_TYPE_COLUMN, SUGGESTIONS_COLUMN];
+
+    return new Promise((resolve) => {
+      const modal = document.createElement("div");
+      modal.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.8); display: flex; align-items: center;
+        justify-content: center; z-index: 2000;
+      `;
+
+      const content = document.createElement("form");
+      content.style.cssText = `
+        background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+        width: 500px; max-width: 90%; max-height: 85%; overflow-y: auto;
+        color: var(--text-color);
+      `;
+
+      const inputStyle = `
+        width: 100%; padding: 0.5rem; margin: 0.25rem 0 0.75rem; border-radius: 4px;
+        border: 1px solid var(--accent-color); background: var(--bg-color);
+        color: var(--text-color);
+      `;
+
+      content.innerHTML = `
+        <h3 style="color: var(--link-color); margin-bottom: 1rem;">Add Language</h3>
+        <label>Column name (English name of the language)
+          <input name="column" required placeholder="e.g. Turkish" style="${inputStyle}">
+        </label>
+        <label>BCP-47 code
+          <input name="code" required placeholder="e.g. tr or pt-PT" style="${inputStyle}">
+        </label>
+        <label>Native name
+          <input name="nativeName" placeholder="e.g. Türkçe" style="${inputStyle}">
+        </label>
+        <label>Text direction
+          <select name="direction" style="${inputStyle}">
+            <option value="ltr">Left to right</option>
+            <option value="rtl">Right to left</option>
+          </select>
+        </label>
+        <label>Script (ISO 15924, used to pick fonts)
+          <input name="script" value="Latn" style="${inputStyle}">
+        </label>
+        <div>Plural categories (CLDR)</div>
+        <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; margin: 0.25rem 0 0.75rem;">
+          ${PLURAL_CATEGORIES.map(
+            (category) => `
+            <label>
+              <input type="checkbox" name="plural" value="${category}"
+                ${category === "one" || category === "other" ? "checked" : ""}
+                ${category === "other" ? "disabled" : ""}>
+              ${category}
+            </label>`
+          ).join("")}
+        </div>
+        <label>Fall back to
+          <select name="fallback" style="${inputStyle}">
+            ${["English", ...this.languages.filter((language) => language !== "English")]
+              .map(
+                (language) =>
+                  `<option value="${this.escapeHtml(language)}">${this.escapeHtml(language)}</option>`
+              )
+              .join("")}
+          </select>
+        </label>
+        <div class="add-language-error" style="color: #dc3545; min-height: 1.5rem; margin-bottom: 0.5rem;"></div>
+        <div style="display: flex; gap: 1rem; justify-content: flex-end;">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn btn-primary">Add Language</button>
+        </div>
+      `;
+
+      const field = (name) => content.querySelector(`[name="${name}"]`);
+      const errorElement = content.querySelector(".add-language-error");
+
+      const close = (language) => {
+        modal.remove();
+        resolve(language);
+      };
+
+      // Languages the registry already knows fill in their own details
+      field("column").addEventListener("change", () => {
+        const info = getLanguageInfo(field("column").value.trim());
+        if (!info) return;
+        field("code").value = info.code;
+        field("nativeName").value = info.nativeName;
+        field("direction").value = info.direction;
+        field("script").value = info.script;
+        content.querySelectorAll('[name="plural"]').forEach((checkbox) => {
+          checkbox.checked = info.pluralCategories.includes(checkbox.value);
+        });
+      });
+
+      content.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const column = field("column").value.trim();
+
+        if (this.languages.includes(column) || reservedColumns.includes(column)) {
+          errorElement.textContent = `The sheet already has a "${column}" column`;
+          return;
+        }
+        if (column.startsWith("_")) {
+          errorElement.textContent = "Column names can't start with _";
+          return;
+        }
+
+        try {
+          registerLanguage(column, {
+            code: field("code").value.trim(),
+            nativeName: field("nativeName").value.trim(),
+            direction: field("direction").value,
+            script: field("script").value.trim(),
+            pluralCategories: Array.from(
+              content.querySelectorAll('[name="plural"]:checked')
+            ).map((checkbox) => checkbox.value),
+            fallback: field("fallback").value,
+          });
+        } catch (error) {
+          errorElement.textContent = error.message;
+          return;
+        }
+        close(column);
+      });
+
+      content
+        .querySelector('[data-action="cancel"]')
+        .addEventListener("click", () => close(null));
+
+      modal.className = "modal";
+      modal.appendChild(content);
+      document.body.appendChild(modal);
+      field("column").focus();
+
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) close(null);
+      });
+    });
+  }
+
+  /**
+   * Show that cached sheet data is in use, and what changed since the last visit
+   * @param {Object} sheet - Result of fetchSheetWithCache
+   */
+  showSheetNotice(sheet) {
+    const notice = document.getElementById("sheetNotice");
+    let html = "";
+
+    if (sheet.offline) {
+      html += `<div>📴 Google Sheets could not be reached, using cached data from ${this.escapeHtml(
+        new Date(sheet.fetchedAt).toLocaleString()
+      )}.</div>`;
+    }
+
+    const unknownLanguages = findUnknownLanguages(this.languages);
+    if (unknownLanguages.length > 0) {
+      html += `<div>⚠️ Columns not in the language registry: ${this.escapeHtml(
+        unknownLanguages.join(", ")
+      )}. Add them to languageRegistry.js, or rename them to a registered language.</div>`;
+    }
+
+    const pendingLanguages = this.languages.filter(
+      (language) => !hasLanguageColumn(this.originalData, language)
+    );
+    if (pendingLanguages.length > 0) {
+      html += `<div>🆕 Not in the sheet yet: ${this.escapeHtml(
+        pendingLanguages.join(", ")
+      )}. Write the changes to the sheet or download the updated file to add the column.</div>`;
+    }
+
+    if (sheet.previousData) {
+      html += generateSheetChangesHTML(
+        summarizeSheetChanges(sheet.previousData, sheet.data, this.languages)
+      );
+    }
+
+    notice.innerHTML = html;
+    notice.classList.toggle("hidden", !html);
+  }
+
   displayDataOverview() {
     const termsCount = this.modifiedData.filter(
       (row) => row.shouldBeTranslated === "TRUE"
@@ -175,8 +527,19 @@ class AdminManager {
         }
       }
 
+      const info = getLanguageInfo(lang);
+      const details = info
+        ? `${info.nativeName} · ${info.code} · ${info.direction.toUpperCase()} · ${
+            info.script
+          } · plurals: ${info.pluralCategories.join(", ")}`
+        : "⚠️ Not in the language registry";
+      const pendingNote = hasLanguageColumn(this.originalData, lang)
+        ? ""
+        : " · 🆕 not in the sheet yet";
+
       return {
         lang,
+        details: details + pendingNote,
         percentage,
         missingTerms,
         translatedTerms,
@@ -189,7 +552,10 @@ class AdminManager {
       .map(
         (stat) => `
       <div class="language-item">
-        <span class="language-name">${stat.lang}${stat.serverIndicator}</span>
+        <span>
+          <span class="language-name">${stat.lang}${stat.serverIndicator}</span>
+          <span class="language-details">${this.escapeHtml(stat.details)}</span>
+        </span>
         <span class="completion-percentage" onclick="showMissingTerms('${
           stat.lang
         }', ${JSON.stringify(stat.missingTerms).replace(/"/g, "&quot;")})">
@@ -220,7 +586,7 @@ class AdminManager {
     try {
       const csvText = await this.readFileAsText(file);
       const uploadedData = parseCSV(csvText);
-      const changes = this.compareBaseFiles(uploadedData);
+      const changes = compareBaseFiles(this.originalData, uploadedData);
       this.displayChanges(changes);
       this.hideStatus();
     } catch (error) {
@@ -237,57 +603,6 @@ class AdminManager {
     });
   }
 
-  compareBaseFiles(uploadedData) {
-    const originalMap = {};
-    const uploadedMap = {};
-    const originalRawMap = {}; // Store raw text for diff display
-    const uploadedRawMap = {}; // Store raw text for diff display
-
-    // Create maps for easy comparison
-    this.originalData.forEach((row) => {
-      if (row.termID) {
-        originalRawMap[row.termID] = row.English || "";
-        originalMap[row.termID] = normalizeText(row.English || "");
-      }
-    });
-
-    uploadedData.forEach((row) => {
-      if (row.termID) {
-        uploadedRawMap[row.termID] = row.English || "";
-        uploadedMap[row.termID] = normalizeText(row.English || "");
-      }
-    });
-
-    const added = [];
-    const removed = [];
-    const modified = [];
-
-    // Find added and modified terms
-    Object.keys(uploadedMap).forEach((termID) => {
-      if (!originalMap.hasOwnProperty(termID)) {
-        added.push(termID);
-      } else if (originalMap[termID] !== uploadedMap[termID]) {
-        // Use raw text for diff display, but normalized text was used for comparison
-        modified.push({
-          termID,
-          oldText: originalMap[termID],
-          newText: uploadedMap[termID],
-          oldTextRaw: originalRawMap[termID],
-          newTextRaw: uploadedRawMap[termID],
-        });
-      }
-    });
-
-    // Find removed terms
-    Object.keys(originalMap).forEach((termID) => {
-      if (!uploadedMap.hasOwnProperty(termID)) {
-        removed.push(termID);
-      }
-    });
-
-    return { added, removed, modified, uploadedData };
-  }
-
   displayChanges(changes) {
     const changesContent = document.getElementById("changesContent");
 
@@ -639,65 +954,11 @@ class AdminManager {
   applyChanges() {
     if (!this.pendingChanges) return;
 
-    const { added, removed, modified, uploadedData } = this.pendingChanges;
-
-    // Create new data structure
-    const newData = [];
-    const uploadedMap = {};
-
-    // Create map of uploaded data
-    uploadedData.forEach((row) => {
-      if (row.termID) {
-        uploadedMap[row.termID] = row;
-      }
-    });
-
-    // Process existing data
-    this.originalData.forEach((originalRow) => {
-      if (originalRow.termID && uploadedMap[originalRow.termID]) {
-        // Term exists in both, update English text if modified
-        const updatedRow = { ...originalRow };
-        updatedRow.English = uploadedMap[originalRow.termID].English || "";
-
-        // If English was modified, mark translations as needing update
-        // But only if shouldBeTranslated is TRUE
-        if (
-          modified.some((m) => m.termID === originalRow.termID) &&
-          originalRow.shouldBeTranslated === "TRUE"
-        ) {
-          updatedRow.translationNeedsToBeUpdated = "TRUE";
-        }
-
-        newData.push(updatedRow);
-        delete uploadedMap[originalRow.termID]; // Remove from map to track remaining as new
-      } else if (!removed.includes(originalRow.termID)) {
-        // Term not in uploaded data and not in removed list, keep as is
-        newData.push(originalRow);
-      }
-      // If in removed list, don't add to newData (effectively removing it)
-    });
-
-    // Add new terms
-    Object.values(uploadedMap).forEach((newRow) => {
-      if (newRow.termID && added.includes(newRow.termID)) {
-        const row = {
-          termID: newRow.termID,
-          notes: newRow.notes || "",
-          shouldBeTranslated: newRow.shouldBeTranslated || "TRUE",
-          translationNeedsToBeUpdated: "FALSE",
-          English: newRow.English || "",
-        };
-
-        // Add empty language columns
-        this.languages.forEach((lang) => {
-          row[lang] = "";
-        });
-
-        newData.push(row);
-      }
-    });
-
-    this.modifiedData = newData;
+    this.modifiedData = applyChanges(
+      this.originalData,
+      this.pendingChanges,
+      this.languages
+    );
     this.hasUnsavedChanges = true;
     this.showUnsavedChanges();
     this.displayDataOverview(); // Refresh the overview
@@ -733,18 +994,27 @@ class AdminManager {
     const processedLanguages = new Set();
 
     for (const file of files) {
-      if (!file.name.toLowerCase().endsWith(".csv")) {
+      const isXLIFF = isXliffFile(file.name);
+      const isPO = isPoFile(file.name);
+      if (!file.name.toLowerCase().endsWith(".csv") && !isXLIFF && !isPO) {
         results.push({
           filename: file.name,
           status: "error",
-          message: "Not a CSV file",
+          message: "Not a CSV, XLIFF or PO file",
         });
         continue;
       }
 
       try {
-        const csvText = await this.readFileAsText(file);
-        const fileData = parseCSV(csvText);
+        const fileText = await this.readFileAsText(file);
+        let fileData;
+        if (isXLIFF) {
+          fileData = parseXliff(fileText).rows;
+        } else if (isPO) {
+          fileData = parsePo(fileText).rows;
+        } else {
+          fileData = parseCSV(fileText);
+        }
         const validation = this.validateLanguageFile(fileData, file.name);
 
         if (!validation.isValid) {
@@ -770,12 +1040,17 @@ class AdminManager {
         processedLanguages.add(language);
 
         const mergeResult = this.mergeLanguageData(fileData, language);
+        const markupIssues = checkMarkupIntegrity(fileData, language);
+        const glossaryIssues = checkGlossaryConsistency(fileData, language, this.glossary);
         results.push({
           filename: file.name,
-          status: "success",
+          status:
+            markupIssues.length > 0 || glossaryIssues.length > 0 ? "warning" : "success",
           message: `Successfully processed ${mergeResult.updatedCount} translations for ${language}`,
           language: language,
           stats: mergeResult,
+          markupIssues,
+          glossaryIssues,
         });
       } catch (error) {
         results.push({
@@ -789,7 +1064,7 @@ class AdminManager {
     this.displayLanguageFileResults(results);
     this.hideStatus();
 
-    if (results.some((r) => r.status === "success")) {
+    if (results.some((r) => r.status !== "error")) {
       this.hasUnsavedChanges = true;
       this.showUnsavedChanges();
       this.displayDataOverview(); // Refresh the overview
@@ -838,51 +1113,26 @@ class AdminManager {
     if (!this.languages.includes(language)) {
       return {
         isValid: false,
-        error: `Language '${language}' not found in main data. Please add it first.`,
+        error: `Language '${language}' not found in main data. Add it with "Add Language" in the Data Overview first.`,
       };
     }
 
     return { isValid: true, language: language };
   }
 
-  mergeLanguageData(fileData, language) {
-    let updatedCount = 0;
-    let newTermsCount = 0;
-    let skippedCount = 0;
-
-    // Create a map of file data for quick lookup
-    const fileDataMap = {};
-    fileData.forEach((row) => {
-      if (row.termID && row[language] && row[language].trim() !== "") {
-        fileDataMap[row.termID] = row[language];
-      }
+  mergeLanguageData(fileData, language, baseData = null) {
+    // The previous upload may never have been merged, see mergeLanguageData
+    const result = mergeLanguageData(this.modifiedData, fileData, language, {
+      baseData,
+      unconfirmedBase: true,
     });
+    this.modifiedData = result.data;
 
-    // Update main data
-    this.modifiedData.forEach((row) => {
-      if (row.termID && fileDataMap.hasOwnProperty(row.termID)) {
-        // Only update rows that should be translated
-        if (row.shouldBeTranslated === "FALSE") {
-          skippedCount++;
-          return;
-        }
-
-        const newTranslation = fileDataMap[row.termID];
-        const existingTranslation = row[language] || "";
-
-        if (
-          existingTranslation !== newTranslation &&
-          newTranslation.trim() !== ""
-        ) {
-          row[language] = newTranslation;
-          updatedCount++;
-        } else {
-          skippedCount++;
-        }
-      }
-    });
+    if (result.updatedCount > 0) {
+      this.markUnsavedChanges();
+    }
 
-    return { updatedCount, newTermsCount, skippedCount };
+    return result;
   }
 
   displayLanguageFileResults(results) {
@@ -905,6 +1155,36 @@ class AdminManager {
           `
               : ""
           }
+          ${
+            result.markupIssues && result.markupIssues.length > 0
+              ? `
+            <div class="spoiler">
+              <button class="spoiler-toggle" onclick="this.nextElementSibling.classList.toggle('show')">
+                Show tag and placeholder issues (${
+                  result.markupIssues.length
+                })
+              </button>
+              <div class="spoiler-content">
+                ${generateMarkupIssuesHTML(result.markupIssues)}
+              </div>
+            </div>
+          `
+              : ""
+          }
+          ${
+            result.glossaryIssues && result.glossaryIssues.length > 0
+              ? `
+            <div class="spoiler">
+              <button class="spoiler-toggle" onclick="this.nextElementSibling.classList.toggle('show')">
+                Show glossary issues (${result.glossaryIssues.length})
+              </button>
+              <div class="spoiler-content">
+                ${generateGlossaryIssuesHTML(result.glossaryIssues)}
+              </div>
+            </div>
+          `
+              : ""
+          }
         </div>
       `;
     });
@@ -931,8 +1211,272 @@ class AdminManager {
     document.getElementById("downloadSection").classList.add("hidden");
   }
 
-  downloadFile(content, filename) {
-    const blob = new Blob([content], { type: "text/csv;charset=utf-8;" });
+  async writeToSheet() {
+    const cellChanges = computeCellChanges(this.originalData, this.modifiedData);
+    if (
+      cellChanges.cells.length === 0 &&
+      cellChanges.addedTerms.length === 0 &&
+      cellChanges.addedColumns.length === 0
+    ) {
+      this.showStatus("No changed cells to write to the sheet");
+      setTimeout(() => this.hideStatus(), 2000);
+      return;
+    }
+
+    const button = document.getElementById("writeToSheetBtn");
+    button.disabled = true;
+
+    try {
+      // Dry run first so the admin sees exactly which cells change
+      const preview = await this.runAsAdmin(() => {
+        this.showStatus("Comparing changes with the sheet...");
+        this.sheetsWriter.token = this.server.adminToken;
+        return this.sheetsWriter.preview(cellChanges);
+      });
+      if (!preview) return;
+      this.hideStatus();
+
+      const choice = await this.showSheetWritePreview(
+        preview,
+        cellChanges.removedTerms
+      );
+      if (!choice) return;
+
+      this.showStatus("Writing changes to the sheet...");
+      const result = await this.sheetsWriter.apply(cellChanges, choice);
+
+      const skipped =
+        result.cells.filter((cell) => cell.status === "stale").length +
+        result.missing.length;
+      let message = `Wrote ${result.updated} cells and ${result.appended.length} new rows to the sheet`;
+      if ((result.addedColumns || []).length > 0) {
+        message += `, and added the columns ${result.addedColumns.join(", ")}`;
+      }
+
+      if (skipped === 0) {
+        // The sheet now holds the edited data
+        this.originalData = this.modifiedData;
+        this.hasUnsavedChanges = false;
+        this.hideUnsavedChanges();
+        document.getElementById("downloadSection").classList.add("hidden");
+      } else {
+        message += `, ${skipped} skipped. Check the sheet or download the file.`;
+      }
+
+      this.showStatus(message);
+      setTimeout(() => this.hideStatus(), 4000);
+    } catch (error) {
+      this.showStatus(`Error writing to the sheet: ${error.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show the dry-run result of a sheet write
+   * @param {Object} preview - Dry-run response from SheetsWriter.preview
+   * @param {Array} removedTerms - termIDs no longer in the data
+   * @returns {Promise<Object|null>} Write options ({ force }), null when cancelled
+   */
+  showSheetWritePreview(preview, removedTerms = []) {
+    const updates = preview.cells.filter((cell) => cell.status === "update");
+    const stale = preview.cells.filter((cell) => cell.status === "stale");
+
+    return new Promise((resolve) => {
+      const modal = document.createElement("div");
+      modal.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.8); display: flex; align-items: center;
+        justify-content: center; z-index: 2000;
+      `;
+
+      const content = document.createElement("div");
+      content.style.cssText = `
+        background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+        width: 1100px; max-width: 95%; max-height: 85%; overflow-y: auto;
+        color: var(--text-color);
+      `;
+
+      const cellStyle =
+        "padding: 0.4rem; vertical-align: top; white-space: pre-wrap; border-bottom: 1px solid var(--accent-color);";
+      const rows = [...stale, ...updates]
+        .map(
+          (cell) => `
+            <tr>
+              <td style="${cellStyle} font-family: monospace;">${cell.cell}</td>
+              <td style="${cellStyle}">${this.escapeHtml(cell.termID)}</td>
+              <td style="${cellStyle}">${this.escapeHtml(cell.column)}</td>
+              <td style="${cellStyle}"><span class="diff-removed">${this.escapeHtml(
+                cell.before
+              )}</span></td>
+              <td style="${cellStyle}"><span class="diff-added">${this.escapeHtml(
+                cell.after
+              )}</span></td>
+              <td style="${cellStyle}">${
+                cell.status === "stale" ? "⚠️ Changed in sheet" : "Update"
+              }</td>
+            </tr>
+          `
+        )
+        .join("");
+
+      const notes = [];
+      if ((preview.addedColumns || []).length > 0) {
+        notes.push(
+          `New columns will be added to the sheet: ${this.escapeHtml(
+            preview.addedColumns.join(", ")
+          )}`
+        );
+      }
+      if (preview.appended.length > 0) {
+        notes.push(`${preview.appended.length} new terms will be added as rows`);
+      }
+      if (preview.missing.length > 0) {
+        notes.push(
+          `${preview.missing.length} changes can't be written: ${preview.missing
+            .slice(0, 5)
+            .map((m) => `${this.escapeHtml(m.termID)} (${m.reason})`)
+            .join(", ")}${preview.missing.length > 5 ? ", ..." : ""}`
+        );
+      }
+      if (removedTerms.length > 0) {
+        notes.push(
+          `${removedTerms.length} removed terms are not deleted from the sheet, remove their rows by hand`
+        );
+      }
+
+      content.innerHTML = `
+        <h3 style="color: var(--link-color); margin-bottom: 1rem;">
+          Write to Google Sheet: ${updates.length} cells
+        </h3>
+        ${notes
+          .map((note) => `<p style="margin-bottom: 0.5rem; opacity: 0.8;">${note}</p>`)
+          .join("")}
+        ${
+          stale.length > 0
+            ? `<p style="margin-bottom: 0.5rem; color: #ffc107;">
+                ⚠️ ${stale.length} cells were edited in the sheet after this page loaded them
+                and are skipped unless you overwrite them.
+              </p>
+              <label style="display: flex; gap: 0.5rem; margin-bottom: 1rem; cursor: pointer;">
+                <input type="checkbox" class="sheet-force"> Overwrite the ${stale.length} edited cells too
+              </label>`
+            : ""
+        }
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem; margin-top: 1rem;">
+          <thead>
+            <tr style="text-align: left;">
+              <th style="padding: 0.4rem;">Cell</th>
+              <th style="padding: 0.4rem;">Term</th>
+              <th style="padding: 0.4rem;">Column</th>
+              <th style="padding: 0.4rem;">In sheet</th>
+              <th style="padding: 0.4rem;">New value</th>
+              <th style="padding: 0.4rem;">Status</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div style="display: flex; justify-content: flex-end; gap: 1rem; margin-top: 1rem;">
+          <button class="btn" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="write">Write to sheet</button>
+        </div>
+      `;
+
+      const close = (choice) => {
+        modal.remove();
+        resolve(choice);
+      };
+
+      content
+        .querySelector('[data-action="cancel"]')
+        .addEventListener("click", () => close(null));
+      content
+        .querySelector('[data-action="write"]')
+        .addEventListener("click", () => {
+          const forceInput = content.querySelector(".sheet-force");
+          close({ force: Boolean(forceInput && forceInput.checked) });
+        });
+
+      modal.className = "modal";
+      modal.appendChild(content);
+      document.body.appendChild(modal);
+
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) close(null);
+      });
+    });
+  }
+
+  /**
+   * Download the game's per-language JSON bundles and manifest as a ZIP, built
+   * from the data shown here (including unsaved changes), and show the coverage
+   */
+  downloadRuntimeBundles() {
+    if (!this.modifiedData) return;
+
+    try {
+      const result = generateRuntimeBundles(
+        this.modifiedData,
+        extractLanguages(this.modifiedData)
+      );
+      const zip = createZip(getRuntimeBundleFiles(result));
+      this.downloadFile(
+        zip,
+        `${CONFIG.PROJECT_ID || "npo"}_bundles_${new Date().toISOString().slice(0, 10)}.zip`,
+        "application/zip"
+      );
+
+      this.displayBundleCoverage(result.manifest);
+      this.showStatus(
+        `Exported ${result.bundles.length} language bundles${
+          this.hasUnsavedChanges ? " (including unsaved changes)" : ""
+        }`,
+        "success"
+      );
+    } catch (error) {
+      this.showStatus(`Error exporting game bundles: ${error.message}`, "error");
+    }
+  }
+
+  displayBundleCoverage(manifest) {
+    const rows = manifest.languages
+      .map(
+        (entry) => `
+          <tr>
+            <td>${this.escapeHtml(entry.language)}</td>
+            <td>${this.escapeHtml(entry.file)}</td>
+            <td>${entry.translated}/${entry.terms}</td>
+            <td>${entry.coverage}%</td>
+            <td>${entry.fallback}${
+              entry.fallback > 0 && entry.fallbackLanguage
+                ? ` (${this.escapeHtml(entry.fallbackLanguage)})`
+                : ""
+            }</td>
+            <td>${entry.outdated}</td>
+          </tr>
+        `
+      )
+      .join("");
+
+    document.getElementById("bundleCoverage").innerHTML = `
+      <table class="coverage-table">
+        <thead>
+          <tr>
+            <th>Language</th>
+            <th>File</th>
+            <th>Translated</th>
+            <th>Coverage</th>
+            <th>Fallback</th>
+            <th>Needs update</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  downloadFile(content, filename, mimeType = "text/csv;charset=utf-8;") {
+    const blob = new Blob([content], { type: mimeType });
     const link = document.createElement("a");
 
     if (link.download !== undefined) {
@@ -976,18 +1520,24 @@ class AdminManager {
     try {
       const serverFileStatuses = [];
 
+      // Once the server is known to be down, skip the remaining requests
+      let unreachableError = null;
+
       // Also check LQA files
       const lqaFileStatuses = [];
       for (const language of this.languages) {
         try {
+          if (unreachableError) throw unreachableError;
           const lqaStatus = await this.checkLQAFileStatus(language);
           lqaFileStatuses.push(lqaStatus);
         } catch (error) {
           console.error(`Error checking LQA for ${language}:`, error);
+          if (error instanceof ServerUnavailableError) unreachableError = error;
           lqaFileStatuses.push({
             language,
             hasLQAFile: false,
             lqaIsMerged: false,
+            unreachable: error instanceof ServerUnavailableError,
             error: error.message,
           });
         }
@@ -996,14 +1546,17 @@ class AdminManager {
 
       for (const language of this.languages) {
         try {
+          if (unreachableError) throw unreachableError;
           const fileStatus = await this.checkServerFileStatus(language);
           serverFileStatuses.push(fileStatus);
         } catch (error) {
           console.error(`Error checking ${language}:`, error);
+          if (error instanceof ServerUnavailableError) unreachableError = error;
           serverFileStatuses.push({
             language,
             hasFile: false,
             isMerged: false,
+            unreachable: error instanceof ServerUnavailableError,
             error: error.message,
           });
         }
@@ -1065,7 +1618,14 @@ class AdminManager {
       loadingElement.style.display = "none";
       controlsElement.classList.remove("hidden");
 
-      this.hideStatus();
+      if (unreachableError) {
+        serverFilesStatus.classList.remove("hidden");
+        this.showStatus(
+          `⚠️ Server unreachable: ${unreachableError.message}. Server file statuses are unknown.`
+        );
+      } else {
+        this.hideStatus();
+      }
     } catch (error) {
       // Hide loading and show controls even on error
       loadingElement.style.display = "none";
@@ -1127,21 +1687,7 @@ class AdminManager {
   async checkServerFileStatus(language) {
     try {
       // Try to get server files list
-      const response = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=backups&id=${encodeURIComponent(
-          language
-        )}`
-      );
-
-      if (!response.ok) {
-        if (response.status === 400) {
-          return { language, hasFile: false, isMerged: false };
-        }
-        throw new Error(`Server error: ${response.status}`);
-      }
-
-      const result = await response.json();
-      const backups = result.backups || [];
+      const backups = await this.server.getBackups(language);
 
       if (backups.length === 0) {
         return { language, hasFile: false, isMerged: false };
@@ -1153,19 +1699,11 @@ class AdminManager {
         return { language, hasFile: false, isMerged: false };
       }
 
-      // Download and check merge status
-      const csvResponse = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=data&id=${encodeURIComponent(
-          language
-        )}`
-      );
-      if (!csvResponse.ok) {
-        throw new Error(
-          `Failed to download server file: ${csvResponse.status}`
-        );
-      }
+      // The upload before this one is the base for a three-way merge
+      const previousBackup = backups.find((f) => f.version !== "current");
 
-      const csvContent = await csvResponse.text();
+      // Download and check merge status
+      const csvContent = await this.server.getData(language);
       const serverData = parseCSV(csvContent);
       const enhancedStatus = this.getEnhancedMergeStatus(serverData, language);
 
@@ -1176,10 +1714,22 @@ class AdminManager {
         status: enhancedStatus.status,
         outdatedTerms: enhancedStatus.outdatedTerms,
         hasOutdatedTerms: enhancedStatus.hasOutdatedTerms,
+        markupIssues: checkMarkupIntegrity(serverData, language),
+        glossaryIssues: checkGlossaryConsistency(serverData, language, this.glossary),
         fileInfo: currentFile,
+        warnings: currentFile.warnings || [],
+        previousVersion: previousBackup ? previousBackup.version : null,
         serverData,
       };
     } catch (error) {
+      // An unreachable server or a rejected login is not "no file", let the caller decide
+      if (
+        error instanceof ServerUnavailableError ||
+        error instanceof UnauthorizedError
+      ) {
+        throw error;
+      }
+
       console.error(`Error checking server file for ${language}:`, error);
       return {
         language,
@@ -1195,21 +1745,7 @@ class AdminManager {
       const lqaId = `LQA_${language}`;
 
       // Try to get LQA server files list
-      const response = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=backups&id=${encodeURIComponent(
-          lqaId
-        )}`
-      );
-
-      if (!response.ok) {
-        if (response.status === 400) {
-          return { language, hasLQAFile: false, lqaIsMerged: false };
-        }
-        throw new Error(`Server error: ${response.status}`);
-      }
-
-      const result = await response.json();
-      const backups = result.backups || [];
+      const backups = await this.server.getBackups(lqaId);
 
       if (backups.length === 0) {
         return { language, hasLQAFile: false, lqaIsMerged: false };
@@ -1221,15 +1757,10 @@ class AdminManager {
         return { language, hasLQAFile: false, lqaIsMerged: false };
       }
 
-      // Download and check if LQA is merged into main sheet
-      const csvResponse = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=data&id=${encodeURIComponent(lqaId)}`
-      );
-      if (!csvResponse.ok) {
-        throw new Error(`Failed to download LQA file: ${csvResponse.status}`);
-      }
+      const previousBackup = backups.find((f) => f.version !== "current");
 
-      const csvContent = await csvResponse.text();
+      // Download and check if LQA is merged into main sheet
+      const csvContent = await this.server.getData(lqaId);
       const lqaData = parseCSV(csvContent);
       const lqaIsMerged = this.checkIfLQAMerged(lqaData, language);
 
@@ -1237,10 +1768,21 @@ class AdminManager {
         language,
         hasLQAFile: true,
         lqaIsMerged,
+        lqaMarkupIssues: checkMarkupIntegrity(lqaData, language),
+        lqaGlossaryIssues: checkGlossaryConsistency(lqaData, language, this.glossary),
         lqaFileInfo: currentFile,
+        lqaWarnings: currentFile.warnings || [],
+        lqaPreviousVersion: previousBackup ? previousBackup.version : null,
         lqaData,
       };
     } catch (error) {
+      if (
+        error instanceof ServerUnavailableError ||
+        error instanceof UnauthorizedError
+      ) {
+        throw error;
+      }
+
       console.error(`Error checking LQA file for ${language}:`, error);
       return {
         language,
@@ -1290,7 +1832,11 @@ class AdminManager {
         );
 
         let statusClass = "no-file";
-        let statusText = "No file on server";
+        let statusText = status.unreachable
+          ? "⚠️ Server unreachable"
+          : status.error
+          ? `⚠️ Error: ${this.escapeHtml(status.error)}`
+          : "No file on server";
         let actionButtons = "";
 
         if (status.hasFile) {
@@ -1325,6 +1871,11 @@ class AdminManager {
                 }')">
                   Merge
                 </button>
+                <button class="server-file-btn" onclick="window.adminManager.reviewServerFile('${
+                  status.language
+                }')">
+                  Review
+                </button>
                 <button class="server-file-btn outdated" onclick="window.adminManager.showOutdatedTerms('${
                   status.language
                 }')">
@@ -1342,6 +1893,9 @@ class AdminManager {
                 <button class="server-file-btn merge" onclick="window.adminManager.mergeServerFile('${status.language}')">
                   Merge
                 </button>
+                <button class="server-file-btn" onclick="window.adminManager.reviewServerFile('${status.language}')">
+                  Review
+                </button>
               `;
               break;
           }
@@ -1361,13 +1915,58 @@ class AdminManager {
                 <button class="server-file-btn merge-lqa" onclick="window.adminManager.mergeLQAFile('${status.language}')">
                   Merge LQA
                 </button>
+                <button class="server-file-btn" onclick="window.adminManager.reviewServerFile('${status.language}', true)">
+                  Review LQA
+                </button>
               `;
             }
           }
+        } else if (lqaStatus && lqaStatus.unreachable) {
+          lqaStatusText = "⚠️ LQA status unknown";
         } else {
           lqaStatusText = "No LQA file";
         }
 
+        // Tag and placeholder issues are shown for files that can still be merged
+        if (status.hasFile && !status.isMerged && status.markupIssues) {
+          actionButtons += this.generateMarkupIssuesButtonHTML(
+            status.language,
+            status.markupIssues,
+            false
+          );
+        }
+        if (status.hasFile && !status.isMerged && status.glossaryIssues) {
+          actionButtons += this.generateGlossaryIssuesButtonHTML(
+            status.language,
+            status.glossaryIssues,
+            false
+          );
+        }
+        if (
+          lqaStatus &&
+          lqaStatus.hasLQAFile &&
+          !lqaStatus.lqaIsMerged &&
+          lqaStatus.lqaMarkupIssues
+        ) {
+          lqaActionButtons += this.generateMarkupIssuesButtonHTML(
+            status.language,
+            lqaStatus.lqaMarkupIssues,
+            true
+          );
+        }
+        if (
+          lqaStatus &&
+          lqaStatus.hasLQAFile &&
+          !lqaStatus.lqaIsMerged &&
+          lqaStatus.lqaGlossaryIssues
+        ) {
+          lqaActionButtons += this.generateGlossaryIssuesButtonHTML(
+            status.language,
+            lqaStatus.lqaGlossaryIssues,
+            true
+          );
+        }
+
         const fileDetails = status.fileInfo
           ? `${Math.round(status.fileInfo.size / 1024)} KB • Uploaded: ${
               status.fileInfo.uploaded
@@ -1381,6 +1980,16 @@ class AdminManager {
               )} KB • Uploaded: ${lqaStatus.lqaFileInfo.uploaded}`
             : "";
 
+        // Warnings the translator was shown and uploaded anyway
+        const warningsHTML = [
+          status.hasFile && !status.isMerged
+            ? this.generateUploadWarningsHTML(status.warnings)
+            : "",
+          lqaStatus && lqaStatus.hasLQAFile && !lqaStatus.lqaIsMerged
+            ? this.generateUploadWarningsHTML(lqaStatus.lqaWarnings, true)
+            : "",
+        ].join("");
+
         return `
         <div class="server-file-item ${statusClass}">
           <div class="server-file-info">
@@ -1397,6 +2006,7 @@ class AdminManager {
                 ? `<div class="server-file-status lqa-status">${lqaStatusText}</div>`
                 : ""
             }
+            ${warningsHTML}
           </div>
           <div class="server-file-actions">
             ${actionButtons}
@@ -1410,21 +2020,197 @@ class AdminManager {
     resultsContainer.innerHTML = html;
   }
 
+  /**
+   * Generate a collapsed list of the warnings a file was uploaded with
+   * @param {Array} warnings - Upload warnings stored with the file version
+   * @param {boolean} isLQA - Whether the file is an LQA file
+   * @returns {string} HTML string, empty when there are no warnings
+   */
+  generateUploadWarningsHTML(warnings, isLQA = false) {
+    if (!Array.isArray(warnings) || warnings.length === 0) return "";
+
+    return `
+      <div class="spoiler upload-warnings">
+        <button class="spoiler-toggle" onclick="this.nextElementSibling.classList.toggle('show')">
+          ⚠️ ${isLQA ? "LQA " : ""}Uploaded with ${warnings.length} warning(s)
+        </button>
+        <div class="spoiler-content">
+          ${warnings
+            .map(
+              (entry) =>
+                `<div>${this.escapeHtml(formatValidationEntry(entry))}</div>`
+            )
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  generateMarkupIssuesButtonHTML(language, markupIssues, isLQA) {
+    if (markupIssues.length === 0) return "";
+
+    return `
+      <button class="server-file-btn outdated" onclick="window.adminManager.showMarkupIssues('${language}', ${isLQA})">
+        ${isLQA ? "LQA " : ""}Markup Issues (${markupIssues.length})
+      </button>
+    `;
+  }
+
+  showMarkupIssues(language, isLQA = false) {
+    let markupIssues;
+    if (isLQA) {
+      const lqaStatus = this.lqaFileStatuses.find(
+        (status) => status.language === language
+      );
+      markupIssues = lqaStatus ? lqaStatus.lqaMarkupIssues : null;
+    } else {
+      const serverStatus = this.serverFileStatuses.find(
+        (status) => status.language === language
+      );
+      markupIssues = serverStatus ? serverStatus.markupIssues : null;
+    }
+
+    if (!markupIssues || markupIssues.length === 0) {
+      alert(`No tag or placeholder issues found for ${language}`);
+      return;
+    }
+
+    const modal = document.createElement("div");
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+      background: rgba(0,0,0,0.8); display: flex; align-items: center;
+      justify-content: center; z-index: 2000;
+    `;
+
+    const content = document.createElement("div");
+    content.style.cssText = `
+      background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+      max-width: 90%; max-height: 80%; overflow-y: auto; color: var(--text-color);
+    `;
+
+    content.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <h3 style="color: var(--link-color); margin: 0;">
+          ${isLQA ? "LQA " : ""}Tag and Placeholder Issues for ${language} (${
+      markupIssues.length
+    })
+        </h3>
+        <button style="padding: 0.5rem 1rem; background: var(--accent-color); 
+                       color: var(--text-color); border: none; border-radius: 4px; cursor: pointer;"
+                onclick="this.closest('.modal').remove()">
+          Close
+        </button>
+      </div>
+      <p style="margin-bottom: 1.5rem; opacity: 0.8;">
+        These translations don't keep the tags or placeholders of the English text:
+      </p>
+      ${generateMarkupIssuesHTML(markupIssues)}
+    `;
+
+    modal.className = "modal";
+    modal.appendChild(content);
+    document.body.appendChild(modal);
+
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+  }
+
+  generateGlossaryIssuesButtonHTML(language, glossaryIssues, isLQA) {
+    if (glossaryIssues.length === 0) return "";
+
+    return `
+      <button class="server-file-btn outdated" onclick="window.adminManager.showGlossaryIssues('${language}', ${isLQA})">
+        ${isLQA ? "LQA " : ""}Glossary Issues (${glossaryIssues.length})
+      </button>
+    `;
+  }
+
+  showGlossaryIssues(language, isLQA = false) {
+    let glossaryIssues;
+    if (isLQA) {
+      const lqaStatus = this.lqaFileStatuses.find(
+        (status) => status.language === language
+      );
+      glossaryIssues = lqaStatus ? lqaStatus.lqaGlossaryIssues : null;
+    } else {
+      const serverStatus = this.serverFileStatuses.find(
+        (status) => status.language === language
+      );
+      glossaryIssues = serverStatus ? serverStatus.glossaryIssues : null;
+    }
+
+    if (!glossaryIssues || glossaryIssues.length === 0) {
+      alert(`No glossary issues found for ${language}`);
+      return;
+    }
+
+    const modal = document.createElement("div");
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+      background: rgba(0,0,0,0.8); display: flex; align-items: center;
+      justify-content: center; z-index: 2000;
+    `;
+
+    const content = document.createElement("div");
+    content.style.cssText = `
+      background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+      max-width: 90%; max-height: 80%; overflow-y: auto; color: var(--text-color);
+    `;
+
+    content.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <h3 style="color: var(--link-color); margin: 0;">
+          ${isLQA ? "LQA " : ""}Glossary Issues for ${language} (${
+      glossaryIssues.length
+    })
+        </h3>
+        <button style="padding: 0.5rem 1rem; background: var(--accent-color);
+                       color: var(--text-color); border: none; border-radius: 4px; cursor: pointer;"
+                onclick="this.closest('.modal').remove()">
+          Close
+        </button>
+      </div>
+      <p style="margin-bottom: 1.5rem; opacity: 0.8;">
+        These translations use a forbidden variant, skip the approved term or translate a name that should stay in English:
+      </p>
+      ${generateGlossaryIssuesHTML(glossaryIssues)}
+    `;
+
+    modal.className = "modal";
+    modal.appendChild(content);
+    document.body.appendChild(modal);
+
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+  }
+
   async mergeServerFile(language) {
     try {
-      this.showStatus(`Merging server file for ${language}...`);
-
-      const status = await this.checkServerFileStatus(language);
+      const status = await this.runAsAdmin(() => {
+        this.showStatus(`Merging server file for ${language}...`);
+        return this.checkServerFileStatus(language);
+      });
+      if (!status) return;
       if (!status.hasFile || !status.serverData) {
         throw new Error("No server file available to merge");
       }
 
-      const mergeResult = this.mergeLanguageData(status.serverData, language);
+      const baseData = await this.loadMergeBase(language, status.previousVersion);
+      const mergeResult = this.mergeLanguageData(
+        status.serverData,
+        language,
+        baseData
+      );
+      const resolvedCount = await this.showMergeConflicts(
+        language,
+        mergeResult.conflicts
+      );
 
-      let statusMessage = `Successfully merged ${mergeResult.updatedCount} ${language} translations`;
-      if (mergeResult.skippedOutdated > 0) {
-        statusMessage += ` (skipped ${mergeResult.skippedOutdated} outdated terms)`;
-      }
+      const statusMessage =
+        `Successfully merged ${mergeResult.updatedCount + resolvedCount} ${language} translations` +
+        this.describeMergeResult(mergeResult);
 
       // Refresh the displays
       this.displayDataOverview();
@@ -1441,6 +2227,8 @@ class AdminManager {
   }
 
   async mergeLQAFile(language) {
+    if (!(await this.ensureAdminLogin())) return;
+
     try {
       this.showStatus(`Merging LQA file for ${language}...`);
 
@@ -1451,12 +2239,24 @@ class AdminManager {
         throw new Error("No LQA file available to merge");
       }
 
-      const mergeResult = this.mergeLanguageData(lqaStatus.lqaData, language);
+      const baseData = await this.loadMergeBase(
+        `LQA_${language}`,
+        lqaStatus.lqaPreviousVersion
+      );
+      const mergeResult = this.mergeLanguageData(
+        lqaStatus.lqaData,
+        language,
+        baseData
+      );
+      const resolvedCount = await this.showMergeConflicts(
+        language,
+        mergeResult.conflicts,
+        true
+      );
 
-      let statusMessage = `Successfully merged ${mergeResult.updatedCount} LQA translations for ${language}`;
-      if (mergeResult.skippedOutdated > 0) {
-        statusMessage += ` (skipped ${mergeResult.skippedOutdated} outdated terms)`;
-      }
+      const statusMessage =
+        `Successfully merged ${mergeResult.updatedCount + resolvedCount} LQA translations for ${language}` +
+        this.describeMergeResult(mergeResult);
 
       // Refresh the displays
       this.displayDataOverview();
@@ -1480,22 +2280,42 @@ class AdminManager {
     button.disabled = true;
     button.innerHTML = '<span class="spinner"></span>Merging...';
 
-    this.showStatus("Merging all unmerged server files...");
-
     try {
+      const statuses = await this.runAsAdmin(async () => {
+        this.showStatus("Merging all unmerged server files...");
+        const results = [];
+        for (const language of this.languages) {
+          results.push(await this.checkServerFileStatus(language));
+        }
+        return results;
+      });
+      if (!statuses) return;
+
       let mergedCount = 0;
+      const conflictsByLanguage = [];
 
-      for (const language of this.languages) {
-        const status = await this.checkServerFileStatus(language);
+      for (const status of statuses) {
+        const { language } = status;
         if (status.hasFile && !status.isMerged && status.serverData) {
+          const baseData = await this.loadMergeBase(
+            language,
+            status.previousVersion
+          );
           const mergeResult = this.mergeLanguageData(
             status.serverData,
-            language
+            language,
+            baseData
           );
+          conflictsByLanguage.push([language, mergeResult.conflicts]);
           mergedCount++;
         }
       }
 
+      // Ask about conflicts one language at a time
+      for (const [language, conflicts] of conflictsByLanguage) {
+        await this.showMergeConflicts(language, conflicts);
+      }
+
       if (mergedCount > 0) {
         // Refresh displays
         this.displayDataOverview();
@@ -1520,6 +2340,8 @@ class AdminManager {
   }
 
   async mergeAllUnmergedLQAFiles() {
+    if (!(await this.ensureAdminLogin())) return;
+
     const button = document.getElementById("mergeAllLQABtn");
     const originalText = button.textContent;
 
@@ -1531,6 +2353,7 @@ class AdminManager {
 
     try {
       let mergedCount = 0;
+      const conflictsByLanguage = [];
 
       for (const lqaStatus of this.lqaFileStatuses) {
         if (
@@ -1538,14 +2361,24 @@ class AdminManager {
           !lqaStatus.isLQAMerged &&
           lqaStatus.lqaData
         ) {
+          const baseData = await this.loadMergeBase(
+            `LQA_${lqaStatus.language}`,
+            lqaStatus.lqaPreviousVersion
+          );
           const mergeResult = this.mergeLanguageData(
             lqaStatus.lqaData,
-            lqaStatus.language
+            lqaStatus.language,
+            baseData
           );
+          conflictsByLanguage.push([lqaStatus.language, mergeResult.conflicts]);
           mergedCount++;
         }
       }
 
+      for (const [language, conflicts] of conflictsByLanguage) {
+        await this.showMergeConflicts(language, conflicts, true);
+      }
+
       if (mergedCount > 0) {
         // Refresh displays
         this.displayDataOverview();
@@ -1569,53 +2402,413 @@ class AdminManager {
     }
   }
 
-  mergeLanguageData(serverData, language) {
-    // Create maps of server data by termID
-    const serverTranslations = {};
-    const serverEnglishMap = {};
-    serverData.forEach((row) => {
-      if (row.termID) {
-        if (row[language] && row[language].trim()) {
-          serverTranslations[row.termID] = normalizeText(row[language]);
+  /**
+   * Review the terms a server or LQA file would change and merge only the accepted ones
+   * @param {string} language - Language to review
+   * @param {boolean} isLQA - Review the LQA file instead of the translator file
+   */
+  async reviewServerFile(language, isLQA = false) {
+    try {
+      let fileData;
+      let baseData;
+      let warnings;
+
+      if (isLQA) {
+        if (!(await this.ensureAdminLogin())) return;
+        const lqaStatus = this.lqaFileStatuses.find(
+          (status) => status.language === language
+        );
+        if (!lqaStatus || !lqaStatus.hasLQAFile || !lqaStatus.lqaData) {
+          throw new Error("No LQA file available to review");
         }
-        if (row.English) {
-          serverEnglishMap[row.termID] = normalizeText(row.English);
+        this.showStatus(`Preparing LQA review for ${language}...`);
+        fileData = lqaStatus.lqaData;
+        warnings = lqaStatus.lqaWarnings;
+        baseData = await this.loadMergeBase(
+          `LQA_${language}`,
+          lqaStatus.lqaPreviousVersion
+        );
+      } else {
+        const status = await this.runAsAdmin(() => {
+          this.showStatus(`Preparing review for ${language}...`);
+          return this.checkServerFileStatus(language);
+        });
+        if (!status) return;
+        if (!status.hasFile || !status.serverData) {
+          throw new Error("No server file available to review");
         }
+        fileData = status.serverData;
+        warnings = status.warnings;
+        baseData = await this.loadMergeBase(language, status.previousVersion);
       }
-    });
 
-    // Update modifiedData with server translations, but skip outdated terms
-    let updatedCount = 0;
-    let skippedOutdated = 0;
-    this.modifiedData.forEach((row) => {
-      if (row.termID && serverTranslations[row.termID]) {
-        // Check if this term is outdated (server English doesn't match main English)
-        const mainEnglish = normalizeText(row.English || "");
-        const serverEnglish = serverEnglishMap[row.termID];
-
-        if (serverEnglish && serverEnglish !== mainEnglish) {
-          skippedOutdated++;
-          return; // Skip this outdated term
-        }
+      const review = listMergeChanges(
+        this.modifiedData,
+        fileData,
+        language,
+        { baseData, unconfirmedBase: true }
+      );
+      this.hideStatus();
 
-        const oldValue = normalizeText(row[language] || "");
-        const newValue = serverTranslations[row.termID];
+      if (review.changes.length === 0 && review.conflicts.length === 0) {
+        this.showStatus(`No changes to merge for ${language}`);
+        setTimeout(() => this.hideStatus(), 2000);
+        return;
+      }
 
-        if (oldValue !== newValue) {
-          // Store the original (non-normalized) value from server
-          const originalServerValue =
-            serverData.find((r) => r.termID === row.termID)?.[language] || "";
-          row[language] = originalServerValue;
-          updatedCount++;
-        }
+      const resolutions = await this.showMergeReview(
+        language,
+        review,
+        isLQA,
+        warnings
+      );
+      if (!resolutions) return;
+
+      const result = resolveMergeConflicts(
+        this.modifiedData,
+        language,
+        resolutions
+      );
+      this.modifiedData = result.data;
+
+      if (result.resolvedCount > 0) {
+        this.markUnsavedChanges();
+        this.displayDataOverview();
+        document.getElementById("downloadSection").classList.remove("hidden");
+        await this.fetchAllServerFiles();
       }
+
+      const total = review.changes.length + review.conflicts.length;
+      this.showStatus(
+        `Merged ${result.resolvedCount} of ${total} ${isLQA ? "LQA " : ""}changes for ${language}`
+      );
+      setTimeout(() => this.hideStatus(), 3000);
+    } catch (error) {
+      this.showStatus(`Error reviewing ${language}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show every change of a merge with accept checkboxes
+   * @param {string} language - Language of the changes
+   * @param {Object} review - Result of listMergeChanges
+   * @param {boolean} isLQA - Whether the file is an LQA file
+   * @param {Array} [warnings] - Warnings the file was uploaded with
+   * @returns {Promise<Object|null>} Map of termID to value for the accepted terms, null when cancelled
+   */
+  showMergeReview(language, review, isLQA = false, warnings = []) {
+    // Conflicts overwrite a newer main sheet edit, so they start unchecked
+    const items = [
+      ...review.changes.map((change) => ({ ...change, conflict: false })),
+      ...review.conflicts.map((conflict) => ({
+        termID: conflict.termID,
+        english: conflict.english,
+        oldValue: conflict.main,
+        newValue: conflict.file,
+        conflict: true,
+      })),
+    ];
+
+    return new Promise((resolve) => {
+      const modal = document.createElement("div");
+      modal.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.8); display: flex; align-items: center;
+        justify-content: center; z-index: 2000;
+      `;
+
+      const content = document.createElement("div");
+      content.style.cssText = `
+        background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+        width: 1000px; max-width: 95%; max-height: 85%; overflow-y: auto;
+        color: var(--text-color);
+      `;
+
+      const itemsHTML = items
+        .map((item, index) => {
+          const isMultiline =
+            item.oldValue.includes("\n") || item.newValue.includes("\n");
+          const diffHTML = isMultiline
+            ? `<div class="diff-container">${this.generateEnhancedDiffHTML(
+                generateEnhancedLineDiff(item.oldValue, item.newValue)
+              )}</div>`
+            : this.generateCharDiffHTML(
+                generateCharDiff(item.oldValue, item.newValue)
+              );
+
+          return `
+            <div class="term-diff-item">
+              <label class="term-diff-title" style="display: flex; gap: 0.5rem; align-items: center; cursor: pointer;">
+                <input type="checkbox" class="review-accept" data-index="${index}" ${
+            item.conflict ? "" : "checked"
+          }>
+                📝 ${this.escapeHtml(item.termID)}
+                ${
+                  item.conflict
+                    ? '<span style="color: #ffc107;">⚠️ Also changed in the main sheet</span>'
+                    : ""
+                }
+              </label>
+              <div class="diff-summary">
+                ${getDiffSummary(item.oldValue, item.newValue).message}
+                • English: ${this.escapeHtml(item.english)}
+              </div>
+              ${diffHTML}
+            </div>
+          `;
+        })
+        .join("");
+
+      const notes = [];
+      if (review.skippedOutdated > 0) {
+        notes.push(`${review.skippedOutdated} outdated terms are not listed`);
+      }
+      if (review.keptMainCount > 0) {
+        notes.push(
+          `${review.keptMainCount} newer main sheet edits are kept and not listed`
+        );
+      }
+
+      content.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; margin-bottom: 1rem;">
+          <h3 style="color: var(--link-color); margin: 0;">
+            Review ${isLQA ? "LQA " : ""}Changes for ${this.escapeHtml(language)}
+          </h3>
+          <div style="display: flex; gap: 0.5rem;">
+            <button class="btn" data-bulk="all">Accept all</button>
+            <button class="btn" data-bulk="none">Reject all</button>
+            <button class="btn" data-bulk="safe">Accept all but conflicts</button>
+          </div>
+        </div>
+        ${
+          notes.length > 0
+            ? `<p style="margin-bottom: 1rem; opacity: 0.8;">${notes.join(" • ")}</p>`
+            : ""
+        }
+        ${this.generateUploadWarningsHTML(warnings)}
+        <div>${itemsHTML}</div>
+        <div style="display: flex; justify-content: flex-end; align-items: center; gap: 1rem; margin-top: 1rem;">
+          <span class="review-count"></span>
+          <button class="btn" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="apply">Merge selected</button>
+        </div>
+      `;
+
+      const checkboxes = [...content.querySelectorAll(".review-accept")];
+      const countElement = content.querySelector(".review-count");
+      const updateCount = () => {
+        const selected = checkboxes.filter((box) => box.checked).length;
+        countElement.textContent = `${selected} of ${items.length} selected`;
+      };
+
+      checkboxes.forEach((box) => box.addEventListener("change", updateCount));
+      content.querySelectorAll("[data-bulk]").forEach((button) => {
+        button.addEventListener("click", () => {
+          const mode = button.dataset.bulk;
+          checkboxes.forEach((box) => {
+            const item = items[box.dataset.index];
+            box.checked = mode === "all" || (mode === "safe" && !item.conflict);
+          });
+          updateCount();
+        });
+      });
+      updateCount();
+
+      const close = (resolutions) => {
+        modal.remove();
+        resolve(resolutions);
+      };
+
+      content
+        .querySelector('[data-action="cancel"]')
+        .addEventListener("click", () => close(null));
+      content
+        .querySelector('[data-action="apply"]')
+        .addEventListener("click", () => {
+          const resolutions = {};
+          checkboxes
+            .filter((box) => box.checked)
+            .forEach((box) => {
+              const item = items[box.dataset.index];
+              resolutions[item.termID] = item.newValue;
+            });
+          close(resolutions);
+        });
+
+      modal.className = "modal";
+      modal.appendChild(content);
+      document.body.appendChild(modal);
+
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) close(null);
+      });
     });
+  }
 
-    if (updatedCount > 0) {
-      this.markUnsavedChanges();
+  /**
+   * Download the version a server file was based on, for three-way merges
+   * @param {string} id - File id
+   * @param {string|number|null} version - Backup number of the previous upload
+   * @returns {Promise<Array|null>} Parsed rows, or null when there is no base
+   */
+  async loadMergeBase(id, version) {
+    if (version === null || version === undefined) return null;
+
+    try {
+      return parseCSV(await this.server.getData(id, version));
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
     }
+  }
 
-    return { updatedCount, skippedOutdated };
+  describeMergeResult(mergeResult) {
+    const notes = [];
+    if (mergeResult.skippedOutdated > 0) {
+      notes.push(`skipped ${mergeResult.skippedOutdated} outdated terms`);
+    }
+    if (mergeResult.keptMainCount > 0) {
+      notes.push(`kept ${mergeResult.keptMainCount} newer main sheet edits`);
+    }
+    if (mergeResult.conflicts.length > 0) {
+      notes.push(`${mergeResult.conflicts.length} conflicts reviewed`);
+    }
+    return notes.length > 0 ? ` (${notes.join(", ")})` : "";
+  }
+
+  /**
+   * Let the admin pick a value for each term changed both in the main sheet and
+   * in the file since the base version
+   * @param {string} language - Language of the conflicts
+   * @param {Array} conflicts - Conflicts from mergeLanguageData
+   * @param {boolean} isLQA - Whether the file is an LQA file
+   * @returns {Promise<number>} Number of terms changed by the chosen values
+   */
+  showMergeConflicts(language, conflicts, isLQA = false) {
+    if (!conflicts || conflicts.length === 0) return Promise.resolve(0);
+
+    return new Promise((resolve) => {
+      const modal = document.createElement("div");
+      modal.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.8); display: flex; align-items: center;
+        justify-content: center; z-index: 2000;
+      `;
+
+      const content = document.createElement("div");
+      content.style.cssText = `
+        background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+        width: 1100px; max-width: 95%; max-height: 85%; overflow-y: auto;
+        color: var(--text-color);
+      `;
+
+      const cellStyle =
+        "padding: 0.5rem; vertical-align: top; white-space: pre-wrap; border-bottom: 1px solid var(--accent-color);";
+      const rows = conflicts
+        .map(
+          (conflict, index) => `
+            <tr>
+              <td style="${cellStyle}">
+                <strong>${this.escapeHtml(conflict.termID)}</strong>
+                <div style="opacity: 0.7; margin-top: 0.25rem;">${this.escapeHtml(
+                  conflict.english
+                )}</div>
+              </td>
+              <td style="${cellStyle} opacity: 0.7;">${this.escapeHtml(
+                conflict.base
+              )}</td>
+              <td style="${cellStyle}">
+                <label style="display: flex; gap: 0.5rem; cursor: pointer;">
+                  <input type="radio" name="conflict-${index}" value="main" checked>
+                  <span>${this.escapeHtml(conflict.main)}</span>
+                </label>
+              </td>
+              <td style="${cellStyle}">
+                <label style="display: flex; gap: 0.5rem; cursor: pointer;">
+                  <input type="radio" name="conflict-${index}" value="file">
+                  <span>${this.escapeHtml(conflict.file)}</span>
+                </label>
+              </td>
+            </tr>
+          `
+        )
+        .join("");
+
+      content.innerHTML = `
+        <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; margin-bottom: 1rem;">
+          <h3 style="color: var(--link-color); margin: 0;">
+            ${isLQA ? "LQA " : ""}Merge Conflicts for ${this.escapeHtml(language)} (${conflicts.length})
+          </h3>
+          <div style="display: flex; gap: 0.5rem;">
+            <button class="btn" data-choice="main">Keep all main sheet</button>
+            <button class="btn" data-choice="file">Take all ${isLQA ? "LQA" : "translator"}</button>
+            <button class="btn btn-primary" data-action="apply">Apply choices</button>
+          </div>
+        </div>
+        <p style="margin-bottom: 1.5rem; opacity: 0.8;">
+          These terms were changed both in the main sheet and in the uploaded file
+          since the previous upload. Pick the value to keep for each term.
+        </p>
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+          <thead>
+            <tr style="text-align: left;">
+              <th style="padding: 0.5rem; width: 22%;">Term</th>
+              <th style="padding: 0.5rem; width: 22%;">Previous upload (base)</th>
+              <th style="padding: 0.5rem;">Main sheet</th>
+              <th style="padding: 0.5rem;">${isLQA ? "LQA file" : "Translator file"}</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+
+      content.querySelectorAll("[data-choice]").forEach((button) => {
+        button.addEventListener("click", () => {
+          const choice = button.dataset.choice;
+          content
+            .querySelectorAll(`input[type="radio"][value="${choice}"]`)
+            .forEach((input) => (input.checked = true));
+        });
+      });
+
+      // Closing without applying keeps the main sheet values
+      const close = (resolvedCount) => {
+        modal.remove();
+        resolve(resolvedCount);
+      };
+
+      content
+        .querySelector('[data-action="apply"]')
+        .addEventListener("click", () => {
+          const resolutions = {};
+          conflicts.forEach((conflict, index) => {
+            const choice = content.querySelector(
+              `input[name="conflict-${index}"]:checked`
+            ).value;
+            resolutions[conflict.termID] =
+              choice === "file" ? conflict.file : conflict.main;
+          });
+
+          const result = resolveMergeConflicts(
+            this.modifiedData,
+            language,
+            resolutions
+          );
+          this.modifiedData = result.data;
+          if (result.resolvedCount > 0) {
+            this.markUnsavedChanges();
+          }
+          close(result.resolvedCount);
+        });
+
+      modal.className = "modal";
+      modal.appendChild(content);
+      document.body.appendChild(modal);
+
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) close(0);
+      });
+    });
   }
 
   showOutdatedTerms(language) {
@@ -1688,22 +2881,170 @@ class AdminManager {
     document.getElementById("status").classList.add("hidden");
   }
 
-  // File Manager Methods
-  async loadServerFiles() {
+  // Admin Session Methods
+  setAdminToken(token) {
+    this.server.adminToken = token || null;
+    if (token) {
+      sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+    } else {
+      sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    }
+    this.updateAdminSession();
+  }
+
+  updateAdminSession() {
+    const loggedIn = Boolean(this.server.adminToken);
+    document.getElementById("adminSessionStatus").textContent = loggedIn
+      ? "🔓 Logged in as admin"
+      : "🔒 Not logged in";
+    document.getElementById("adminLoginBtn").textContent = loggedIn
+      ? "Log Out"
+      : "🔑 Log In";
+  }
+
+  async toggleAdminLogin() {
+    if (this.server.adminToken) {
+      this.setAdminToken(null);
+      this.showStatus("Logged out");
+      setTimeout(() => this.hideStatus(), 1500);
+      return;
+    }
+
+    if (await this.promptAdminLogin()) {
+      this.showStatus("Logged in as admin");
+      setTimeout(() => this.hideStatus(), 1500);
+    }
+  }
+
+  /**
+   * Make sure an admin token is set, asking for one if needed
+   * @returns {Promise<boolean>} False when the login was cancelled
+   */
+  async ensureAdminLogin() {
+    return Boolean(this.server.adminToken) || this.promptAdminLogin();
+  }
+
+  /**
+   * Run server requests that need admin rights. Asks for a login first, and
+   * once more if the server rejects the token (e.g. it was changed or expired).
+   * @param {Function} task - Async function making the requests
+   * @returns {Promise<*>} Task result, or null when the login was cancelled
+   */
+  async runAsAdmin(task) {
+    if (!(await this.ensureAdminLogin())) return null;
+
     try {
-      this.showStatus("Loading server files...");
+      return await task();
+    } catch (error) {
+      if (!(error instanceof UnauthorizedError)) throw error;
 
-      const response = await fetch(`${CONFIG.PHP_SERVER_URL}?action=list_all`);
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
+      this.setAdminToken(null);
+      this.hideStatus();
+      if (!(await this.promptAdminLogin(`${error.message}. Please log in again.`))) {
+        return null;
       }
+      return task();
+    }
+  }
 
-      const result = await response.json();
-      if (!result.success) {
-        throw new Error(result.error || "Failed to load files");
-      }
+  /**
+   * Show the login modal and check the token with the server
+   * @param {string} message - Optional reason shown above the input
+   * @returns {Promise<boolean>} True once logged in, false when cancelled
+   */
+  promptAdminLogin(message = "") {
+    return new Promise((resolve) => {
+      const modal = document.createElement("div");
+      modal.style.cssText = `
+        position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+        background: rgba(0,0,0,0.8); display: flex; align-items: center;
+        justify-content: center; z-index: 2000;
+      `;
+
+      const content = document.createElement("form");
+      content.style.cssText = `
+        background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+        width: 400px; max-width: 90%; color: var(--text-color);
+      `;
+
+      content.innerHTML = `
+        <h3 style="color: var(--link-color); margin-bottom: 1rem;">Admin Login</h3>
+        <p style="margin-bottom: 1rem; opacity: 0.8;">
+          ${this.escapeHtml(message || "Deleting files and merging server files require the admin token.")}
+        </p>
+        <input type="password" name="token" autocomplete="current-password"
+               placeholder="Admin token" required
+               style="width: 100%; padding: 0.75rem; margin-bottom: 0.5rem; border-radius: 4px;
+                      border: 1px solid var(--accent-color); background: var(--bg-color);
+                      color: var(--text-color);">
+        <div class="login-error" style="color: #dc3545; min-height: 1.5rem; margin-bottom: 0.5rem;"></div>
+        <div style="display: flex; gap: 1rem; justify-content: flex-end;">
+          <button type="button" class="btn" data-action="cancel">Cancel</button>
+          <button type="submit" class="btn btn-primary">Log In</button>
+        </div>
+      `;
+
+      const input = content.querySelector("input");
+      const errorElement = content.querySelector(".login-error");
+      const submitButton = content.querySelector('button[type="submit"]');
+
+      const close = (loggedIn) => {
+        modal.remove();
+        resolve(loggedIn);
+      };
+
+      content.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const token = input.value.trim();
+        if (!token) return;
 
-      this.displayServerFiles(result.ids);
+        submitButton.disabled = true;
+        errorElement.textContent = "";
+
+        const previousToken = this.server.adminToken;
+        this.server.adminToken = token;
+        try {
+          await this.server.verifyAdminToken();
+        } catch (error) {
+          // Servers without the auth action check the token on each request instead
+          const unsupported =
+            error instanceof RequestRejectedError &&
+            !(error instanceof UnauthorizedError);
+          if (!unsupported) {
+            this.server.adminToken = previousToken;
+            errorElement.textContent = error.message;
+            submitButton.disabled = false;
+            input.select();
+            return;
+          }
+        }
+
+        this.setAdminToken(token);
+        close(true);
+      });
+
+      content
+        .querySelector('[data-action="cancel"]')
+        .addEventListener("click", () => close(false));
+
+      modal.className = "modal";
+      modal.appendChild(content);
+      document.body.appendChild(modal);
+      input.focus();
+
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) close(false);
+      });
+    });
+  }
+
+  // File Manager Methods
+  async loadServerFiles() {
+    try {
+      this.showStatus("Loading server files...");
+
+      const ids = await this.server.listAll();
+      this.displayServerFiles(ids);
       this.hideStatus();
     } catch (error) {
       this.showStatus(`Error loading files: ${error.message}`);
@@ -1761,15 +3102,11 @@ class AdminManager {
             </div>
           </div>
           <div class="file-actions">
-            <a href="${
-              CONFIG.PHP_SERVER_URL
-            }?action=data&id=${encodeURIComponent(file.id)}" 
+            <a href="${this.server.getDataUrl(file.id)}" 
                class="file-btn primary" target="_blank">
               📄 Current
             </a>
-            <a href="${
-              CONFIG.PHP_SERVER_URL
-            }?action=download_zip&id=${encodeURIComponent(file.id)}" 
+            <a href="${this.server.getZipUrl(file.id)}" 
                class="file-btn primary">
               📦 Download ZIP
             </a>
@@ -1780,6 +3117,7 @@ class AdminManager {
             </button>
           </div>
         </div>
+        ${this.generateFileVersionsHTML(file)}
         <div class="file-metadata">
           <button class="metadata-toggle" id="metadata-toggle-${file.id}" 
                   onclick="toggleMetadata('${file.id}')">
@@ -1793,6 +3131,81 @@ ${JSON.stringify(file.metadata, null, 2)}
     `;
   }
 
+  generateFileVersionsHTML(file) {
+    const versions = (file.metadata && file.metadata.versions) || {};
+
+    // Current first, then backups newest first
+    const names = Object.keys(versions).sort((a, b) => {
+      if (a === "current") return -1;
+      if (b === "current") return 1;
+      return parseInt(b, 10) - parseInt(a, 10);
+    });
+    if (names.length === 0) return "";
+
+    const rows = names.map((name) => {
+      const restoreButton =
+        name === "current"
+          ? ""
+          : `<button class="file-btn primary" onclick="window.adminManager.restoreVersion('${file.id}', '${name}')">
+              ↩️ Restore
+            </button>`;
+      const version = versions[name];
+      const author = version.uploadedBy || version.translator;
+      const claimedName =
+        version.translator &&
+        version.uploadedBy &&
+        version.translator !== version.uploadedBy
+          ? ` (as ${this.escapeHtml(version.translator)})`
+          : "";
+
+      return `
+        <div class="file-version">
+          <span class="file-version-name">${
+            name === "current" ? "Current" : `Backup ${name}`
+          }</span>
+          <span>${this.escapeHtml(version.uploaded || "Unknown")}</span>
+          <span>👤 ${author ? this.escapeHtml(author) + claimedName : "Unknown"}</span>
+          ${
+            version.changeNote
+              ? `<span class="file-version-note">📝 ${this.escapeHtml(
+                  version.changeNote
+                )}</span>`
+              : ""
+          }
+          ${restoreButton}
+          ${this.generateUploadWarningsHTML(version.warnings)}
+        </div>
+      `;
+    });
+
+    return `<div class="file-versions">${rows.join("")}</div>`;
+  }
+
+  async restoreVersion(id, version) {
+    try {
+      const restored = await restoreBackup({
+        id,
+        version,
+        // LQA files use the language column of the language they belong to
+        language: id.replace(/^LQA_/, ""),
+        download: (fileId, fileVersion) => this.server.getData(fileId, fileVersion),
+        upload: (csv, fields) =>
+          this.runAsAdmin(() => this.server.upload(id, csv, fields)),
+        showStatus: (message) => this.showStatus(message),
+        hideStatus: () => this.hideStatus(),
+      });
+      if (!restored) return;
+
+      this.showStatus(`Backup ${version} of ${id} restored as the current version`);
+      setTimeout(() => {
+        this.hideStatus();
+        this.loadServerFiles(); // Refresh the list
+      }, 1500);
+    } catch (error) {
+      this.showStatus(`Error restoring ${id}: ${error.message}`);
+    }
+  }
+
   formatFileSize(bytes) {
     if (bytes === 0) return "0 bytes";
     const k = 1024;
@@ -1811,25 +3224,11 @@ ${JSON.stringify(file.metadata, null, 2)}
     }
 
     try {
-      this.showStatus(`Deleting ${id}...`);
-
-      const formData = new FormData();
-      const response = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=delete&id=${encodeURIComponent(id)}`,
-        {
-          method: "POST",
-          body: formData,
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
-      }
-
-      const result = await response.json();
-      if (!result.success) {
-        throw new Error(result.error || "Failed to delete file");
-      }
+      const result = await this.runAsAdmin(() => {
+        this.showStatus(`Deleting ${id}...`);
+        return this.server.deleteId(id);
+      });
+      if (!result) return;
 
       this.showStatus(`Successfully deleted ${id}`);
       setTimeout(() => {
@@ -1844,7 +3243,7 @@ ${JSON.stringify(file.metadata, null, 2)}
   async deleteAllFiles() {
     if (
       !confirm(
-        "Are you sure you want to delete ALL files from the server? This action cannot be undone."
+        `Are you sure you want to delete ALL files of ${CONFIG.APP_NAME} from the server? This action cannot be undone.`
       )
     ) {
       return;
@@ -1859,25 +3258,11 @@ ${JSON.stringify(file.metadata, null, 2)}
     }
 
     try {
-      this.showStatus("Deleting all files...");
-
-      const formData = new FormData();
-      const response = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=delete_all`,
-        {
-          method: "POST",
-          body: formData,
-        }
-      );
-
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
-      }
-
-      const result = await response.json();
-      if (!result.success) {
-        throw new Error(result.error || "Failed to delete files");
-      }
+      const result = await this.runAsAdmin(() => {
+        this.showStatus("Deleting all files...");
+        return this.server.deleteProject();
+      });
+      if (!result) return;
 
       this.showStatus(`Successfully deleted all files: ${result.message}`);
       setTimeout(() => {
@@ -1939,6 +3324,10 @@ window.showMissingTerms = function (language, missingTerms) {
   });
 };
 
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  renderProjectSelector(
+    document.getElementById("projectSelector"),
+    await initProject()
+  );
   window.adminManager = new AdminManager();
 });
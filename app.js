@@ -1,18 +1,71 @@
-import { fetchGoogleSheetsData } from "./dataFetcher.js";
+import { fetchSheetWithCache } from "./dataFetcher.js";
+import {
+  saveExportSnapshot,
+  loadExportSnapshot,
+  addUploadToExportSnapshot,
+} from "./sheetCache.js";
 import { CONFIG } from "./config.js";
 import {
   parseCSV,
+  generateCSV,
   generateLocalizationCSV,
   extractLanguages,
+  getStandardColumns,
+  EXPORT_TYPE_COLUMN,
+  SUGGESTIONS_COLUMN,
 } from "./csvParser.js";
 import {
   generateDiffHTML,
   getDiffSummary,
   generateCharDiff,
   generateEnhancedLineDiff,
+  generateTermDiffListHTML,
+  generateSheetChangesHTML,
 } from "./diffModule.js";
 import { csvToXlsx, xlsxToCsv } from "./converter.js";
+import { generateXliff, parseXliff, isXliffFile } from "./xliff.js";
+import { generatePo, parsePo, isPoFile } from "./po.js";
+import {
+  getLanguageCode,
+  getLanguageDirection,
+  getLanguageLabel,
+  findUnknownLanguages,
+  getAddedLanguages,
+  registerLanguageRows,
+} from "./languageRegistry.js";
 import { checkMergeStatus, checkEnhancedMergeStatus } from "./mergeChecker.js";
+import { generateMarkupIssuesHTML } from "./markupChecker.js";
+import { loadGlossary, generateGlossaryIssuesHTML } from "./glossaryChecker.js";
+import {
+  buildTranslationMemory,
+  suggestTranslations,
+  addSuggestionHints,
+  generateSuggestionsHTML,
+} from "./translationMemory.js";
+import {
+  validateBeforeUpload,
+  formatValidationEntry,
+} from "./uploadValidator.js";
+import {
+  compareAndGenerateReport,
+  generateLanguageExportRows,
+  generateTodoExportRows,
+  generateTermDiffs,
+  summarizeSheetChanges,
+  hasLanguageColumn,
+} from "./localisationCore.js";
+import {
+  ServerClient,
+  NotFoundError,
+  ServerUnavailableError,
+  UnauthorizedError,
+} from "./serverClient.js";
+import {
+  initProject,
+  renderProjectSelector,
+  projectStorageKey,
+} from "./projectRegistry.js";
+import { restoreBackup } from "./versionRestore.js";
 
 class LocalisationManager {
   constructor() {
@@ -22,6 +75,10 @@ class LocalisationManager {
     this.uploadedData = null;
     this.processedData = null;
     this.serverFiles = null;
+    this.glossary = null;
+    this.server = new ServerClient();
+    this.translatorName = "";
+    this.changeNote = "";
     this.lqaDifferences = []; // Track LQA differences for review
     this.isValidatingServerFile = false; // Track if we're validating server file
     this.init();
@@ -42,6 +99,15 @@ class LocalisationManager {
     document
       .getElementById("lqaCheckbox")
       .addEventListener("change", (e) => this.onLqaCheckboxChange(e));
+    document
+      .getElementById("translatorKeyInput")
+      .addEventListener("change", (e) => this.onTranslatorKeyChange(e));
+    document
+      .getElementById("translatorNameInput")
+      .addEventListener("change", () => this.onTranslatorInfoChange());
+    document
+      .getElementById("changeNoteInput")
+      .addEventListener("change", () => this.onTranslatorInfoChange());
     document
       .getElementById("downloadLatestCsvBtn")
       .addEventListener("click", (e) => {
@@ -54,6 +120,30 @@ class LocalisationManager {
         e.preventDefault();
         this.downloadLatestVersion("xlsx");
       });
+    document
+      .getElementById("downloadLatestXliffBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadLatestVersion("xliff");
+      });
+    document
+      .getElementById("downloadLatestPoBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadLatestVersion("po");
+      });
+    document
+      .getElementById("downloadTodoCsvBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadTodoVersion("csv");
+      });
+    document
+      .getElementById("downloadTodoXlsxBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadTodoVersion("xlsx");
+      });
     document
       .getElementById("fileInput")
       .addEventListener("change", (e) => this.handleFileSelection(e));
@@ -92,9 +182,15 @@ class LocalisationManager {
     try {
       this.showStatus("Fetching latest data from Google Sheets...");
 
-      this.data = await fetchGoogleSheetsData();
+      const [sheet] = await Promise.all([
+        fetchSheetWithCache(),
+        this.loadAddedLanguages(),
+        this.fetchGlossary(),
+      ]);
+      this.data = sheet.data;
       this.extractLanguages();
       this.populateLanguageDropdown();
+      this.showSheetNotice(sheet);
 
       this.hideStatus();
       this.showStep(2);
@@ -106,7 +202,72 @@ class LocalisationManager {
 
   extractLanguages() {
     if (!this.data || this.data.length === 0) return;
-    this.availableLanguages = extractLanguages(this.data);
+    const sheetLanguages = extractLanguages(this.data);
+
+    // Languages added on the admin page are offered before the sheet has their column
+    this.availableLanguages = [
+      ...sheetLanguages,
+      ...getAddedLanguages()
+        .map((info) => info.column)
+        .filter((language) => !sheetLanguages.includes(language)),
+    ];
+  }
+
+  /**
+   * Register the languages added on the admin page, stored on the server
+   */
+  async loadAddedLanguages() {
+    try {
+      registerLanguageRows(parseCSV(await this.server.getData(CONFIG.LANGUAGE_LIST_ID)));
+    } catch (error) {
+      // Nothing added yet, or the server is down: the sheet's languages still work
+      if (!(error instanceof NotFoundError)) {
+        console.warn("Could not load the added languages:", error.message);
+      }
+    }
+  }
+
+  /**
+   * Load the glossary the report checks terminology against
+   */
+  async fetchGlossary() {
+    try {
+      this.glossary = await loadGlossary();
+    } catch (error) {
+      // Without a glossary the report just skips the terminology check
+      console.warn("Glossary not loaded:", error.message);
+    }
+  }
+
+  /**
+   * Show that cached sheet data is in use, and what changed since the last visit
+   * @param {Object} sheet - Result of fetchSheetWithCache
+   */
+  showSheetNotice(sheet) {
+    const notice = document.getElementById("sheetNotice");
+    let html = "";
+
+    if (sheet.offline) {
+      html += `<div>📴 Google Sheets could not be reached, using cached data from ${this.escapeHtml(
+        new Date(sheet.fetchedAt).toLocaleString()
+      )}.</div>`;
+    }
+
+    const unknownLanguages = findUnknownLanguages(this.availableLanguages);
+    if (unknownLanguages.length > 0) {
+      html += `<div>⚠️ Columns not in the language registry: ${this.escapeHtml(
+        unknownLanguages.join(", ")
+      )}. They are offered as languages, but exports use the column name as their locale code.</div>`;
+    }
+
+    if (sheet.previousData) {
+      html += generateSheetChangesHTML(
+        summarizeSheetChanges(sheet.previousData, sheet.data, this.availableLanguages)
+      );
+    }
+
+    notice.innerHTML = html;
+    notice.classList.toggle("hidden", !html);
   }
 
   populateLanguageDropdown() {
@@ -117,7 +278,9 @@ class LocalisationManager {
       if (language.trim()) {
         const option = document.createElement("option");
         option.value = language;
-        option.textContent = language;
+        option.textContent = hasLanguageColumn(this.data, language)
+          ? getLanguageLabel(language)
+          : `${getLanguageLabel(language)} (new)`;
         select.appendChild(option);
       }
     });
@@ -130,13 +293,21 @@ class LocalisationManager {
     const state = {
       selectedLanguage: this.selectedLanguage,
       isLqaFile: document.getElementById("lqaCheckbox").checked,
+      translatorKey: this.server.translatorKey,
+      translatorName: this.translatorName,
+      changeNote: this.changeNote,
     };
-    localStorage.setItem("localisationManagerState", JSON.stringify(state));
+    localStorage.setItem(
+      projectStorageKey("localisationManagerState"),
+      JSON.stringify(state)
+    );
   }
 
   restoreState() {
     try {
-      const savedState = localStorage.getItem("localisationManagerState");
+      const savedState = localStorage.getItem(
+        projectStorageKey("localisationManagerState")
+      );
       if (savedState) {
         const state = JSON.parse(savedState);
 
@@ -156,6 +327,24 @@ class LocalisationManager {
           updateTutorial();
         }
 
+        // Restore translator key
+        if (state.translatorKey) {
+          document.getElementById("translatorKeyInput").value =
+            state.translatorKey;
+          this.server.translatorKey = state.translatorKey;
+        }
+
+        // Restore translator name and pending change note
+        if (state.translatorName) {
+          document.getElementById("translatorNameInput").value =
+            state.translatorName;
+          this.translatorName = state.translatorName;
+        }
+        if (state.changeNote) {
+          document.getElementById("changeNoteInput").value = state.changeNote;
+          this.changeNote = state.changeNote;
+        }
+
         // Trigger language change to show the appropriate UI elements
         if (this.selectedLanguage) {
           this.onLanguageChange({ target: { value: this.selectedLanguage } });
@@ -175,6 +364,19 @@ class LocalisationManager {
     }
   }
 
+  onTranslatorKeyChange(e) {
+    this.server.translatorKey = e.target.value.trim() || null;
+    this.saveState();
+  }
+
+  onTranslatorInfoChange() {
+    this.translatorName = document
+      .getElementById("translatorNameInput")
+      .value.trim();
+    this.changeNote = document.getElementById("changeNoteInput").value.trim();
+    this.saveState();
+  }
+
   getFileId() {
     const isLqaFile = document.getElementById("lqaCheckbox").checked;
     return isLqaFile ? `LQA_${this.selectedLanguage}` : this.selectedLanguage;
@@ -190,6 +392,13 @@ class LocalisationManager {
         this.selectedLanguage;
       document.getElementById("selectedLanguageNameXlsx").textContent =
         this.selectedLanguage;
+      document.getElementById("selectedLanguageNameXliff").textContent =
+        this.selectedLanguage;
+      document.getElementById("selectedLanguageNamePo").textContent =
+        this.selectedLanguage;
+      document.getElementById("digestLink").href = `digest.html?language=${encodeURIComponent(
+        this.selectedLanguage
+      )}`;
 
       // Save state
       this.saveState();
@@ -218,8 +427,7 @@ class LocalisationManager {
 
     try {
       const fileId = this.getFileId();
-      const result = await this.getServerFiles(fileId);
-      this.serverFiles = result.backups || [];
+      this.serverFiles = await this.server.getBackups(fileId);
 
       if (this.serverFiles.length === 0) {
         serverFilesSection.classList.add("hidden");
@@ -253,6 +461,15 @@ class LocalisationManager {
         `;
       }
 
+      if (this.serverFiles.length > 1) {
+        html += `
+          <button class="server-file-btn" style="margin-top: 1rem;"
+                  onclick="window.localisationManager.showVersionHistory()">
+            📜 Compare versions
+          </button>
+        `;
+      }
+
       serverFilesContent.innerHTML = html;
 
       // Check merge status for current file
@@ -261,7 +478,22 @@ class LocalisationManager {
       }
     } catch (error) {
       console.error("Error loading server files:", error);
-      serverFilesSection.classList.add("hidden");
+
+      if (error instanceof ServerUnavailableError) {
+        // Don't pretend the language has no file when we couldn't ask
+        serverFilesSection.classList.remove("hidden");
+        serverFilesContent.innerHTML = `
+          <p style="color: #f44336;">
+            ⚠️ Server unreachable: ${this.escapeHtml(error.message)}.
+            Files on the server could not be checked.
+          </p>
+          <button class="server-file-btn" onclick="window.localisationManager.loadServerFiles()">
+            Retry
+          </button>
+        `;
+      } else {
+        serverFilesSection.classList.add("hidden");
+      }
     }
   }
 
@@ -277,6 +509,7 @@ class LocalisationManager {
           <div class="server-file-details">
             ${sizeKB} KB • Uploaded: ${file.uploaded}
           </div>
+          ${this.generateUploaderHTML(file)}
           ${
             isCurrent
               ? '<span id="merge-status-current" class="merge-status checking">Checking merge status...</span>'
@@ -301,13 +534,41 @@ class LocalisationManager {
               Validate
             </button>
           `
-              : ""
+              : `
+            <button class="server-file-btn" onclick="window.localisationManager.restoreServerVersion('${file.version}')">
+              Restore
+            </button>
+          `
           }
         </div>
       </div>
     `;
   }
 
+  generateUploaderHTML(file) {
+    // The key-verified name wins over the name typed by the translator
+    const author = file.uploadedBy || file.translator;
+    if (!author && !file.changeNote) return "";
+
+    const claimedName =
+      file.translator && file.uploadedBy && file.translator !== file.uploadedBy
+        ? ` (as ${this.escapeHtml(file.translator)})`
+        : "";
+
+    return `
+      <div class="server-file-uploader">
+        ${author ? `👤 ${this.escapeHtml(author)}${claimedName}` : ""}
+        ${
+          file.changeNote
+            ? `<div class="server-file-note">📝 ${this.escapeHtml(
+                file.changeNote
+              )}</div>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
   async checkCurrentFileMergeStatus() {
     try {
       const fileId = this.getFileId();
@@ -451,9 +712,11 @@ class LocalisationManager {
     const fileName = file.name.toLowerCase();
     const isCSV = fileName.endsWith(".csv");
     const isXLSX = fileName.endsWith(".xlsx");
+    const isXLIFF = isXliffFile(fileName);
+    const isPO = isPoFile(fileName);
 
-    if (!isCSV && !isXLSX) {
-      alert("Please upload a CSV or XLSX file");
+    if (!isCSV && !isXLSX && !isXLIFF && !isPO) {
+      alert("Please upload a CSV, XLSX, XLIFF or PO file");
       return;
     }
 
@@ -465,19 +728,16 @@ class LocalisationManager {
 
       let csvText;
 
-      if (isXLSX) {
+      if (isXLIFF) {
+        this.uploadedData = await this.readXliffFile(file);
+      } else if (isPO) {
+        this.uploadedData = await this.readPoFile(file);
+      } else if (isXLSX) {
         // Convert XLSX to CSV first
         this.showStatus("Converting XLSX to CSV...");
 
-        const expectedHeaders = [
-          "termID",
-          "notes",
-          "shouldBeTranslated",
-          "translationNeedsToBeUpdated",
-          "English",
-        ];
         csvText = await xlsxToCsv(file, {
-          expectedHeaders: expectedHeaders,
+          expectedHeaders: getStandardColumns(),
           findMatchingSheet: true,
           returnString: true,
           onProgress: (progress) => {
@@ -491,7 +751,9 @@ class LocalisationManager {
         csvText = await this.readFileAsText(file);
       }
 
-      this.uploadedData = parseCSV(csvText);
+      if (isCSV || isXLSX) {
+        this.uploadedData = parseCSV(csvText);
+      }
 
       // Check for LQA comparison if not in LQA mode
       const isLqaMode = document.getElementById("lqaCheckbox").checked;
@@ -565,7 +827,11 @@ class LocalisationManager {
       return differences;
     } catch (error) {
       // If LQA file doesn't exist or can't be fetched, return empty array
-      console.log("No LQA file found or error fetching LQA file:", error);
+      if (error instanceof NotFoundError) {
+        console.log("No LQA file found for", this.selectedLanguage);
+      } else {
+        console.warn("Could not fetch LQA file, skipping LQA suggestions:", error);
+      }
       return [];
     }
   }
@@ -905,12 +1171,21 @@ class LocalisationManager {
     try {
       this.showStatus("Uploading updated file to server...");
 
+      const validation = await this.runUploadValidation(this.uploadedData);
+      if (!validation.canUpload) {
+        throw new Error(
+          `Upload blocked by ${validation.errors.length} validation error(s)`
+        );
+      }
+
       // Generate CSV from the updated uploadedData (which contains LQA changes)
       const csv = generateLocalizationCSV(this.uploadedData, [
         this.selectedLanguage,
       ]);
       const fileId = this.getFileId();
-      await this.uploadToServer(csv, fileId);
+      await this.uploadToServer(csv, fileId, {
+        warnings: validation.warnings,
+      });
 
       this.showStatus("✅ File updated successfully! Generating report...");
 
@@ -940,6 +1215,34 @@ class LocalisationManager {
     });
   }
 
+  /**
+   * Read an XLIFF file from a CAT tool into rows for the selected language
+   * @param {File} file - .xlf or .xliff file
+   * @returns {Promise<Array>} Rows shaped like a language CSV
+   */
+  async readXliffFile(file) {
+    this.showStatus("Reading XLIFF file...");
+    const { rows } = parseXliff(await this.readFileAsText(file), {
+      language: this.selectedLanguage,
+      languages: this.availableLanguages,
+    });
+    return rows;
+  }
+
+  /**
+   * Read a gettext PO file from Poedit or Weblate into rows for the selected language
+   * @param {File} file - .po file
+   * @returns {Promise<Array>} Rows shaped like a language CSV
+   */
+  async readPoFile(file) {
+    this.showStatus("Reading PO file...");
+    const { rows } = parsePo(await this.readFileAsText(file), {
+      language: this.selectedLanguage,
+      languages: this.availableLanguages,
+    });
+    return rows;
+  }
+
   downloadLatestVersion(format = "csv") {
     if (!this.selectedLanguage || !this.data) {
       alert("No language or data available");
@@ -950,9 +1253,24 @@ class LocalisationManager {
 
     setTimeout(async () => {
       try {
+        const rows = this.generateLatestVersionRows(this.selectedLanguage);
         const csv = this.generateLatestVersionCSV(this.selectedLanguage);
-
-        if (format === "xlsx") {
+        // Remembered for the "since my last download" digest page
+        saveExportSnapshot(this.selectedLanguage, rows);
+
+        if (format === "po") {
+          this.downloadFile(
+            generatePo(rows, this.selectedLanguage),
+            `${this.selectedLanguage}_latest.po`,
+            "text/x-gettext-translation;charset=utf-8;"
+          );
+        } else if (format === "xliff") {
+          this.downloadFile(
+            generateXliff(rows, this.selectedLanguage),
+            `${this.selectedLanguage}_latest.xlf`,
+            "application/xliff+xml;charset=utf-8;"
+          );
+        } else if (format === "xlsx") {
           await csvToXlsx(csv, {
             filename: `${this.selectedLanguage}_latest.xlsx`,
             title: this.selectedLanguage,
@@ -974,6 +1292,65 @@ class LocalisationManager {
     }, 500);
   }
 
+  /**
+   * Download only the terms that need work, with neighbouring rows for context.
+   * Uploading the file back keeps the omitted terms (see compareAndGenerateReport).
+   * @param {string} format - "csv" or "xlsx"
+   */
+  async downloadTodoVersion(format = "csv") {
+    if (!this.selectedLanguage || !this.data) {
+      alert("No language or data available");
+      return;
+    }
+
+    const language = this.selectedLanguage;
+    this.showStatus(`Generating to-do ${format.toUpperCase()}...`);
+
+    try {
+      const snapshot = await loadExportSnapshot(language);
+      const rows = addSuggestionHints(
+        generateTodoExportRows(this.data, language, {
+          exportedRows: snapshot ? snapshot.rows : null,
+        }),
+        buildTranslationMemory(this.data, language)
+      );
+      const todoCount = rows.filter((row) => row[EXPORT_TYPE_COLUMN] === "todo").length;
+
+      if (todoCount === 0) {
+        this.showStatus(`Nothing to do for ${language}: every term is translated and up to date. 🎉`);
+        return;
+      }
+
+      // Keep sheet order so the context rows stay next to their terms
+      const csv = generateCSV(rows, [
+        ...getStandardColumns(),
+        language,
+        EXPORT_TYPE_COLUMN,
+        SUGGESTIONS_COLUMN,
+      ]);
+
+      if (format === "xlsx") {
+        await csvToXlsx(csv, {
+          filename: `${language}_todo.xlsx`,
+          title: language,
+          csvSeparator: ",",
+          creator: "NPO Localisation Manager",
+          subject: `${language} terms to translate or update`,
+        });
+      } else {
+        this.downloadFile(csv, `${language}_todo.csv`);
+      }
+
+      saveExportSnapshot(language, rows, undefined, { partial: true });
+      this.showStatus(
+        `Exported ${todoCount} terms to do, with ${rows.length - todoCount} context rows`
+      );
+    } catch (error) {
+      this.showStatus(`Error generating to-do ${format.toUpperCase()}: ${error.message}`);
+      console.error(`Download to-do ${format} error:`, error);
+    }
+  }
+
   showFileUpload() {
     document.getElementById("fileUploadArea").classList.remove("hidden");
   }
@@ -983,16 +1360,18 @@ class LocalisationManager {
     const file = fileInput.files[0];
 
     if (!file) {
-      alert("Please select a CSV or XLSX file");
+      alert("Please select a CSV, XLSX, XLIFF or PO file");
       return;
     }
 
     const fileName = file.name.toLowerCase();
     const isCSV = fileName.endsWith(".csv");
     const isXLSX = fileName.endsWith(".xlsx");
+    const isXLIFF = isXliffFile(fileName);
+    const isPO = isPoFile(fileName);
 
-    if (!isCSV && !isXLSX) {
-      alert("Please upload a CSV or XLSX file");
+    if (!isCSV && !isXLSX && !isXLIFF && !isPO) {
+      alert("Please upload a CSV, XLSX, XLIFF or PO file");
       return;
     }
 
@@ -1001,19 +1380,16 @@ class LocalisationManager {
     try {
       let csvText;
 
-      if (isXLSX) {
+      if (isXLIFF) {
+        this.uploadedData = await this.readXliffFile(file);
+      } else if (isPO) {
+        this.uploadedData = await this.readPoFile(file);
+      } else if (isXLSX) {
         // Convert XLSX to CSV first
         this.showStatus("Converting XLSX to CSV...");
 
-        const expectedHeaders = [
-          "termID",
-          "notes",
-          "shouldBeTranslated",
-          "translationNeedsToBeUpdated",
-          "English",
-        ];
         csvText = await xlsxToCsv(file, {
-          expectedHeaders: expectedHeaders,
+          expectedHeaders: getStandardColumns(),
           findMatchingSheet: true,
           returnString: true,
           onProgress: (progress) => {
@@ -1027,7 +1403,9 @@ class LocalisationManager {
         csvText = await this.readFileAsText(file);
       }
 
-      this.uploadedData = parseCSV(csvText);
+      if (isCSV || isXLSX) {
+        this.uploadedData = parseCSV(csvText);
+      }
       const report = this.compareAndGenerateReport();
       this.displayReport(report);
       this.showStep(3);
@@ -1047,130 +1425,17 @@ class LocalisationManager {
   }
 
   compareAndGenerateReport() {
-    const latestData = this.data;
-    const userLang = this.selectedLanguage;
-    const userData = this.uploadedData;
     const isLqaMode = document.getElementById("lqaCheckbox").checked;
 
-    // Create a map of user data by termID
-    const userDataMap = {};
-    userData.forEach((row) => {
-      if (row.termID) {
-        userDataMap[row.termID] = row;
-      }
-    });
-
-    const needsTranslation = [];
-    const missingTermsFoundInLatest = [];
-    const needsUpdate = [];
-    const needsUpdateDetails = []; // New: Store detailed info for diff view
-    const processedRows = [];
-
-    latestData.forEach((latestRow) => {
-      const termID = latestRow.termID;
-      if (!termID) return;
-
-      // Skip rows that shouldn't be translated
-      if (latestRow.shouldBeTranslated === "FALSE") {
-        processedRows.push({
-          termID: termID,
-          notes: latestRow.notes || "",
-          shouldBeTranslated: latestRow.shouldBeTranslated,
-          translationNeedsToBeUpdated:
-            latestRow.translationNeedsToBeUpdated || "FALSE",
-          English: latestRow.English || "",
-          [userLang]: latestRow[userLang] || "",
-        });
-        return;
-      }
-
-      const userRow = userDataMap[termID];
-      const latestEnglish = latestRow.English || "";
-      const latestLanguageText = latestRow[userLang] || "";
-
-      let shouldBeTranslated = "TRUE";
-      let translationNeedsToBeUpdated = "FALSE";
-      let languageText = latestLanguageText;
-
-      if (userRow) {
-        const userEnglish = userRow.English || "";
-        const userLanguageText = userRow[userLang] || "";
-
-        // If user has provided a translation (and it's not empty)
-        if (userLanguageText && userLanguageText.trim() !== "") {
-          languageText = userLanguageText;
-
-          // Check if translation needs update (English changed)
-          if (userEnglish !== latestEnglish) {
-            translationNeedsToBeUpdated = "TRUE";
-            needsUpdate.push(termID);
-
-            // Store detailed info for diff view
-            needsUpdateDetails.push({
-              termID: termID,
-              oldText: userEnglish,
-              newText: latestEnglish,
-              userTranslation: userLanguageText,
-            });
-          } else {
-            translationNeedsToBeUpdated = "FALSE";
-          }
-        } else {
-          // User didn't provide translation or it's empty
-          translationNeedsToBeUpdated = "FALSE";
-
-          if (isLqaMode) {
-            // For LQA files: Skip missing terms entirely
-            return; // Don't add this term to processedRows
-          } else {
-            // For regular files: Check if this term already has a translation in the latest data
-            if (latestLanguageText) {
-              missingTermsFoundInLatest.push(termID);
-              languageText = latestLanguageText; // Keep the latest translation
-            } else {
-              needsTranslation.push(termID);
-              languageText = ""; // No translation available
-            }
-          }
-        }
-      } else {
-        // termID doesn't exist in user file
-        if (isLqaMode) {
-          // For LQA files: Skip missing terms entirely
-          return; // Don't add this term to processedRows
-        } else {
-          // For regular files: Add missing terms
-          if (latestLanguageText) {
-            missingTermsFoundInLatest.push(termID);
-            languageText = latestLanguageText; // Keep the latest translation
-          } else {
-            needsTranslation.push(termID);
-            languageText = "";
-          }
-        }
-      }
-
-      processedRows.push({
-        termID: termID,
-        notes: latestRow.notes || "",
-        shouldBeTranslated: shouldBeTranslated,
-        translationNeedsToBeUpdated: translationNeedsToBeUpdated,
-        English: latestEnglish,
-        [userLang]: languageText,
-      });
-    });
-
-    this.processedData = processedRows;
+    const { report, processedData } = compareAndGenerateReport(
+      this.data,
+      this.uploadedData,
+      this.selectedLanguage,
+      { isLqaMode, glossary: this.glossary }
+    );
 
-    return {
-      needsTranslation,
-      missingTermsFoundInLatest,
-      needsUpdate,
-      needsUpdateDetails, // New: Include detailed info
-      totalNeedsTranslation: needsTranslation.length,
-      totalMissingTermsFoundInLatest: missingTermsFoundInLatest.length,
-      totalNeedsUpdate: needsUpdate.length,
-    };
+    this.processedData = processedData;
+    return report;
   }
 
   displayReport(report) {
@@ -1184,7 +1449,9 @@ class LocalisationManager {
     if (
       report.totalNeedsTranslation === 0 &&
       report.totalMissingTermsFoundInLatest === 0 &&
-      report.totalNeedsUpdate === 0
+      report.totalNeedsUpdate === 0 &&
+      !report.totalMarkupIssues &&
+      !report.totalGlossaryIssues
     ) {
       let html;
 
@@ -1228,6 +1495,16 @@ class LocalisationManager {
       return;
     }
 
+    // Fuzzy matches from the sheet's existing translations of this language
+    const suggestions = suggestTranslations(
+      buildTranslationMemory(this.data, this.selectedLanguage),
+      this.data,
+      [
+        ...report.needsTranslation,
+        ...(report.needsUpdateDetails || []).map((item) => item.termID),
+      ]
+    );
+
     // Regular report when translations/updates are needed
     let html = `
       <div class="report">
@@ -1236,6 +1513,17 @@ class LocalisationManager {
           report.totalMissingTermsFoundInLatest
         }</strong> missing terms that were found in latest file</p>
         <p><strong>${report.totalNeedsUpdate}</strong> terms need updates</p>
+        ${
+          report.totalOmittedTerms > 0
+            ? `<p><strong>${report.totalOmittedTerms}</strong> terms not in this to-do file kept their current translation</p>`
+            : ""
+        }
+        <p><strong>${
+          report.totalMarkupIssues || 0
+        }</strong> terms with broken tags or placeholders</p>
+        <p><strong>${
+          report.totalGlossaryIssues || 0
+        }</strong> terms that don't follow the glossary</p>
         <div id="upload-status" style="margin-top: 1rem;"></div>
         
         ${
@@ -1247,7 +1535,10 @@ class LocalisationManager {
             </button>
             <div class="spoiler-content">
               ${report.needsTranslation
-                .map((term) => `<div>${term}</div>`)
+                .map(
+                  (term) =>
+                    `<div>${term}${generateSuggestionsHTML(suggestions[term])}</div>`
+                )
                 .join("")}
             </div>
           </div>
@@ -1284,7 +1575,37 @@ class LocalisationManager {
               })
             </button>
             <div class="spoiler-content">
-              ${this.generateUpdatedTermsHTML(report.needsUpdateDetails)}
+              ${this.generateUpdatedTermsHTML(report.needsUpdateDetails, suggestions)}
+            </div>
+          </div>
+        `
+            : ""
+        }
+        
+        ${
+          report.totalMarkupIssues > 0
+            ? `
+          <div class="spoiler">
+            <button class="spoiler-toggle" onclick="this.nextElementSibling.classList.toggle('show')">
+              Show tag and placeholder issues (${report.totalMarkupIssues})
+            </button>
+            <div class="spoiler-content">
+              ${generateMarkupIssuesHTML(report.markupIssues)}
+            </div>
+          </div>
+        `
+            : ""
+        }
+
+        ${
+          report.totalGlossaryIssues > 0
+            ? `
+          <div class="spoiler">
+            <button class="spoiler-toggle" onclick="this.nextElementSibling.classList.toggle('show')">
+              Show glossary issues (${report.totalGlossaryIssues})
+            </button>
+            <div class="spoiler-content">
+              ${generateGlossaryIssuesHTML(report.glossaryIssues)}
             </div>
           </div>
         `
@@ -1311,22 +1632,98 @@ class LocalisationManager {
     const uploadStatus = document.getElementById("upload-status");
 
     try {
+      uploadStatus.innerHTML =
+        '<p style="color: var(--link-color);">🔍 Checking file before upload...</p>';
+
+      const validation = await this.runUploadValidation(this.processedData);
+      if (!validation.canUpload) {
+        uploadStatus.innerHTML = this.generateUploadValidationHTML(validation);
+        return;
+      }
+
       uploadStatus.innerHTML =
         '<p style="color: var(--link-color);">📤 Uploading to server...</p>';
 
       const csv = this.generateProcessedCSV();
       const fileId = this.getFileId();
-      await this.uploadToServer(csv, fileId);
+      await this.uploadToServer(csv, fileId, {
+        warnings: validation.warnings,
+      });
 
       uploadStatus.innerHTML =
-        '<p style="color: #4CAF50;">✅ Successfully uploaded to server!</p>';
+        '<p style="color: #4CAF50;">✅ Successfully uploaded to server!</p>' +
+        this.generateUploadValidationHTML(validation);
     } catch (error) {
       console.error("Auto-upload failed:", error);
       uploadStatus.innerHTML = `<p style="color: #f44336;">❌ Upload failed: ${error.message}</p>`;
     }
   }
 
-  generateUpdatedTermsHTML(updatedTerms) {
+  async runUploadValidation(data) {
+    // Compare against the current server version so emptied translations are caught
+    let previousData = null;
+    try {
+      previousData = parseCSV(await this.downloadServerFile(this.getFileId()));
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+      console.log("No previous server file to validate against");
+    }
+
+    return validateBeforeUpload(data, this.selectedLanguage, {
+      previousData,
+      mainData: this.data,
+    });
+  }
+
+  generateUploadValidationHTML(validation) {
+    let html = "";
+
+    if (validation.errors.length > 0) {
+      html += `
+        <p style="color: #f44336;">
+          ❌ Upload blocked: ${
+            validation.errors.length
+          } problem(s) must be fixed before this file can be uploaded.
+        </p>
+        <ul style="margin: 0.5rem 0 0 1.2rem;">
+          ${validation.errors
+            .map(
+              (entry) =>
+                `<li>${this.escapeHtml(formatValidationEntry(entry))}</li>`
+            )
+            .join("")}
+        </ul>
+      `;
+    }
+
+    if (validation.warnings.length > 0) {
+      html += `
+        <div class="spoiler">
+          <button class="spoiler-toggle" onclick="this.nextElementSibling.classList.toggle('show')">
+            Show upload warnings (${validation.warnings.length})
+          </button>
+          <div class="spoiler-content">
+            ${validation.warnings
+              .map(
+                (entry) =>
+                  `<div>⚠️ ${this.escapeHtml(
+                    formatValidationEntry(entry)
+                  )}</div>`
+              )
+              .join("")}
+          </div>
+        </div>
+      `;
+    }
+
+    return html;
+  }
+
+  /**
+   * @param {Array} updatedTerms - Terms with termID, oldText, newText and userTranslation
+   * @param {Object} [suggestions] - termID -> translation memory matches
+   */
+  generateUpdatedTermsHTML(updatedTerms, suggestions = {}) {
     return updatedTerms
       .map((item, index) => {
         const diffSummary = getDiffSummary(item.oldText, item.newText);
@@ -1380,7 +1777,9 @@ class LocalisationManager {
             <div class="translation-content" id="translation-content-${
               item.termID
             }">
-              <textarea class="translation-textarea" readonly>${this.escapeForTextarea(
+              <textarea class="translation-textarea" readonly lang="${getLanguageCode(
+                this.selectedLanguage
+              )}" dir="${getLanguageDirection(this.selectedLanguage)}">${this.escapeForTextarea(
                 item.userTranslation
               )}</textarea>
             </div>
@@ -1400,6 +1799,7 @@ class LocalisationManager {
               </div>
             </div>
             ${diffContent}
+            ${generateSuggestionsHTML(suggestions[item.termID])}
           </div>
         `;
       })
@@ -1515,27 +1915,26 @@ class LocalisationManager {
     }, 500);
   }
 
-  generateLatestVersionCSV(language) {
-    if (!this.data) return "";
+  /**
+   * Rows of the latest version of a language
+   * @param {string} language - Language column
+   * @returns {Array} Export rows
+   */
+  generateLatestVersionRows(language) {
+    if (!this.data) return [];
 
     // Check if this is a new language (not in the latest data)
-    const isNewLanguage = !this.availableLanguages.includes(language);
-
-    const processedData = this.data
-      .map((row) => {
-        return {
-          termID: row.termID || "",
-          notes: row.notes || "",
-          shouldBeTranslated: row.shouldBeTranslated || "TRUE",
-          translationNeedsToBeUpdated:
-            row.translationNeedsToBeUpdated || "FALSE",
-          English: row.English || "",
-          [language]: row[language] || "",
-        };
-      })
-      .filter((row) => row.termID); // Only keep rows with valid termID
+    const isNewLanguage = !hasLanguageColumn(this.data, language);
+
+    // A new language starts from an empty template with nothing to update
+    return generateLanguageExportRows(this.data, language, {
+      template: isNewLanguage,
+    });
+  }
 
-    return generateLocalizationCSV(processedData, [language]);
+  generateLatestVersionCSV(language) {
+    if (!this.data) return "";
+    return generateLocalizationCSV(this.generateLatestVersionRows(language), [language]);
   }
 
   generateProcessedCSV() {
@@ -1543,8 +1942,8 @@ class LocalisationManager {
     return generateLocalizationCSV(this.processedData, [this.selectedLanguage]);
   }
 
-  downloadFile(content, filename) {
-    const blob = new Blob([content], { type: "text/csv;charset=utf-8;" });
+  downloadFile(content, filename, mimeType = "text/csv;charset=utf-8;") {
+    const blob = new Blob([content], { type: mimeType });
     const link = document.createElement("a");
 
     if (link.download !== undefined) {
@@ -1720,82 +2119,59 @@ class LocalisationManager {
   }
 
   // Server communication methods
-  async uploadToServer(csvContent, fileId) {
-    const formData = new FormData();
-    const blob = new Blob([csvContent], { type: "text/csv" });
-    formData.append("file", blob, `${fileId}.csv`);
+  async uploadToServer(csvContent, fileId, options = {}) {
+    // Warnings are stored with the upload so the admin can review them
+    const fields = {};
+    if (options.warnings && options.warnings.length > 0) {
+      fields.warnings = options.warnings;
+    }
+    if (this.translatorName) fields.translator = this.translatorName;
+    const changeNote = options.changeNote || this.changeNote;
+    if (changeNote) fields.changeNote = changeNote;
+    if (options.restoredFrom) fields.restoredFrom = options.restoredFrom;
 
     try {
-      const response = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=upload&id=${encodeURIComponent(
-          fileId
-        )}`,
-        {
-          method: "POST",
-          body: formData,
+      const result = await this.server.upload(fileId, csvContent, fields);
+
+      // Once merged, the digest page shouldn't list these as changed by someone else.
+      // Only the translator's own file counts, not the sheet values that filled its gaps
+      if (!options.restoredFrom && this.uploadedData) {
+        try {
+          await addUploadToExportSnapshot(this.selectedLanguage, this.uploadedData);
+        } catch (error) {
+          console.warn(`Upload could not be added to the export snapshot: ${error.message}`);
         }
-      );
-
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
       }
 
-      const result = await response.json();
-      if (!result.success) {
-        throw new Error(result.error || "Upload failed");
+      // A change note describes one upload, don't attach it to the next one
+      if (this.changeNote && !options.changeNote) {
+        this.changeNote = "";
+        document.getElementById("changeNoteInput").value = "";
+        this.saveState();
       }
 
       return result;
     } catch (error) {
       console.error("Upload error:", error);
-      throw error;
-    }
-  }
-
-  async getServerFiles(fileId) {
-    try {
-      const response = await fetch(
-        `${CONFIG.PHP_SERVER_URL}?action=backups&id=${encodeURIComponent(
-          fileId
-        )}`
-      );
-
-      if (!response.ok) {
-        if (response.status === 400) {
-          // No files found for this language
-          return { success: true, backups: [] };
-        }
-        throw new Error(`Server error: ${response.status}`);
+      if (error instanceof UnauthorizedError) {
+        throw new UnauthorizedError(
+          this.server.translatorKey
+            ? "The server did not accept your translator key. Check it with the project admin."
+            : "The server requires a translator key. Enter the key from the project admin.",
+          { status: error.status, action: error.action, cause: error }
+        );
       }
-
-      const result = await response.json();
-      return result;
-    } catch (error) {
-      console.error("Error fetching server files:", error);
-      return { success: true, backups: [] };
+      throw error;
     }
   }
 
   async downloadServerFile(fileId, version = "current") {
     try {
-      const url =
-        version === "current"
-          ? `${CONFIG.PHP_SERVER_URL}?action=data&id=${encodeURIComponent(
-              fileId
-            )}`
-          : `${CONFIG.PHP_SERVER_URL}?action=data&id=${encodeURIComponent(
-              fileId
-            )}&version=${version}`;
-
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`Server error: ${response.status}`);
-      }
-
-      return await response.text();
+      return await this.server.getData(fileId, version);
     } catch (error) {
-      console.error("Error downloading server file:", error);
+      if (!(error instanceof NotFoundError)) {
+        console.error("Error downloading server file:", error);
+      }
       throw error;
     }
   }
@@ -1837,8 +2213,8 @@ class LocalisationManager {
         const lqaCsvContent = await this.downloadServerFile(lqaFileId);
         lqaData = parseCSV(lqaCsvContent);
       } catch (error) {
-        // LQA file doesn't exist or can't be fetched - this is normal
-        console.log("No LQA file found or error fetching LQA file:", error);
+        // LQA file doesn't exist - this is normal
+        if (!(error instanceof NotFoundError)) throw error;
         lqaData = null;
       }
     }
@@ -1901,6 +2277,170 @@ class LocalisationManager {
     });
   }
 
+  // Version History Methods
+  showVersionHistory() {
+    if (!this.serverFiles || this.serverFiles.length < 2) {
+      alert("At least two versions are needed to compare");
+      return;
+    }
+
+    const fileId = this.getFileId();
+    const versionCache = new Map();
+
+    const modal = document.createElement("div");
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+      background: rgba(0,0,0,0.8); display: flex; align-items: center;
+      justify-content: center; z-index: 2000;
+    `;
+
+    const content = document.createElement("div");
+    content.style.cssText = `
+      background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+      width: 900px; max-width: 90%; max-height: 80%; overflow-y: auto;
+      color: var(--text-color);
+    `;
+
+    // Default to the newest change: latest backup -> current
+    const rows = this.serverFiles
+      .map((file, index) => {
+        const label =
+          file.version === "current" ? "Current" : `Backup ${file.version}`;
+        const author = file.uploadedBy || file.translator || "";
+        return `
+          <tr>
+            <td style="padding: 0.4rem; text-align: center;">
+              <input type="radio" name="historyFrom" value="${file.version}" ${
+          index === 1 ? "checked" : ""
+        }>
+            </td>
+            <td style="padding: 0.4rem; text-align: center;">
+              <input type="radio" name="historyTo" value="${file.version}" ${
+          index === 0 ? "checked" : ""
+        }>
+            </td>
+            <td style="padding: 0.4rem; font-weight: 600;">${label}</td>
+            <td style="padding: 0.4rem;">${this.escapeHtml(file.uploaded || "")}</td>
+            <td style="padding: 0.4rem;">${Math.round(file.size / 1024)} KB</td>
+            <td style="padding: 0.4rem;">${this.escapeHtml(author)}</td>
+            <td style="padding: 0.4rem; font-style: italic; opacity: 0.8;">${this.escapeHtml(
+              file.changeNote || ""
+            )}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    content.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <h3 style="color: var(--link-color); margin: 0;">
+          Version History for ${this.escapeHtml(fileId)}
+        </h3>
+        <button style="padding: 0.5rem 1rem; background: var(--accent-color); 
+                       color: var(--text-color); border: none; border-radius: 4px; cursor: pointer;"
+                onclick="this.closest('.modal').remove()">
+          Close
+        </button>
+      </div>
+      <p style="margin-bottom: 1rem; opacity: 0.8;">
+        Pick the older version in the first column and the newer one in the second.
+      </p>
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 1rem; font-size: 0.9rem;">
+        <thead>
+          <tr style="text-align: left; border-bottom: 1px solid var(--accent-color);">
+            <th style="padding: 0.4rem;">From</th>
+            <th style="padding: 0.4rem;">To</th>
+            <th style="padding: 0.4rem;">Version</th>
+            <th style="padding: 0.4rem;">Uploaded</th>
+            <th style="padding: 0.4rem;">Size</th>
+            <th style="padding: 0.4rem;">By</th>
+            <th style="padding: 0.4rem;">Note</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <button class="btn" data-action="compare">Compare</button>
+      <div class="history-diff" style="margin-top: 1.5rem;"></div>
+    `;
+
+    const resultElement = content.querySelector(".history-diff");
+    const compareButton = content.querySelector('[data-action="compare"]');
+
+    const loadVersion = async (version) => {
+      if (!versionCache.has(version)) {
+        const csvContent = await this.downloadServerFile(fileId, version);
+        versionCache.set(version, parseCSV(csvContent));
+      }
+      return versionCache.get(version);
+    };
+
+    compareButton.addEventListener("click", async () => {
+      const from = content.querySelector('input[name="historyFrom"]:checked').value;
+      const to = content.querySelector('input[name="historyTo"]:checked').value;
+
+      if (from === to) {
+        resultElement.innerHTML =
+          "<p>Pick two different versions to compare.</p>";
+        return;
+      }
+
+      compareButton.disabled = true;
+      resultElement.innerHTML = "<p>Loading versions...</p>";
+
+      try {
+        const [fromData, toData] = await Promise.all([
+          loadVersion(from),
+          loadVersion(to),
+        ]);
+        const result = generateTermDiffs(
+          fromData,
+          toData,
+          this.selectedLanguage
+        );
+        resultElement.innerHTML = generateTermDiffListHTML(result);
+      } catch (error) {
+        resultElement.innerHTML = `<p style="color: #f44336;">❌ Could not compare versions: ${this.escapeHtml(
+          error.message
+        )}</p>`;
+      } finally {
+        compareButton.disabled = false;
+      }
+    });
+
+    modal.className = "modal";
+    modal.appendChild(content);
+    document.body.appendChild(modal);
+
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    compareButton.click();
+  }
+
+  async restoreServerVersion(version) {
+    const fileId = this.getFileId();
+
+    try {
+      const restored = await restoreBackup({
+        id: fileId,
+        version,
+        language: this.selectedLanguage,
+        download: (id, fileVersion) => this.downloadServerFile(id, fileVersion),
+        upload: (csv, fields) => this.uploadToServer(csv, fileId, fields),
+        showStatus: (message) => this.showStatus(message),
+        hideStatus: () => this.hideStatus(),
+      });
+      if (!restored) return;
+
+      this.showStatus(`✅ Backup ${version} restored as the current version`);
+      await this.loadServerFiles();
+      setTimeout(() => this.hideStatus(), 2000);
+    } catch (error) {
+      this.showStatus(`❌ Restore failed: ${error.message}`);
+    }
+  }
+
   showStatus(message) {
     const status = document.getElementById("status");
     status.textContent = message;
@@ -1921,6 +2461,10 @@ class LocalisationManager {
   }
 }
 
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  renderProjectSelector(
+    document.getElementById("projectSelector"),
+    await initProject()
+  );
   new LocalisationManager();
 });
@@ -0,0 +1,630 @@
+#!/usr/bin/env node
+
+/**
+ * Command-line tool for the localisation workflow
+ * Runs the same checks as the translator, diff and admin pages without a browser
+ *
+ * Usage: node cli.js <command> [options]
+ */
+
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { CONFIG } from "./config.js";
+import { fetchSheetWithCache } from "./dataFetcher.js";
+import {
+  parseCSV,
+  setPapaParseInstance,
+  generateLocalizationCSV,
+  extractLanguages,
+  getStandardColumns,
+  generateCSV,
+  EXPORT_TYPE_COLUMN,
+  SUGGESTIONS_COLUMN,
+} from "./csvParser.js";
+import { csvToXlsx, xlsxToCsv } from "./converter.js";
+import { generateXliff, parseXliff, isXliffFile, XLIFF_VERSIONS } from "./xliff.js";
+import { generatePo, parsePo, isPoFile } from "./po.js";
+import { generateMobileFiles, MOBILE_PLATFORMS } from "./mobileStrings.js";
+import { checkEnhancedMergeStatus } from "./mergeChecker.js";
+import { summarizeMarkupIssues } from "./markupChecker.js";
+import { loadGlossary, summarizeGlossaryIssues } from "./glossaryChecker.js";
+import { buildTranslationMemory, addSuggestionHints } from "./translationMemory.js";
+import {
+  compareAndGenerateReport,
+  generateLanguageExportRows,
+  generateTodoExportRows,
+  generateTermDiffs,
+  summarizeSheetChanges,
+} from "./localisationCore.js";
+import { loadProjectRegistry, findProject, applyProject } from "./projectRegistry.js";
+
+// Library modules log progress with console.log; keep stdout for command output
+console.log = (...args) => console.error(...args);
+
+const HELP_TEXT = `${CONFIG.APP_NAME} CLI v${CONFIG.VERSION}
+
+Usage: node cli.js <command> [options]
+
+Commands:
+  fetch                         Fetch the sheet and save it (--out data.json or .csv)
+  export <language>             Export a language file (--format csv|xlsx|xliff|po, --lqa, --todo, --out)
+  export --format pot           Export a gettext template built from English
+  mobile <android|ios|xcstrings> Write platform string files for every language (--out folder)
+  check <file>                  Translation report for a language file (--language, --lqa, --strict, --json, --glossary)
+  merge-status <file>           Check if a server file is merged into the sheet (--language, --lqa-file, --json)
+  diff <file1> <file2>          Term by term diff of two files (--language, --ignore-case, --ignore-whitespace, --json)
+
+Common options:
+  --project <id>                Project from projects.json (default: the registry's default project)
+  --xliff-version <1.2|2.0>     XLIFF version of --format xliff exports (default: ${CONFIG.XLIFF_VERSION})
+  --todo                        Export only untranslated and flagged terms, with --context <n> rows around each
+  --glossary <file>             Glossary for check (default: ${CONFIG.GLOSSARY_FILE} next to cli.js, if present)
+  --source <url|file>           Sheet CSV URL or local CSV file (default: the project's sheet)
+  --help                        Show this help
+`;
+
+const OPTIONS = {
+  project: { type: "string" },
+  source: { type: "string" },
+  out: { type: "string" },
+  format: { type: "string", default: "csv" },
+  "xliff-version": { type: "string" },
+  language: { type: "string" },
+  lqa: { type: "boolean", default: false },
+  todo: { type: "boolean", default: false },
+  context: { type: "string", default: "2" },
+  "lqa-file": { type: "string" },
+  strict: { type: "boolean", default: false },
+  glossary: { type: "string" },
+  json: { type: "boolean", default: false },
+  "ignore-case": { type: "boolean", default: false },
+  "ignore-whitespace": { type: "boolean", default: false },
+  help: { type: "boolean", default: false },
+};
+
+/**
+ * Write a line of command output to stdout
+ * @param {string} text - Text to print
+ */
+function print(text = "") {
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Make Papa Parse and SheetJS available to the shared modules
+ * @param {boolean} needsXlsx - Whether SheetJS is needed
+ */
+async function initializeLibraries(needsXlsx = false) {
+  const Papa = (await import("papaparse")).default;
+  setPapaParseInstance(Papa);
+
+  if (needsXlsx && !globalThis.XLSX) {
+    try {
+      globalThis.XLSX = await import("xlsx");
+    } catch (error) {
+      throw new Error("SheetJS is required for XLSX files. Install with: npm install xlsx");
+    }
+  }
+}
+
+/**
+ * Apply a project from projects.json. Without a registry file the CLI keeps
+ * the defaults from config.js, unless a project was asked for.
+ * @param {string} [projectId] - Project id, or the registry's default project
+ */
+async function selectProject(projectId) {
+  const registryPath = fileURLToPath(new URL(CONFIG.PROJECTS_FILE, import.meta.url));
+
+  let registry;
+  try {
+    registry = await loadProjectRegistry(registryPath);
+  } catch (error) {
+    if (error.code === "ENOENT" && !projectId) return;
+    throw new Error(`Could not load ${CONFIG.PROJECTS_FILE}: ${error.message}`);
+  }
+
+  if (projectId && !registry.projects.some((project) => project.id === projectId)) {
+    const known = registry.projects.map((project) => project.id).join(", ");
+    throw new Error(`Unknown project: ${projectId} (known: ${known})`);
+  }
+
+  applyProject(findProject(registry, projectId));
+}
+
+/**
+ * Load the glossary for terminology checks. Without --glossary the CLI uses
+ * the default glossary file when there is one.
+ * @param {string} [file] - Glossary file from --glossary
+ * @returns {Promise<Object|null>} Normalized glossary, or null without one
+ */
+async function loadCliGlossary(file) {
+  const glossaryPath = file || fileURLToPath(new URL(CONFIG.GLOSSARY_FILE, import.meta.url));
+
+  try {
+    return await loadGlossary(glossaryPath);
+  } catch (error) {
+    if (error.code === "ENOENT" && !file) return null;
+    throw new Error(`Could not load glossary ${glossaryPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Check if a path is an XLSX file
+ * @param {string} path - File path
+ * @returns {boolean} True for .xlsx files
+ */
+function isXlsxPath(path) {
+  return path.toLowerCase().endsWith(".xlsx");
+}
+
+/**
+ * Read a localization file (CSV, XLSX, XLIFF or PO) into rows
+ * @param {string} path - File path
+ * @returns {Promise<Array>} Parsed rows
+ */
+async function readDataFile(path) {
+  if (isXliffFile(path)) {
+    return parseXliff(await readFile(path, "utf8")).rows;
+  }
+  if (isPoFile(path)) {
+    return parsePo(await readFile(path, "utf8")).rows;
+  }
+
+  if (isXlsxPath(path)) {
+    await initializeLibraries(true);
+    const buffer = await readFile(path);
+    const csvText = await xlsxToCsv(new Blob([buffer]), {
+      expectedHeaders: getStandardColumns(),
+      findMatchingSheet: true,
+      returnString: true,
+    });
+    return parseCSV(csvText);
+  }
+
+  return parseCSV(await readFile(path, "utf8"));
+}
+
+/**
+ * Load the main sheet data from a URL or a local CSV file. URLs go through the
+ * sheet cache: when the sheet can't be reached the cached copy is used, and
+ * changes since the previous fetch are reported on stderr.
+ * @param {string} source - Sheet CSV URL or file path
+ * @returns {Promise<Array>} Main sheet rows
+ */
+async function loadMainData(source = CONFIG.GOOGLE_SHEETS_URL) {
+  if (!/^https?:\/\//i.test(source)) {
+    return readDataFile(source);
+  }
+
+  const sheet = await fetchSheetWithCache(source);
+  if (sheet.offline) {
+    console.error(`Sheet unreachable (${sheet.error.message}), using cached data from ${sheet.fetchedAt}`);
+  }
+  if (sheet.previousData) {
+    const { newTerms, changedEnglish, newTranslations } = summarizeSheetChanges(
+      sheet.previousData,
+      sheet.data,
+      extractLanguages(sheet.data)
+    );
+    console.error(
+      `Sheet changed since the last fetch: ${newTerms.length} new terms, ${changedEnglish.length} English changes, ${newTranslations.length} new translations`
+    );
+  }
+  return sheet.data;
+}
+
+/**
+ * Pick the language of a file, either from --language or its only language column
+ * @param {Array} data - File rows
+ * @param {string} language - Language given on the command line
+ * @returns {string} Language column
+ */
+function resolveLanguage(data, language) {
+  const languages = extractLanguages(data);
+
+  if (language) {
+    if (!languages.includes(language)) {
+      throw new Error(
+        `Language "${language}" not found. Available: ${languages.join(", ")}`
+      );
+    }
+    return language;
+  }
+
+  if (languages.length !== 1) {
+    throw new Error(
+      `Use --language to pick one of: ${languages.join(", ") || "(none)"}`
+    );
+  }
+  return languages[0];
+}
+
+/**
+ * Write a CSV string to disk, as CSV or converted to XLSX
+ * @param {string} csv - CSV content
+ * @param {string} path - Output path
+ * @param {string} format - "csv" or "xlsx"
+ * @param {string} title - Spreadsheet title for XLSX files
+ */
+async function writeCSVOutput(csv, path, format, title) {
+  if (format === "xlsx") {
+    await initializeLibraries(true);
+    const blob = await csvToXlsx(csv, {
+      title,
+      csvSeparator: ",",
+      creator: "NPO Localisation Manager",
+      returnBlob: true,
+    });
+    await writeFile(path, Buffer.from(await blob.arrayBuffer()));
+  } else {
+    await writeFile(path, csv, "utf8");
+  }
+}
+
+async function fetchCommand(positionals, options) {
+  const data = await loadMainData(options.source);
+  const out = options.out || CONFIG.OUTPUT_FILE;
+
+  if (out.toLowerCase().endsWith(".csv")) {
+    await writeFile(out, generateLocalizationCSV(data, extractLanguages(data)), "utf8");
+  } else {
+    await writeFile(out, JSON.stringify(data, null, 2), "utf8");
+  }
+
+  print(`Saved ${data.length} records to ${out}`);
+  return 0;
+}
+
+async function exportCommand([language], options) {
+  if (options.format === "pot") {
+    return exportTemplate(options);
+  }
+
+  if (!language) throw new Error("Usage: export <language> [--format csv|xlsx|xliff|po] [--lqa|--todo]");
+  if (!["csv", "xlsx", "xliff", "po"].includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}". Use csv, xlsx, xliff, po or pot`);
+  }
+  if (options["xliff-version"] && !XLIFF_VERSIONS.includes(options["xliff-version"])) {
+    throw new Error(`Unknown XLIFF version "${options["xliff-version"]}". Use ${XLIFF_VERSIONS.join(" or ")}`);
+  }
+
+  const data = await loadMainData(options.source);
+  const languages = extractLanguages(data);
+  if (!languages.includes(language)) {
+    throw new Error(
+      `Language "${language}" not found. Available: ${languages.join(", ")}`
+    );
+  }
+
+  if (options.todo) {
+    return exportTodo(data, language, options);
+  }
+
+  let rows = generateLanguageExportRows(data, language);
+
+  // LQA files only contain terms that already have a translation to review
+  if (options.lqa) {
+    rows = rows.filter(
+      (row) => row.shouldBeTranslated !== "FALSE" && row[language].trim() !== ""
+    );
+  }
+
+  if (rows.length === 0) {
+    throw new Error(`No terms to export for ${language}`);
+  }
+
+  const baseName = options.lqa ? `LQA_${language}` : `${language}_latest`;
+
+  if (options.format === "xliff" || options.format === "po") {
+    const out = options.out || `${baseName}.${options.format === "po" ? "po" : "xlf"}`;
+    const content =
+      options.format === "po"
+        ? generatePo(rows, language)
+        : generateXliff(rows, language, { version: options["xliff-version"] });
+    await writeFile(out, content, "utf8");
+    print(`Exported ${rows.length} terms for ${language} to ${out}`);
+    return 0;
+  }
+
+  const out = options.out || `${baseName}.${options.format}`;
+
+  await writeCSVOutput(
+    generateLocalizationCSV(rows, [language]),
+    out,
+    options.format,
+    language
+  );
+
+  print(`Exported ${rows.length} terms for ${language} to ${out}`);
+  return 0;
+}
+
+/**
+ * Write a gettext template with every term and empty translations
+ * @param {Object} options - Command options
+ * @returns {Promise<number>} Exit code
+ */
+async function exportTemplate(options) {
+  const data = await loadMainData(options.source);
+  const rows = generateLanguageExportRows(data, "English");
+  const out = options.out || "template.pot";
+
+  await writeFile(out, generatePo(rows, null, { template: true }), "utf8");
+  print(`Exported a template of ${rows.length} terms to ${out}`);
+  return 0;
+}
+
+/**
+ * Write a to-do file: only the terms that need work, with context rows around them
+ * @param {Array} data - Main sheet rows
+ * @param {string} language - Language to export
+ * @param {Object} options - Command options
+ * @returns {Promise<number>} Exit code
+ */
+async function exportTodo(data, language, options) {
+  // The exportType column that marks a to-do file as partial only exists in CSV and XLSX
+  if (options.format === "xliff" || options.format === "po") {
+    throw new Error("--todo files are CSV or XLSX");
+  }
+
+  const contextRows = Number.parseInt(options.context, 10);
+  if (!Number.isInteger(contextRows) || contextRows < 0) {
+    throw new Error(`Invalid --context "${options.context}". Use a number of rows`);
+  }
+
+  const rows = addSuggestionHints(
+    generateTodoExportRows(data, language, { contextRows }),
+    buildTranslationMemory(data, language)
+  );
+  const todoCount = rows.filter((row) => row[EXPORT_TYPE_COLUMN] === "todo").length;
+  if (todoCount === 0) {
+    print(`Nothing to do for ${language}`);
+    return 0;
+  }
+
+  const out = options.out || `${language}_todo.${options.format}`;
+  await writeCSVOutput(
+    generateCSV(rows, [...getStandardColumns(), language, EXPORT_TYPE_COLUMN, SUGGESTIONS_COLUMN]),
+    out,
+    options.format,
+    language
+  );
+
+  print(`Exported ${todoCount} terms to do and ${rows.length - todoCount} context rows for ${language} to ${out}`);
+  return 0;
+}
+
+async function mobileCommand([platform], options) {
+  if (!MOBILE_PLATFORMS.includes(platform)) {
+    throw new Error(`Usage: mobile <${MOBILE_PLATFORMS.join("|")}> [--out folder]`);
+  }
+
+  const data = await loadMainData(options.source);
+  const { files, keys } = generateMobileFiles(data, extractLanguages(data), platform);
+  const out = options.out || platform;
+
+  for (const file of files) {
+    const filePath = path.join(out, file.name);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, file.data, "utf8");
+  }
+
+  const renamed = [...keys].filter(([termID, key]) => termID !== key);
+  print(`Wrote ${files.length} ${platform} files for ${keys.size} terms to ${out}/`);
+  if (renamed.length > 0) {
+    const [termID, key] = renamed[0];
+    print(`${renamed.length} termIDs were changed into valid keys, e.g. "${termID}" is "${key}"`);
+  }
+  return 0;
+}
+
+async function checkCommand([file], options) {
+  if (!file) throw new Error("Usage: check <file> [--language X] [--lqa]");
+
+  const mainData = await loadMainData(options.source);
+  const userData = await readDataFile(file);
+  const language = resolveLanguage(userData, options.language);
+  const glossary = await loadCliGlossary(options.glossary);
+
+  const { report } = compareAndGenerateReport(mainData, userData, language, {
+    isLqaMode: options.lqa,
+    glossary,
+  });
+
+  // Markup issues always fail, --strict also fails on incomplete files and glossary issues
+  const failed =
+    report.totalMarkupIssues > 0 ||
+    (options.strict &&
+      (report.totalNeedsTranslation > 0 ||
+        report.totalNeedsUpdate > 0 ||
+        report.totalGlossaryIssues > 0));
+
+  if (options.json) {
+    print(JSON.stringify({ language, ...report }, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  const markupSummary = summarizeMarkupIssues(report.markupIssues);
+  const glossarySummary = summarizeGlossaryIssues(report.glossaryIssues);
+
+  print(`Translation report for ${language} (${file})`);
+  print(`  Terms needing translation:       ${report.totalNeedsTranslation}`);
+  print(`  Terms kept from latest data:     ${report.totalMissingTermsFoundInLatest}`);
+  if (report.totalOmittedTerms > 0) {
+    print(`  Terms not in this to-do file:    ${report.totalOmittedTerms}`);
+  }
+  print(`  Terms needing update:            ${report.totalNeedsUpdate}`);
+  print(`  Terms with tag/placeholder issues: ${report.totalMarkupIssues} (${markupSummary.total} issues)`);
+  if (glossary) {
+    print(`  Terms with glossary issues:      ${report.totalGlossaryIssues} (${glossarySummary.total} issues)`);
+  }
+
+  if (report.needsUpdateDetails.length > 0) {
+    print("\nEnglish text changed:");
+    report.needsUpdateDetails.forEach((detail) => {
+      print(`  ${detail.termID}`);
+      print(`    was: ${JSON.stringify(detail.oldText)}`);
+      print(`    now: ${JSON.stringify(detail.newText)}`);
+    });
+  }
+
+  if (report.markupIssues.length > 0) {
+    print("\nTag and placeholder issues:");
+    report.markupIssues.forEach((result) => {
+      result.issues.forEach((issue) => {
+        print(`  ${result.termID}: [${issue.type}] ${issue.message}`);
+      });
+    });
+  }
+
+  if (report.glossaryIssues.length > 0) {
+    print("\nGlossary issues:");
+    report.glossaryIssues.forEach((result) => {
+      result.issues.forEach((issue) => {
+        print(`  ${result.termID}: [${issue.type}] ${issue.message}`);
+      });
+    });
+  }
+
+  if (options.strict && report.needsTranslation.length > 0) {
+    print("\nUntranslated terms:");
+    report.needsTranslation.forEach((termID) => print(`  ${termID}`));
+  }
+
+  print(failed ? "\nCheck failed" : "\nCheck passed");
+  return failed ? 1 : 0;
+}
+
+async function mergeStatusCommand([file], options) {
+  if (!file) throw new Error("Usage: merge-status <file> [--language X] [--lqa-file file]");
+
+  const mainData = await loadMainData(options.source);
+  const serverData = await readDataFile(file);
+  const language = resolveLanguage(serverData, options.language);
+  const lqaData = options["lqa-file"]
+    ? await readDataFile(options["lqa-file"])
+    : null;
+
+  const status = checkEnhancedMergeStatus(serverData, language, mainData, lqaData);
+
+  if (options.json) {
+    print(JSON.stringify({ language, ...status }, null, 2));
+    return status.isMerged ? 0 : 1;
+  }
+
+  print(`Merge status for ${language} (${file}): ${status.status}`);
+  print(`  Matched terms:  ${status.validTermsMatched}/${status.validTermsTotal}`);
+  print(`  Outdated terms: ${status.outdatedTerms.length}`);
+
+  if (status.unmatchedValidTerms.length > 0) {
+    print("\nUnmerged terms:");
+    status.unmatchedValidTerms.forEach((term) => {
+      print(`  ${term.termID}`);
+      print(`    file:  ${JSON.stringify(term.serverTranslation)}`);
+      print(`    sheet: ${JSON.stringify(term.expectedTranslation)}`);
+    });
+  }
+
+  return status.isMerged ? 0 : 1;
+}
+
+async function diffCommand([file1, file2], options) {
+  if (!file1 || !file2) throw new Error("Usage: diff <file1> <file2> [--language X]");
+
+  const file1Data = await readDataFile(file1);
+  const file2Data = await readDataFile(file2);
+
+  // Without --language, compare every language both files have
+  const file2Languages = extractLanguages(file2Data);
+  const languages = options.language
+    ? [options.language]
+    : extractLanguages(file1Data).filter((lang) => file2Languages.includes(lang));
+
+  if (languages.length === 0) {
+    throw new Error("The files have no language column in common");
+  }
+
+  const diffOptions = {
+    ignoreCase: options["ignore-case"],
+    ignoreWhitespace: options["ignore-whitespace"],
+  };
+  const results = languages.map((language) => ({
+    language,
+    ...generateTermDiffs(file1Data, file2Data, language, diffOptions),
+  }));
+
+  const hasChanges = results.some(
+    (result) => result.stats.total !== result.stats.unchanged
+  );
+
+  if (options.json) {
+    print(JSON.stringify(results, null, 2));
+    return hasChanges ? 1 : 0;
+  }
+
+  const markers = { added: "+", removed: "-", modified: "~", "newline-only": "≈" };
+
+  results.forEach(({ language, terms, stats }) => {
+    print(
+      `${language}: ${stats.added} added, ${stats.removed} removed, ${stats.modified} modified, ${stats.newlineOnly} whitespace only, ${stats.unchanged} unchanged`
+    );
+
+    terms
+      .filter((term) => term.type !== "unchanged")
+      .forEach((term) => {
+        print(`  ${markers[term.type]} ${term.termId}`);
+        if (term.type !== "added") print(`      - ${JSON.stringify(term.oldValue)}`);
+        if (term.type !== "removed") print(`      + ${JSON.stringify(term.newValue)}`);
+      });
+  });
+
+  return hasChanges ? 1 : 0;
+}
+
+const COMMANDS = {
+  fetch: fetchCommand,
+  export: exportCommand,
+  mobile: mobileCommand,
+  check: checkCommand,
+  "merge-status": mergeStatusCommand,
+  diff: diffCommand,
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [commandName, ...commandArgs] = positionals;
+
+  if (values.help || !commandName) {
+    print(HELP_TEXT);
+    return values.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`Unknown command: ${commandName}\n`);
+    print(HELP_TEXT);
+    return 2;
+  }
+
+  await initializeLibraries();
+  await selectProject(values.project);
+  return command(commandArgs, values);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      // Let piped output flush before exiting
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 2;
+    });
+}
@@ -0,0 +1,285 @@
+/**
+ * Test Suite for the Command-line Tool
+ * Runs cli.js commands against the bundled localization.csv and checks their
+ * output, exit codes and written files in a temporary directory
+ *
+ * Usage: node cliTests.js
+ */
+
+import { execFile } from "child_process";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV } from "./csvParser.js";
+
+const CLI_PATH = fileURLToPath(new URL("./cli.js", import.meta.url));
+const SHEET_PATH = fileURLToPath(new URL("./localization.csv", import.meta.url));
+
+let outDir = "";
+
+/**
+ * Run a CLI command on the bundled sheet
+ * @param {Array} args - Command line arguments
+ * @returns {Promise<Object>} Object with code, stdout and stderr
+ */
+async function runCli(args) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(
+      process.execPath,
+      [CLI_PATH, ...args, "--source", SHEET_PATH],
+      { timeout: 60000 }
+    );
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    if (typeof error.code !== "number") throw error;
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+/**
+ * Path of a file in the temporary output directory
+ * @param {string} name - File name
+ * @returns {string} Full path
+ */
+function outPath(name) {
+  return path.join(outDir, name);
+}
+
+/**
+ * Read a CSV file written by the CLI
+ * @param {string} name - File name in the output directory
+ * @returns {Promise<Array>} Parsed rows
+ */
+async function readOutputCSV(name) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(await readFile(outPath(name), "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Test runner function
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function runTests() {
+  console.log("🧪 Starting CLI Tests\n");
+
+  setPapaParseInstance(Papa);
+  outDir = await mkdtemp(path.join(os.tmpdir(), "npo-cli-"));
+
+  let passed = 0;
+  let failed = 0;
+
+  // Later tests check the files written by the export test
+  const tests = [
+    { name: "CLI - help and unknown commands", test: testHelp },
+    { name: "CLI - export a language", test: testExport },
+    { name: "CLI - export a to-do file", test: testExportTodo },
+    { name: "CLI - check --json", test: testCheckJson },
+    { name: "CLI - check fails on markup issues", test: testCheckMarkup },
+    { name: "CLI - check with a glossary", test: testCheckGlossary },
+    { name: "CLI - diff of two exports", test: testDiff },
+    { name: "CLI - mobile string files", test: testMobile },
+    { name: "CLI - unknown language", test: testUnknownLanguage },
+  ];
+
+  try {
+    for (const testCase of tests) {
+      try {
+        const result = await testCase.test();
+        if (result.success) {
+          console.log(`✅ ${testCase.name}`);
+          passed++;
+        } else {
+          console.log(`❌ ${testCase.name}: ${result.message}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ${testCase.name}: ${error.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    await rm(outDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+async function testHelp() {
+  const help = await runCli(["--help"]);
+  if (help.code !== 0 || !help.stdout.includes("Commands:")) {
+    return { success: false, message: `Unexpected help: ${help.code} ${help.stdout}` };
+  }
+
+  const unknown = await runCli(["translate"]);
+  if (unknown.code !== 2 || !unknown.stderr.includes("Unknown command: translate")) {
+    return { success: false, message: `Unexpected exit code ${unknown.code}` };
+  }
+  return { success: true };
+}
+
+async function testExport() {
+  const result = await runCli(["export", "Polish", "--out", outPath("Polish.csv")]);
+  if (result.code !== 0 || !result.stdout.startsWith("Exported 664 terms for Polish")) {
+    return { success: false, message: `Unexpected output: ${result.code} ${result.stdout}${result.stderr}` };
+  }
+
+  const rows = await readOutputCSV("Polish.csv");
+  const row = rows.find((item) => item.termID === "a game by");
+  if (rows.length !== 664 || !row || row.Polish !== "gra autorstwa" || "French" in row) {
+    return { success: false, message: "The file should hold every term with only the Polish column" };
+  }
+  return { success: true };
+}
+
+async function testExportTodo() {
+  const result = await runCli(["export", "Polish", "--todo", "--context", "0", "--out", outPath("todo.csv")]);
+  if (result.code !== 0 || !result.stdout.includes("terms to do and 0 context rows")) {
+    return { success: false, message: `Unexpected output: ${result.code} ${result.stdout}${result.stderr}` };
+  }
+
+  const rows = await readOutputCSV("todo.csv");
+  if (rows.length === 0 || rows.some((row) => row.exportType !== "todo")) {
+    return { success: false, message: "Without context every row should be a to-do row" };
+  }
+  if (rows.some((row) => !("suggestions" in row)) || rows.some((row) => row.termID === "a game by")) {
+    return { success: false, message: "Rows need a suggestions column and only untranslated terms" };
+  }
+
+  const xliff = await runCli(["export", "Polish", "--todo", "--format", "xliff"]);
+  if (xliff.code !== 2 || !xliff.stderr.includes("--todo files are CSV or XLSX")) {
+    return { success: false, message: "To-do files should only be CSV or XLSX" };
+  }
+  return { success: true };
+}
+
+async function testCheckJson() {
+  const result = await runCli(["check", outPath("Polish.csv"), "--json"]);
+  const report = JSON.parse(result.stdout);
+
+  if (result.code !== 0 || report.language !== "Polish") {
+    return { success: false, message: `Unexpected result: ${result.code} ${report.language}` };
+  }
+  if (report.totalMarkupIssues !== 0 || report.totalNeedsTranslation !== report.needsTranslation.length) {
+    return { success: false, message: `Unexpected totals: ${JSON.stringify(report)}` };
+  }
+
+  // The sheet has untranslated Polish terms, so a strict check fails
+  const strict = await runCli(["check", outPath("Polish.csv"), "--json", "--strict"]);
+  if (report.totalNeedsTranslation === 0 || strict.code !== 1) {
+    return { success: false, message: `Strict check should fail, got ${strict.code}` };
+  }
+  return { success: true };
+}
+
+async function testCheckMarkup() {
+  const csv = await readFile(outPath("Polish.csv"), "utf8");
+  await writeFile(outPath("broken.csv"), csv.replace('"gra autorstwa"', '"gra <b>autorstwa"'), "utf8");
+
+  const result = await runCli(["check", outPath("broken.csv"), "--language", "Polish"]);
+  if (result.code !== 1 || !result.stdout.includes("a game by: [extra] <b> is not in the English text")) {
+    return { success: false, message: `Unexpected output: ${result.code} ${result.stdout}` };
+  }
+  if (!result.stdout.trim().endsWith("Check failed")) {
+    return { success: false, message: "The check should end with its verdict" };
+  }
+  return { success: true };
+}
+
+async function testCheckGlossary() {
+  const glossary = {
+    terms: [{ term: "a game by", translations: { Polish: { forbidden: ["autorstwa"] } } }],
+  };
+  await writeFile(outPath("glossary.json"), JSON.stringify(glossary), "utf8");
+
+  const result = await runCli(["check", outPath("Polish.csv"), "--json", "--glossary", outPath("glossary.json")]);
+  const report = JSON.parse(result.stdout);
+  const termIDs = report.glossaryIssues.map((issue) => issue.termID);
+  if (report.totalGlossaryIssues !== termIDs.length || !termIDs.includes("a game by")) {
+    return { success: false, message: `Unexpected glossary issues: ${JSON.stringify(report.glossaryIssues)}` };
+  }
+  // Glossary issues only fail a --strict check
+  if (result.code !== 0) {
+    return { success: false, message: `Expected exit code 0, got ${result.code}` };
+  }
+
+  const missing = await runCli(["check", outPath("Polish.csv"), "--glossary", outPath("none.json")]);
+  if (missing.code !== 2 || !missing.stderr.includes("Could not load glossary")) {
+    return { success: false, message: "A missing --glossary file should be an error" };
+  }
+  return { success: true };
+}
+
+async function testDiff() {
+  const same = await runCli(["diff", outPath("Polish.csv"), outPath("Polish.csv")]);
+  if (same.code !== 0 || !same.stdout.includes("0 modified")) {
+    return { success: false, message: `Unexpected output: ${same.code} ${same.stdout}` };
+  }
+
+  // Large JSON output must reach the pipe in full before the process exits
+  const full = await runCli(["diff", outPath("Polish.csv"), outPath("Polish.csv"), "--json"]);
+  if (full.stdout.length < 128 * 1024 || JSON.parse(full.stdout)[0].terms.length !== 664) {
+    return { success: false, message: `Truncated output: ${full.stdout.length} bytes` };
+  }
+
+  const result = await runCli(["diff", outPath("Polish.csv"), outPath("broken.csv"), "--json"]);
+  const [polish] = JSON.parse(result.stdout);
+  const changed = polish.terms.filter((term) => term.type !== "unchanged");
+  if (result.code !== 1 || changed.length !== 1 || changed[0].termId !== "a game by" || changed[0].type !== "modified") {
+    return { success: false, message: `Unexpected diff: ${JSON.stringify(changed)}` };
+  }
+  return { success: true };
+}
+
+async function testMobile() {
+  const out = outPath("android");
+  const result = await runCli(["mobile", "android", "--out", out]);
+  if (result.code !== 0 || !result.stdout.startsWith("Wrote 13 android files for 664 terms")) {
+    return { success: false, message: `Unexpected output: ${result.code} ${result.stdout}${result.stderr}` };
+  }
+
+  const folders = await readdir(out);
+  if (!folders.includes("values") || !folders.includes("values-pl")) {
+    return { success: false, message: `Unexpected folders: ${folders.join(", ")}` };
+  }
+  const strings = await readFile(path.join(out, "values-pl", "strings.xml"), "utf8");
+  if (!strings.includes('<string name="a_game_by">gra autorstwa</string>')) {
+    return { success: false, message: "termIDs should become valid resource names" };
+  }
+
+  const unknown = await runCli(["mobile", "windows"]);
+  if (unknown.code !== 2) {
+    return { success: false, message: "Unknown platforms should be rejected" };
+  }
+  return { success: true };
+}
+
+async function testUnknownLanguage() {
+  const result = await runCli(["export", "Klingon"]);
+  if (result.code !== 2 || !result.stderr.includes('Language "Klingon" not found')) {
+    return { success: false, message: `Unexpected result: ${result.code} ${result.stderr}` };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = (await runTests()) > 0 ? 1 : 0;
+}
@@ -6,7 +6,37 @@ export const CONFIG = {
   ORIGINAL_SHEET_URL:
     "https://docs.google.com/spreadsheets/d/1Bola3W_S5fMklNF97D57UhGZvW23jVwNT_zeWJ90taA/edit?usp=sharing", // To be filled later
   PHP_SERVER_URL: "https://dedragames.com/npo-localisation/",
+  // Project registry; the selected project overrides the sheet, namespace and columns above
+  PROJECTS_FILE: "projects.json",
+  // Source terms with approved, forbidden and do-not-translate rules per language
+  GLOSSARY_FILE: "glossary.json",
+  PROJECT_ID: null,
+  // Prefix of this project's ids on the server, empty for the original unprefixed ids
+  SERVER_NAMESPACE: "",
+  // Server id of the languages added on the admin page (see languageRegistry.js)
+  LANGUAGE_LIST_ID: "languages",
+  // Point the pages at the local mock server (npm run mock-server) instead of production
+  USE_LOCAL_SERVER: false,
+  LOCAL_SERVER_URL: "http://localhost:8080/",
+  // Apps Script web app running sheetsWriteBack.gs, empty to disable writing to the sheet
+  SHEETS_WRITE_URL: "",
+  // Last fetched copy of the sheet, used when Google can't be reached (Node.js; browsers use IndexedDB)
+  SHEET_CACHE_DIR: ".sheet-cache",
+  SHEET_FETCH_TIMEOUT: 20000,
+  // Translation memory suggestions: lowest similarity in percent, and how many per term
+  TM_MIN_SCORE: 40,
+  TM_MAX_SUGGESTIONS: 3,
+  // XLIFF version of translator downloads, "1.2" or "2.0"
+  XLIFF_VERSION: "1.2",
+  // Game runtime bundles (node node.js --bundles); "english" or "skip" for shouldBeTranslated FALSE terms
+  BUNDLE_DIR: "bundles",
+  BUNDLE_UNTRANSLATABLE: "english",
   APP_NAME: "No Players Online Localisation",
   VERSION: "1.0.0",
   OUTPUT_FILE: "data.json",
 };
+
+if (CONFIG.USE_LOCAL_SERVER) {
+  CONFIG.PHP_SERVER_URL = CONFIG.LOCAL_SERVER_URL;
+  CONFIG.SHEETS_WRITE_URL = `${CONFIG.LOCAL_SERVER_URL}?action=sheet_write`;
+}
@@ -6,6 +6,8 @@
  * For Node.js usage: Import Papa Parse and set it on this module
  */
 
+import { warnUnknownLanguages } from "./languageRegistry.js";
+
 // Papa Parse instance - will be set differently for browser vs Node.js
 let Papa = null;
 
@@ -19,6 +21,48 @@ export function setPapaParseInstance(papaInstance) {
   Papa = papaInstance;
 }
 
+// Columns that hold term data rather than a language, in file order
+export const DEFAULT_STANDARD_COLUMNS = [
+  "termID",
+  "notes",
+  "shouldBeTranslated",
+  "translationNeedsToBeUpdated",
+  "English",
+];
+
+// Marks the rows of a partial (to-do) export, see generateTodoExportRows
+export const EXPORT_TYPE_COLUMN = "exportType";
+
+// Translation memory hints of a to-do export, ignored when the file comes back
+export const SUGGESTIONS_COLUMN = "suggestions";
+
+// Column setup of the selected project (see projectRegistry.js)
+let standardColumns = DEFAULT_STANDARD_COLUMNS;
+let projectLanguages = null;
+
+/**
+ * Set the standard columns and language list used by extractLanguages and
+ * generateLocalizationCSV
+ * @param {Object} options - Column options
+ * @param {Array} [options.standardColumns=DEFAULT_STANDARD_COLUMNS] - Non-language columns, in file order
+ * @param {Array|null} [options.languages=null] - Languages to offer, or null for every language column
+ */
+export function configureColumns({
+  standardColumns: columns = DEFAULT_STANDARD_COLUMNS,
+  languages = null,
+} = {}) {
+  standardColumns = [...columns];
+  projectLanguages = languages ? [...languages] : null;
+}
+
+/**
+ * Get the standard (non-language) columns of the selected project
+ * @returns {Array} Column names, in file order
+ */
+export function getStandardColumns() {
+  return [...standardColumns];
+}
+
 function getPapa() {
   if (!Papa) {
     if (typeof window !== "undefined") {
@@ -155,15 +199,7 @@ export function generateLocalizationCSV(data, languages = []) {
     return termA.localeCompare(termB, undefined, {});
   });
 
-  // Define the standard column order for localization files
-  const standardHeaders = [
-    "termID",
-    "notes",
-    "shouldBeTranslated",
-    "translationNeedsToBeUpdated",
-    "English",
-  ];
-  const allHeaders = [...standardHeaders, ...languages];
+  const allHeaders = [...standardColumns, ...languages];
 
   return generateCSV(sortedData, allHeaders);
 }
@@ -226,7 +262,8 @@ export function validateLocalizationCSV(data) {
 }
 
 /**
- * Extract language columns from CSV data
+ * Extract language columns from CSV data, limited to the project's languages when set.
+ * Columns missing from the language registry are kept, with a console warning.
  * @param {Array} data - Parsed CSV data
  * @returns {Array} Array of language column names
  */
@@ -234,13 +271,15 @@ export function extractLanguages(data) {
   if (!data || data.length === 0) return [];
 
   const firstRow = data[0];
-  return Object.keys(firstRow).filter(
+  const languages = Object.keys(firstRow).filter(
     (key) =>
-      key !== "termID" &&
-      key !== "notes" &&
-      key !== "shouldBeTranslated" &&
-      key !== "translationNeedsToBeUpdated" &&
-      key !== "English" &&
-      key.trim() !== ""
+      !standardColumns.includes(key) &&
+      key !== EXPORT_TYPE_COLUMN &&
+      key !== SUGGESTIONS_COLUMN &&
+      key.trim() !== "" &&
+      (!projectLanguages || projectLanguages.includes(key))
   );
+
+  warnUnknownLanguages(languages);
+  return languages;
 }
@@ -1,5 +1,6 @@
 import { CONFIG } from "./config.js";
 import { parseCSV, setPapaParseInstance } from "./csvParser.js";
+import { fetchSheetSnapshot } from "./sheetCache.js";
 
 // Initialize Papa Parse for Node.js environment
 let papaInitialized = false;
@@ -42,6 +43,32 @@ export async function fetchGoogleSheetsData(url = CONFIG.GOOGLE_SHEETS_URL) {
   }
 }
 
+/**
+ * Fetch the sheet through the snapshot cache (see sheetCache.js)
+ * @param {string} url - Published CSV URL
+ * @param {Object} options - Options passed to fetchSheetSnapshot
+ * @returns {Promise<Object>} Object with data, fetchedAt, offline, error and
+ *   previousData (the rows of the cached copy, when the sheet changed since)
+ */
+export async function fetchSheetWithCache(url = CONFIG.GOOGLE_SHEETS_URL, options = {}) {
+  await initializePapa();
+
+  console.log("Fetching data from:", url);
+  const snapshot = await fetchSheetSnapshot(url, options);
+
+  if (snapshot.offline) {
+    console.warn(`Using cached data from ${snapshot.fetchedAt}: ${snapshot.error.message}`);
+  }
+
+  return {
+    data: parseCSV(snapshot.csvText),
+    fetchedAt: snapshot.fetchedAt,
+    offline: snapshot.offline,
+    error: snapshot.error || null,
+    previousData: snapshot.previousCsvText ? parseCSV(snapshot.previousCsvText) : null,
+  };
+}
+
 // Re-export parseCSV for backward compatibility
 export { parseCSV } from "./csvParser.js";
 
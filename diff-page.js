@@ -4,7 +4,12 @@
  */
 
 // Import required modules
-import { parseCSV, generateCSV } from "./csvParser.js";
+import {
+  parseCSV,
+  generateCSV,
+  extractLanguages,
+  getStandardColumns,
+} from "./csvParser.js";
 import { csvToXlsx, xlsxToCsv } from "./converter.js";
 import {
   generateDiffHTML,
@@ -12,6 +17,8 @@ import {
   getDiffSummary,
 } from "./diffModule.js";
 import { normalizeText } from "./mergeChecker.js";
+import { generateTermDiffs, mergeLQAIntoData } from "./localisationCore.js";
+import { initProject, renderProjectSelector } from "./projectRegistry.js";
 
 class DiffPageManager {
   constructor() {
@@ -179,13 +186,7 @@ class DiffPageManager {
       } else {
         csvData = await xlsxToCsv(file, {
           returnString: true,
-          expectedHeaders: [
-            "termID",
-            "notes",
-            "shouldBeTranslated",
-            "translationNeedsToBeUpdated",
-            "English",
-          ],
+          expectedHeaders: getStandardColumns(),
         });
       }
 
@@ -245,19 +246,8 @@ class DiffPageManager {
   updateAvailableLanguages(data) {
     if (!data || data.length === 0) return;
 
-    const firstRow = data[0];
-    const standardColumns = [
-      "termID",
-      "notes",
-      "shouldBeTranslated",
-      "translationNeedsToBeUpdated",
-      "English",
-    ];
-
-    Object.keys(firstRow).forEach((key) => {
-      if (!standardColumns.includes(key) && key.trim() !== "") {
-        this.availableLanguages.add(key);
-      }
+    extractLanguages(data).forEach((language) => {
+      this.availableLanguages.add(language);
     });
 
     this.updateLanguageSelector();
@@ -327,7 +317,7 @@ class DiffPageManager {
       let file2DataWithLQA = this.file2Data;
       if (this.file3Data) {
         this.showStatus("Merging LQA translations...", "info");
-        file2DataWithLQA = this.mergeLQAIntoData(
+        file2DataWithLQA = mergeLQAIntoData(
           this.file2Data,
           this.file3Data,
           compareLanguage
@@ -359,189 +349,19 @@ class DiffPageManager {
     };
   }
 
-  /**
-   * Merge LQA translations into the base data
-   * LQA translations take precedence over base translations
-   * @param {Array} baseData - The base file data
-   * @param {Array} lqaData - The LQA file data
-   * @param {string} language - The language to merge
-   * @returns {Array} - The merged data
-   */
-  mergeLQAIntoData(baseData, lqaData, language) {
-    // Create a deep copy of base data to avoid mutation
-    const mergedData = baseData.map((row) => ({ ...row }));
-
-    // Create a map of LQA translations by termID
-    const lqaMap = {};
-    lqaData.forEach((row) => {
-      if (row.termID && row[language] && row[language].trim()) {
-        lqaMap[row.termID] = row[language];
-      }
-    });
-
-    // Apply LQA translations to merged data
-    mergedData.forEach((row) => {
-      if (row.termID && lqaMap[row.termID]) {
-        row[language] = lqaMap[row.termID];
-        row._lqaApplied = true; // Mark that this row has LQA applied
-      }
-    });
-
-    return mergedData;
-  }
-
   generateTermDiffs(file1Data, file2Data, language, options) {
-    // Create maps for quick lookup
-    const file1Map = new Map();
-    const file2Map = new Map();
+    const result = generateTermDiffs(file1Data, file2Data, language, options);
 
-    file1Data.forEach((row) => {
-      if (row.termID) {
-        file1Map.set(row.termID, row);
-      }
-    });
-
-    file2Data.forEach((row) => {
-      if (row.termID) {
-        file2Map.set(row.termID, row);
-      }
-    });
-
-    // Get all unique term IDs
-    const allTermIds = new Set([...file1Map.keys(), ...file2Map.keys()]);
-    const results = [];
-
-    let addedCount = 0;
-    let removedCount = 0;
-    let modifiedCount = 0;
-    let unchangedCount = 0;
-    let newlineOnlyCount = 0;
-
-    allTermIds.forEach((termId) => {
-      const term1 = file1Map.get(termId);
-      const term2 = file2Map.get(termId);
-
-      if (!term1) {
-        // Term added in file 2
-        results.push({
-          termId,
-          type: "added",
-          newValue: term2[language] || "",
-          oldValue: "",
-          englishText: term2.English || "",
-          notes: term2.notes || "",
-        });
-        addedCount++;
-      } else if (!term2) {
-        // Term removed in file 2
-        results.push({
-          termId,
-          type: "removed",
-          oldValue: term1[language] || "",
-          newValue: "",
-          englishText: term1.English || "",
-          notes: term1.notes || "",
-        });
-        removedCount++;
-      } else {
-        // Term exists in both files
-        const oldValue = term1[language] || "";
-        const newValue = term2[language] || "";
-
-        if (this.areValuesEqual(oldValue, newValue, options)) {
-          results.push({
-            termId,
-            type: "unchanged",
-            oldValue,
-            newValue,
-            englishText: term2.English || term1.English || "",
-            notes: term2.notes || term1.notes || "",
-          });
-          unchangedCount++;
-        } else if (this.isNewlineOnlyDiff(oldValue, newValue)) {
-          // Check if difference is only due to newline characters
-          results.push({
-            termId,
-            type: "newline-only",
-            oldValue,
-            newValue,
-            englishText: term2.English || term1.English || "",
-            notes: term2.notes || term1.notes || "",
-            diff: this.generateNewlineDiffHTML(oldValue, newValue),
-          });
-          newlineOnlyCount++;
-        } else {
-          results.push({
-            termId,
-            type: "modified",
-            oldValue,
-            newValue,
-            englishText: term2.English || term1.English || "",
-            notes: term2.notes || term1.notes || "",
-            diff: this.generateSimpleDiffHTML(oldValue, newValue),
-          });
-          modifiedCount++;
-        }
+    // Attach the rendered diff to changed terms
+    result.terms.forEach((term) => {
+      if (term.type === "newline-only") {
+        term.diff = this.generateNewlineDiffHTML(term.oldValue, term.newValue);
+      } else if (term.type === "modified") {
+        term.diff = this.generateSimpleDiffHTML(term.oldValue, term.newValue);
       }
     });
 
-    return {
-      terms: results,
-      stats: {
-        added: addedCount,
-        removed: removedCount,
-        modified: modifiedCount,
-        unchanged: unchangedCount,
-        newlineOnly: newlineOnlyCount,
-        total: allTermIds.size,
-      },
-    };
-  }
-
-  areValuesEqual(val1, val2, options) {
-    let a = val1;
-    let b = val2;
-
-    // Strip leading single quote (Google Sheets/Excel escape character)
-    if (a.startsWith("'")) {
-      a = a.substring(1);
-    }
-    if (b.startsWith("'")) {
-      b = b.substring(1);
-    }
-
-    if (options.ignoreCase) {
-      a = a.toLowerCase();
-      b = b.toLowerCase();
-    }
-
-    if (options.ignoreWhitespace) {
-      a = a.replace(/\s+/g, " ").trim();
-      b = b.replace(/\s+/g, " ").trim();
-    }
-
-    return a === b;
-  }
-
-  isNewlineOnlyDiff(val1, val2) {
-    // Strip leading single quote (Google Sheets/Excel escape character)
-    let v1 = val1.startsWith("'") ? val1.substring(1) : val1;
-    let v2 = val2.startsWith("'") ? val2.substring(1) : val2;
-
-    // Normalize newlines and check if the only difference is in line endings
-    const normalized1 = v1.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-    const normalized2 = v2.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-
-    // If they're equal after normalization, it's a newline-only diff
-    if (normalized1 === normalized2) {
-      return true;
-    }
-
-    // Additional check: see if the difference is only whitespace-related
-    const trimmed1 = v1.replace(/\s+/g, " ").trim();
-    const trimmed2 = v2.replace(/\s+/g, " ").trim();
-
-    return trimmed1 === trimmed2 && v1 !== v2;
+    return result;
   }
 
   generateNewlineDiffHTML(val1, val2) {
@@ -900,6 +720,10 @@ class DiffPageManager {
 }
 
 // Initialize the diff page manager when the DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  renderProjectSelector(
+    document.getElementById("projectSelector"),
+    await initProject()
+  );
   window.diffPageManager = new DiffPageManager();
 });
@@ -3,6 +3,8 @@
  * Provides accurate text comparison and visual diff generation
  */
 
+import { escapeHtmlText } from "./htmlEscape.js";
+
 /**
  * Generate a // Check if a line is part of the LCS at a given position
 function isInLCS(line, pos, arr2, lcs) {
@@ -288,7 +290,7 @@ export function generateDiffHTML(oldText, newText, options = {}) {
   let html = "";
 
   diff.forEach((part) => {
-    const escapedValue = escapeHtml(part.value);
+    const escapedValue = escapeHtmlText(part.value);
 
     if (part.added) {
       html += `<span class="${defaultOptions.addedClass}">${escapedValue}</span>`;
@@ -323,7 +325,7 @@ export function generateSideBySideDiffHTML(oldText, newText, options = {}) {
   let newHtml = "";
 
   diff.forEach((part) => {
-    const escapedValue = escapeHtml(part.value);
+    const escapedValue = escapeHtmlText(part.value);
 
     if (part.added) {
       newHtml += `<span class="${defaultOptions.addedClass}">${escapedValue}</span>`;
@@ -448,17 +450,6 @@ export function areTextsIdentical(oldText, newText, options = {}) {
   return text1 === text2;
 }
 
-/**
- * Escape HTML characters in text
- * @param {string} text - Text to escape
- * @returns {string} HTML-escaped text
- */
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 /**
  * Generate a compact diff summary
  * @param {string} oldText - Original text
@@ -497,3 +488,150 @@ export function getDiffSummary(oldText, newText) {
     message: "Changed",
   };
 }
+
+/**
+ * Render the output of generateEnhancedLineDiff with character-level highlights
+ * @param {Array} enhancedDiff - Parts from generateEnhancedLineDiff
+ * @returns {string} HTML string
+ */
+function generateEnhancedDiffPartsHTML(enhancedDiff) {
+  return enhancedDiff
+    .map((part) => {
+      if (part.lineType === "modified" && part.charDiff) {
+        const charDiffHtml = part.charDiff
+          .map((charPart) => {
+            const className = charPart.added
+              ? "diff-added char-added"
+              : charPart.removed
+              ? "diff-removed char-removed"
+              : "diff-unchanged";
+            return `<span class="${className}">${escapeHtmlText(charPart.value)}</span>`;
+          })
+          .join("");
+        return `<div>${charDiffHtml}</div>`;
+      }
+
+      const className = part.added
+        ? "diff-added"
+        : part.removed
+        ? "diff-removed"
+        : "diff-unchanged";
+      return `<span class="${className}">${escapeHtmlText(part.value || "")}</span>`;
+    })
+    .join("");
+}
+
+/**
+ * Render the changed terms of a generateTermDiffs result (see localisationCore.js)
+ * @param {Object} result - Object with terms and stats
+ * @returns {string} HTML string with a summary line and one block per changed term
+ */
+export function generateTermDiffListHTML(result) {
+  const { stats } = result;
+  const changedTerms = result.terms.filter((term) => term.type !== "unchanged");
+
+  const summary = `
+    <div class="diff-summary">
+      ${stats.modified} modified • ${stats.added} added • ${stats.removed} removed •
+      ${stats.newlineOnly} line ending only • ${stats.unchanged} unchanged
+    </div>
+  `;
+
+  if (changedTerms.length === 0) {
+    return `${summary}<p>No differences between these versions. 🎉</p>`;
+  }
+
+  const items = changedTerms
+    .map((term) => {
+      let body;
+      if (term.type === "added") {
+        body = `<span class="diff-added">${escapeHtmlText(term.newValue)}</span>`;
+      } else if (term.type === "removed") {
+        body = `<span class="diff-removed">${escapeHtmlText(term.oldValue)}</span>`;
+      } else if (term.type === "newline-only") {
+        body = "Line ending / whitespace difference only";
+      } else {
+        body = generateEnhancedDiffPartsHTML(
+          generateEnhancedLineDiff(term.oldValue, term.newValue)
+        );
+      }
+
+      const label = {
+        added: "Term added",
+        removed: "Term removed",
+        "newline-only": "Line endings changed",
+        modified: getDiffSummary(term.oldValue, term.newValue).message,
+      }[term.type];
+
+      return `
+        <div class="term-diff-item">
+          <div class="term-diff-title">📝 ${escapeHtmlText(term.termId)}</div>
+          <div class="diff-summary">${label}</div>
+          <div style="margin-bottom: 0.5rem; opacity: 0.8;">
+            <strong>English:</strong> ${escapeHtmlText(term.englishText)}
+          </div>
+          <div class="diff-container">${body}</div>
+        </div>
+      `;
+    })
+    .join("");
+
+  return summary + items;
+}
+
+/**
+ * Render the output of summarizeSheetChanges (see localisationCore.js) as a
+ * collapsible "since your last visit" notice
+ * @param {Object} summary - Object with newTerms, changedEnglish and newTranslations
+ * @param {number} [limit=50] - Items shown per list
+ * @returns {string} HTML string, empty when nothing changed
+ */
+export function generateSheetChangesHTML(summary, limit = 50) {
+  const { newTerms, changedEnglish, newTranslations } = summary;
+  if (newTerms.length + changedEnglish.length + newTranslations.length === 0) {
+    return "";
+  }
+
+  const renderList = (title, items, renderItem) => {
+    if (items.length === 0) return "";
+    const more =
+      items.length > limit ? `<li>…and ${items.length - limit} more</li>` : "";
+    return `
+      <h4>${title} (${items.length})</h4>
+      <ul>${items.slice(0, limit).map(renderItem).join("")}${more}</ul>
+    `;
+  };
+
+  return `
+    <details class="sheet-changes">
+      <summary>
+        🔔 Since your last visit: ${newTerms.length} new terms •
+        ${changedEnglish.length} English changes • ${newTranslations.length} new translations
+      </summary>
+      ${renderList(
+        "New terms",
+        newTerms,
+        (term) =>
+          `<li><strong>${escapeHtmlText(term.termID)}</strong>: ${escapeHtmlText(term.english)}</li>`
+      )}
+      ${renderList(
+        "Changed English",
+        changedEnglish,
+        (term) => `
+          <li>
+            <strong>${escapeHtmlText(term.termID)}</strong>
+            <div class="diff-container">${generateEnhancedDiffPartsHTML(
+              generateEnhancedLineDiff(term.oldValue, term.newValue)
+            )}</div>
+          </li>
+        `
+      )}
+      ${renderList(
+        "New translations",
+        newTranslations,
+        (entry) =>
+          `<li><strong>${escapeHtmlText(entry.termID)}</strong> (${escapeHtmlText(entry.language)}): ${escapeHtmlText(entry.value)}</li>`
+      )}
+    </details>
+  `;
+}
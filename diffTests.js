@@ -42,6 +42,7 @@ function runTests() {
     { name: "Edge case - whitespace only", test: testWhitespaceOnly },
     { name: "Edge case - special characters", test: testSpecialCharacters },
     { name: "Edge case - HTML content", test: testHTMLContent },
+    { name: "Edge case - line breaks in HTML", test: testHTMLLineBreaks },
     { name: "Edge case - very long text", test: testLongText },
 
     // Character-level diff tests
@@ -359,6 +360,20 @@ function testHTMLContent() {
   return { success: true };
 }
 
+function testHTMLLineBreaks() {
+  const htmlDiff = generateDiffHTML("First line\nSecond line", "First line\nThird line");
+
+  // Line breaks stay text, the diff views show them with white-space: pre-wrap
+  if (htmlDiff.includes("<br>") || !htmlDiff.includes("\n")) {
+    return {
+      success: false,
+      message: "Line breaks should be kept as they are in diff output",
+    };
+  }
+
+  return { success: true };
+}
+
 function testLongText() {
   const longText1 = "This is a very long text. ".repeat(100);
   const longText2 =
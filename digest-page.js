@@ -0,0 +1,285 @@
+/**
+ * Digest Page JavaScript Module
+ * Shows a translator what changed in their language since their last download
+ * on the translator page, and exports just those rows
+ */
+
+import { fetchSheetWithCache } from "./dataFetcher.js";
+import { extractLanguages, generateLocalizationCSV } from "./csvParser.js";
+import { generateDiffHTML } from "./diffModule.js";
+import { csvToXlsx } from "./converter.js";
+import {
+  generateLanguageExportRows,
+  generateTranslatorDigest,
+} from "./localisationCore.js";
+import { loadExportSnapshot } from "./sheetCache.js";
+import {
+  initProject,
+  renderProjectSelector,
+  projectStorageKey,
+} from "./projectRegistry.js";
+
+class DigestPageManager {
+  constructor() {
+    this.data = null;
+    this.language = null;
+    this.snapshot = null;
+    this.digest = null;
+
+    this.languageSelect = document.getElementById("digestLanguage");
+    this.snapshotInfo = document.getElementById("snapshotInfo");
+    this.status = document.getElementById("status");
+    this.results = document.getElementById("digestResults");
+    this.exportControls = document.getElementById("digestExport");
+
+    this.languageSelect.addEventListener("change", () =>
+      this.selectLanguage(this.languageSelect.value)
+    );
+    document
+      .getElementById("exportDigestCsvBtn")
+      .addEventListener("click", () => this.exportChangedRows("csv"));
+    document
+      .getElementById("exportDigestXlsxBtn")
+      .addEventListener("click", () => this.exportChangedRows("xlsx"));
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      this.showStatus("Fetching latest data from Google Sheets...", "info");
+      const sheet = await fetchSheetWithCache();
+      this.data = sheet.data;
+
+      if (sheet.offline) {
+        this.showStatus(
+          `📴 Google Sheets could not be reached, using cached data from ${new Date(
+            sheet.fetchedAt
+          ).toLocaleString()}`,
+          "error"
+        );
+      } else {
+        this.hideStatus();
+      }
+
+      const languages = extractLanguages(this.data);
+      this.languageSelect.innerHTML =
+        '<option value="">Select a language...</option>' +
+        languages
+          .map(
+            (language) =>
+              `<option value="${this.escapeHtml(language)}">${this.escapeHtml(language)}</option>`
+          )
+          .join("");
+
+      const initialLanguage = this.getInitialLanguage();
+      if (initialLanguage && languages.includes(initialLanguage)) {
+        this.languageSelect.value = initialLanguage;
+        await this.selectLanguage(initialLanguage);
+      }
+    } catch (error) {
+      this.showStatus(`Error fetching data: ${error.message}`, "error");
+      console.error("Fetch error:", error);
+    }
+  }
+
+  /**
+   * Language from ?language=, else the one last used on the translator page
+   * @returns {string|null} Language
+   */
+  getInitialLanguage() {
+    const fromUrl = new URLSearchParams(window.location.search).get("language");
+    if (fromUrl) return fromUrl;
+
+    try {
+      const state = JSON.parse(
+        localStorage.getItem(projectStorageKey("localisationManagerState"))
+      );
+      return (state && state.selectedLanguage) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async selectLanguage(language) {
+    this.language = language || null;
+    this.digest = null;
+    this.results.innerHTML = "";
+    this.snapshotInfo.textContent = "";
+    this.exportControls.classList.add("hidden");
+
+    if (!this.language) return;
+
+    this.snapshot = await loadExportSnapshot(this.language);
+    if (!this.snapshot) {
+      this.results.innerHTML = `
+        <div class="no-changes">
+          No download of ${this.escapeHtml(this.language)} has been recorded in this browser yet.
+          Download the latest version on the <a href="index.html">translator page</a>
+          and come back after the sheet has changed.
+        </div>
+      `;
+      return;
+    }
+
+    this.snapshotInfo.textContent = `Your last download: ${new Date(
+      this.snapshot.exportedAt
+    ).toLocaleString()} (${this.snapshot.rows.length} terms)`;
+
+    this.digest = generateTranslatorDigest(
+      this.snapshot.rows,
+      this.data,
+      this.language,
+      { uploads: this.snapshot.uploads }
+    );
+    this.renderDigest();
+  }
+
+  renderDigest() {
+    const { added, englishChanged, removed, translationChanged } = this.digest;
+    const total =
+      added.length + englishChanged.length + removed.length + translationChanged.length;
+
+    const stat = (value, className, label) => `
+      <div class="stat-item">
+        <div class="stat-value ${className}">${value}</div>
+        <div class="stat-label">${label}</div>
+      </div>
+    `;
+    const stats = `
+      <div class="diff-stats">
+        ${stat(added.length, "added", "New terms")}
+        ${stat(englishChanged.length, "modified", "English changed")}
+        ${stat(removed.length, "removed", "Removed")}
+        ${stat(translationChanged.length, "newline-only", "Changed by others")}
+      </div>
+    `;
+
+    if (total === 0) {
+      this.results.innerHTML = `${stats}<div class="no-changes">Nothing changed since your last download. 🎉</div>`;
+      return;
+    }
+
+    this.results.innerHTML =
+      stats +
+      this.renderSection("🆕 New terms", added, (term) =>
+        this.renderTerm(term.termID, this.escapeHtml(term.english))
+      ) +
+      this.renderSection("✏️ English changed", englishChanged, (term) =>
+        this.renderTerm(term.termID, generateDiffHTML(term.oldEnglish, term.newEnglish))
+      ) +
+      this.renderSection("🗑️ Removed terms", removed, (term) =>
+        this.renderTerm(term.termID, `<span class="diff-removed">${this.escapeHtml(term.english)}</span>`)
+      ) +
+      this.renderSection(
+        `👥 ${this.escapeHtml(this.language)} changed by someone else`,
+        translationChanged,
+        (term) =>
+          this.renderTerm(
+            term.termID,
+            generateDiffHTML(term.oldValue, term.newValue),
+            term.english
+          )
+      );
+
+    this.exportControls.classList.toggle(
+      "hidden",
+      added.length + englishChanged.length + translationChanged.length === 0
+    );
+  }
+
+  renderSection(title, items, renderItem) {
+    if (items.length === 0) return "";
+    return `
+      <div class="digest-section">
+        <h2>${title} (${items.length})</h2>
+        ${items.map(renderItem).join("")}
+      </div>
+    `;
+  }
+
+  renderTerm(termID, bodyHTML, english = null) {
+    return `
+      <div class="digest-term">
+        <div class="digest-term-id">${this.escapeHtml(termID)}</div>
+        ${english !== null ? `<div class="digest-term-english">${this.escapeHtml(english)}</div>` : ""}
+        <div class="diff-content">${bodyHTML}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Download the current rows of every new or changed term. Removed terms are
+   * no longer in the sheet, so they are only listed on the page.
+   * @param {string} format - "csv" or "xlsx"
+   */
+  async exportChangedRows(format) {
+    if (!this.digest) return;
+
+    const { added, englishChanged, translationChanged } = this.digest;
+    const changedIds = new Set(
+      [...added, ...englishChanged, ...translationChanged].map((term) => term.termID)
+    );
+    const rows = generateLanguageExportRows(
+      this.data.filter((row) => changedIds.has(row.termID)),
+      this.language
+    );
+    const csv = generateLocalizationCSV(rows, [this.language]);
+    const baseName = `${this.language}_changes`;
+
+    try {
+      if (format === "xlsx") {
+        await csvToXlsx(csv, {
+          filename: `${baseName}.xlsx`,
+          title: this.language,
+          csvSeparator: ",",
+          creator: "NPO Localisation Manager",
+          subject: `${this.language} changes since the last download`,
+        });
+      } else {
+        this.downloadFile(csv, `${baseName}.csv`, "text/csv;charset=utf-8;");
+      }
+      this.showStatus(`Exported ${rows.length} changed terms`, "success");
+    } catch (error) {
+      this.showStatus(`Error exporting changes: ${error.message}`, "error");
+    }
+  }
+
+  downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+  }
+
+  showStatus(message, type = "info") {
+    this.status.textContent = message;
+    this.status.className = `status show ${type}`;
+  }
+
+  hideStatus() {
+    this.status.className = "status";
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Initialize the digest page manager when the DOM is loaded
+document.addEventListener("DOMContentLoaded", async () => {
+  renderProjectSelector(
+    document.getElementById("projectSelector"),
+    await initProject()
+  );
+  window.digestPageManager = new DigestPageManager();
+});
@@ -0,0 +1,307 @@
+/**
+ * Glossary and terminology checking
+ * Loads the glossary (glossary.json): English source terms with their
+ * approved and forbidden translations per language, and names that must stay
+ * untranslated. Translations of strings that contain a glossary term are
+ * flagged when they use a forbidden variant or skip the approved term.
+ *
+ * Terms and translations match case-insensitively as whole words; a trailing
+ * * matches any word ending, for inflected languages ("znajom*" matches
+ * "znajomych"). Chinese, Japanese, Korean and Thai match anywhere in the text
+ * since they don't separate words with spaces. Tags and placeholders are
+ * ignored, so [friend] is not the word friend.
+ */
+
+import { CONFIG } from "./config.js";
+import { extractMarkupTokens } from "./markupChecker.js";
+import { escapeHtml } from "./htmlEscape.js";
+
+// Scripts written without spaces between words, or with particles attached
+const NO_WORD_BREAK_CLASS =
+  "[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}\\p{Script=Thai}]";
+const NO_WORD_BREAK_REGEX = new RegExp(NO_WORD_BREAK_CLASS, "u");
+
+// A letter or digit that continues a word; text in the scripts above never does
+const WORD_CHAR = `[\\p{L}\\p{N}](?<!${NO_WORD_BREAK_CLASS})`;
+
+// Compiled term patterns, by pattern text
+const patternCache = new Map();
+
+/**
+ * Read a list of patterns, given as an array or a single string
+ * @param {*} value - Glossary value
+ * @param {string} label - Where the value is, for error messages
+ * @returns {Array} Non-empty pattern strings
+ * @throws {Error} When the value is not a string or an array of strings
+ */
+function readPatternList(value, label) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (list.some((item) => typeof item !== "string" || item.replace("*", "").trim() === "")) {
+    throw new Error(`${label} must be a list of non-empty strings`);
+  }
+  return list.map((item) => item.trim());
+}
+
+/**
+ * Check a glossary and fill in the optional fields of each term
+ * @param {Object} glossary - Parsed glossary.json
+ * @returns {Object} Object with terms ({ term, forms, notes, doNotTranslate, translations })
+ * @throws {Error} When the glossary is invalid
+ */
+export function normalizeGlossary(glossary) {
+  if (!glossary || !Array.isArray(glossary.terms)) {
+    throw new Error("Glossary has no terms list");
+  }
+
+  const terms = glossary.terms.map((entry, index) => {
+    if (!entry || typeof entry.term !== "string" || entry.term.trim() === "") {
+      throw new Error(`Glossary entry ${index + 1} has no term`);
+    }
+
+    const label = `Glossary term "${entry.term}"`;
+    const translations = {};
+    Object.entries(entry.translations || {}).forEach(([language, rules]) => {
+      translations[language] = {
+        approved: readPatternList(rules && rules.approved, `${label} ${language} approved`),
+        forbidden: readPatternList(rules && rules.forbidden, `${label} ${language} forbidden`),
+      };
+    });
+
+    if (!entry.doNotTranslate && Object.keys(translations).length === 0) {
+      throw new Error(`${label} needs translations or doNotTranslate`);
+    }
+
+    return {
+      term: entry.term.trim(),
+      forms: readPatternList(entry.forms, `${label} forms`),
+      notes: entry.notes || "",
+      doNotTranslate: Boolean(entry.doNotTranslate),
+      translations,
+    };
+  });
+
+  return { terms };
+}
+
+/**
+ * Load the glossary from a URL (browser) or a file path (Node.js)
+ * @param {string} source - Glossary location
+ * @returns {Promise<Object>} Normalized glossary
+ */
+export async function loadGlossary(source = CONFIG.GLOSSARY_FILE) {
+  let text;
+  if (typeof window === "undefined") {
+    const { readFile } = await import("fs/promises");
+    text = await readFile(source, "utf8");
+  } else {
+    const response = await fetch(source, { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`Could not load ${source}: ${response.status}`);
+    }
+    text = await response.text();
+  }
+
+  return normalizeGlossary(JSON.parse(text));
+}
+
+/**
+ * Compile a glossary pattern into a regular expression
+ * @param {string} pattern - Term or translation, optionally ending in *
+ * @returns {RegExp} Case-insensitive whole-word matcher
+ */
+function compilePattern(pattern) {
+  if (patternCache.has(pattern)) return patternCache.get(pattern);
+
+  const isStem = pattern.endsWith("*");
+  const text = isStem ? pattern.slice(0, -1).trim() : pattern;
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+
+  const regex = NO_WORD_BREAK_REGEX.test(text)
+    ? new RegExp(escaped, "iu")
+    : new RegExp(
+        `(?<!${WORD_CHAR})${escaped}${isStem ? `(?:${WORD_CHAR})*` : `(?!${WORD_CHAR})`}`,
+        "iu"
+      );
+
+  patternCache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Blank out tags and placeholders so words inside them don't match
+ * @param {string} text - Text to clean
+ * @returns {string} Text of the same length without markup
+ */
+function stripMarkup(text) {
+  const { tags, placeholders } = extractMarkupTokens(text);
+  let result = text;
+  [...tags, ...placeholders].forEach((token) => {
+    result =
+      result.slice(0, token.index) +
+      " ".repeat(token.raw.length) +
+      result.slice(token.index + token.raw.length);
+  });
+  return result;
+}
+
+/**
+ * Find the first pattern that occurs in a text
+ * @param {Array} patterns - Glossary patterns
+ * @param {string} text - Text without markup
+ * @returns {string|null} Matched text, or null
+ */
+function findPattern(patterns, text) {
+  for (const pattern of patterns) {
+    const match = text.match(compilePattern(pattern));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+/**
+ * Format patterns for a message, e.g. "znajom*" or "Freund*"
+ * @param {Array} patterns - Glossary patterns
+ * @returns {string} Quoted patterns joined with "or"
+ */
+function formatPatterns(patterns) {
+  return patterns.map((pattern) => `"${pattern}"`).join(" or ");
+}
+
+/**
+ * Check a single translation against the glossary
+ * @param {string} english - English source text
+ * @param {string} translation - Translated text
+ * @param {string} language - Language column of the translation
+ * @param {Object} glossary - Normalized glossary
+ * @returns {Array} Array of issues (type: forbidden, missing or translated)
+ */
+export function checkTranslationGlossary(english, translation, language, glossary) {
+  if (!glossary || !translation || translation.trim() === "") return [];
+
+  const source = stripMarkup(english || "");
+  const target = stripMarkup(translation);
+  const issues = [];
+
+  glossary.terms.forEach((entry) => {
+    if (!findPattern([entry.term, ...entry.forms], source)) return;
+
+    const rules = entry.translations[language];
+    const forbidden = rules ? rules.forbidden : [];
+    // A language's approved translations replace the do-not-translate rule, e.g. for transliterations
+    const keepsEnglish = entry.doNotTranslate && !(rules && rules.approved.length > 0);
+    const approved = keepsEnglish ? [entry.term] : rules ? rules.approved : [];
+
+    const forbiddenMatch = findPattern(forbidden, target);
+    if (forbiddenMatch) {
+      issues.push({
+        type: "forbidden",
+        term: entry.term,
+        token: forbiddenMatch,
+        message: `"${forbiddenMatch}" is not allowed for "${entry.term}"${
+          approved.length > 0 ? `, use ${formatPatterns(approved)}` : ""
+        }`,
+      });
+    }
+
+    if (approved.length > 0 && !findPattern(approved, target)) {
+      issues.push({
+        type: keepsEnglish ? "translated" : "missing",
+        term: entry.term,
+        message: keepsEnglish
+          ? `"${entry.term}" should stay untranslated`
+          : `"${entry.term}" should be translated as ${formatPatterns(approved)}`,
+      });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Check every translation of a language in a data set
+ * @param {Array} data - Localization rows (termID, English and the language column)
+ * @param {string} language - Language column to check
+ * @param {Object|null} glossary - Normalized glossary; nothing is checked without one
+ * @returns {Array} Array of { termID, english, translation, issues } for rows with issues
+ */
+export function checkGlossaryConsistency(data, language, glossary) {
+  if (!data || !language || language === "English" || !glossary) return [];
+
+  const results = [];
+
+  data.forEach((row) => {
+    if (!row.termID || row.shouldBeTranslated === "FALSE") return;
+
+    const translation = row[language] || "";
+    const issues = checkTranslationGlossary(row.English || "", translation, language, glossary);
+
+    if (issues.length > 0) {
+      results.push({
+        termID: row.termID,
+        english: row.English || "",
+        translation,
+        issues,
+      });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Count the issues of a checkGlossaryConsistency result by type
+ * @param {Array} results - Output of checkGlossaryConsistency
+ * @returns {Object} Counts per issue type plus total terms and total issues
+ */
+export function summarizeGlossaryIssues(results) {
+  const summary = {
+    terms: results.length,
+    total: 0,
+    forbidden: 0,
+    missing: 0,
+    translated: 0,
+  };
+
+  results.forEach((result) => {
+    result.issues.forEach((issue) => {
+      summary.total++;
+      summary[issue.type]++;
+    });
+  });
+
+  return summary;
+}
+
+/**
+ * Generate HTML listing glossary issues per term
+ * @param {Array} results - Output of checkGlossaryConsistency
+ * @returns {string} HTML string
+ */
+export function generateGlossaryIssuesHTML(results) {
+  return results
+    .map(
+      (result) => `
+        <div class="term-diff-item glossary-issue-item">
+          <div class="term-diff-title">📖 ${escapeHtml(result.termID)}</div>
+          <ul class="markup-issue-list">
+            ${result.issues
+              .map(
+                (issue) =>
+                  `<li class="glossary-issue ${issue.type}"><strong>${
+                    issue.type
+                  }:</strong> ${escapeHtml(issue.message)}</li>`
+              )
+              .join("")}
+          </ul>
+          <div class="markup-issue-text">
+            <div><strong>English:</strong> ${escapeHtml(result.english)}</div>
+            <div><strong>Translation:</strong> ${escapeHtml(
+              result.translation
+            )}</div>
+          </div>
+        </div>
+      `
+    )
+    .join("");
+}
@@ -0,0 +1,289 @@
+/**
+ * Test Suite for the Glossary Checker
+ * Checks glossary validation, term matching per script and the shipped glossary.json
+ *
+ * Usage: node glossaryCheckerTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV, extractLanguages } from "./csvParser.js";
+import {
+  normalizeGlossary,
+  checkTranslationGlossary,
+  checkGlossaryConsistency,
+  summarizeGlossaryIssues,
+  generateGlossaryIssuesHTML,
+} from "./glossaryChecker.js";
+
+const GLOSSARY = normalizeGlossary({
+  terms: [
+    {
+      term: "friend",
+      forms: ["friends"],
+      translations: {
+        Polish: { approved: ["znajom*"], forbidden: ["przyjaci*"] },
+        German: { approved: "Freund*" },
+        Japanese: { approved: ["フレンド"] },
+      },
+    },
+    { term: "World-i", doNotTranslate: true },
+    {
+      term: "beeswax games",
+      doNotTranslate: true,
+      translations: { Russian: { approved: ["beeswax games", "Бисвакс"] } },
+    },
+  ],
+});
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Issue types found for a translation, in order
+ * @param {string} english - English text
+ * @param {string} translation - Translated text
+ * @param {string} language - Language column
+ * @returns {string} Comma separated issue types
+ */
+function issueTypes(english, translation, language) {
+  return checkTranslationGlossary(english, translation, language, GLOSSARY)
+    .map((issue) => issue.type)
+    .join();
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Glossary Checker Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Glossary - invalid entries are rejected", test: testNormalizeGlossary },
+    { name: "Glossary - approved and forbidden translations", test: testApprovedAndForbidden },
+    { name: "Glossary - whole words, stems and markup", test: testWordMatching },
+    { name: "Glossary - do-not-translate terms", test: testDoNotTranslate },
+    { name: "Glossary - scripts without spaces", test: testNoWordBreakScripts },
+    { name: "Glossary - data set check and summary", test: testConsistency },
+    { name: "Glossary - shipped glossary.json on the real sheet", test: testShippedGlossary },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+/**
+ * Check that normalizeGlossary throws a message containing some text
+ * @param {Object} glossary - Invalid glossary
+ * @param {string} expected - Part of the expected error message
+ * @returns {string|null} Problem description, or null when it threw as expected
+ */
+function expectInvalid(glossary, expected) {
+  try {
+    normalizeGlossary(glossary);
+  } catch (error) {
+    return error.message.includes(expected) ? null : `Unexpected error: ${error.message}`;
+  }
+  return `Expected an error mentioning "${expected}"`;
+}
+
+function testNormalizeGlossary() {
+  const problems = [
+    expectInvalid({}, "no terms list"),
+    expectInvalid({ terms: [{ term: " " }] }, "entry 1 has no term"),
+    expectInvalid({ terms: [{ term: "lobby" }] }, "needs translations or doNotTranslate"),
+    expectInvalid(
+      { terms: [{ term: "lobby", translations: { Polish: { approved: ["*"] } } }] },
+      "Polish approved"
+    ),
+  ].filter(Boolean);
+  if (problems.length > 0) {
+    return { success: false, message: problems[0] };
+  }
+
+  const entry = GLOSSARY.terms[0];
+  if (entry.translations.German.approved.join() !== "Freund*" || entry.translations.German.forbidden.length !== 0) {
+    return { success: false, message: "A single string should become a list" };
+  }
+  return { success: true };
+}
+
+function testApprovedAndForbidden() {
+  const cases = [
+    ["add friends", "dodaj znajomych", "Polish", ""],
+    ["add friends", "dodaj przyjaciół", "Polish", "forbidden,missing"],
+    ["my friend", "mój przyjaciel i znajomy", "Polish", "forbidden"],
+    ["add friends", "Freunde hinzufügen", "German", ""],
+    ["add friends", "Kumpel hinzufügen", "German", "missing"],
+    ["add friends", "ajouter des amis", "French", ""],
+    ["lobby", "poczekalnia", "Polish", ""],
+  ];
+
+  const wrong = cases.find(([english, translation, language, expected]) =>
+    issueTypes(english, translation, language) !== expected
+  );
+  if (wrong) {
+    return {
+      success: false,
+      message: `${wrong[1]} (${wrong[2]}): expected "${wrong[3]}", got "${issueTypes(wrong[0], wrong[1], wrong[2])}"`,
+    };
+  }
+
+  const [issue] = checkTranslationGlossary("friends", "przyjaciele", "Polish", GLOSSARY);
+  if (issue.token !== "przyjaciele" || !issue.message.includes('use "znajom*"')) {
+    return { success: false, message: `Unexpected issue: ${JSON.stringify(issue)}` };
+  }
+  return { success: true };
+}
+
+function testWordMatching() {
+  const cases = [
+    ["unfriendly", "nieprzyjazny", "Polish", ""],
+    ["FRIEND\nrequest", "prośba o znajomość", "Polish", ""],
+    ["request sent to: [friend]", "wysłano do: [friend]", "Polish", ""],
+    ["<b>friend</b> list", "lista <b>przyjaciół</b>", "Polish", "forbidden,missing"],
+    ["friend", "   ", "Polish", ""],
+  ];
+
+  const wrong = cases.find(([english, translation, language, expected]) =>
+    issueTypes(english, translation, language) !== expected
+  );
+  if (wrong) {
+    return {
+      success: false,
+      message: `${JSON.stringify(wrong[0])}: expected "${wrong[3]}", got "${issueTypes(wrong[0], wrong[1], wrong[2])}"`,
+    };
+  }
+  return { success: true };
+}
+
+function testDoNotTranslate() {
+  const cases = [
+    ["world-i chat", "czat World-i", "Polish", ""],
+    ["connecting to world-i-connect.com", "łączenie z world-i-connect.com", "Polish", ""],
+    ["world-i chat", "czat Świat-i", "Polish", "translated"],
+    ["beeswax games\npresents", "Бисвакс представляет", "Russian", ""],
+    ["beeswax games\npresents", "пчелиные игры представляет", "Russian", "missing"],
+  ];
+
+  const wrong = cases.find(([english, translation, language, expected]) =>
+    issueTypes(english, translation, language) !== expected
+  );
+  if (wrong) {
+    return {
+      success: false,
+      message: `${wrong[1]} (${wrong[2]}): expected "${wrong[3]}", got "${issueTypes(wrong[0], wrong[1], wrong[2])}"`,
+    };
+  }
+  return { success: true };
+}
+
+function testNoWordBreakScripts() {
+  if (issueTypes("add friends", "フレンドを追加", "Japanese") !== "") {
+    return { success: false, message: "Japanese terms should match inside a sentence" };
+  }
+  if (issueTypes("add friends", "友達を追加", "Japanese") !== "missing") {
+    return { success: false, message: "A missing Japanese term should be flagged" };
+  }
+  if (issueTypes("World-i Connect", "World-iコネクト", "Japanese") !== "") {
+    return { success: false, message: "Kana next to a Latin name should not break the word" };
+  }
+  return { success: true };
+}
+
+function testConsistency() {
+  const rows = [
+    { termID: "a", shouldBeTranslated: "TRUE", English: "friends", Polish: "przyjaciele" },
+    { termID: "b", shouldBeTranslated: "FALSE", English: "World-i", Polish: "Świat-i" },
+    { termID: "c", shouldBeTranslated: "TRUE", English: "World-i <b>chat</b>", Polish: "czat" },
+    { termID: "", shouldBeTranslated: "TRUE", English: "friends", Polish: "przyjaciele" },
+  ];
+
+  const results = checkGlossaryConsistency(rows, "Polish", GLOSSARY);
+  if (results.map((result) => result.termID).join() !== "a,c") {
+    return { success: false, message: `Unexpected terms: ${results.map((r) => r.termID).join()}` };
+  }
+  if (checkGlossaryConsistency(rows, "English", GLOSSARY).length !== 0) {
+    return { success: false, message: "English is the source, not a translation" };
+  }
+  if (checkGlossaryConsistency(rows, "Polish", null).length !== 0) {
+    return { success: false, message: "Nothing should be checked without a glossary" };
+  }
+
+  const summary = summarizeGlossaryIssues(results);
+  if (summary.terms !== 2 || summary.total !== 3 || summary.forbidden !== 1 || summary.translated !== 1) {
+    return { success: false, message: `Unexpected summary: ${JSON.stringify(summary)}` };
+  }
+
+  const html = generateGlossaryIssuesHTML(results);
+  if (!html.includes('class="glossary-issue translated"') || html.includes("<b>chat</b>")) {
+    return { success: false, message: "HTML should list issues and escape the texts" };
+  }
+  return { success: true };
+}
+
+function testShippedGlossary() {
+  const glossary = normalizeGlossary(JSON.parse(fs.readFileSync("glossary.json", "utf8")));
+  const data = loadLocalizationData();
+
+  const unused = glossary.terms.filter(
+    (entry) => !data.some((row) => (row.English || "").toLowerCase().includes(entry.term.toLowerCase()))
+  );
+  if (unused.length > 0) {
+    return { success: false, message: `Not in the sheet: ${unused.map((entry) => entry.term).join(", ")}` };
+  }
+
+  const flagged = extractLanguages(data).flatMap((language) =>
+    checkGlossaryConsistency(data, language, glossary)
+  );
+  if (flagged.some((result) => result.issues.length === 0 || !result.translation.trim())) {
+    return { success: false, message: "Only translated terms with issues should be reported" };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
@@ -0,0 +1,27 @@
+/**
+ * HTML Escaping Module
+ * Escapes texts for the HTML the report and diff modules build as strings.
+ * Works in the browser and in Node.js without the DOM.
+ */
+
+/**
+ * Escape HTML characters, keeping line breaks as they are
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-escaped text
+ */
+export function escapeHtmlText(text) {
+  return (text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Escape HTML characters and turn line breaks into <br>
+ * @param {string} text - Text to escape
+ * @returns {string} HTML-escaped text
+ */
+export function escapeHtml(text) {
+  return escapeHtmlText(text).replace(/\n/g, "<br>");
+}
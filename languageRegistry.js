@@ -0,0 +1,394 @@
+/**
+ * Language Registry Module
+ * Describes every language column of the sheet: its BCP-47 code, native name,
+ * text direction, CLDR plural categories, script (for picking fonts) and the
+ * language to fall back to when a term is untranslated. Exporters, the
+ * translator language dropdown and the admin stats read language details from
+ * here; sheet columns missing from the registry are reported as unknown.
+ *
+ * Languages added on the admin page are registered at runtime and stored on
+ * the server as a small CSV (see LANGUAGE_LIST_COLUMNS), which every page
+ * loads back with registerLanguageRows.
+ */
+
+// Keys are the sheet's column headers, so "Ukranian" keeps the sheet's spelling
+const LANGUAGES = {
+  English: {
+    name: "English",
+    code: "en",
+    nativeName: "English",
+    direction: "ltr",
+    pluralCategories: ["one", "other"],
+    script: "Latn",
+    fallback: null,
+  },
+  "Traditional Chinese": {
+    name: "Traditional Chinese",
+    code: "zh-Hant",
+    nativeName: "繁體中文",
+    direction: "ltr",
+    pluralCategories: ["other"],
+    script: "Hant",
+    fallback: "English",
+    androidQualifier: "zh-rTW",
+  },
+  "Simplified Chinese": {
+    name: "Simplified Chinese",
+    code: "zh-Hans",
+    nativeName: "简体中文",
+    direction: "ltr",
+    pluralCategories: ["other"],
+    script: "Hans",
+    fallback: "English",
+    androidQualifier: "zh-rCN",
+  },
+  "Brazilian Portuguese": {
+    name: "Brazilian Portuguese",
+    code: "pt-BR",
+    nativeName: "Português (Brasil)",
+    direction: "ltr",
+    pluralCategories: ["one", "many", "other"],
+    script: "Latn",
+    fallback: "English",
+  },
+  Polish: {
+    name: "Polish",
+    code: "pl",
+    nativeName: "Polski",
+    direction: "ltr",
+    pluralCategories: ["one", "few", "many", "other"],
+    script: "Latn",
+    fallback: "English",
+  },
+  Japanese: {
+    name: "Japanese",
+    code: "ja",
+    nativeName: "日本語",
+    direction: "ltr",
+    pluralCategories: ["other"],
+    script: "Jpan",
+    fallback: "English",
+  },
+  Korean: {
+    name: "Korean",
+    code: "ko",
+    nativeName: "한국어",
+    direction: "ltr",
+    pluralCategories: ["other"],
+    script: "Kore",
+    fallback: "English",
+  },
+  Russian: {
+    name: "Russian",
+    code: "ru",
+    nativeName: "Русский",
+    direction: "ltr",
+    pluralCategories: ["one", "few", "many", "other"],
+    script: "Cyrl",
+    fallback: "English",
+  },
+  French: {
+    name: "French",
+    code: "fr",
+    nativeName: "Français",
+    direction: "ltr",
+    pluralCategories: ["one", "many", "other"],
+    script: "Latn",
+    fallback: "English",
+  },
+  German: {
+    name: "German",
+    code: "de",
+    nativeName: "Deutsch",
+    direction: "ltr",
+    pluralCategories: ["one", "other"],
+    script: "Latn",
+    fallback: "English",
+  },
+  Spanish: {
+    name: "Spanish",
+    code: "es",
+    nativeName: "Español",
+    direction: "ltr",
+    pluralCategories: ["one", "many", "other"],
+    script: "Latn",
+    fallback: "English",
+  },
+  Italian: {
+    name: "Italian",
+    code: "it",
+    nativeName: "Italiano",
+    direction: "ltr",
+    pluralCategories: ["one", "many", "other"],
+    script: "Latn",
+    fallback: "English",
+  },
+  Ukranian: {
+    name: "Ukrainian",
+    code: "uk",
+    nativeName: "Українська",
+    direction: "ltr",
+    pluralCategories: ["one", "few", "many", "other"],
+    script: "Cyrl",
+    fallback: "English",
+  },
+};
+
+// Languages that ship with the tool; anything else was added at runtime
+const BUILT_IN_LANGUAGES = new Set(Object.keys(LANGUAGES));
+
+export const TEXT_DIRECTIONS = ["ltr", "rtl"];
+export const PLURAL_CATEGORIES = ["zero", "one", "two", "few", "many", "other"];
+
+// Columns already reported by warnUnknownLanguages
+const warnedColumns = new Set();
+
+/**
+ * Add a language to the registry, or replace the entry of a column
+ * @param {string} column - Sheet column header
+ * @param {Object} info - Language details; code is required, the rest default
+ *   to the column name, ltr, ["other"], Latn and an English fallback
+ * @returns {Object} The registered language details
+ * @throws {Error} When the details are invalid
+ */
+export function registerLanguage(column, info = {}) {
+  if (!column || column.trim() === "") {
+    throw new Error("Language column name is required");
+  }
+  if (!/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(info.code || "")) {
+    throw new Error(`${column} needs a BCP-47 code such as "pl" or "pt-BR"`);
+  }
+
+  const direction = info.direction || "ltr";
+  if (!TEXT_DIRECTIONS.includes(direction)) {
+    throw new Error(`${column} direction must be ${TEXT_DIRECTIONS.join(" or ")}`);
+  }
+
+  const pluralCategories = info.pluralCategories || ["other"];
+  const unknownCategory = pluralCategories.find((category) => !PLURAL_CATEGORIES.includes(category));
+  if (unknownCategory || !pluralCategories.includes("other")) {
+    throw new Error(
+      `${column} plural categories must include "other" and only use ${PLURAL_CATEGORIES.join(", ")}`
+    );
+  }
+
+  const fallback = info.fallback === undefined ? "English" : info.fallback;
+  if (fallback === column) {
+    throw new Error(`${column} can't fall back to itself`);
+  }
+
+  const entry = {
+    name: info.name || column,
+    code: info.code,
+    nativeName: info.nativeName || info.name || column,
+    direction,
+    pluralCategories: [...pluralCategories],
+    script: info.script || "Latn",
+    fallback: column === "English" ? null : fallback,
+  };
+  if (info.androidQualifier) entry.androidQualifier = info.androidQualifier;
+
+  LANGUAGES[column] = entry;
+  warnedColumns.delete(column);
+  return { column, ...entry };
+}
+
+/**
+ * Get the registry entry of a language column
+ * @param {string} language - Language column
+ * @returns {Object|null} Language details with the column name, or null when unknown
+ */
+export function getLanguageInfo(language) {
+  const entry = Object.prototype.hasOwnProperty.call(LANGUAGES, language)
+    ? LANGUAGES[language]
+    : null;
+  return entry ? { column: language, ...entry, pluralCategories: [...entry.pluralCategories] } : null;
+}
+
+/**
+ * Check if a column is in the registry
+ * @param {string} language - Language column
+ * @returns {boolean} True for registered languages
+ */
+export function isKnownLanguage(language) {
+  return getLanguageInfo(language) !== null;
+}
+
+/**
+ * Get the languages registered at runtime, i.e. added on the admin page
+ * @returns {Array} Language details with the column name
+ */
+export function getAddedLanguages() {
+  return getRegisteredLanguages()
+    .filter((language) => !BUILT_IN_LANGUAGES.has(language))
+    .map(getLanguageInfo);
+}
+
+/**
+ * Columns of the stored language list, in file order
+ */
+export const LANGUAGE_LIST_COLUMNS = [
+  "column",
+  "name",
+  "code",
+  "nativeName",
+  "direction",
+  "pluralCategories",
+  "script",
+  "fallback",
+];
+
+/**
+ * Turn language details into a row of the stored language list
+ * @param {Object} info - Result of getLanguageInfo
+ * @returns {Object} Row with LANGUAGE_LIST_COLUMNS; plural categories are space separated
+ */
+export function languageToRow(info) {
+  return {
+    column: info.column,
+    name: info.name,
+    code: info.code,
+    nativeName: info.nativeName,
+    direction: info.direction,
+    pluralCategories: info.pluralCategories.join(" "),
+    script: info.script,
+    fallback: info.fallback || "",
+  };
+}
+
+/**
+ * Register the languages of a stored language list. Invalid rows are skipped
+ * with a console warning so one bad entry doesn't hide the others.
+ * @param {Array} rows - Rows with LANGUAGE_LIST_COLUMNS
+ * @returns {Array} Columns that were registered
+ */
+export function registerLanguageRows(rows) {
+  const registered = [];
+
+  (rows || []).forEach((row) => {
+    const pluralCategories = (row.pluralCategories || "").trim();
+    try {
+      registerLanguage(row.column, {
+        name: row.name,
+        code: row.code,
+        nativeName: row.nativeName,
+        direction: row.direction,
+        pluralCategories: pluralCategories ? pluralCategories.split(/\s+/) : undefined,
+        script: row.script,
+        fallback: row.fallback || undefined,
+      });
+      registered.push(row.column);
+    } catch (error) {
+      console.warn(`Skipping stored language "${row.column}": ${error.message}`);
+    }
+  });
+
+  return registered;
+}
+
+/**
+ * Get every registered language column, in registry order
+ * @returns {Array} Language columns
+ */
+export function getRegisteredLanguages() {
+  return Object.keys(LANGUAGES);
+}
+
+/**
+ * Get the locale code of a language column
+ * @param {string} language - Language column
+ * @returns {string} BCP-47 code, or the column name when it isn't registered
+ */
+export function getLanguageCode(language) {
+  const info = getLanguageInfo(language);
+  return info ? info.code : language;
+}
+
+/**
+ * Get the text direction of a language column
+ * @param {string} language - Language column
+ * @returns {string} "ltr" or "rtl"; unknown languages are ltr
+ */
+export function getLanguageDirection(language) {
+  const info = getLanguageInfo(language);
+  return info ? info.direction : "ltr";
+}
+
+/**
+ * Label for language pickers, e.g. "Polish (Polski)"
+ * @param {string} language - Language column
+ * @returns {string} Display label, the column name when it isn't registered
+ */
+export function getLanguageLabel(language) {
+  const info = getLanguageInfo(language);
+  if (!info) return language;
+  return info.nativeName === info.name ? info.name : `${info.name} (${info.nativeName})`;
+}
+
+/**
+ * Get the languages to try for a column, itself first and English last
+ * @param {string} language - Language column
+ * @returns {Array} Language columns, e.g. ["Polish", "English"]
+ */
+export function getFallbackChain(language) {
+  const chain = [language];
+  const info = getLanguageInfo(language);
+  let next = info ? info.fallback : "English";
+
+  while (next && !chain.includes(next)) {
+    chain.push(next);
+    const nextInfo = getLanguageInfo(next);
+    next = nextInfo ? nextInfo.fallback : null;
+  }
+  if (!chain.includes("English")) chain.push("English");
+  return chain;
+}
+
+/**
+ * Find the language column for a locale code. "pl-PL" matches "pl" when no
+ * column has the full code.
+ * @param {string} code - Locale code, or a column name
+ * @param {Array} [languages] - Columns to choose from, every registered language by default
+ * @returns {string|null} Language column, or null when none matches
+ */
+export function findLanguageByCode(code, languages = getRegisteredLanguages()) {
+  if (!code) return null;
+
+  const wanted = code.trim().toLowerCase().replace(/_/g, "-");
+  const byCode = (match) =>
+    languages.find((language) => getLanguageCode(language).toLowerCase() === match);
+
+  return (
+    languages.find((language) => language.toLowerCase() === wanted) ||
+    byCode(wanted) ||
+    byCode(wanted.split("-")[0]) ||
+    null
+  );
+}
+
+/**
+ * Get the columns that are not in the registry
+ * @param {Array} languages - Language columns
+ * @returns {Array} Unknown columns
+ */
+export function findUnknownLanguages(languages) {
+  return languages.filter((language) => !isKnownLanguage(language));
+}
+
+/**
+ * Warn once about each column that is not in the registry
+ * @param {Array} languages - Language columns
+ * @returns {Array} Unknown columns
+ */
+export function warnUnknownLanguages(languages) {
+  const unknown = findUnknownLanguages(languages);
+  unknown
+    .filter((language) => !warnedColumns.has(language))
+    .forEach((language) => {
+      warnedColumns.add(language);
+      console.warn(
+        `Column "${language}" is not in the language registry; add it to languageRegistry.js if it is a language`
+      );
+    });
+  return unknown;
+}
@@ -0,0 +1,265 @@
+/**
+ * Test Suite for the Language Registry
+ * Checks the registry against the real localization.csv columns and the
+ * lookups the exporters rely on
+ *
+ * Usage: node languageRegistryTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV, extractLanguages } from "./csvParser.js";
+import {
+  getLanguageInfo,
+  getLanguageCode,
+  getLanguageLabel,
+  getFallbackChain,
+  findLanguageByCode,
+  findUnknownLanguages,
+  registerLanguage,
+  registerLanguageRows,
+  getAddedLanguages,
+  languageToRow,
+  LANGUAGE_LIST_COLUMNS,
+  PLURAL_CATEGORIES,
+} from "./languageRegistry.js";
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Language Registry Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Registry - every sheet column is registered", test: testSheetColumns },
+    { name: "Registry - language details", test: testLanguageDetails },
+    { name: "Registry - codes map back to columns", test: testFindByCode },
+    { name: "Registry - registering a language", test: testRegisterLanguage },
+    { name: "Registry - unknown columns warn", test: testUnknownColumns },
+    { name: "Registry - added languages round-trip as rows", test: testLanguageRows },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testSheetColumns() {
+  const languages = extractLanguages(loadLocalizationData());
+  const unknown = findUnknownLanguages(["English", ...languages]);
+
+  if (unknown.length > 0) {
+    return { success: false, message: `Not registered: ${unknown.join(", ")}` };
+  }
+
+  const codes = languages.map(getLanguageCode);
+  if (new Set(codes).size !== codes.length) {
+    return { success: false, message: `Duplicate locale codes: ${codes.join(", ")}` };
+  }
+
+  const badPlurals = languages.find((language) => {
+    const { pluralCategories } = getLanguageInfo(language);
+    return !pluralCategories.includes("other") ||
+      pluralCategories.some((category) => !PLURAL_CATEGORIES.includes(category));
+  });
+  if (badPlurals) {
+    return { success: false, message: `Invalid plural categories for ${badPlurals}` };
+  }
+  return { success: true };
+}
+
+function testLanguageDetails() {
+  const ukrainian = getLanguageInfo("Ukranian");
+
+  if (ukrainian.code !== "uk" || ukrainian.name !== "Ukrainian" || ukrainian.script !== "Cyrl") {
+    return { success: false, message: `Unexpected entry: ${JSON.stringify(ukrainian)}` };
+  }
+  if (getLanguageLabel("Polish") !== "Polish (Polski)" || getLanguageLabel("English") !== "English") {
+    return { success: false, message: `Unexpected label: ${getLanguageLabel("Polish")}` };
+  }
+  if (getLanguageInfo("Polish").pluralCategories.join() !== "one,few,many,other") {
+    return { success: false, message: "Polish plural categories are wrong" };
+  }
+  if (getFallbackChain("Japanese").join() !== "Japanese,English" || getFallbackChain("English").join() !== "English") {
+    return { success: false, message: `Unexpected fallback chain: ${getFallbackChain("Japanese").join()}` };
+  }
+
+  // Callers get a copy; the registry itself can't be edited through it
+  getLanguageInfo("Polish").pluralCategories.push("zero");
+  if (getLanguageInfo("Polish").pluralCategories.includes("zero")) {
+    return { success: false, message: "Registry entries should not be shared" };
+  }
+  return { success: true };
+}
+
+function testFindByCode() {
+  const cases = [
+    ["pl-PL", "Polish"],
+    ["PT_br", "Brazilian Portuguese"],
+    ["zh-Hant", "Traditional Chinese"],
+    ["uk", "Ukranian"],
+    ["Ukranian", "Ukranian"],
+    ["tlh", null],
+  ];
+
+  const wrong = cases.find(([code, language]) => findLanguageByCode(code) !== language);
+  if (wrong) {
+    return { success: false, message: `${wrong[0]} should map to ${wrong[1]}` };
+  }
+  if (findLanguageByCode("pl", ["German"]) !== null) {
+    return { success: false, message: "Only the given columns should match" };
+  }
+  return { success: true };
+}
+
+function testRegisterLanguage() {
+  const arabic = registerLanguage("Arabic", {
+    code: "ar",
+    nativeName: "العربية",
+    direction: "rtl",
+    pluralCategories: ["zero", "one", "two", "few", "many", "other"],
+    script: "Arab",
+  });
+
+  if (arabic.fallback !== "English" || getLanguageInfo("Arabic").direction !== "rtl") {
+    return { success: false, message: `Unexpected entry: ${JSON.stringify(arabic)}` };
+  }
+  if (findLanguageByCode("ar-EG") !== "Arabic") {
+    return { success: false, message: "Registered languages should be found by code" };
+  }
+
+  const invalid = [
+    ["Klingon", { code: "" }],
+    ["Hebrew", { code: "he", direction: "up" }],
+    ["Welsh", { code: "cy", pluralCategories: ["one"] }],
+    ["Scots", { code: "sco", fallback: "Scots" }],
+  ];
+  const accepted = invalid.find(([column, info]) => {
+    try {
+      registerLanguage(column, info);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+  if (accepted) {
+    return { success: false, message: `${accepted[0]} should be rejected` };
+  }
+  return { success: true };
+}
+
+function testUnknownColumns() {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (message) => warnings.push(message);
+
+  try {
+    const rows = [{ termID: "play", English: "Play", Polish: "Graj", Klingon: "Quj" }];
+    const languages = extractLanguages(rows);
+    extractLanguages(rows);
+
+    if (languages.join() !== "Polish,Klingon") {
+      return { success: false, message: "Unknown columns should still be kept" };
+    }
+    if (warnings.length !== 1 || !warnings[0].includes('"Klingon"')) {
+      return { success: false, message: `Expected one warning, got ${JSON.stringify(warnings)}` };
+    }
+    if (getLanguageCode("Klingon") !== "Klingon") {
+      return { success: false, message: "Unknown columns use their name as code" };
+    }
+    return { success: true };
+  } finally {
+    console.warn = warn;
+  }
+}
+
+function testLanguageRows() {
+  registerLanguage("Turkish", { code: "tr", nativeName: "Türkçe", pluralCategories: ["one", "other"] });
+
+  const rows = getAddedLanguages().map(languageToRow);
+  const turkish = rows.find((row) => row.column === "Turkish");
+  if (!turkish || turkish.pluralCategories !== "one other") {
+    return { success: false, message: `Unexpected rows: ${JSON.stringify(rows)}` };
+  }
+  if (getAddedLanguages().some((info) => info.column === "Polish")) {
+    return { success: false, message: "Built-in languages are not added languages" };
+  }
+
+  // Read back the way the pages do, through CSV
+  const csv = Papa.unparse({
+    fields: LANGUAGE_LIST_COLUMNS,
+    data: [
+      { ...turkish, column: "Azerbaijani", name: "Azerbaijani", code: "az", nativeName: "Azərbaycanca" },
+      { column: "Broken", code: "" },
+    ],
+  });
+  const warn = console.warn;
+  console.warn = () => {};
+  let registered;
+  try {
+    registered = registerLanguageRows(Papa.parse(csv, { header: true }).data);
+  } finally {
+    console.warn = warn;
+  }
+
+  if (registered.join() !== "Azerbaijani") {
+    return { success: false, message: `Unexpected registered languages: ${registered.join()}` };
+  }
+  const azerbaijani = getLanguageInfo("Azerbaijani");
+  if (
+    azerbaijani.code !== "az" ||
+    azerbaijani.pluralCategories.join() !== "one,other" ||
+    azerbaijani.fallback !== "English"
+  ) {
+    return { success: false, message: `Unexpected entry: ${JSON.stringify(azerbaijani)}` };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
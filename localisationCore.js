@@ -0,0 +1,921 @@
+/**
+ * Localisation Core Module
+ * DOM-free comparison, merge and report logic shared by the translator,
+ * admin and diff pages and the command-line tool
+ */
+
+import { checkMarkupIntegrity } from "./markupChecker.js";
+import { checkGlossaryConsistency } from "./glossaryChecker.js";
+import { normalizeText } from "./mergeChecker.js";
+import { EXPORT_TYPE_COLUMN } from "./csvParser.js";
+
+/**
+ * Build a map of rows by termID
+ * @param {Array} data - Localization rows
+ * @returns {Object} Map of termID to row
+ */
+export function mapByTermID(data) {
+  const map = {};
+  (data || []).forEach((row) => {
+    if (row.termID) {
+      map[row.termID] = row;
+    }
+  });
+  return map;
+}
+
+/**
+ * Check if the main data has a column for a language. Languages added on the
+ * admin page have none until the sheet is updated.
+ * @param {Array} data - Main sheet data
+ * @param {string} language - Language column
+ * @returns {boolean} True when any row has the column
+ */
+export function hasLanguageColumn(data, language) {
+  return (data || []).some((row) => Object.prototype.hasOwnProperty.call(row, language));
+}
+
+/**
+ * Generate the rows of a single-language file from the main data
+ * @param {Array} data - Main sheet data
+ * @param {string} language - Language column to export
+ * @param {Object} options - Export options
+ * @param {boolean} [options.template=false] - Start a new language: empty
+ *   translations and nothing flagged as needing an update
+ * @returns {Array} Rows with the standard columns and the language column
+ */
+export function generateLanguageExportRows(data, language, options = {}) {
+  if (!data) return [];
+  const { template = false } = options;
+
+  return data
+    .map((row) => {
+      return {
+        termID: row.termID || "",
+        notes: row.notes || "",
+        shouldBeTranslated: row.shouldBeTranslated || "TRUE",
+        translationNeedsToBeUpdated: template
+          ? "FALSE"
+          : row.translationNeedsToBeUpdated || "FALSE",
+        English: row.English || "",
+        [language]: template ? "" : row[language] || "",
+      };
+    })
+    .filter((row) => row.termID); // Only keep rows with valid termID
+}
+
+/**
+ * Why a row belongs in a translator's to-do export
+ * @param {Object} row - Export row
+ * @param {Object|undefined} exportedRow - Same term in the translator's last download
+ * @param {string} language - Language column
+ * @returns {string|null} Reason, or null when there is nothing to do
+ */
+function getTodoReason(row, exportedRow, language) {
+  if (row.shouldBeTranslated === "FALSE") return null;
+  if (!(row[language] || "").trim()) return "untranslated";
+  if (row.translationNeedsToBeUpdated === "TRUE") return "needs update";
+  if (
+    exportedRow &&
+    normalizeText(exportedRow.English || "") !== normalizeText(row.English || "")
+  ) {
+    return "English changed";
+  }
+  return null;
+}
+
+/**
+ * Generate the rows of a to-do file: untranslated terms, terms flagged for an
+ * update and terms whose English changed since the translator's last download,
+ * each with a few neighbouring rows for context. Every row carries an
+ * EXPORT_TYPE_COLUMN value ("todo" or "context") so compareAndGenerateReport
+ * can tell the file is partial when it comes back.
+ * @param {Array} data - Main sheet data
+ * @param {string} language - Language column to export
+ * @param {Object} options - Export options
+ * @param {Array} [options.exportedRows] - Rows of the translator's last download
+ * @param {number} [options.contextRows=2] - Neighbouring rows to add before and after each to-do row
+ * @returns {Array} Rows in sheet order
+ */
+export function generateTodoExportRows(data, language, options = {}) {
+  const { exportedRows = null, contextRows = 2 } = options;
+  const exportedMap = exportedRows ? mapByTermID(exportedRows) : {};
+  const rows = generateLanguageExportRows(data, language, {
+    template: !hasLanguageColumn(data, language),
+  });
+  const exportTypes = new Array(rows.length).fill(null);
+
+  rows.forEach((row, index) => {
+    if (!getTodoReason(row, exportedMap[row.termID], language)) return;
+
+    exportTypes[index] = "todo";
+    const first = Math.max(0, index - contextRows);
+    const last = Math.min(rows.length - 1, index + contextRows);
+    for (let neighbour = first; neighbour <= last; neighbour++) {
+      if (!exportTypes[neighbour]) exportTypes[neighbour] = "context";
+    }
+  });
+
+  return rows
+    .map((row, index) => ({ ...row, [EXPORT_TYPE_COLUMN]: exportTypes[index] }))
+    .filter((row) => row[EXPORT_TYPE_COLUMN]);
+}
+
+/**
+ * Check if a file is a partial (to-do) export
+ * @param {Array} data - File rows
+ * @returns {boolean} True when rows carry an EXPORT_TYPE_COLUMN value
+ */
+export function isPartialExport(data) {
+  return (data || []).some((row) => Boolean(row[EXPORT_TYPE_COLUMN]));
+}
+
+/**
+ * Compare a translator's file with the latest data and build the translation report
+ * @param {Array} latestData - Main sheet data
+ * @param {Array} userData - Uploaded language file
+ * @param {string} userLang - Language of the uploaded file
+ * @param {Object} options - Report options
+ * @param {boolean} [options.isLqaMode=false] - LQA files skip missing terms entirely
+ * @param {boolean} [options.isPartial] - The file holds only some terms (a to-do export), so
+ *   omitted terms keep their latest translation without being reported as missing.
+ *   Detected from the file by default.
+ * @param {Object|null} [options.glossary=null] - Normalized glossary to check terminology against
+ * @returns {Object} Object with the report and the processed rows to upload
+ */
+export function compareAndGenerateReport(
+  latestData,
+  userData,
+  userLang,
+  options = {}
+) {
+  const {
+    isLqaMode = false,
+    isPartial = isPartialExport(userData),
+    glossary = null,
+  } = options;
+
+  // Create a map of user data by termID
+  const userDataMap = mapByTermID(userData);
+
+  const needsTranslation = [];
+  const missingTermsFoundInLatest = [];
+  const omittedTerms = []; // Terms left out of a partial file on purpose
+  const needsUpdate = [];
+  const needsUpdateDetails = []; // Store detailed info for diff view
+  const processedRows = [];
+
+  latestData.forEach((latestRow) => {
+    const termID = latestRow.termID;
+    if (!termID) return;
+
+    // Skip rows that shouldn't be translated
+    if (latestRow.shouldBeTranslated === "FALSE") {
+      processedRows.push({
+        termID: termID,
+        notes: latestRow.notes || "",
+        shouldBeTranslated: latestRow.shouldBeTranslated,
+        translationNeedsToBeUpdated:
+          latestRow.translationNeedsToBeUpdated || "FALSE",
+        English: latestRow.English || "",
+        [userLang]: latestRow[userLang] || "",
+      });
+      return;
+    }
+
+    const userRow = userDataMap[termID];
+    const latestEnglish = latestRow.English || "";
+    const latestLanguageText = latestRow[userLang] || "";
+
+    let shouldBeTranslated = "TRUE";
+    let translationNeedsToBeUpdated = "FALSE";
+    let languageText = latestLanguageText;
+
+    if (userRow) {
+      const userEnglish = userRow.English || "";
+      const userLanguageText = userRow[userLang] || "";
+
+      // If user has provided a translation (and it's not empty)
+      if (userLanguageText && userLanguageText.trim() !== "") {
+        languageText = userLanguageText;
+
+        // Check if translation needs update (English changed)
+        if (userEnglish !== latestEnglish) {
+          translationNeedsToBeUpdated = "TRUE";
+          needsUpdate.push(termID);
+
+          // Store detailed info for diff view
+          needsUpdateDetails.push({
+            termID: termID,
+            oldText: userEnglish,
+            newText: latestEnglish,
+            userTranslation: userLanguageText,
+          });
+        } else {
+          translationNeedsToBeUpdated = "FALSE";
+        }
+      } else {
+        // User didn't provide translation or it's empty
+        translationNeedsToBeUpdated = "FALSE";
+
+        if (isLqaMode) {
+          // For LQA files: Skip missing terms entirely
+          return; // Don't add this term to processedRows
+        } else {
+          // For regular files: Check if this term already has a translation in the latest data
+          if (latestLanguageText) {
+            missingTermsFoundInLatest.push(termID);
+            languageText = latestLanguageText; // Keep the latest translation
+          } else {
+            needsTranslation.push(termID);
+            languageText = ""; // No translation available
+          }
+        }
+      }
+    } else {
+      // termID doesn't exist in user file
+      if (isLqaMode) {
+        // For LQA files: Skip missing terms entirely
+        return; // Don't add this term to processedRows
+      } else {
+        // For regular files: Add missing terms
+        if (latestLanguageText && isPartial) {
+          omittedTerms.push(termID);
+          languageText = latestLanguageText;
+          translationNeedsToBeUpdated = latestRow.translationNeedsToBeUpdated || "FALSE";
+        } else if (latestLanguageText) {
+          missingTermsFoundInLatest.push(termID);
+          languageText = latestLanguageText; // Keep the latest translation
+        } else {
+          needsTranslation.push(termID);
+          languageText = "";
+        }
+      }
+    }
+
+    processedRows.push({
+      termID: termID,
+      notes: latestRow.notes || "",
+      shouldBeTranslated: shouldBeTranslated,
+      translationNeedsToBeUpdated: translationNeedsToBeUpdated,
+      English: latestEnglish,
+      [userLang]: languageText,
+    });
+  });
+
+  // Check tags and placeholders of every translation against the English source
+  const markupIssues = checkMarkupIntegrity(processedRows, userLang);
+  const glossaryIssues = checkGlossaryConsistency(processedRows, userLang, glossary);
+
+  return {
+    report: {
+      needsTranslation,
+      missingTermsFoundInLatest,
+      omittedTerms,
+      needsUpdate,
+      needsUpdateDetails,
+      markupIssues,
+      glossaryIssues,
+      totalNeedsTranslation: needsTranslation.length,
+      totalMissingTermsFoundInLatest: missingTermsFoundInLatest.length,
+      totalOmittedTerms: omittedTerms.length,
+      totalNeedsUpdate: needsUpdate.length,
+      totalMarkupIssues: markupIssues.length,
+      totalGlossaryIssues: glossaryIssues.length,
+    },
+    processedData: processedRows,
+  };
+}
+
+/**
+ * Compare two values, optionally ignoring case and whitespace
+ * @param {string} val1 - First value
+ * @param {string} val2 - Second value
+ * @param {Object} options - ignoreCase and ignoreWhitespace flags
+ * @returns {boolean} True if the values are considered equal
+ */
+export function areValuesEqual(val1, val2, options = {}) {
+  let a = val1;
+  let b = val2;
+
+  // Strip leading single quote (Google Sheets/Excel escape character)
+  if (a.startsWith("'")) {
+    a = a.substring(1);
+  }
+  if (b.startsWith("'")) {
+    b = b.substring(1);
+  }
+
+  if (options.ignoreCase) {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+  }
+
+  if (options.ignoreWhitespace) {
+    a = a.replace(/\s+/g, " ").trim();
+    b = b.replace(/\s+/g, " ").trim();
+  }
+
+  return a === b;
+}
+
+/**
+ * Check if two values only differ by line endings or whitespace
+ * @param {string} val1 - First value
+ * @param {string} val2 - Second value
+ * @returns {boolean} True if the difference is newline/whitespace only
+ */
+export function isNewlineOnlyDiff(val1, val2) {
+  // Strip leading single quote (Google Sheets/Excel escape character)
+  let v1 = val1.startsWith("'") ? val1.substring(1) : val1;
+  let v2 = val2.startsWith("'") ? val2.substring(1) : val2;
+
+  // Normalize newlines and check if the only difference is in line endings
+  const normalized1 = v1.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
+  const normalized2 = v2.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
+
+  // If they're equal after normalization, it's a newline-only diff
+  if (normalized1 === normalized2) {
+    return true;
+  }
+
+  // Additional check: see if the difference is only whitespace-related
+  const trimmed1 = v1.replace(/\s+/g, " ").trim();
+  const trimmed2 = v2.replace(/\s+/g, " ").trim();
+
+  return trimmed1 === trimmed2 && v1 !== v2;
+}
+
+/**
+ * Compare a language column term by term between two files
+ * @param {Array} file1Data - Original file rows
+ * @param {Array} file2Data - Updated file rows
+ * @param {string} language - Language column to compare
+ * @param {Object} options - ignoreCase and ignoreWhitespace flags
+ * @returns {Object} Object with terms (added, removed, modified, newline-only, unchanged) and stats
+ */
+export function generateTermDiffs(file1Data, file2Data, language, options = {}) {
+  // Create maps for quick lookup
+  const file1Map = new Map();
+  const file2Map = new Map();
+
+  file1Data.forEach((row) => {
+    if (row.termID) {
+      file1Map.set(row.termID, row);
+    }
+  });
+
+  file2Data.forEach((row) => {
+    if (row.termID) {
+      file2Map.set(row.termID, row);
+    }
+  });
+
+  // Get all unique term IDs
+  const allTermIds = new Set([...file1Map.keys(), ...file2Map.keys()]);
+  const results = [];
+
+  let addedCount = 0;
+  let removedCount = 0;
+  let modifiedCount = 0;
+  let unchangedCount = 0;
+  let newlineOnlyCount = 0;
+
+  allTermIds.forEach((termId) => {
+    const term1 = file1Map.get(termId);
+    const term2 = file2Map.get(termId);
+
+    if (!term1) {
+      // Term added in file 2
+      results.push({
+        termId,
+        type: "added",
+        newValue: term2[language] || "",
+        oldValue: "",
+        englishText: term2.English || "",
+        notes: term2.notes || "",
+      });
+      addedCount++;
+    } else if (!term2) {
+      // Term removed in file 2
+      results.push({
+        termId,
+        type: "removed",
+        oldValue: term1[language] || "",
+        newValue: "",
+        englishText: term1.English || "",
+        notes: term1.notes || "",
+      });
+      removedCount++;
+    } else {
+      // Term exists in both files
+      const oldValue = term1[language] || "";
+      const newValue = term2[language] || "";
+
+      let type = "modified";
+      if (areValuesEqual(oldValue, newValue, options)) {
+        type = "unchanged";
+        unchangedCount++;
+      } else if (isNewlineOnlyDiff(oldValue, newValue)) {
+        // Difference is only due to newline characters
+        type = "newline-only";
+        newlineOnlyCount++;
+      } else {
+        modifiedCount++;
+      }
+
+      results.push({
+        termId,
+        type,
+        oldValue,
+        newValue,
+        englishText: term2.English || term1.English || "",
+        notes: term2.notes || term1.notes || "",
+      });
+    }
+  });
+
+  return {
+    terms: results,
+    stats: {
+      added: addedCount,
+      removed: removedCount,
+      modified: modifiedCount,
+      unchanged: unchangedCount,
+      newlineOnly: newlineOnlyCount,
+      total: allTermIds.size,
+    },
+  };
+}
+
+/**
+ * Compare the English text of an uploaded base file with the current data
+ * @param {Array} originalData - Current main data
+ * @param {Array} uploadedData - Uploaded base file
+ * @returns {Object} Object with added and removed termIDs, modified terms and the uploaded data
+ */
+export function compareBaseFiles(originalData, uploadedData) {
+  const originalMap = {};
+  const uploadedMap = {};
+  const originalRawMap = {}; // Store raw text for diff display
+  const uploadedRawMap = {}; // Store raw text for diff display
+
+  // Create maps for easy comparison
+  originalData.forEach((row) => {
+    if (row.termID) {
+      originalRawMap[row.termID] = row.English || "";
+      originalMap[row.termID] = normalizeText(row.English || "");
+    }
+  });
+
+  uploadedData.forEach((row) => {
+    if (row.termID) {
+      uploadedRawMap[row.termID] = row.English || "";
+      uploadedMap[row.termID] = normalizeText(row.English || "");
+    }
+  });
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  // Find added and modified terms
+  Object.keys(uploadedMap).forEach((termID) => {
+    if (!originalMap.hasOwnProperty(termID)) {
+      added.push(termID);
+    } else if (originalMap[termID] !== uploadedMap[termID]) {
+      // Use raw text for diff display, but normalized text was used for comparison
+      modified.push({
+        termID,
+        oldText: originalMap[termID],
+        newText: uploadedMap[termID],
+        oldTextRaw: originalRawMap[termID],
+        newTextRaw: uploadedRawMap[termID],
+      });
+    }
+  });
+
+  // Find removed terms
+  Object.keys(originalMap).forEach((termID) => {
+    if (!uploadedMap.hasOwnProperty(termID)) {
+      removed.push(termID);
+    }
+  });
+
+  return { added, removed, modified, uploadedData };
+}
+
+/**
+ * Apply base file changes to the main data
+ * @param {Array} originalData - Current main data
+ * @param {Object} changes - Output of compareBaseFiles
+ * @param {Array} languages - Language columns to create for added terms
+ * @returns {Array} New main data
+ */
+export function applyChanges(originalData, changes, languages) {
+  const { added, removed, modified, uploadedData } = changes;
+
+  // Create new data structure
+  const newData = [];
+  const uploadedMap = mapByTermID(uploadedData);
+
+  // Process existing data
+  originalData.forEach((originalRow) => {
+    if (originalRow.termID && uploadedMap[originalRow.termID]) {
+      // Term exists in both, update English text if modified
+      const updatedRow = { ...originalRow };
+      updatedRow.English = uploadedMap[originalRow.termID].English || "";
+
+      // If English was modified, mark translations as needing update
+      // But only if shouldBeTranslated is TRUE
+      if (
+        modified.some((m) => m.termID === originalRow.termID) &&
+        originalRow.shouldBeTranslated === "TRUE"
+      ) {
+        updatedRow.translationNeedsToBeUpdated = "TRUE";
+      }
+
+      newData.push(updatedRow);
+      delete uploadedMap[originalRow.termID]; // Remove from map to track remaining as new
+    } else if (!removed.includes(originalRow.termID)) {
+      // Term not in uploaded data and not in removed list, keep as is
+      newData.push(originalRow);
+    }
+    // If in removed list, don't add to newData (effectively removing it)
+  });
+
+  // Add new terms
+  Object.values(uploadedMap).forEach((newRow) => {
+    if (newRow.termID && added.includes(newRow.termID)) {
+      const row = {
+        termID: newRow.termID,
+        notes: newRow.notes || "",
+        shouldBeTranslated: newRow.shouldBeTranslated || "TRUE",
+        translationNeedsToBeUpdated: "FALSE",
+        English: newRow.English || "",
+      };
+
+      // Add empty language columns
+      languages.forEach((lang) => {
+        row[lang] = "";
+      });
+
+      newData.push(row);
+    }
+  });
+
+  return newData;
+}
+
+/**
+ * List the cells that differ between the main data as loaded and the edited data,
+ * for writing only the changes back to the spreadsheet
+ * @param {Array} originalData - Main data as loaded from the sheet
+ * @param {Array} modifiedData - Edited main data
+ * @returns {Object} Object with cells ({ termID, column, oldValue, newValue }),
+ *   addedTerms (rows to append), removedTerms (termIDs no longer present) and
+ *   addedColumns (columns the sheet doesn't have yet, e.g. a new language)
+ */
+export function computeCellChanges(originalData, modifiedData) {
+  const originalMap = mapByTermID(originalData);
+  const originalColumns = new Set(originalData.flatMap((row) => Object.keys(row)));
+  const addedColumns = [...new Set(modifiedData.flatMap((row) => Object.keys(row)))].filter(
+    (column) => !column.startsWith("_") && !originalColumns.has(column)
+  );
+  const modifiedIds = new Set();
+  const cells = [];
+  const addedTerms = [];
+
+  modifiedData.forEach((row) => {
+    if (!row.termID) return;
+    modifiedIds.add(row.termID);
+
+    const original = originalMap[row.termID];
+    if (!original) {
+      addedTerms.push(row);
+      return;
+    }
+
+    Object.keys(row).forEach((column) => {
+      // Columns starting with _ are internal flags, not sheet columns
+      if (column === "termID" || column.startsWith("_")) return;
+
+      const oldValue = original[column] ?? "";
+      const newValue = row[column] ?? "";
+      if (oldValue !== newValue) {
+        cells.push({ termID: row.termID, column, oldValue, newValue });
+      }
+    });
+  });
+
+  const removedTerms = originalData
+    .filter((row) => row.termID && !modifiedIds.has(row.termID))
+    .map((row) => row.termID);
+
+  return { cells, addedTerms, removedTerms, addedColumns };
+}
+
+/**
+ * Summarize what changed in the sheet between two fetches, for the
+ * "since your last visit" notice. Whitespace and line ending changes are ignored.
+ * @param {Array} previousData - Sheet rows of the earlier fetch
+ * @param {Array} currentData - Sheet rows of the latest fetch
+ * @param {Array} languages - Language columns to check for new translations
+ * @returns {Object} Object with newTerms ({ termID, english }), changedEnglish
+ *   ({ termID, oldValue, newValue }) and newTranslations ({ termID, language, value })
+ */
+export function summarizeSheetChanges(previousData, currentData, languages) {
+  const previousMap = mapByTermID(previousData);
+  const newTerms = [];
+  const changedEnglish = [];
+  const newTranslations = [];
+
+  currentData.forEach((row) => {
+    if (!row.termID) return;
+
+    const previous = previousMap[row.termID];
+    if (!previous) {
+      newTerms.push({ termID: row.termID, english: row.English || "" });
+      return;
+    }
+
+    if (normalizeText(previous.English || "") !== normalizeText(row.English || "")) {
+      changedEnglish.push({
+        termID: row.termID,
+        oldValue: previous.English || "",
+        newValue: row.English || "",
+      });
+    }
+
+    languages.forEach((language) => {
+      const value = row[language] || "";
+      if (value.trim() && !(previous[language] || "").trim()) {
+        newTranslations.push({ termID: row.termID, language, value });
+      }
+    });
+  });
+
+  return { newTerms, changedEnglish, newTranslations };
+}
+
+/**
+ * Compare the rows a translator last downloaded with the current sheet, for the
+ * digest page. Whitespace and line ending changes are ignored, and so are
+ * translations that match one of the translator's own uploads since the download.
+ * @param {Array} exportedRows - Rows of the last download (termID, English and the language)
+ * @param {Array} currentData - Current main data
+ * @param {string} language - Language of the download
+ * @param {Object} options - Digest options
+ * @param {Array} [options.uploads] - The translator's uploads since the download,
+ *   each with values (termID -> translation), see addUploadToExportSnapshot
+ * @returns {Object} Object with added ({ termID, english }), englishChanged
+ *   ({ termID, oldEnglish, newEnglish }), removed ({ termID, english }) and
+ *   translationChanged ({ termID, english, oldValue, newValue })
+ */
+export function generateTranslatorDigest(exportedRows, currentData, language, options = {}) {
+  const { uploads = [] } = options;
+  const exportedMap = mapByTermID(exportedRows);
+  const currentIds = new Set();
+  const added = [];
+  const englishChanged = [];
+  const translationChanged = [];
+
+  currentData.forEach((row) => {
+    if (!row.termID) return;
+    currentIds.add(row.termID);
+
+    const exported = exportedMap[row.termID];
+    if (!exported) {
+      added.push({ termID: row.termID, english: row.English || "" });
+      return;
+    }
+
+    if (normalizeText(exported.English || "") !== normalizeText(row.English || "")) {
+      englishChanged.push({
+        termID: row.termID,
+        oldEnglish: exported.English || "",
+        newEnglish: row.English || "",
+      });
+    }
+
+    const newValue = normalizeText(row[language] || "");
+    const isOwnUpload = uploads.some(
+      (upload) =>
+        upload.values[row.termID] !== undefined &&
+        normalizeText(upload.values[row.termID]) === newValue
+    );
+    if (normalizeText(exported[language] || "") !== newValue && !isOwnUpload) {
+      translationChanged.push({
+        termID: row.termID,
+        english: row.English || "",
+        oldValue: exported[language] || "",
+        newValue: row[language] || "",
+      });
+    }
+  });
+
+  const removed = exportedRows
+    .filter((row) => row.termID && !currentIds.has(row.termID))
+    .map((row) => ({ termID: row.termID, english: row.English || "" }));
+
+  return { added, englishChanged, removed, translationChanged };
+}
+
+/**
+ * Merge the translations of a language file (server, LQA or uploaded) into the main data.
+ * Terms whose English changed since the file was made and terms that should not be
+ * translated are skipped.
+ *
+ * With options.baseData (the version the file was made from, e.g. the previous server
+ * backup) the merge is three-way: a term changed only in the main data keeps the main
+ * value, and a term changed differently in both is reported as a conflict instead of
+ * being overwritten. Without it every differing file value wins.
+ *
+ * A previous server backup may never have been merged, so with options.unconfirmedBase
+ * the base is decided per term: it only counts where the main data has its value. An
+ * empty main value takes the file value, and a term the file left as it was in the base
+ * but the main data has another value for is a conflict, since it can be a reviewer's
+ * edit or a translation that never reached the main data.
+ * @param {Array} mainData - Current main data
+ * @param {Array} fileData - Language file rows
+ * @param {string} language - Language column to merge
+ * @param {Object} options - Merge options
+ * @param {Array} [options.baseData] - Common ancestor of the main data and the file
+ * @param {boolean} [options.unconfirmedBase=false] - The base may never have been merged
+ * @returns {Object} Object with the new data, updatedCount, skippedOutdated, skippedCount,
+ *   keptMainCount and conflicts ({ termID, english, base, main, file })
+ */
+export function mergeLanguageData(mainData, fileData, language, options = {}) {
+  // Create maps of file data by termID
+  const fileTranslations = {};
+  const fileEnglishMap = {};
+  fileData.forEach((row) => {
+    if (row.termID) {
+      if (row[language] && row[language].trim()) {
+        fileTranslations[row.termID] = row[language];
+      }
+      if (row.English) {
+        fileEnglishMap[row.termID] = normalizeText(row.English);
+      }
+    }
+  });
+
+  const baseMap = options.baseData ? mapByTermID(options.baseData) : null;
+
+  let updatedCount = 0;
+  let skippedOutdated = 0;
+  let skippedCount = 0;
+  let keptMainCount = 0;
+  const conflicts = [];
+
+  const data = mainData.map((row) => {
+    if (!row.termID || !fileTranslations.hasOwnProperty(row.termID)) {
+      return row;
+    }
+
+    // Only update rows that should be translated
+    if (row.shouldBeTranslated === "FALSE") {
+      skippedCount++;
+      return row;
+    }
+
+    // Check if this term is outdated (file English doesn't match main English)
+    const mainEnglish = normalizeText(row.English || "");
+    const fileEnglish = fileEnglishMap[row.termID];
+    if (fileEnglish && fileEnglish !== mainEnglish) {
+      skippedOutdated++;
+      return row;
+    }
+
+    // Compare normalized text, but store the original value from the file
+    const newTranslation = fileTranslations[row.termID];
+    const mainValue = normalizeText(row[language] || "");
+    const fileValue = normalizeText(newTranslation);
+    if (mainValue === fileValue) {
+      skippedCount++;
+      return row;
+    }
+
+    const baseRow = baseMap && baseMap[row.termID];
+    // Without a confirmed base an empty main value has nothing to lose
+    if (baseRow && !(options.unconfirmedBase && mainValue === "")) {
+      const baseValue = normalizeText(baseRow[language] || "");
+
+      // Only the main data changed since the base, keep it
+      if (fileValue === baseValue && !options.unconfirmedBase) {
+        keptMainCount++;
+        return row;
+      }
+
+      // Both changed the term differently, or the base's value never reached the main data
+      if (mainValue !== baseValue) {
+        conflicts.push({
+          termID: row.termID,
+          english: row.English || "",
+          base: baseRow[language] || "",
+          main: row[language] || "",
+          file: newTranslation,
+        });
+        return row;
+      }
+    }
+
+    updatedCount++;
+    return { ...row, [language]: newTranslation };
+  });
+
+  return {
+    data,
+    updatedCount,
+    skippedOutdated,
+    skippedCount,
+    keptMainCount,
+    conflicts,
+  };
+}
+
+/**
+ * List the terms a merge would change, without applying it
+ * @param {Array} mainData - Current main data
+ * @param {Array} fileData - Language file rows
+ * @param {string} language - Language column to merge
+ * @param {Object} options - Same options as mergeLanguageData
+ * @returns {Object} Object with changes ({ termID, english, oldValue, newValue }),
+ *   conflicts, skippedOutdated and keptMainCount
+ */
+export function listMergeChanges(mainData, fileData, language, options = {}) {
+  const result = mergeLanguageData(mainData, fileData, language, options);
+
+  // mergeLanguageData returns untouched rows as they are
+  const changes = [];
+  result.data.forEach((row, index) => {
+    if (row !== mainData[index]) {
+      changes.push({
+        termID: row.termID,
+        english: row.English || "",
+        oldValue: mainData[index][language] || "",
+        newValue: row[language],
+      });
+    }
+  });
+
+  return {
+    changes,
+    conflicts: result.conflicts,
+    skippedOutdated: result.skippedOutdated,
+    keptMainCount: result.keptMainCount,
+  };
+}
+
+/**
+ * Apply the chosen values for merge conflicts
+ * @param {Array} mainData - Current main data
+ * @param {string} language - Language column
+ * @param {Object} resolutions - Map of termID to the value to keep
+ * @returns {Object} Object with the new data and resolvedCount
+ */
+export function resolveMergeConflicts(mainData, language, resolutions) {
+  let resolvedCount = 0;
+
+  const data = mainData.map((row) => {
+    if (!row.termID || !Object.hasOwn(resolutions, row.termID)) {
+      return row;
+    }
+
+    const value = resolutions[row.termID];
+    if ((row[language] || "") === value) {
+      return row;
+    }
+
+    resolvedCount++;
+    return { ...row, [language]: value };
+  });
+
+  return { data, resolvedCount };
+}
+
+/**
+ * Merge LQA translations into the base data
+ * LQA translations take precedence over base translations
+ * @param {Array} baseData - The base file data
+ * @param {Array} lqaData - The LQA file data
+ * @param {string} language - The language to merge
+ * @returns {Array} - The merged data, with _lqaApplied set on rows that changed
+ */
+export function mergeLQAIntoData(baseData, lqaData, language) {
+  // Create a map of LQA translations by termID
+  const lqaMap = {};
+  lqaData.forEach((row) => {
+    if (row.termID && row[language] && row[language].trim()) {
+      lqaMap[row.termID] = row[language];
+    }
+  });
+
+  // Apply LQA translations to a copy of the base data
+  return baseData.map((row) => {
+    if (row.termID && lqaMap[row.termID]) {
+      return { ...row, [language]: lqaMap[row.termID], _lqaApplied: true };
+    }
+    return { ...row };
+  });
+}
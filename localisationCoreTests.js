@@ -0,0 +1,994 @@
+/**
+ * Test Suite for the Localisation Core Module
+ * Runs the report, diff and merge logic against the real localization.csv
+ *
+ * Usage: node localisationCoreTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV } from "./csvParser.js";
+import {
+  compareAndGenerateReport,
+  generateLanguageExportRows,
+  generateTodoExportRows,
+  generateTermDiffs,
+  compareBaseFiles,
+  applyChanges,
+  computeCellChanges,
+  summarizeSheetChanges,
+  hasLanguageColumn,
+  generateTranslatorDigest,
+  mergeLanguageData,
+  resolveMergeConflicts,
+  listMergeChanges,
+  mergeLQAIntoData,
+} from "./localisationCore.js";
+import { normalizeGlossary } from "./glossaryChecker.js";
+
+const LANGUAGE = "Polish";
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+const mainData = loadLocalizationData();
+const languages = Object.keys(mainData[0]).slice(5);
+
+/**
+ * Find the first row matching a predicate
+ * @param {Function} predicate - Row filter
+ * @returns {Object} Matching row
+ */
+function findRow(predicate) {
+  const row = mainData.find(predicate);
+  if (!row) throw new Error("localization.csv has no row for this test");
+  return row;
+}
+
+const translatedRow = findRow(
+  (row) => row.shouldBeTranslated === "TRUE" && row[LANGUAGE].trim() !== ""
+);
+const untranslatedRow = findRow(
+  (row) => row.shouldBeTranslated === "TRUE" && row[LANGUAGE].trim() === ""
+);
+const notTranslatableRow = findRow((row) => row.shouldBeTranslated === "FALSE");
+
+/**
+ * Copy rows so a test can change them freely
+ * @param {Array} rows - Rows to copy
+ * @returns {Array} Copied rows
+ */
+function cloneRows(rows) {
+  return rows.map((row) => ({ ...row }));
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Localisation Core Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    // Translation report
+    { name: "Report - exported file is up to date", test: testReportUpToDate },
+    { name: "Report - changed English needs update", test: testReportNeedsUpdate },
+    { name: "Report - omitted terms keep latest", test: testReportOmittedTerms },
+    { name: "Report - LQA mode skips missing terms", test: testReportLqaMode },
+    { name: "Report - to-do file keeps omitted terms", test: testReportPartialExport },
+    { name: "Report - broken placeholder is flagged", test: testReportMarkup },
+    { name: "Report - glossary violations are flagged", test: testReportGlossary },
+
+    // Export
+    { name: "Export - single language rows", test: testExportRows },
+    { name: "Export - to-do rows with context", test: testTodoExportRows },
+    { name: "Export - new language starts from a template", test: testNewLanguageTemplate },
+
+    // Term diffs
+    { name: "Term diff - identical files", test: testTermDiffIdentical },
+    { name: "Term diff - modified, added, removed", test: testTermDiffChanges },
+    { name: "Term diff - line endings only", test: testTermDiffNewlineOnly },
+    { name: "Term diff - ignore case", test: testTermDiffIgnoreCase },
+
+    // Base file changes
+    { name: "Base file - detect changes", test: testCompareBaseFiles },
+    { name: "Base file - apply changes", test: testApplyChanges },
+    { name: "Base file - changed cells for write-back", test: testComputeCellChanges },
+    { name: "Base file - new language column for write-back", test: testComputeAddedColumns },
+    { name: "Sheet - changes since last fetch", test: testSummarizeSheetChanges },
+    { name: "Sheet - translator digest since last download", test: testTranslatorDigest },
+
+    // Merging
+    { name: "Merge - language file", test: testMergeLanguageData },
+    { name: "Merge - skips outdated terms", test: testMergeSkipsOutdated },
+    { name: "Merge - three-way with base", test: testThreeWayMerge },
+    { name: "Merge - unconfirmed base is decided per term", test: testUnconfirmedMergeBase },
+    { name: "Merge - resolve conflicts", test: testResolveMergeConflicts },
+    { name: "Merge - list changes without applying", test: testListMergeChanges },
+    { name: "Merge - LQA into data", test: testMergeLQAIntoData },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+// Translation report tests
+function testReportUpToDate() {
+  const userData = generateLanguageExportRows(mainData, LANGUAGE);
+  const { report, processedData } = compareAndGenerateReport(
+    mainData,
+    userData,
+    LANGUAGE
+  );
+
+  const expectedUntranslated = mainData.filter(
+    (row) =>
+      row.termID &&
+      row.shouldBeTranslated !== "FALSE" &&
+      row[LANGUAGE].trim() === ""
+  ).length;
+
+  if (report.totalNeedsUpdate !== 0) {
+    return {
+      success: false,
+      message: `Expected 0 terms needing update, got ${report.totalNeedsUpdate}`,
+    };
+  }
+
+  if (report.totalNeedsTranslation !== expectedUntranslated) {
+    return {
+      success: false,
+      message: `Expected ${expectedUntranslated} untranslated terms, got ${report.totalNeedsTranslation}`,
+    };
+  }
+
+  if (processedData.length !== mainData.filter((row) => row.termID).length) {
+    return {
+      success: false,
+      message: `Processed data should contain every term, got ${processedData.length}`,
+    };
+  }
+
+  return { success: true };
+}
+
+function testReportNeedsUpdate() {
+  const userData = cloneRows(generateLanguageExportRows(mainData, LANGUAGE));
+  const userRow = userData.find((row) => row.termID === translatedRow.termID);
+  userRow.English = `${userRow.English} (old)`;
+
+  const { report, processedData } = compareAndGenerateReport(
+    mainData,
+    userData,
+    LANGUAGE
+  );
+  const processedRow = processedData.find(
+    (row) => row.termID === translatedRow.termID
+  );
+
+  if (!report.needsUpdate.includes(translatedRow.termID)) {
+    return { success: false, message: "Changed term not in needsUpdate" };
+  }
+
+  if (processedRow.translationNeedsToBeUpdated !== "TRUE") {
+    return {
+      success: false,
+      message: "Processed row should be marked translationNeedsToBeUpdated",
+    };
+  }
+
+  const detail = report.needsUpdateDetails[0];
+  if (detail.oldText !== userRow.English || detail.newText !== translatedRow.English) {
+    return { success: false, message: "needsUpdateDetails has the wrong texts" };
+  }
+
+  return { success: true };
+}
+
+function testReportOmittedTerms() {
+  const userData = generateLanguageExportRows(mainData, LANGUAGE).filter(
+    (row) => row.termID !== translatedRow.termID
+  );
+
+  const { report, processedData } = compareAndGenerateReport(
+    mainData,
+    userData,
+    LANGUAGE
+  );
+  const processedRow = processedData.find(
+    (row) => row.termID === translatedRow.termID
+  );
+
+  if (!report.missingTermsFoundInLatest.includes(translatedRow.termID)) {
+    return {
+      success: false,
+      message: "Omitted term should be listed as found in latest",
+    };
+  }
+
+  if (processedRow[LANGUAGE] !== translatedRow[LANGUAGE]) {
+    return {
+      success: false,
+      message: "Omitted term should keep the latest translation",
+    };
+  }
+
+  return { success: true };
+}
+
+function testReportPartialExport() {
+  const todoRows = generateTodoExportRows(mainData, LANGUAGE, { contextRows: 0 });
+  const userData = todoRows.map((row) =>
+    row.termID === untranslatedRow.termID ? { ...row, [LANGUAGE]: "Nowe" } : row
+  );
+
+  const { report, processedData } = compareAndGenerateReport(
+    mainData,
+    userData,
+    LANGUAGE
+  );
+
+  if (report.totalMissingTermsFoundInLatest !== 0 || report.totalOmittedTerms === 0) {
+    return {
+      success: false,
+      message: `Terms left out of a to-do file are not missing: ${report.totalMissingTermsFoundInLatest} missing, ${report.totalOmittedTerms} omitted`,
+    };
+  }
+
+  if (processedData.length !== mainData.length) {
+    return { success: false, message: "Every term should be kept in the processed data" };
+  }
+
+  const processedRow = processedData.find((row) => row.termID === untranslatedRow.termID);
+  if (processedRow[LANGUAGE] !== "Nowe") {
+    return { success: false, message: "Translation from the to-do file was not applied" };
+  }
+
+  return { success: true };
+}
+
+function testReportLqaMode() {
+  const userData = [
+    { ...translatedRow, [LANGUAGE]: `${translatedRow[LANGUAGE]} (LQA)` },
+  ];
+
+  const { report, processedData } = compareAndGenerateReport(
+    mainData,
+    userData,
+    LANGUAGE,
+    { isLqaMode: true }
+  );
+
+  const translatable = processedData.filter(
+    (row) => row.shouldBeTranslated !== "FALSE"
+  );
+
+  if (translatable.length !== 1 || translatable[0].termID !== translatedRow.termID) {
+    return {
+      success: false,
+      message: `Expected only the LQA term, got ${translatable.length} translatable rows`,
+    };
+  }
+
+  if (report.totalNeedsTranslation !== 0 || report.totalMissingTermsFoundInLatest !== 0) {
+    return {
+      success: false,
+      message: "LQA mode should not report missing terms",
+    };
+  }
+
+  return { success: true };
+}
+
+function testReportMarkup() {
+  const row = findRow(
+    (r) =>
+      r.shouldBeTranslated === "TRUE" &&
+      r[LANGUAGE].trim() !== "" &&
+      /\[[A-Za-z_]+\]/.test(r.English) &&
+      r.English.trim() !== r.English.match(/\[[A-Za-z_]+\]/)[0]
+  );
+  const placeholder = row.English.match(/\[[A-Za-z_]+\]/)[0];
+  const userData = cloneRows(generateLanguageExportRows(mainData, LANGUAGE));
+  const userRow = userData.find((r) => r.termID === row.termID);
+  userRow[LANGUAGE] = userRow[LANGUAGE].split(placeholder).join("");
+
+  const { report } = compareAndGenerateReport(mainData, userData, LANGUAGE);
+  const result = report.markupIssues.find((r) => r.termID === row.termID);
+
+  if (!result || !result.issues.some((issue) => issue.token === placeholder)) {
+    return {
+      success: false,
+      message: `Removing ${placeholder} from ${row.termID} should be reported`,
+    };
+  }
+
+  return { success: true };
+}
+
+function testReportGlossary() {
+  const glossary = normalizeGlossary({
+    terms: [
+      {
+        term: "friends",
+        translations: { [LANGUAGE]: { approved: ["znajom*"], forbidden: ["przyjaci*"] } },
+      },
+    ],
+  });
+  const row = findRow((r) => r.English.trim() === "friends" && r[LANGUAGE].trim() !== "");
+  const userData = cloneRows(generateLanguageExportRows(mainData, LANGUAGE));
+  userData.find((r) => r.termID === row.termID)[LANGUAGE] = "przyjaciele";
+
+  const withoutGlossary = compareAndGenerateReport(mainData, userData, LANGUAGE).report;
+  if (withoutGlossary.totalGlossaryIssues !== 0) {
+    return { success: false, message: "Nothing should be flagged without a glossary" };
+  }
+
+  const { report } = compareAndGenerateReport(mainData, userData, LANGUAGE, { glossary });
+  const result = report.glossaryIssues.find((r) => r.termID === row.termID);
+  if (
+    !result ||
+    result.issues.map((issue) => issue.type).join() !== "forbidden,missing" ||
+    report.totalGlossaryIssues !== report.glossaryIssues.length
+  ) {
+    return {
+      success: false,
+      message: `Expected a forbidden and a missing issue for ${row.termID}: ${JSON.stringify(result)}`,
+    };
+  }
+
+  return { success: true };
+}
+
+// Export tests
+function testExportRows() {
+  const rows = generateLanguageExportRows(mainData, LANGUAGE);
+  const columns = Object.keys(rows[0]);
+  const expectedColumns = [
+    "termID",
+    "notes",
+    "shouldBeTranslated",
+    "translationNeedsToBeUpdated",
+    "English",
+    LANGUAGE,
+  ];
+
+  if (columns.join(",") !== expectedColumns.join(",")) {
+    return { success: false, message: `Unexpected columns: ${columns.join(", ")}` };
+  }
+
+  if (rows.some((row) => !row.termID)) {
+    return { success: false, message: "Rows without termID should be dropped" };
+  }
+
+  return { success: true };
+}
+
+function testNewLanguageTemplate() {
+  if (hasLanguageColumn(mainData, "Turkish") || !hasLanguageColumn(mainData, LANGUAGE)) {
+    return { success: false, message: "hasLanguageColumn should only find sheet columns" };
+  }
+
+  const rows = generateLanguageExportRows(mainData, "Turkish", { template: true });
+  if (rows.length !== generateLanguageExportRows(mainData, LANGUAGE).length) {
+    return { success: false, message: "The template should have every term" };
+  }
+  if (rows.some((row) => row.Turkish !== "" || row.translationNeedsToBeUpdated !== "FALSE")) {
+    return { success: false, message: "The template should be empty with nothing to update" };
+  }
+
+  const todo = generateTodoExportRows(mainData, "Turkish");
+  const translatable = mainData.filter((row) => row.termID && row.shouldBeTranslated !== "FALSE");
+  if (todo.filter((row) => row.exportType === "todo").length !== translatable.length) {
+    return { success: false, message: "Every translatable term is to do for a new language" };
+  }
+  return { success: true };
+}
+
+// Term diff tests
+function testTodoExportRows() {
+  const rows = generateTodoExportRows(mainData, LANGUAGE);
+  const types = Object.fromEntries(rows.map((row) => [row.termID, row.exportType]));
+
+  if (types[untranslatedRow.termID] !== "todo") {
+    return { success: false, message: "Untranslated term should be to do" };
+  }
+  if (types[notTranslatableRow.termID] === "todo") {
+    return { success: false, message: "Terms that are not translated should never be to do" };
+  }
+
+  // Every to-do row has its neighbours for context
+  const exportRows = generateLanguageExportRows(mainData, LANGUAGE);
+  const index = exportRows.findIndex((row) => row.termID === untranslatedRow.termID);
+  const neighbours = exportRows.slice(Math.max(0, index - 2), index + 3);
+  if (!neighbours.every((row) => types[row.termID])) {
+    return { success: false, message: "Context rows are missing around a to-do term" };
+  }
+
+  // English changed since the last download
+  const exportedRows = exportRows.map((row) =>
+    row.termID === translatedRow.termID ? { ...row, English: "Old English" } : row
+  );
+  const sinceDownload = generateTodoExportRows(mainData, LANGUAGE, {
+    exportedRows,
+    contextRows: 0,
+  });
+  const changedRow = sinceDownload.find((row) => row.termID === translatedRow.termID);
+  if (!changedRow || changedRow.exportType !== "todo") {
+    return { success: false, message: "Term with changed English should be to do" };
+  }
+
+  return { success: true };
+}
+
+function testTermDiffIdentical() {
+  const { stats } = generateTermDiffs(mainData, cloneRows(mainData), LANGUAGE);
+
+  if (stats.unchanged !== stats.total || stats.total === 0) {
+    return {
+      success: false,
+      message: `Expected all ${stats.total} terms unchanged, got ${stats.unchanged}`,
+    };
+  }
+
+  return { success: true };
+}
+
+function testTermDiffChanges() {
+  const file2Data = cloneRows(mainData).filter(
+    (row) => row.termID !== untranslatedRow.termID
+  );
+  file2Data.find((row) => row.termID === translatedRow.termID)[LANGUAGE] +=
+    " zmiana";
+  file2Data.push({ termID: "test_new_term", English: "New", [LANGUAGE]: "Nowy" });
+
+  const { terms, stats } = generateTermDiffs(mainData, file2Data, LANGUAGE);
+
+  if (stats.modified !== 1 || stats.added !== 1 || stats.removed !== 1) {
+    return {
+      success: false,
+      message: `Expected 1 modified, 1 added, 1 removed. Got ${stats.modified}, ${stats.added}, ${stats.removed}`,
+    };
+  }
+
+  const modified = terms.find((term) => term.type === "modified");
+  if (modified.termId !== translatedRow.termID || modified.diff !== undefined) {
+    return {
+      success: false,
+      message: "Modified term is wrong or carries rendered HTML",
+    };
+  }
+
+  return { success: true };
+}
+
+function testTermDiffNewlineOnly() {
+  const row = findRow((r) => r[LANGUAGE].includes("\n"));
+  const file2Data = cloneRows(mainData);
+  const file2Row = file2Data.find((r) => r.termID === row.termID);
+  file2Row[LANGUAGE] = row[LANGUAGE].includes("\r\n")
+    ? row[LANGUAGE].replace(/\r\n/g, "\n")
+    : row[LANGUAGE].replace(/\n/g, "\r\n");
+
+  const { terms } = generateTermDiffs(mainData, file2Data, LANGUAGE);
+  const term = terms.find((t) => t.termId === row.termID);
+
+  if (term.type !== "newline-only") {
+    return { success: false, message: `Expected newline-only, got ${term.type}` };
+  }
+
+  return { success: true };
+}
+
+function testTermDiffIgnoreCase() {
+  const file2Data = cloneRows(mainData);
+  const file2Row = file2Data.find((r) => r.termID === translatedRow.termID);
+  file2Row[LANGUAGE] = file2Row[LANGUAGE].toUpperCase();
+
+  if (file2Row[LANGUAGE] === translatedRow[LANGUAGE]) {
+    return { success: true }; // Nothing to change in a caseless script
+  }
+
+  const strict = generateTermDiffs(mainData, file2Data, LANGUAGE);
+  const relaxed = generateTermDiffs(mainData, file2Data, LANGUAGE, {
+    ignoreCase: true,
+  });
+
+  if (strict.stats.modified !== 1 || relaxed.stats.modified !== 0) {
+    return {
+      success: false,
+      message: `Expected 1 modified without and 0 with ignoreCase. Got ${strict.stats.modified} and ${relaxed.stats.modified}`,
+    };
+  }
+
+  return { success: true };
+}
+
+// Base file tests
+function buildUpdatedBaseFile() {
+  const uploadedData = cloneRows(mainData).filter(
+    (row) => row.termID !== untranslatedRow.termID
+  );
+  uploadedData.find((row) => row.termID === translatedRow.termID).English +=
+    " Updated.";
+  uploadedData.push({
+    termID: "test_new_term",
+    notes: "",
+    shouldBeTranslated: "TRUE",
+    English: "A brand new term",
+  });
+  return uploadedData;
+}
+
+function testCompareBaseFiles() {
+  const changes = compareBaseFiles(mainData, buildUpdatedBaseFile());
+
+  if (changes.added.join() !== "test_new_term") {
+    return { success: false, message: `Unexpected added: ${changes.added}` };
+  }
+
+  if (changes.removed.join() !== untranslatedRow.termID) {
+    return { success: false, message: `Unexpected removed: ${changes.removed}` };
+  }
+
+  if (
+    changes.modified.length !== 1 ||
+    changes.modified[0].termID !== translatedRow.termID
+  ) {
+    return {
+      success: false,
+      message: `Expected only ${translatedRow.termID} modified, got ${changes.modified.length}`,
+    };
+  }
+
+  return { success: true };
+}
+
+function testApplyChanges() {
+  const originalData = cloneRows(mainData);
+  const changes = compareBaseFiles(originalData, buildUpdatedBaseFile());
+  const newData = applyChanges(originalData, changes, languages);
+
+  const updatedRow = newData.find((row) => row.termID === translatedRow.termID);
+  const addedRow = newData.find((row) => row.termID === "test_new_term");
+
+  if (newData.some((row) => row.termID === untranslatedRow.termID)) {
+    return { success: false, message: "Removed term is still present" };
+  }
+
+  if (
+    !updatedRow.English.endsWith(" Updated.") ||
+    updatedRow.translationNeedsToBeUpdated !== "TRUE" ||
+    updatedRow[LANGUAGE] !== translatedRow[LANGUAGE]
+  ) {
+    return {
+      success: false,
+      message: "Modified term should get the new English and need an update",
+    };
+  }
+
+  if (!addedRow || languages.some((lang) => addedRow[lang] !== "")) {
+    return {
+      success: false,
+      message: "Added term should have empty language columns",
+    };
+  }
+
+  const original = originalData.find((row) => row.termID === translatedRow.termID);
+  if (original.English !== translatedRow.English) {
+    return { success: false, message: "Original data was mutated" };
+  }
+
+  return { success: true };
+}
+
+function testComputeCellChanges() {
+  const modifiedData = mainData
+    .filter((row) => row.termID !== untranslatedRow.termID)
+    .map((row) =>
+      row.termID === translatedRow.termID
+        ? { ...row, [LANGUAGE]: "Zmienione", _lqaApplied: true }
+        : row
+    );
+  modifiedData.push({ termID: "brand_new_term", English: "New" });
+
+  const result = computeCellChanges(mainData, modifiedData);
+  const [cell] = result.cells;
+
+  if (
+    result.cells.length !== 1 ||
+    cell.termID !== translatedRow.termID ||
+    cell.column !== LANGUAGE ||
+    cell.oldValue !== translatedRow[LANGUAGE] ||
+    cell.newValue !== "Zmienione"
+  ) {
+    return { success: false, message: `Unexpected cells: ${JSON.stringify(result.cells)}` };
+  }
+
+  if (
+    result.addedTerms.length !== 1 ||
+    result.addedTerms[0].termID !== "brand_new_term" ||
+    result.removedTerms.join() !== untranslatedRow.termID
+  ) {
+    return { success: false, message: "Added or removed terms are wrong" };
+  }
+
+  return { success: true };
+}
+
+function testComputeAddedColumns() {
+  const modifiedData = mainData.map((row) => ({
+    ...row,
+    Turkish: row.termID === translatedRow.termID ? "Merhaba" : "",
+    _lqaApplied: true,
+  }));
+
+  const result = computeCellChanges(mainData, modifiedData);
+  if (result.addedColumns.join() !== "Turkish") {
+    return { success: false, message: `Unexpected columns: ${result.addedColumns.join()}` };
+  }
+  if (
+    result.cells.length !== 1 ||
+    result.cells[0].column !== "Turkish" ||
+    result.cells[0].oldValue !== "" ||
+    result.cells[0].newValue !== "Merhaba"
+  ) {
+    return { success: false, message: `Unexpected cells: ${JSON.stringify(result.cells)}` };
+  }
+  if (computeCellChanges(mainData, mainData).addedColumns.length !== 0) {
+    return { success: false, message: "Unchanged data has no new columns" };
+  }
+  return { success: true };
+}
+
+function testSummarizeSheetChanges() {
+  const currentData = mainData.map((row) => {
+    if (row.termID === translatedRow.termID) {
+      return { ...row, English: `${row.English} (edited)` };
+    }
+    if (row.termID === untranslatedRow.termID) {
+      return { ...row, [LANGUAGE]: "Nowe" };
+    }
+    if (row.termID === notTranslatableRow.termID) {
+      return { ...row, English: row.English.replace(/\n/g, "\r\n") };
+    }
+    return row;
+  });
+  currentData.push({ termID: "brand_new_term", English: "New" });
+
+  const summary = summarizeSheetChanges(mainData, currentData, languages);
+
+  if (summary.newTerms.length !== 1 || summary.newTerms[0].termID !== "brand_new_term") {
+    return { success: false, message: `Unexpected new terms: ${JSON.stringify(summary.newTerms)}` };
+  }
+  if (summary.changedEnglish.map((term) => term.termID).join() !== translatedRow.termID) {
+    return { success: false, message: "Only the edited English should be reported" };
+  }
+  const [translation] = summary.newTranslations;
+  if (
+    summary.newTranslations.length !== 1 ||
+    translation.termID !== untranslatedRow.termID ||
+    translation.language !== LANGUAGE
+  ) {
+    return { success: false, message: "New translation was not reported" };
+  }
+
+  return { success: true };
+}
+
+function testTranslatorDigest() {
+  const exportedRows = generateLanguageExportRows(mainData, LANGUAGE);
+  exportedRows.push({ termID: "deleted_term", English: "Gone", [LANGUAGE]: "Nie ma" });
+
+  const currentData = mainData.map((row) => {
+    if (row.termID === translatedRow.termID) {
+      return { ...row, English: `${row.English} (edited)` };
+    }
+    if (row.termID === untranslatedRow.termID) {
+      return { ...row, [LANGUAGE]: "Przetłumaczone przez kogoś" };
+    }
+    return row;
+  });
+  currentData.push({ termID: "brand_new_term", English: "New" });
+
+  const digest = generateTranslatorDigest(exportedRows, currentData, LANGUAGE);
+  const ids = (list) => list.map((term) => term.termID).join();
+
+  if (
+    ids(digest.added) !== "brand_new_term" ||
+    ids(digest.englishChanged) !== translatedRow.termID ||
+    ids(digest.removed) !== "deleted_term" ||
+    ids(digest.translationChanged) !== untranslatedRow.termID
+  ) {
+    return { success: false, message: `Unexpected digest: ${JSON.stringify(digest)}` };
+  }
+
+  if (digest.translationChanged[0].oldValue !== "") {
+    return { success: false, message: "Old translation should be the downloaded value" };
+  }
+
+  // The translator's own upload, merged into the sheet since the download
+  const uploads = [
+    { values: { [translatedRow.termID]: "Inne", [untranslatedRow.termID]: "Przetłumaczone przez kogoś" } },
+  ];
+  const withUploads = generateTranslatorDigest(exportedRows, currentData, LANGUAGE, { uploads });
+  if (withUploads.translationChanged.length !== 0 || ids(withUploads.englishChanged) !== translatedRow.termID) {
+    return { success: false, message: `Own uploads should not count as changed by others: ${JSON.stringify(withUploads)}` };
+  }
+
+  return { success: true };
+}
+
+// Merge tests
+function testMergeLanguageData() {
+  const fileData = [
+    { ...translatedRow, [LANGUAGE]: "Nowe tłumaczenie" },
+    { ...untranslatedRow, [LANGUAGE]: "Pierwsze tłumaczenie" },
+    { ...notTranslatableRow, [LANGUAGE]: "Nie tłumaczyć" },
+  ];
+
+  const result = mergeLanguageData(mainData, fileData, LANGUAGE);
+  const merged = (termID) => result.data.find((row) => row.termID === termID);
+
+  if (result.updatedCount !== 2 || result.skippedCount !== 1) {
+    return {
+      success: false,
+      message: `Expected 2 updated and 1 skipped, got ${result.updatedCount} and ${result.skippedCount}`,
+    };
+  }
+
+  if (
+    merged(translatedRow.termID)[LANGUAGE] !== "Nowe tłumaczenie" ||
+    merged(untranslatedRow.termID)[LANGUAGE] !== "Pierwsze tłumaczenie" ||
+    merged(notTranslatableRow.termID)[LANGUAGE] !== notTranslatableRow[LANGUAGE]
+  ) {
+    return { success: false, message: "Merged translations are wrong" };
+  }
+
+  if (translatedRow[LANGUAGE] === "Nowe tłumaczenie") {
+    return { success: false, message: "Main data was mutated" };
+  }
+
+  return { success: true };
+}
+
+function testMergeSkipsOutdated() {
+  const fileData = [
+    {
+      ...translatedRow,
+      English: `${translatedRow.English} (old)`,
+      [LANGUAGE]: "Nieaktualne",
+    },
+  ];
+
+  const result = mergeLanguageData(mainData, fileData, LANGUAGE);
+
+  if (result.updatedCount !== 0 || result.skippedOutdated !== 1) {
+    return {
+      success: false,
+      message: `Expected the outdated term to be skipped, got ${result.updatedCount} updated`,
+    };
+  }
+
+  return { success: true };
+}
+
+function testThreeWayMerge() {
+  const [reviewed, translated, conflicting] = mainData.filter(
+    (row) => row.shouldBeTranslated === "TRUE" && row[LANGUAGE].trim() !== ""
+  );
+
+  // The base is what the translator started from, the main sheet moved on since
+  const baseData = [reviewed, translated, conflicting];
+  const currentMain = mainData.map((row) => {
+    if (row.termID === reviewed.termID || row.termID === conflicting.termID) {
+      return { ...row, [LANGUAGE]: "Poprawka recenzenta" };
+    }
+    return row;
+  });
+  const fileData = [
+    { ...reviewed },
+    { ...translated, [LANGUAGE]: "Nowe tłumaczenie" },
+    { ...conflicting, [LANGUAGE]: "Wersja tłumacza" },
+  ];
+
+  const result = mergeLanguageData(currentMain, fileData, LANGUAGE, { baseData });
+  const merged = (termID) => result.data.find((row) => row.termID === termID);
+
+  if (result.updatedCount !== 1 || result.keptMainCount !== 1) {
+    return {
+      success: false,
+      message: `Expected 1 updated and 1 kept, got ${result.updatedCount} and ${result.keptMainCount}`,
+    };
+  }
+
+  if (
+    merged(reviewed.termID)[LANGUAGE] !== "Poprawka recenzenta" ||
+    merged(translated.termID)[LANGUAGE] !== "Nowe tłumaczenie" ||
+    merged(conflicting.termID)[LANGUAGE] !== "Poprawka recenzenta"
+  ) {
+    return { success: false, message: "Three-way merge picked the wrong values" };
+  }
+
+  const [conflict] = result.conflicts;
+  if (
+    result.conflicts.length !== 1 ||
+    conflict.termID !== conflicting.termID ||
+    conflict.base !== conflicting[LANGUAGE] ||
+    conflict.main !== "Poprawka recenzenta" ||
+    conflict.file !== "Wersja tłumacza"
+  ) {
+    return { success: false, message: `Unexpected conflicts: ${JSON.stringify(result.conflicts)}` };
+  }
+
+  // Without a base the file wins everywhere
+  const twoWay = mergeLanguageData(currentMain, fileData, LANGUAGE);
+  if (twoWay.updatedCount !== 3 || twoWay.conflicts.length !== 0) {
+    return { success: false, message: "Merge without a base should not report conflicts" };
+  }
+
+  return { success: true };
+}
+
+function testUnconfirmedMergeBase() {
+  const [reviewed, retranslated, merged] = mainData.filter(
+    (row) => row.shouldBeTranslated === "TRUE" && row[LANGUAGE].trim() !== ""
+  );
+  const empty = untranslatedRow;
+
+  // The previous upload: merged once, then a reviewer fixed a term in the sheet;
+  // or never merged, so its translations are not in the sheet
+  const previousData = [
+    { ...reviewed },
+    { ...retranslated, [LANGUAGE]: "Pierwsza wersja" },
+    { ...merged },
+    { ...empty, [LANGUAGE]: "Niescalone tłumaczenie" },
+  ];
+  const currentMain = mainData.map((row) =>
+    row.termID === reviewed.termID ? { ...row, [LANGUAGE]: "Poprawka recenzenta" } : row
+  );
+  const fileData = [
+    { ...reviewed },
+    { ...retranslated, [LANGUAGE]: "Druga wersja" },
+    { ...merged, [LANGUAGE]: "Nowe tłumaczenie" },
+    { ...empty, [LANGUAGE]: "Niescalone tłumaczenie" },
+  ];
+
+  const result = mergeLanguageData(currentMain, fileData, LANGUAGE, {
+    baseData: previousData,
+    unconfirmedBase: true,
+  });
+  const value = (termID) => result.data.find((row) => row.termID === termID)[LANGUAGE];
+
+  // The reviewer's fix is neither overwritten nor silently kept
+  const conflictIds = result.conflicts.map((conflict) => conflict.termID);
+  if (conflictIds.join() !== [reviewed.termID, retranslated.termID].join()) {
+    return { success: false, message: `Unexpected conflicts: ${conflictIds.join()}` };
+  }
+  if (value(reviewed.termID) !== "Poprawka recenzenta" || result.keptMainCount !== 0) {
+    return { success: false, message: "A term only the main data changed should be a conflict" };
+  }
+  if (
+    result.updatedCount !== 2 ||
+    value(merged.termID) !== "Nowe tłumaczenie" ||
+    value(empty.termID) !== "Niescalone tłumaczenie"
+  ) {
+    return { success: false, message: `Merged and empty terms should take the file value: ${result.updatedCount} updated` };
+  }
+
+  // A confirmed base keeps the main value instead
+  const confirmed = mergeLanguageData(currentMain, fileData, LANGUAGE, { baseData: previousData });
+  if (confirmed.keptMainCount !== 2 || confirmed.conflicts.length !== 1) {
+    return { success: false, message: `Expected 2 kept main values, got ${confirmed.keptMainCount}` };
+  }
+
+  return { success: true };
+}
+
+function testResolveMergeConflicts() {
+  const result = resolveMergeConflicts(mainData, LANGUAGE, {
+    [translatedRow.termID]: "Wybrana wersja",
+    [untranslatedRow.termID]: untranslatedRow[LANGUAGE],
+  });
+  const row = result.data.find((r) => r.termID === translatedRow.termID);
+
+  if (result.resolvedCount !== 1 || row[LANGUAGE] !== "Wybrana wersja") {
+    return { success: false, message: `Expected 1 resolved term, got ${result.resolvedCount}` };
+  }
+
+  if (translatedRow[LANGUAGE] === "Wybrana wersja") {
+    return { success: false, message: "Main data was mutated" };
+  }
+
+  return { success: true };
+}
+
+function testListMergeChanges() {
+  const fileData = [
+    { ...translatedRow, [LANGUAGE]: "Nowe tłumaczenie" },
+    { ...untranslatedRow, [LANGUAGE]: "Pierwsze tłumaczenie" },
+    { ...notTranslatableRow, [LANGUAGE]: "Nie tłumaczyć" },
+  ];
+
+  const result = listMergeChanges(mainData, fileData, LANGUAGE);
+  const change = result.changes.find((c) => c.termID === translatedRow.termID);
+
+  if (result.changes.length !== 2 || !change) {
+    return { success: false, message: `Expected 2 changes, got ${result.changes.length}` };
+  }
+
+  if (
+    change.oldValue !== translatedRow[LANGUAGE] ||
+    change.newValue !== "Nowe tłumaczenie" ||
+    change.english !== translatedRow.English
+  ) {
+    return { success: false, message: `Unexpected change: ${JSON.stringify(change)}` };
+  }
+
+  return { success: true };
+}
+
+function testMergeLQAIntoData() {
+  const lqaData = [{ termID: translatedRow.termID, [LANGUAGE]: "Poprawione" }];
+  const merged = mergeLQAIntoData(mainData, lqaData, LANGUAGE);
+  const row = merged.find((r) => r.termID === translatedRow.termID);
+
+  if (row[LANGUAGE] !== "Poprawione" || !row._lqaApplied) {
+    return { success: false, message: "LQA translation was not applied" };
+  }
+
+  if (merged.filter((r) => r._lqaApplied).length !== 1) {
+    return { success: false, message: "Only one row should be marked as LQA" };
+  }
+
+  if (translatedRow._lqaApplied || translatedRow[LANGUAGE] === "Poprawione") {
+    return { success: false, message: "Base data was mutated" };
+  }
+
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
@@ -0,0 +1,339 @@
+/**
+ * Markup and placeholder integrity checking
+ * Compares the game markup tags (<b>, <font=...>, <skip>, ...) and bracket
+ * placeholders ([username], [item name], ...) of each translation against
+ * its English source
+ */
+
+import { escapeHtml } from "./htmlEscape.js";
+
+// Game markup tag: <name>, </name>, <name:args> or <name=value>
+const TAG_REGEX = /<(\/?)([A-Za-z_][\w-]*)((?:[:=][^<>\n]*)?)>/g;
+
+// Bracket placeholder: one or two identifier words, e.g. [username] or [item name]
+const PLACEHOLDER_REGEX = /\[[A-Za-z_][A-Za-z0-9_]*(?: [A-Za-z0-9_]+)?\]/g;
+
+// Tags that wrap text and therefore must be opened and closed in pairs
+const PAIRED_TAGS = ["b", "i", "u", "s", "font", "color", "hex", "size"];
+
+/**
+ * Extract markup tags and placeholders from a string
+ * @param {string} text - Text to scan
+ * @returns {Object} Object with tags and placeholders arrays, in order of appearance
+ */
+export function extractMarkupTokens(text) {
+  const tags = [];
+  const placeholders = [];
+
+  if (!text) return { tags, placeholders };
+
+  for (const match of text.matchAll(TAG_REGEX)) {
+    tags.push({
+      raw: match[0],
+      name: match[2].toLowerCase(),
+      isClosing: match[1] === "/",
+      index: match.index,
+    });
+  }
+
+  // A string that is nothing but one bracketed phrase is display text, not a placeholder
+  const trimmed = text.trim();
+  const wholeStringMatch = trimmed.match(PLACEHOLDER_REGEX);
+  if (
+    wholeStringMatch &&
+    wholeStringMatch.length === 1 &&
+    wholeStringMatch[0] === trimmed
+  ) {
+    return { tags, placeholders };
+  }
+
+  for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+    placeholders.push({ raw: match[0], index: match.index });
+  }
+
+  return { tags, placeholders };
+}
+
+/**
+ * Get the names of tags that must be balanced, based on the source tags
+ * @param {Array} sourceTags - Tags extracted from the English text
+ * @returns {Set} Set of paired tag names
+ */
+function getPairedTagNames(sourceTags) {
+  const names = new Set(PAIRED_TAGS);
+  sourceTags.forEach((tag) => {
+    if (tag.isClosing) names.add(tag.name);
+  });
+  return names;
+}
+
+/**
+ * Find tags that are closed without being opened, closed in the wrong order
+ * or never closed
+ * @param {Array} tags - Extracted tags
+ * @param {Set} pairedNames - Names of tags that must be balanced
+ * @returns {Array} Array of unbalanced tag descriptions
+ */
+function findUnbalancedTags(tags, pairedNames) {
+  const stack = [];
+  const problems = [];
+
+  tags.forEach((tag) => {
+    if (!pairedNames.has(tag.name)) return;
+
+    if (!tag.isClosing) {
+      stack.push(tag);
+      return;
+    }
+
+    const openIndex = stack.map((t) => t.name).lastIndexOf(tag.name);
+    if (openIndex === -1) {
+      problems.push({ token: tag.raw, reason: "closed without being opened" });
+      return;
+    }
+
+    // Anything opened after the matching tag was not closed in time
+    stack.splice(openIndex).slice(1).forEach((unclosed) => {
+      problems.push({
+        token: unclosed.raw,
+        reason: `not closed before ${tag.raw}`,
+      });
+    });
+  });
+
+  stack.forEach((unclosed) => {
+    problems.push({ token: unclosed.raw, reason: "never closed" });
+  });
+
+  return problems;
+}
+
+/**
+ * Count occurrences of each raw token
+ * @param {Array} tokens - Array of tokens with a raw property
+ * @returns {Map} Map of raw token to count
+ */
+function countTokens(tokens) {
+  const counts = new Map();
+  tokens.forEach((token) => {
+    counts.set(token.raw, (counts.get(token.raw) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Compare two token lists and return the missing and extra tokens
+ * @param {Array} sourceTokens - Tokens from the English text
+ * @param {Array} targetTokens - Tokens from the translation
+ * @returns {Object} Object with missing and extra arrays of raw tokens
+ */
+function diffTokens(sourceTokens, targetTokens) {
+  const sourceCounts = countTokens(sourceTokens);
+  const targetCounts = countTokens(targetTokens);
+  const missing = [];
+  const extra = [];
+
+  sourceCounts.forEach((count, raw) => {
+    const difference = count - (targetCounts.get(raw) || 0);
+    for (let i = 0; i < difference; i++) missing.push(raw);
+  });
+
+  targetCounts.forEach((count, raw) => {
+    const difference = count - (sourceCounts.get(raw) || 0);
+    for (let i = 0; i < difference; i++) extra.push(raw);
+  });
+
+  return { missing, extra };
+}
+
+/**
+ * Get the tag name of a raw tag token
+ * @param {string} raw - Raw tag, e.g. "<pause:0.5>"
+ * @returns {string} Lowercase tag name including the closing slash
+ */
+function getRawTagName(raw) {
+  const match = raw.match(/^<(\/?[A-Za-z_][\w-]*)/);
+  return match ? match[1].toLowerCase() : raw;
+}
+
+/**
+ * Pair missing tokens with extra tokens of the same kind and report them as renamed
+ * @param {Object} diff - Output of diffTokens
+ * @param {Function} isSameKind - Whether a missing and an extra token can be paired
+ * @param {string} category - "tag" or "placeholder"
+ * @returns {Array} Array of issues
+ */
+function classifyTokenDiff(diff, isSameKind, category) {
+  const issues = [];
+  const extra = [...diff.extra];
+
+  diff.missing.forEach((missingToken) => {
+    const extraIndex = extra.findIndex((extraToken) =>
+      isSameKind(missingToken, extraToken)
+    );
+
+    if (extraIndex !== -1) {
+      const [renamedTo] = extra.splice(extraIndex, 1);
+      issues.push({
+        type: "renamed",
+        category,
+        token: missingToken,
+        replacement: renamedTo,
+        message: `${missingToken} was changed to ${renamedTo}`,
+      });
+    } else {
+      issues.push({
+        type: "missing",
+        category,
+        token: missingToken,
+        message: `${missingToken} is missing`,
+      });
+    }
+  });
+
+  extra.forEach((extraToken) => {
+    issues.push({
+      type: "extra",
+      category,
+      token: extraToken,
+      message: `${extraToken} is not in the English text`,
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Check a single translation against its English source
+ * @param {string} english - English source text
+ * @param {string} translation - Translated text
+ * @returns {Array} Array of issues (type: missing, extra, renamed or unbalanced)
+ */
+export function checkTranslationMarkup(english, translation) {
+  if (!translation || translation.trim() === "") return [];
+
+  const source = extractMarkupTokens(english || "");
+  const target = extractMarkupTokens(translation);
+  const pairedNames = getPairedTagNames(source.tags);
+
+  // Placeholders are freely renamed into each other
+  const issues = classifyTokenDiff(
+    diffTokens(source.placeholders, target.placeholders),
+    () => true,
+    "placeholder"
+  );
+
+  // Tags only count as renamed when the tag itself is kept but its arguments changed
+  issues.push(
+    ...classifyTokenDiff(
+      diffTokens(source.tags, target.tags),
+      (missingTag, extraTag) =>
+        getRawTagName(missingTag) === getRawTagName(extraTag),
+      "tag"
+    )
+  );
+
+  // Only report unbalanced tags the English text gets right
+  const sourceProblems = new Set(
+    findUnbalancedTags(source.tags, pairedNames).map((p) => p.token)
+  );
+  findUnbalancedTags(target.tags, pairedNames).forEach((problem) => {
+    if (sourceProblems.has(problem.token)) return;
+    issues.push({
+      type: "unbalanced",
+      category: "tag",
+      token: problem.token,
+      message: `${problem.token} is ${problem.reason}`,
+    });
+  });
+
+  return issues;
+}
+
+/**
+ * Check every translation of a language in a data set
+ * @param {Array} data - Localization rows (termID, English and the language column)
+ * @param {string} language - Language column to check
+ * @returns {Array} Array of { termID, english, translation, issues } for rows with issues
+ */
+export function checkMarkupIntegrity(data, language) {
+  if (!data || !language) return [];
+
+  const results = [];
+
+  data.forEach((row) => {
+    if (!row.termID || row.shouldBeTranslated === "FALSE") return;
+
+    const translation = row[language] || "";
+    const issues = checkTranslationMarkup(row.English || "", translation);
+
+    if (issues.length > 0) {
+      results.push({
+        termID: row.termID,
+        english: row.English || "",
+        translation,
+        issues,
+      });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Count the issues of a checkMarkupIntegrity result by type
+ * @param {Array} results - Output of checkMarkupIntegrity
+ * @returns {Object} Counts per issue type plus total terms and total issues
+ */
+export function summarizeMarkupIssues(results) {
+  const summary = {
+    terms: results.length,
+    total: 0,
+    missing: 0,
+    extra: 0,
+    renamed: 0,
+    unbalanced: 0,
+  };
+
+  results.forEach((result) => {
+    result.issues.forEach((issue) => {
+      summary.total++;
+      summary[issue.type]++;
+    });
+  });
+
+  return summary;
+}
+
+/**
+ * Generate HTML listing markup issues per term
+ * @param {Array} results - Output of checkMarkupIntegrity
+ * @returns {string} HTML string
+ */
+export function generateMarkupIssuesHTML(results) {
+  return results
+    .map(
+      (result) => `
+        <div class="term-diff-item markup-issue-item">
+          <div class="term-diff-title">⚠️ ${escapeHtml(result.termID)}</div>
+          <ul class="markup-issue-list">
+            ${result.issues
+              .map(
+                (issue) =>
+                  `<li class="markup-issue ${issue.type}"><strong>${
+                    issue.type
+                  }:</strong> ${escapeHtml(issue.message)}</li>`
+              )
+              .join("")}
+          </ul>
+          <div class="markup-issue-text">
+            <div><strong>English:</strong> ${escapeHtml(result.english)}</div>
+            <div><strong>Translation:</strong> ${escapeHtml(
+              result.translation
+            )}</div>
+          </div>
+        </div>
+      `
+    )
+    .join("");
+}
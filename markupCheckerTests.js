@@ -0,0 +1,244 @@
+/**
+ * Test Suite for the Markup Checker
+ * Checks tag and placeholder extraction, issue classification and the real localization.csv
+ *
+ * Usage: node markupCheckerTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV, extractLanguages } from "./csvParser.js";
+import {
+  extractMarkupTokens,
+  checkTranslationMarkup,
+  checkMarkupIntegrity,
+  summarizeMarkupIssues,
+  generateMarkupIssuesHTML,
+} from "./markupChecker.js";
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Issues found for a translation, as "type token" pairs in order
+ * @param {string} english - English text
+ * @param {string} translation - Translated text
+ * @returns {string} Comma separated issues
+ */
+function describeIssues(english, translation) {
+  return checkTranslationMarkup(english, translation)
+    .map((issue) => `${issue.type} ${issue.token}`)
+    .join();
+}
+
+/**
+ * Find the first case whose issues differ from the expected ones
+ * @param {Array} cases - Array of [english, translation, expected]
+ * @returns {Object} Test result
+ */
+function checkCases(cases) {
+  const wrong = cases.find(([english, translation, expected]) =>
+    describeIssues(english, translation) !== expected
+  );
+  if (wrong) {
+    return {
+      success: false,
+      message: `${JSON.stringify(wrong[1])}: expected "${wrong[2]}", got "${describeIssues(wrong[0], wrong[1])}"`,
+    };
+  }
+  return { success: true };
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Markup Checker Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Markup - tags and placeholders are extracted", test: testExtractTokens },
+    { name: "Markup - whole-string brackets are not placeholders", test: testWholeStringBrackets },
+    { name: "Markup - missing and extra tokens", test: testMissingAndExtra },
+    { name: "Markup - renamed tokens", test: testRenamed },
+    { name: "Markup - unrelated placeholders count as renamed", test: testUnrelatedPlaceholders },
+    { name: "Markup - unbalanced tags", test: testUnbalanced },
+    { name: "Markup - data set check, summary and HTML", test: testIntegrity },
+    { name: "Markup - real sheet", test: testSheetMarkup },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testExtractTokens() {
+  const { tags, placeholders } = extractMarkupTokens(
+    "<B>Hi</b> [username], <pause:0.5>take [item name]<font=Arial> now"
+  );
+
+  const tagSummary = tags.map((tag) => `${tag.isClosing ? "/" : ""}${tag.name}`).join();
+  if (tagSummary !== "b,/b,pause,font") {
+    return { success: false, message: `Unexpected tags: ${tagSummary}` };
+  }
+  if (placeholders.map((placeholder) => placeholder.raw).join() !== "[username],[item name]") {
+    return { success: false, message: `Unexpected placeholders: ${JSON.stringify(placeholders)}` };
+  }
+  if (placeholders[0].index !== 10) {
+    return { success: false, message: "Tokens should keep their position in the text" };
+  }
+
+  const none = extractMarkupTokens("a < b and [not a placeholder!] or [three word name]");
+  if (none.tags.length !== 0 || none.placeholders.length !== 0) {
+    return { success: false, message: `Expected no tokens: ${JSON.stringify(none)}` };
+  }
+  return { success: true };
+}
+
+function testWholeStringBrackets() {
+  if (extractMarkupTokens(" [Continue] ").placeholders.length !== 0) {
+    return { success: false, message: "A bracketed string on its own is display text" };
+  }
+  if (extractMarkupTokens("[Continue] [Quit]").placeholders.length !== 2) {
+    return { success: false, message: "Two bracketed phrases are placeholders" };
+  }
+  return checkCases([
+    ["[Continue]", "[Dalej]", ""],
+    ["[Continue]", "Dalej", ""],
+    // A translation that is only the placeholder looks like display text too
+    ["Hi [username]", "[username]", "missing [username]"],
+    ["Hi [username]", "Cześć", "missing [username]"],
+  ]);
+}
+
+function testMissingAndExtra() {
+  return checkCases([
+    ["Hi [username]", "Cześć [username]", ""],
+    ["<b>Hi</b> [username]", "Cześć", "missing [username],missing <b>,missing </b>"],
+    ["Hi", "Cześć [username]", "extra [username]"],
+    ["Hi", "<i>Cześć</i>", "extra <i>,extra </i>"],
+    ["[a] and [a]", "[a] oraz", "missing [a]"],
+    ["Hi [username]", "   ", ""],
+  ]);
+}
+
+function testRenamed() {
+  const [issue] = checkTranslationMarkup("Take [item name]", "Weź [nazwa]");
+  if (issue.type !== "renamed" || issue.replacement !== "[nazwa]" || issue.category !== "placeholder") {
+    return { success: false, message: `Unexpected issue: ${JSON.stringify(issue)}` };
+  }
+  return checkCases([
+    ["Wait<pause:0.5>", "Czekaj<pause:1>", "renamed <pause:0.5>"],
+    ["<font=Arial>Hi</font>", "<font=Comic>Cześć</font>", "renamed <font=Arial>"],
+    ["Wait<pause:0.5>", "Czekaj<skip>", "missing <pause:0.5>,extra <skip>"],
+  ]);
+}
+
+function testUnrelatedPlaceholders() {
+  // Any missing placeholder pairs with any extra one, however different the names
+  const issues = checkTranslationMarkup("Sent to [username]", "Wysłano do [score] [gold]");
+  const described = issues.map((issue) => `${issue.type} ${issue.token}`).join();
+  if (described !== "renamed [username],extra [gold]") {
+    return { success: false, message: `Unexpected issues: ${described}` };
+  }
+  if (issues[0].message !== "[username] was changed to [score]") {
+    return { success: false, message: `Unexpected message: ${issues[0].message}` };
+  }
+  return { success: true };
+}
+
+function testUnbalanced() {
+  return checkCases([
+    ["<b>Hi</b>", "</b>Cześć<b>", "unbalanced </b>,unbalanced <b>"],
+    ["<b><i>Hi</i></b>", "<b><i>Cześć</b></i>", "unbalanced <i>,unbalanced </i>"],
+    ["<b>Hi</b> <b>there</b>", "<b>Cześć <b>tam</b>", "missing </b>,unbalanced <b>"],
+    // Problems already in the English text are not the translator's
+    ["<b>Hi", "<b>Cześć", ""],
+    // Tags closed in the English text must be balanced too, even if not in the paired list
+    ["<shake>Hi</shake>", "<shake>Cześć", "missing </shake>,unbalanced <shake>"],
+    ["Wait<pause:0.5> now", "Czekaj<pause:0.5> teraz", ""],
+  ]);
+}
+
+function testIntegrity() {
+  const rows = [
+    { termID: "a", shouldBeTranslated: "TRUE", English: "<b>Hi</b>", Polish: "Cześć" },
+    { termID: "b", shouldBeTranslated: "FALSE", English: "[username]", Polish: "" },
+    { termID: "c", shouldBeTranslated: "TRUE", English: "Hi [username]", Polish: "Cześć [name]" },
+    { termID: "d", shouldBeTranslated: "TRUE", English: "Hi [username]", Polish: "" },
+    { termID: "", shouldBeTranslated: "TRUE", English: "<b>Hi</b>", Polish: "Cześć" },
+  ];
+
+  const results = checkMarkupIntegrity(rows, "Polish");
+  if (results.map((result) => result.termID).join() !== "a,c") {
+    return { success: false, message: `Unexpected terms: ${results.map((r) => r.termID).join()}` };
+  }
+
+  const summary = summarizeMarkupIssues(results);
+  if (summary.terms !== 2 || summary.total !== 3 || summary.missing !== 2 || summary.renamed !== 1) {
+    return { success: false, message: `Unexpected summary: ${JSON.stringify(summary)}` };
+  }
+
+  const html = generateMarkupIssuesHTML(results);
+  if (!html.includes('class="markup-issue renamed"') || html.includes("<b>Hi</b>")) {
+    return { success: false, message: "HTML should list issues and escape the texts" };
+  }
+  return { success: true };
+}
+
+function testSheetMarkup() {
+  const data = loadLocalizationData();
+
+  const flagged = extractLanguages(data).flatMap((language) => checkMarkupIntegrity(data, language));
+  if (flagged.some((result) => result.issues.length === 0 || !result.translation.trim())) {
+    return { success: false, message: "Only translated terms with issues should be reported" };
+  }
+  if (checkMarkupIntegrity(data, "English").length !== 0) {
+    return { success: false, message: "English should match itself" };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
@@ -0,0 +1,283 @@
+/**
+ * Mobile String Exporters
+ * Turns parsed sheet rows into Android values-<locale>/strings.xml files,
+ * Apple <locale>.lproj/Localizable.strings files or an Xcode String Catalog
+ * (Localizable.xcstrings).
+ *
+ * Locales come from the language registry, which can also set a language's
+ * Android folder name (androidQualifier). English is the development
+ * language: it goes in Android's default values/ folder and untranslated terms
+ * are left out of the other languages so the platform falls back to English.
+ *
+ * Our placeholders are [name] style, so % is literal text: Android strings
+ * containing % are marked formatted="false", and Apple strings are never
+ * passed to String(format:).
+ */
+
+import { getLanguageCode, getLanguageInfo } from "./languageRegistry.js";
+
+export const MOBILE_PLATFORMS = ["android", "ios", "xcstrings"];
+
+// Java keywords can't be resource names because they become R.string fields
+const JAVA_KEYWORDS = new Set(
+  (
+    "abstract assert boolean break byte case catch char class const continue default do " +
+    "double else enum extends false final finally float for goto if implements import " +
+    "instanceof int interface long native new null package private protected public return " +
+    "short static strictfp super switch synchronized this throw throws transient true try " +
+    "void volatile while"
+  ).split(" ")
+);
+
+/**
+ * Map every termID to a key that is valid on both platforms: lowercase
+ * letters, digits and underscores, starting with a letter. Keys that collide
+ * after sanitizing get a numeric suffix, in sheet order.
+ * @param {Array} rows - Sheet rows
+ * @returns {Map} termID -> key
+ */
+export function buildPlatformKeys(rows) {
+  const keys = new Map();
+  const used = new Set();
+
+  rows.forEach((row) => {
+    if (!row.termID || keys.has(row.termID)) return;
+
+    let base = row.termID
+      .toLowerCase()
+      .replace(/[^a-z0-9_]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    if (!/^[a-z]/.test(base)) base = `term_${base}`.replace(/_+$/, "");
+    if (JAVA_KEYWORDS.has(base)) base = `${base}_`;
+
+    let key = base;
+    for (let suffix = 2; used.has(key); suffix++) {
+      key = `${base}_${suffix}`;
+    }
+    used.add(key);
+    keys.set(row.termID, key);
+  });
+
+  return keys;
+}
+
+/**
+ * Text to export for a language, or null when the term should be left out
+ * @param {Object} row - Sheet row
+ * @param {string} language - Language column
+ * @returns {string|null} Text with \n line breaks
+ */
+function exportText(row, language) {
+  if (language !== "English" && row.shouldBeTranslated === "FALSE") return null;
+
+  const text = row[language] || "";
+  if (text.trim() === "") return language === "English" ? "" : null;
+  return text.replace(/\r\n?/g, "\n");
+}
+
+/**
+ * Android resource folder of a language, e.g. values-pl, values-pt-rBR or
+ * values-b+zh+Hant
+ * @param {string} language - Language column
+ * @returns {string} Folder name
+ */
+export function androidValuesDir(language) {
+  if (language === "English") return "values";
+
+  const info = getLanguageInfo(language);
+  if (info && info.androidQualifier) return `values-${info.androidQualifier}`;
+
+  const [lang, ...rest] = getLanguageCode(language).split("-");
+  if (rest.length === 0) return `values-${lang}`;
+  if (rest.length === 1 && /^[A-Za-z]{2}$/.test(rest[0])) {
+    return `values-${lang}-r${rest[0].toUpperCase()}`;
+  }
+  return `values-b+${[lang, ...rest].join("+")}`;
+}
+
+/**
+ * Escape a string for an Android string resource
+ * @param {string} text - Text
+ * @returns {string} Escaped resource value
+ */
+function escapeAndroidString(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/'/g, "\\'")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(/^([@?])/, "\\$1")
+    // aapt collapses runs of whitespace and trims the ends
+    .replace(/^ | $| (?= )/g, "\\u0020");
+}
+
+/**
+ * Generate an Android strings.xml for one language
+ * @param {Array} rows - Sheet rows
+ * @param {string} language - Language column
+ * @param {Map} [keys] - termID -> key, see buildPlatformKeys
+ * @returns {string} strings.xml content
+ */
+export function generateAndroidStrings(rows, language, keys = buildPlatformKeys(rows)) {
+  const entries = rows
+    .filter((row) => keys.has(row.termID))
+    .map((row) => {
+      const text = exportText(row, language);
+      if (text === null) return null;
+
+      const attributes = [`name="${keys.get(row.termID)}"`];
+      if (language === "English" && row.shouldBeTranslated === "FALSE") {
+        attributes.push('translatable="false"');
+      }
+      if (text.includes("%")) attributes.push('formatted="false"');
+
+      const comment = row.notes
+        ? `    <!-- ${row.notes.replace(/-(?=-)/g, "- ").replace(/\r?\n/g, " ")} -->\n`
+        : "";
+      return `${comment}    <string ${attributes.join(" ")}>${escapeAndroidString(text)}</string>`;
+    })
+    .filter(Boolean);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!-- ${language}, generated by NPO Localisation Manager -->
+<resources>
+${entries.join("\n")}
+</resources>
+`;
+}
+
+/**
+ * Apple .lproj folder of a language, e.g. pl.lproj or zh-Hant.lproj
+ * @param {string} language - Language column
+ * @returns {string} Folder name
+ */
+export function appleLprojDir(language) {
+  return `${getLanguageCode(language)}.lproj`;
+}
+
+/**
+ * Escape a string for a quoted .strings value or key
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeAppleString(text) {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t");
+}
+
+/**
+ * Generate an Apple Localizable.strings file for one language
+ * @param {Array} rows - Sheet rows
+ * @param {string} language - Language column
+ * @param {Map} [keys] - termID -> key, see buildPlatformKeys
+ * @returns {string} Localizable.strings content
+ */
+export function generateAppleStrings(rows, language, keys = buildPlatformKeys(rows)) {
+  const entries = rows
+    .filter((row) => keys.has(row.termID))
+    .map((row) => {
+      const text = exportText(row, language);
+      if (text === null) return null;
+
+      const comment = row.notes ? `/* ${row.notes.replace(/\*\//g, "* /")} */\n` : "";
+      return `${comment}"${keys.get(row.termID)}" = "${escapeAppleString(text)}";`;
+    })
+    .filter(Boolean);
+
+  return `/* ${language}, generated by NPO Localisation Manager */\n\n${entries.join("\n\n")}\n`;
+}
+
+/**
+ * Generate an Xcode String Catalog with every language. Outdated translations
+ * are marked needs_review; untranslated terms have no localization.
+ * @param {Array} rows - Sheet rows
+ * @param {Array} languages - Language columns besides English
+ * @param {Map} [keys] - termID -> key, see buildPlatformKeys
+ * @returns {string} Localizable.xcstrings content
+ */
+export function generateStringCatalog(rows, languages, keys = buildPlatformKeys(rows)) {
+  const strings = {};
+
+  rows
+    .filter((row) => keys.has(row.termID))
+    .forEach((row) => {
+      const entry = {};
+      if (row.notes) entry.comment = row.notes;
+      entry.extractionState = "manual";
+
+      const localizations = {};
+      ["English", ...languages.filter((language) => language !== "English")].forEach(
+        (language) => {
+          const text = exportText(row, language);
+          if (text === null) return;
+
+          const needsReview =
+            language !== "English" && row.translationNeedsToBeUpdated === "TRUE";
+          localizations[getLanguageCode(language)] = {
+            stringUnit: {
+              state: needsReview ? "needs_review" : "translated",
+              value: text,
+            },
+          };
+        }
+      );
+      entry.localizations = localizations;
+      if (row.shouldBeTranslated === "FALSE") entry.shouldTranslate = false;
+
+      strings[keys.get(row.termID)] = entry;
+    });
+
+  return `${JSON.stringify(
+    { sourceLanguage: getLanguageCode("English"), strings, version: "1.0" },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * Build the files of a platform, with paths relative to the output folder
+ * @param {Array} rows - Sheet rows (from parseCSV)
+ * @param {Array} languages - Language columns besides English
+ * @param {string} platform - "android", "ios" (Localizable.strings) or "xcstrings"
+ * @returns {Object} Object with files (name, data) and keys (termID -> key)
+ */
+export function generateMobileFiles(rows, languages, platform) {
+  const keys = buildPlatformKeys(rows);
+  const allLanguages = ["English", ...languages.filter((language) => language !== "English")];
+
+  if (platform === "android") {
+    return {
+      keys,
+      files: allLanguages.map((language) => ({
+        name: `${androidValuesDir(language)}/strings.xml`,
+        data: generateAndroidStrings(rows, language, keys),
+      })),
+    };
+  }
+
+  if (platform === "ios") {
+    return {
+      keys,
+      files: allLanguages.map((language) => ({
+        name: `${appleLprojDir(language)}/Localizable.strings`,
+        data: generateAppleStrings(rows, language, keys),
+      })),
+    };
+  }
+
+  if (platform === "xcstrings") {
+    return {
+      keys,
+      files: [{ name: "Localizable.xcstrings", data: generateStringCatalog(rows, languages, keys) }],
+    };
+  }
+
+  throw new Error(`Unknown platform "${platform}". Use ${MOBILE_PLATFORMS.join(", ")}`);
+}
@@ -0,0 +1,194 @@
+/**
+ * Test Suite for the Mobile String Exporters
+ * Checks keys, locale folders and the escaping rules of Android strings.xml,
+ * Apple .strings and String Catalog files
+ *
+ * Usage: node mobileStringsTests.js
+ */
+
+import {
+  buildPlatformKeys,
+  androidValuesDir,
+  appleLprojDir,
+  generateAndroidStrings,
+  generateAppleStrings,
+  generateStringCatalog,
+  generateMobileFiles,
+} from "./mobileStrings.js";
+
+const ROWS = [
+  { termID: "a game by", notes: "", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "a game by", Polish: "gra autorstwa" },
+  { termID: "bluescreen_percentage", notes: "", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "TRUE", English: "[perc]% complete", Polish: "[perc]% ukończono" },
+  { termID: "quote", notes: "don't -- break", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "It's \"<b>bold</b>\" & done", Polish: "To \"<b>pogrubione</b>\" & już" },
+  { termID: "credits", notes: "", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "made by\r\n   flemish  fund ", Polish: "" },
+  { termID: "brand", notes: "", shouldBeTranslated: "FALSE", translationNeedsToBeUpdated: "FALSE", English: "@beeswax\\games", Polish: "" },
+];
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Mobile String Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Keys - termIDs become valid keys", test: testKeys },
+    { name: "Locales - folder names", test: testLocaleFolders },
+    { name: "Android - escaping", test: testAndroidEscaping },
+    { name: "Android - fallback and translatable flag", test: testAndroidFallback },
+    { name: "Apple - .strings escaping", test: testAppleStrings },
+    { name: "Apple - String Catalog", test: testStringCatalog },
+    { name: "Files - one per language", test: testMobileFiles },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testKeys() {
+  const keys = buildPlatformKeys([
+    { termID: "a game by" },
+    { termID: "A Game By" },
+    { termID: "3d_mode" },
+    { termID: "new" },
+    { termID: "chatuser/chatuser_guest" },
+  ]);
+  const expected = ["a_game_by", "a_game_by_2", "term_3d_mode", "new_", "chatuser_chatuser_guest"];
+
+  if ([...keys.values()].join() !== expected.join()) {
+    return { success: false, message: `Unexpected keys: ${[...keys.values()].join()}` };
+  }
+  return { success: true };
+}
+
+function testLocaleFolders() {
+  const android = ["English", "Polish", "Brazilian Portuguese", "Traditional Chinese", "Ukranian"].map(androidValuesDir);
+  const apple = ["English", "Brazilian Portuguese", "Traditional Chinese", "Ukranian"].map(appleLprojDir);
+
+  if (android.join() !== "values,values-pl,values-pt-rBR,values-zh-rTW,values-uk") {
+    return { success: false, message: `Unexpected Android folders: ${android.join()}` };
+  }
+  if (apple.join() !== "en.lproj,pt-BR.lproj,zh-Hant.lproj,uk.lproj") {
+    return { success: false, message: `Unexpected Apple folders: ${apple.join()}` };
+  }
+  return { success: true };
+}
+
+function testAndroidEscaping() {
+  const xml = generateAndroidStrings(ROWS, "English");
+  const expected = [
+    '<string name="bluescreen_percentage" formatted="false">[perc]% complete</string>',
+    '<!-- don\'t - - break -->',
+    '<string name="quote">It\\\'s \\"&lt;b&gt;bold&lt;/b&gt;\\" &amp; done</string>',
+    '<string name="credits">made by\\n\\u0020\\u0020 flemish\\u0020 fund\\u0020</string>',
+    '<string name="brand" translatable="false">\\@beeswax\\\\games</string>',
+  ];
+
+  const missing = expected.find((text) => !xml.includes(text));
+  if (missing) {
+    return { success: false, message: `Missing ${missing}` };
+  }
+  return { success: true };
+}
+
+function testAndroidFallback() {
+  const xml = generateAndroidStrings(ROWS, "Polish");
+
+  if (xml.includes('name="credits"') || xml.includes('name="brand"')) {
+    return { success: false, message: "Untranslated and untranslatable terms fall back to values/" };
+  }
+  if (!xml.includes('<string name="a_game_by">gra autorstwa</string>')) {
+    return { success: false, message: "Translation missing" };
+  }
+  return { success: true };
+}
+
+function testAppleStrings() {
+  const strings = generateAppleStrings(ROWS, "English");
+  const expected = [
+    '"bluescreen_percentage" = "[perc]% complete";',
+    '"quote" = "It\'s \\"<b>bold</b>\\" & done";',
+    '"credits" = "made by\\n   flemish  fund ";',
+    '"brand" = "@beeswax\\\\games";',
+  ];
+
+  const missing = expected.find((text) => !strings.includes(text));
+  if (missing) {
+    return { success: false, message: `Missing ${missing}` };
+  }
+  return { success: true };
+}
+
+function testStringCatalog() {
+  const catalog = JSON.parse(generateStringCatalog(ROWS, ["Polish"]));
+  const { strings } = catalog;
+
+  if (catalog.sourceLanguage !== "en" || Object.keys(strings).length !== ROWS.length) {
+    return { success: false, message: "Every term should be in the catalog" };
+  }
+  if (strings.bluescreen_percentage.localizations.pl.stringUnit.state !== "needs_review") {
+    return { success: false, message: "Outdated translations should need review" };
+  }
+  if (strings.credits.localizations.pl || strings.credits.localizations.en.stringUnit.value !== "made by\n   flemish  fund ") {
+    return { success: false, message: "Untranslated terms should only have English" };
+  }
+  if (strings.brand.shouldTranslate !== false) {
+    return { success: false, message: "Untranslatable terms should not be translated" };
+  }
+  return { success: true };
+}
+
+function testMobileFiles() {
+  const android = generateMobileFiles(ROWS, ["Polish", "Ukranian"], "android");
+  const ios = generateMobileFiles(ROWS, ["Polish"], "ios");
+  const catalog = generateMobileFiles(ROWS, ["Polish"], "xcstrings");
+
+  const names = (result) => result.files.map((file) => file.name).join();
+  if (
+    names(android) !== "values/strings.xml,values-pl/strings.xml,values-uk/strings.xml" ||
+    names(ios) !== "en.lproj/Localizable.strings,pl.lproj/Localizable.strings" ||
+    names(catalog) !== "Localizable.xcstrings"
+  ) {
+    return { success: false, message: `Unexpected files: ${names(android)} ${names(ios)}` };
+  }
+
+  try {
+    generateMobileFiles(ROWS, [], "windows");
+    return { success: false, message: "Unknown platform accepted" };
+  } catch (error) {
+    return { success: true };
+  }
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
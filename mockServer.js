@@ -0,0 +1,675 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock of the PHP storage server
+ * Implements the same ?action= protocol (upload, backups, data, list_all,
+ * delete, delete_all, download_zip) against a local directory so the upload,
+ * backup and merge flows can be developed and tested offline.
+ *
+ * Usage: node mockServer.js [--port 8080] [--dir server-data] [--max-backups 10]
+ *                           [--admin-token <token>] [--translator-keys keys.json]
+ *                           [--sheet localization.csv]
+ *
+ * With an admin token (or ADMIN_TOKEN in the environment), delete and
+ * delete_all require a matching X-Admin-Token header. With a translator keys
+ * file ({ "<key>": "<translator name>" }), uploads require an X-Translator-Key
+ * header (or the admin token) and record who uploaded each version.
+ *
+ * With --sheet <csv>, the sheet_write action stands in for the Apps Script
+ * write-back endpoint (sheetsWriteBack.gs) and edits that CSV file instead of
+ * the Google Sheet.
+ *
+ * Storage layout, one directory per id:
+ *   <dir>/<id>/current.csv      Latest upload
+ *   <dir>/<id>/backup_<n>.csv   Previous uploads, highest number is the newest
+ *   <dir>/<id>/metadata.json    Upload times, sizes and extra form fields per version
+ */
+
+import http from "http";
+import { timingSafeEqual } from "crypto";
+import { mkdir, readFile, readdir, rm, rename, stat, writeFile } from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import Papa from "papaparse";
+import { createZip } from "./zipWriter.js";
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_DATA_DIR = "server-data";
+const DEFAULT_MAX_BACKUPS = 10;
+
+// Language names contain spaces, LQA files use an LQA_ prefix
+const ID_PATTERN = /^[\p{L}\p{N} _-]{1,100}$/u;
+
+// Version metadata set by the server, never taken from upload form fields
+const RESERVED_FIELDS = new Set(["file", "uploaded", "size", "uploadedBy"]);
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, X-Admin-Token, X-Translator-Key",
+};
+
+/**
+ * Error with an HTTP status code
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Format a date the way the PHP server does (Y-m-d H:i:s)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatTimestamp(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  );
+}
+
+/**
+ * Parse a form field, keeping JSON values (like upload warnings) structured
+ * @param {string} value - Raw field value
+ * @returns {*} Parsed JSON or the raw string
+ */
+function parseFieldValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Compare a secret without leaking its length or content through timing
+ * @param {string} given - Value sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} Whether they match
+ */
+function secretMatches(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Convert a zero-based column index to its spreadsheet letters (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnLetter(index) {
+  let letters = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Apply a write-back payload to a sheet table, like sheetsWriteBack.gs does
+ * @param {Array} table - Rows of cell values, header row first
+ * @param {Object} payload - { addColumns, changes, appendRows, dryRun, force }
+ * @returns {Object} Object with the updated table and the response body
+ */
+export function applySheetUpdate(table, payload) {
+  const header = [...(table[0] || [])];
+  const termColumn = header.indexOf("termID");
+  if (termColumn === -1) throw new HttpError(400, "Sheet has no termID column");
+
+  // New columns (e.g. a language added on the admin page) go after the last one
+  const addedColumns = (payload.addColumns || []).filter(
+    (column) => column && !header.includes(column)
+  );
+  header.push(...addedColumns);
+
+  const updated = table.map((row, r) =>
+    r === 0 ? [...header] : header.map((_, c) => row[c] ?? "")
+  );
+  const rowIndex = new Map();
+  updated.forEach((row, r) => {
+    if (r > 0 && row[termColumn]) rowIndex.set(row[termColumn], r);
+  });
+
+  const cells = [];
+  const appended = [];
+  const missing = [];
+
+  for (const change of payload.changes || []) {
+    const r = rowIndex.get(change.termID);
+    const c = header.indexOf(change.column);
+    if (r === undefined || c === -1) {
+      missing.push({
+        termID: change.termID,
+        column: change.column,
+        reason: r === undefined ? "Term not in sheet" : "Column not in sheet",
+      });
+      continue;
+    }
+
+    const before = updated[r][c];
+    let status = "update";
+    if (before === change.value) {
+      status = "unchanged";
+    } else if (
+      change.expected !== undefined &&
+      before !== change.expected &&
+      !payload.force
+    ) {
+      // Someone edited the cell after the admin loaded the data
+      status = "stale";
+    }
+
+    cells.push({
+      termID: change.termID,
+      column: change.column,
+      cell: `${columnLetter(c)}${r + 1}`,
+      before,
+      after: change.value,
+      status,
+    });
+    if (status === "update" && !payload.dryRun) updated[r][c] = change.value;
+  }
+
+  for (const row of payload.appendRows || []) {
+    if (rowIndex.has(row.termID)) {
+      missing.push({ termID: row.termID, column: null, reason: "Term already in sheet" });
+      continue;
+    }
+    appended.push({ termID: row.termID, row: updated.length + 1 });
+    rowIndex.set(row.termID, updated.length);
+    updated.push(header.map((column) => (row.values || {})[column] ?? ""));
+  }
+
+  return {
+    table: payload.dryRun ? table : updated,
+    result: {
+      success: true,
+      dryRun: Boolean(payload.dryRun),
+      updated: cells.filter((cell) => cell.status === "update").length,
+      addedColumns,
+      cells,
+      appended,
+      missing,
+    },
+  };
+}
+
+/**
+ * Storage for uploaded files, versioned per id
+ */
+class FileStore {
+  constructor(dataDir, maxBackups) {
+    this.dataDir = dataDir;
+    this.maxBackups = maxBackups;
+  }
+
+  getIdDir(id) {
+    if (!id || !ID_PATTERN.test(id)) {
+      throw new HttpError(400, "Invalid or missing id");
+    }
+    return path.join(this.dataDir, id);
+  }
+
+  getVersionFile(id, version) {
+    const fileName =
+      version === "current" ? "current.csv" : `backup_${parseInt(version, 10)}.csv`;
+    return path.join(this.getIdDir(id), fileName);
+  }
+
+  async exists(filePath) {
+    try {
+      await stat(filePath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async readMetadata(id) {
+    try {
+      return JSON.parse(
+        await readFile(path.join(this.getIdDir(id), "metadata.json"), "utf8")
+      );
+    } catch (error) {
+      return { id, created: null, lastModified: null, uploadCount: 0, versions: {} };
+    }
+  }
+
+  async writeMetadata(id, metadata) {
+    await writeFile(
+      path.join(this.getIdDir(id), "metadata.json"),
+      JSON.stringify(metadata, null, 2),
+      "utf8"
+    );
+  }
+
+  /**
+   * Get the backup numbers of an id, newest first
+   */
+  async getBackupNumbers(id) {
+    let entries = [];
+    try {
+      entries = await readdir(this.getIdDir(id));
+    } catch (error) {
+      return [];
+    }
+
+    return entries
+      .map((name) => name.match(/^backup_(\d+)\.csv$/))
+      .filter(Boolean)
+      .map((match) => parseInt(match[1], 10))
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Store a new upload as current, moving the previous current file to a backup
+   * @param {string} id - File id
+   * @param {string} content - CSV content
+   * @param {Object} fields - Extra form fields stored in the metadata
+   * @returns {Promise<Object>} Upload result
+   */
+  async upload(id, content, fields = {}) {
+    const idDir = this.getIdDir(id);
+    await mkdir(idDir, { recursive: true });
+
+    const metadata = await this.readMetadata(id);
+    const currentFile = this.getVersionFile(id, "current");
+    let backupVersion = null;
+
+    if (await this.exists(currentFile)) {
+      const backups = await this.getBackupNumbers(id);
+      backupVersion = (backups[0] || 0) + 1;
+      await rename(currentFile, this.getVersionFile(id, backupVersion));
+      metadata.versions[backupVersion] = metadata.versions.current || {};
+
+      // Drop the oldest backups beyond the limit
+      const expired = [backupVersion, ...backups].slice(this.maxBackups);
+      for (const version of expired) {
+        await rm(this.getVersionFile(id, version), { force: true });
+        delete metadata.versions[version];
+      }
+    }
+
+    await writeFile(currentFile, content, "utf8");
+
+    const now = formatTimestamp(new Date());
+    metadata.created = metadata.created || now;
+    metadata.lastModified = now;
+    metadata.uploadCount = (metadata.uploadCount || 0) + 1;
+    metadata.versions.current = {
+      ...fields,
+      uploaded: now,
+      size: Buffer.byteLength(content, "utf8"),
+    };
+    await this.writeMetadata(id, metadata);
+
+    return { backupVersion, uploaded: now };
+  }
+
+  /**
+   * List the current file and backups of an id, current first
+   */
+  async listVersions(id) {
+    const metadata = await this.readMetadata(id);
+    const versions = [];
+
+    if (await this.exists(this.getVersionFile(id, "current"))) {
+      versions.push("current");
+    }
+    versions.push(...(await this.getBackupNumbers(id)));
+
+    const result = [];
+    for (const version of versions) {
+      const fileStat = await stat(this.getVersionFile(id, version));
+      result.push({
+        ...(metadata.versions[version] || {}),
+        version,
+        size: fileStat.size,
+        uploaded:
+          metadata.versions[version]?.uploaded || formatTimestamp(fileStat.mtime),
+      });
+    }
+
+    return result;
+  }
+
+  async read(id, version = "current") {
+    const filePath = this.getVersionFile(id, version);
+    if (!(await this.exists(filePath))) {
+      throw new HttpError(404, `No file found for ${id} (version ${version})`);
+    }
+    return readFile(filePath, "utf8");
+  }
+
+  async listIds() {
+    let entries = [];
+    try {
+      entries = await readdir(this.dataDir, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const ids = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !ID_PATTERN.test(entry.name)) continue;
+
+      const versions = await this.listVersions(entry.name);
+      if (versions.length === 0) continue;
+
+      const metadata = await this.readMetadata(entry.name);
+      ids.push({
+        id: entry.name,
+        fileCount: versions.length,
+        totalSize: versions.reduce((sum, v) => sum + v.size, 0),
+        lastModified: metadata.lastModified
+          ? metadata.lastModified.replace(" ", "T")
+          : null,
+        metadata,
+      });
+    }
+
+    return ids.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async delete(id) {
+    const idDir = this.getIdDir(id);
+    if (!(await this.exists(idDir))) {
+      throw new HttpError(404, `No files found for ${id}`);
+    }
+    await rm(idDir, { recursive: true, force: true });
+  }
+
+  async deleteAll() {
+    const ids = await this.listIds();
+    for (const { id } of ids) {
+      await rm(this.getIdDir(id), { recursive: true, force: true });
+    }
+    return ids.length;
+  }
+
+  async buildZip(id) {
+    const versions = await this.listVersions(id);
+    if (versions.length === 0) {
+      throw new HttpError(404, `No files found for ${id}`);
+    }
+
+    const files = [];
+    for (const { version } of versions) {
+      const name =
+        version === "current" ? `${id}.csv` : `${id}_backup_${version}.csv`;
+      files.push({ name, data: await this.read(id, version) });
+    }
+    files.push({
+      name: "metadata.json",
+      data: JSON.stringify(await this.readMetadata(id), null, 2),
+    });
+
+    return createZip(files);
+  }
+}
+
+/**
+ * Send a response with CORS headers
+ */
+function send(res, status, body, contentType = "application/json; charset=utf-8", extraHeaders = {}) {
+  res.writeHead(status, { ...CORS_HEADERS, "Content-Type": contentType, ...extraHeaders });
+  res.end(body);
+}
+
+function sendJSON(res, status, data) {
+  send(res, status, JSON.stringify(data));
+}
+
+/**
+ * Read the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body bytes
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read a multipart or urlencoded request body as FormData
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<FormData>} Parsed form data
+ */
+async function readFormData(req) {
+  const body = await readBody(req);
+
+  if (body.length === 0) return new FormData();
+
+  const request = new Request("http://localhost/", {
+    method: "POST",
+    headers: { "content-type": req.headers["content-type"] || "" },
+    body,
+  });
+  return request.formData();
+}
+
+/**
+ * Create the mock server
+ * @param {Object} options - Server options
+ * @param {string} [options.dataDir] - Directory to store files in
+ * @param {number} [options.maxBackups] - Number of backups kept per id
+ * @param {string} [options.adminToken] - Token required for destructive actions
+ * @param {Object} [options.translatorKeys] - Map of translator key to name, required for uploads
+ * @param {string} [options.sheetFile] - CSV file edited by the sheet_write action
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createMockServer(options = {}) {
+  const {
+    dataDir = DEFAULT_DATA_DIR,
+    maxBackups = DEFAULT_MAX_BACKUPS,
+    adminToken = null,
+    translatorKeys = null,
+    sheetFile = null,
+  } = options;
+  const store = new FileStore(dataDir, maxBackups);
+
+  /**
+   * Check the admin token of a request
+   * @returns {boolean} Whether a valid admin token was sent
+   * @throws {HttpError} 401 when missing, 403 when wrong (only if required)
+   */
+  function checkAdmin(req, required = true) {
+    if (!adminToken) return true;
+
+    const token = req.headers["x-admin-token"];
+    if (!token) {
+      if (!required) return false;
+      throw new HttpError(401, "Admin token required");
+    }
+    if (!secretMatches(token, adminToken)) {
+      throw new HttpError(403, "Invalid admin token");
+    }
+    return true;
+  }
+
+  /**
+   * Find who is uploading
+   * @returns {string|null} Translator name, "admin", or null when keys are not required
+   * @throws {HttpError} 401 when no key was sent, 403 when the key is unknown
+   */
+  function identifyUploader(req) {
+    if (adminToken && checkAdmin(req, false)) return "admin";
+    if (!translatorKeys) return null;
+
+    const key = req.headers["x-translator-key"];
+    if (!key) throw new HttpError(401, "Translator key required");
+
+    const match = Object.keys(translatorKeys).find((known) =>
+      secretMatches(key, known)
+    );
+    if (!match) throw new HttpError(403, "Unknown translator key");
+    return translatorKeys[match];
+  }
+
+  const actions = {
+    async upload(req, res, id) {
+      if (req.method !== "POST") throw new HttpError(405, "Upload requires POST");
+      const uploadedBy = identifyUploader(req);
+
+      const formData = await readFormData(req);
+      const file = formData.get("file");
+      if (!file || typeof file === "string") {
+        throw new HttpError(400, "No file uploaded");
+      }
+
+      // Every other form field (e.g. warnings) is kept with the version
+      const fields = {};
+      for (const [key, value] of formData.entries()) {
+        if (!RESERVED_FIELDS.has(key) && typeof value === "string") {
+          fields[key] = parseFieldValue(value);
+        }
+      }
+      if (uploadedBy) fields.uploadedBy = uploadedBy;
+
+      const result = await store.upload(id, await file.text(), fields);
+      sendJSON(res, 200, {
+        success: true,
+        message: `File uploaded for ${id}`,
+        id,
+        ...result,
+      });
+    },
+
+    async backups(req, res, id) {
+      const backups = await store.listVersions(id);
+      if (backups.length === 0) {
+        throw new HttpError(400, `No files found for ${id}`);
+      }
+      sendJSON(res, 200, { success: true, id, backups });
+    },
+
+    async data(req, res, id, params) {
+      const content = await store.read(id, params.get("version") || "current");
+      send(res, 200, content, "text/csv; charset=utf-8");
+    },
+
+    async list_all(req, res) {
+      sendJSON(res, 200, { success: true, ids: await store.listIds() });
+    },
+
+    async delete(req, res, id) {
+      if (req.method !== "POST") throw new HttpError(405, "Delete requires POST");
+      checkAdmin(req);
+      await store.delete(id);
+      sendJSON(res, 200, { success: true, message: `Deleted all files for ${id}` });
+    },
+
+    async delete_all(req, res) {
+      if (req.method !== "POST") throw new HttpError(405, "Delete requires POST");
+      checkAdmin(req);
+      const count = await store.deleteAll();
+      sendJSON(res, 200, { success: true, message: `Deleted files for ${count} ids` });
+    },
+
+    async auth(req, res) {
+      checkAdmin(req);
+      sendJSON(res, 200, { success: true, role: "admin", required: Boolean(adminToken) });
+    },
+
+    async sheet_write(req, res) {
+      if (req.method !== "POST") throw new HttpError(405, "Sheet write requires POST");
+      if (!sheetFile) {
+        throw new HttpError(404, "No sheet configured, start the mock server with --sheet <csv>");
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse((await readBody(req)).toString("utf8"));
+      } catch (error) {
+        throw new HttpError(400, "Invalid JSON body");
+      }
+
+      // Apps Script can't read headers, so the token comes in the body
+      if (adminToken) {
+        if (!payload.token) throw new HttpError(401, "Admin token required");
+        if (!secretMatches(payload.token, adminToken)) {
+          throw new HttpError(403, "Invalid admin token");
+        }
+      }
+
+      const table = Papa.parse(await readFile(sheetFile, "utf8"), {
+        skipEmptyLines: true,
+      }).data;
+      const { table: updated, result } = applySheetUpdate(table, payload);
+      if (!payload.dryRun) {
+        await writeFile(sheetFile, Papa.unparse(updated), "utf8");
+      }
+      sendJSON(res, 200, result);
+    },
+
+    async download_zip(req, res, id) {
+      const zip = await store.buildZip(id);
+      send(res, 200, Buffer.from(zip), "application/zip", {
+        "Content-Disposition": `attachment; filename="${encodeURIComponent(id)}.zip"`,
+      });
+    },
+  };
+
+  return http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      send(res, 204, "");
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const action = url.searchParams.get("action");
+    const id = url.searchParams.get("id");
+
+    try {
+      const handler = Object.hasOwn(actions, action) ? actions[action] : null;
+      if (!handler) throw new HttpError(400, `Unknown action: ${action}`);
+      await handler(req, res, id, url.searchParams);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) console.error(error);
+      sendJSON(res, status, { success: false, error: error.message });
+    }
+  });
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: String(process.env.PORT || DEFAULT_PORT) },
+      dir: { type: "string", default: DEFAULT_DATA_DIR },
+      "max-backups": { type: "string", default: String(DEFAULT_MAX_BACKUPS) },
+      "admin-token": { type: "string", default: process.env.ADMIN_TOKEN || "" },
+      "translator-keys": { type: "string" },
+      sheet: { type: "string" },
+    },
+  });
+
+  const port = parseInt(values.port, 10);
+  const translatorKeys = values["translator-keys"]
+    ? JSON.parse(await readFile(values["translator-keys"], "utf8"))
+    : null;
+  const server = createMockServer({
+    dataDir: values.dir,
+    maxBackups: parseInt(values["max-backups"], 10),
+    adminToken: values["admin-token"] || null,
+    translatorKeys,
+    sheetFile: values.sheet || null,
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock localisation server listening on http://localhost:${port}/`);
+    console.log(`Storing files in ${path.resolve(values.dir)}`);
+    if (values["admin-token"]) console.log("Destructive actions require the admin token");
+    if (translatorKeys) {
+      console.log(`Uploads require one of ${Object.keys(translatorKeys).length} translator keys`);
+    }
+    if (values.sheet) console.log(`Sheet write-back edits ${path.resolve(values.sheet)}`);
+    console.log("Set CONFIG.USE_LOCAL_SERVER = true in config.js to use it");
+  });
+}
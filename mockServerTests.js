@@ -0,0 +1,370 @@
+/**
+ * Test Suite for the Mock Storage Server
+ * Runs the ?action= protocol against a temporary directory
+ *
+ * Usage: node mockServerTests.js
+ */
+
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { createMockServer } from "./mockServer.js";
+import { crc32 } from "./zipWriter.js";
+
+let baseUrl = "";
+
+/**
+ * Call the mock server
+ * @param {string} query - Query string without the leading "?"
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} Response
+ */
+function request(query, options = {}) {
+  return fetch(`${baseUrl}?${query}`, options);
+}
+
+/**
+ * Upload CSV content for an id
+ * @param {string} id - File id
+ * @param {string} content - CSV content
+ * @param {Object} fields - Extra form fields
+ * @returns {Promise<Response>} Response
+ */
+function upload(id, content, fields = {}) {
+  const formData = new FormData();
+  formData.append("file", new Blob([content], { type: "text/csv" }), `${id}.csv`);
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+  return request(`action=upload&id=${encodeURIComponent(id)}`, {
+    method: "POST",
+    body: formData,
+  });
+}
+
+/**
+ * Start a separate mock server for a test
+ * @param {Object} options - createMockServer options
+ * @param {Function} fn - Called with the server URL, its result is returned
+ * @returns {Promise<*>} Result of fn
+ */
+async function withServer(options, fn) {
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), "npo-mock-server-"));
+  const server = createMockServer({ dataDir, ...options });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test runner function
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function runTests() {
+  console.log("🧪 Starting Mock Server Tests\n");
+
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), "npo-mock-server-"));
+  const server = createMockServer({ dataDir, maxBackups: 2 });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+  let passed = 0;
+  let failed = 0;
+
+  // Tests share the server state and run in order
+  const tests = [
+    { name: "Backups - unknown id returns 400", test: testBackupsUnknownId },
+    { name: "Upload - first version", test: testFirstUpload },
+    { name: "Upload - previous version becomes a backup", test: testSecondUpload },
+    { name: "Upload - extra fields stored in metadata", test: testUploadFields },
+    { name: "Upload - old backups are pruned", test: testBackupLimit },
+    { name: "Data - current and backup versions", test: testDataVersions },
+    { name: "List all - ids with counts", test: testListAll },
+    { name: "Download ZIP - archive of all versions", test: testDownloadZip },
+    { name: "Validation - invalid id rejected", test: testInvalidId },
+    { name: "Delete - single id", test: testDelete },
+    { name: "Delete all - every id", test: testDeleteAll },
+    { name: "Auth - destructive actions need the admin token", test: testAdminToken },
+    { name: "Auth - uploads need a translator key", test: testTranslatorKeys },
+  ];
+
+  try {
+    for (const testCase of tests) {
+      try {
+        const result = await testCase.test();
+        if (result.success) {
+          console.log(`✅ ${testCase.name}`);
+          passed++;
+        } else {
+          console.log(`❌ ${testCase.name}: ${result.message}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ${testCase.name}: ${error.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+async function testBackupsUnknownId() {
+  const response = await request("action=backups&id=Polish");
+  if (response.status !== 400) {
+    return { success: false, message: `Expected 400, got ${response.status}` };
+  }
+  return { success: true };
+}
+
+async function testFirstUpload() {
+  const response = await upload("Polish", "termID,English,Polish\na,One,Jeden");
+  const result = await response.json();
+
+  if (!result.success || result.backupVersion !== null) {
+    return { success: false, message: `Unexpected result: ${JSON.stringify(result)}` };
+  }
+
+  const backups = (await (await request("action=backups&id=Polish")).json()).backups;
+  if (backups.length !== 1 || backups[0].version !== "current") {
+    return { success: false, message: "Expected only a current version" };
+  }
+
+  return { success: true };
+}
+
+async function testSecondUpload() {
+  const result = await (
+    await upload("Polish", "termID,English,Polish\na,One,Raz")
+  ).json();
+
+  if (result.backupVersion !== 1) {
+    return { success: false, message: `Expected backup 1, got ${result.backupVersion}` };
+  }
+
+  const backups = (await (await request("action=backups&id=Polish")).json()).backups;
+  const versions = backups.map((b) => b.version).join(",");
+  if (versions !== "current,1") {
+    return { success: false, message: `Expected current,1 got ${versions}` };
+  }
+
+  if (!backups.every((b) => b.size > 0 && b.uploaded)) {
+    return { success: false, message: "Backups should have size and upload time" };
+  }
+
+  return { success: true };
+}
+
+async function testUploadFields() {
+  const warnings = [{ rule: "broken-markup", termID: "a", message: "x" }];
+  const content = "termID,English,Polish\na,One,Jedynka";
+  await upload("Polish", content, {
+    warnings: JSON.stringify(warnings),
+    uploaded: "2000-01-01 00:00:00",
+    size: "1",
+    uploadedBy: "admin",
+  });
+
+  const backups = (await (await request("action=backups&id=Polish")).json()).backups;
+  const current = backups.find((b) => b.version === "current");
+
+  if (!Array.isArray(current.warnings) || current.warnings[0].termID !== "a") {
+    return { success: false, message: "Warnings were not stored with the upload" };
+  }
+
+  // Server-set metadata can't be overwritten by form fields
+  if (
+    current.uploaded.startsWith("2000") ||
+    current.size !== content.length ||
+    "uploadedBy" in current
+  ) {
+    return { success: false, message: `Reserved fields were taken from the form: ${JSON.stringify(current)}` };
+  }
+
+  return { success: true };
+}
+
+async function testBackupLimit() {
+  const backups = (await (await request("action=backups&id=Polish")).json()).backups;
+  const versions = backups.map((b) => b.version).join(",");
+
+  // Three uploads so far with a limit of two backups
+  if (versions !== "current,2,1") {
+    return { success: false, message: `Expected current,2,1 got ${versions}` };
+  }
+
+  await upload("Polish", "termID,English,Polish\na,One,Jeden!");
+  const after = (await (await request("action=backups&id=Polish")).json()).backups;
+  const afterVersions = after.map((b) => b.version).join(",");
+
+  if (afterVersions !== "current,3,2") {
+    return { success: false, message: `Expected current,3,2 got ${afterVersions}` };
+  }
+
+  return { success: true };
+}
+
+async function testDataVersions() {
+  const current = await (await request("action=data&id=Polish")).text();
+  const backup = await (await request("action=data&id=Polish&version=2")).text();
+  const missing = await request("action=data&id=Polish&version=1");
+
+  if (!current.endsWith("Jeden!") || !backup.endsWith("Raz")) {
+    return { success: false, message: "Wrong content for current or backup" };
+  }
+
+  if (missing.status !== 404) {
+    return { success: false, message: `Pruned version should 404, got ${missing.status}` };
+  }
+
+  return { success: true };
+}
+
+async function testListAll() {
+  await upload("LQA_Brazilian Portuguese", "termID,English,Brazilian Portuguese\na,One,Um");
+  const result = await (await request("action=list_all")).json();
+  const polish = result.ids.find((entry) => entry.id === "Polish");
+
+  if (result.ids.length !== 2 || !polish) {
+    return { success: false, message: `Expected 2 ids, got ${result.ids.length}` };
+  }
+
+  if (polish.fileCount !== 3 || polish.totalSize <= 0 || !polish.metadata) {
+    return { success: false, message: `Unexpected Polish entry: ${JSON.stringify(polish)}` };
+  }
+
+  return { success: true };
+}
+
+async function testDownloadZip() {
+  const response = await request("action=download_zip&id=Polish");
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+
+  if (response.headers.get("content-type") !== "application/zip") {
+    return { success: false, message: "Wrong content type" };
+  }
+
+  // End of central directory record holds the number of entries
+  const entries = view.getUint16(bytes.length - 22 + 10, true);
+  if (view.getUint32(0, true) !== 0x04034b50 || entries !== 4) {
+    return { success: false, message: `Expected a zip with 4 entries, got ${entries}` };
+  }
+
+  // First entry is the current file, stored uncompressed
+  const nameLength = view.getUint16(26, true);
+  const size = view.getUint32(18, true);
+  const data = bytes.slice(30 + nameLength, 30 + nameLength + size);
+  if (view.getUint32(14, true) !== crc32(data)) {
+    return { success: false, message: "CRC-32 of the first entry does not match" };
+  }
+
+  return { success: true };
+}
+
+async function testInvalidId() {
+  const response = await request("action=data&id=..%2F..%2Fetc");
+  if (response.status !== 400) {
+    return { success: false, message: `Expected 400, got ${response.status}` };
+  }
+  return { success: true };
+}
+
+async function testDelete() {
+  const result = await (
+    await request("action=delete&id=Polish", { method: "POST" })
+  ).json();
+  const backups = await request("action=backups&id=Polish");
+
+  if (!result.success || backups.status !== 400) {
+    return { success: false, message: "Polish files were not deleted" };
+  }
+
+  return { success: true };
+}
+
+async function testDeleteAll() {
+  const result = await (
+    await request("action=delete_all", { method: "POST" })
+  ).json();
+  const list = await (await request("action=list_all")).json();
+
+  if (!result.success || list.ids.length !== 0) {
+    return { success: false, message: `Expected no ids, got ${list.ids.length}` };
+  }
+
+  return { success: true };
+}
+
+async function testAdminToken() {
+  return withServer({ adminToken: "secret" }, async (url) => {
+    const deleteAll = (headers) =>
+      fetch(`${url}?action=delete_all`, { method: "POST", headers });
+
+    const missing = await deleteAll({});
+    const wrong = await deleteAll({ "X-Admin-Token": "guess" });
+    const valid = await deleteAll({ "X-Admin-Token": "secret" });
+    const auth = await fetch(`${url}?action=auth`, {
+      headers: { "X-Admin-Token": "secret" },
+    });
+    const list = await fetch(`${url}?action=list_all`);
+
+    const statuses = [missing, wrong, valid, auth, list].map((r) => r.status).join(",");
+    if (statuses !== "401,403,200,200,200") {
+      return { success: false, message: `Expected 401,403,200,200,200 got ${statuses}` };
+    }
+    return { success: true };
+  });
+}
+
+async function testTranslatorKeys() {
+  const options = { adminToken: "secret", translatorKeys: { "key-ana": "Ana" } };
+  return withServer(options, async (url) => {
+    const send = (headers) => {
+      const formData = new FormData();
+      formData.append("file", new Blob(["termID,English,Polish"]), "Polish.csv");
+      return fetch(`${url}?action=upload&id=Polish`, {
+        method: "POST",
+        body: formData,
+        headers,
+      });
+    };
+
+    const missing = await send({});
+    const unknown = await send({ "X-Translator-Key": "key-bob" });
+    const translator = await send({ "X-Translator-Key": "key-ana" });
+    const admin = await send({ "X-Admin-Token": "secret" });
+
+    const statuses = [missing, unknown, translator, admin].map((r) => r.status).join(",");
+    if (statuses !== "401,403,200,200") {
+      return { success: false, message: `Expected 401,403,200,200 got ${statuses}` };
+    }
+
+    const backups = (await (await fetch(`${url}?action=backups&id=Polish`)).json()).backups;
+    const uploaders = backups.map((b) => b.uploadedBy).join(",");
+    if (uploaders !== "admin,Ana") {
+      return { success: false, message: `Expected admin,Ana got ${uploaders}` };
+    }
+    return { success: true };
+  });
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = (await runTests()) > 0 ? 1 : 0;
+}
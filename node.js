@@ -1,8 +1,15 @@
 #!/usr/bin/env node
 
-import { writeFile } from "fs/promises";
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
 import { CONFIG } from "./config.js";
 import { fetchGoogleSheetsData } from "./dataFetcher.js";
+import { extractLanguages } from "./csvParser.js";
+import {
+  generateRuntimeBundles,
+  getRuntimeBundleFiles,
+  formatCoverageLines,
+} from "./runtimeBundles.js";
 
 async function saveDataToFile(data, filename = CONFIG.OUTPUT_FILE) {
   try {
@@ -16,6 +23,24 @@ async function saveDataToFile(data, filename = CONFIG.OUTPUT_FILE) {
   }
 }
 
+/**
+ * Write the game's per-language JSON bundles and their manifest
+ * @param {Array} data - Main sheet rows
+ * @param {string} [directory=CONFIG.BUNDLE_DIR] - Output directory
+ */
+async function saveRuntimeBundles(data, directory = CONFIG.BUNDLE_DIR) {
+  const result = generateRuntimeBundles(data, extractLanguages(data));
+
+  await mkdir(directory, { recursive: true });
+  for (const file of getRuntimeBundleFiles(result)) {
+    await writeFile(path.join(directory, file.name), file.data, "utf8");
+  }
+
+  console.log(`Runtime bundles saved to ${directory}/`);
+  console.log("\n=== Coverage ===");
+  formatCoverageLines(result.manifest).forEach((line) => console.log(line));
+}
+
 function displayDataSummary(data) {
   console.log("\n=== Data Summary ===");
   console.log(`Total records: ${data.length}`);
@@ -35,7 +60,17 @@ async function main() {
     const data = await fetchGoogleSheetsData();
     displayDataSummary(data);
 
-    await saveDataToFile(data);
+    // node node.js --bundles [dir] writes the game bundles instead of data.json
+    const bundlesFlag = process.argv.indexOf("--bundles");
+    if (bundlesFlag !== -1) {
+      const directory = process.argv[bundlesFlag + 1];
+      await saveRuntimeBundles(
+        data,
+        directory && !directory.startsWith("--") ? directory : undefined
+      );
+    } else {
+      await saveDataToFile(data);
+    }
 
     console.log("\nExecution completed successfully!");
   } catch (error) {
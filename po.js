@@ -0,0 +1,239 @@
+/**
+ * Gettext PO Import and Export Module
+ * Converts language export rows to .po files (and a .pot template built from
+ * English) for Poedit and Weblate, and reads .po files back into rows for the
+ * same report and merge logic as CSV uploads.
+ *
+ * Mapping: termID -> msgctxt, English -> msgid, language column -> msgstr,
+ * notes -> extracted comments (#.), translationNeedsToBeUpdated TRUE -> fuzzy,
+ * shouldBeTranslated FALSE -> read-only (Weblate's flag for locked strings).
+ * Strings round-trip exactly; comments are line based, so notes come back
+ * with \n line breaks.
+ */
+
+import { CONFIG } from "./config.js";
+import { getLanguageCode, findLanguageByCode } from "./languageRegistry.js";
+
+const FUZZY_FLAG = "fuzzy";
+const READ_ONLY_FLAG = "read-only";
+
+const ESCAPES = { "\\": "\\\\", '"': '\\"', "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+const UNESCAPES = { n: "\n", r: "\r", t: "\t", '"': '"', "\\": "\\", a: "\x07", b: "\b", f: "\f", v: "\v" };
+
+/**
+ * Check if a file name is a PO or POT file
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True for .po and .pot files
+ */
+export function isPoFile(fileName) {
+  return /\.pot?$/i.test(fileName || "");
+}
+
+/**
+ * Format a PO keyword and its string. Multiline strings are split after each
+ * line break, the way gettext tools write them.
+ * @param {string} keyword - msgctxt, msgid or msgstr
+ * @param {string} text - String value
+ * @returns {string} PO lines
+ */
+function formatPoString(keyword, text) {
+  const escaped = String(text ?? "").replace(/[\\"\n\r\t]/g, (char) => ESCAPES[char]);
+  const lines = escaped.split(/(?<=\\n)/).filter((line) => line !== "");
+
+  if (lines.length <= 1) {
+    return `${keyword} "${escaped}"`;
+  }
+  return [`${keyword} ""`, ...lines.map((line) => `"${line}"`)].join("\n");
+}
+
+/**
+ * Generate a PO file, or a POT template with empty translations
+ * @param {Array} rows - Rows with termID, notes, shouldBeTranslated,
+ *   translationNeedsToBeUpdated, English and the language column
+ * @param {string|null} language - Target language column, null for a template
+ * @param {Object} options - Export options
+ * @param {boolean} [options.template=false] - Write a .pot template built from English
+ * @returns {string} PO file content
+ */
+export function generatePo(rows, language, options = {}) {
+  const { template = false } = options;
+  const headerFields = [
+    `Project-Id-Version: ${CONFIG.APP_NAME} ${CONFIG.VERSION}`,
+    `POT-Creation-Date: ${formatPoDate(new Date())}`,
+    `Language: ${template ? "" : getLanguageCode(language)}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: 8bit",
+    "X-Generator: NPO Localisation Manager",
+  ];
+
+  const entries = [
+    `${formatPoString("msgid", "")}\n${formatPoString(
+      "msgstr",
+      headerFields.map((field) => `${field}\n`).join("")
+    )}`,
+  ];
+
+  rows
+    .filter((row) => row.termID)
+    .forEach((row) => {
+      const lines = [];
+      if (row.notes) {
+        row.notes.split(/\r?\n/).forEach((line) => lines.push(line ? `#. ${line}` : "#."));
+      }
+
+      const flags = [];
+      if (!template && row.translationNeedsToBeUpdated === "TRUE") flags.push(FUZZY_FLAG);
+      if (row.shouldBeTranslated === "FALSE") flags.push(READ_ONLY_FLAG);
+      if (flags.length > 0) lines.push(`#, ${flags.join(", ")}`);
+
+      lines.push(formatPoString("msgctxt", row.termID));
+      lines.push(formatPoString("msgid", row.English || ""));
+      lines.push(formatPoString("msgstr", template ? "" : row[language] || ""));
+      entries.push(lines.join("\n"));
+    });
+
+  return `${entries.join("\n\n")}\n`;
+}
+
+/**
+ * Format a date the way gettext headers do, e.g. 2024-05-01 12:00+0000
+ * @param {Date} date - Date to format
+ * @returns {string} PO header date
+ */
+function formatPoDate(date) {
+  return `${date.toISOString().slice(0, 16).replace("T", " ")}+0000`;
+}
+
+/**
+ * Undo PO string escapes
+ * @param {string} text - Escaped string content, without the quotes
+ * @returns {string} Unescaped text
+ */
+function unescapePoString(text) {
+  return text.replace(/\\([0-7]{1,3}|x[0-9a-fA-F]+|.)/g, (match, escape) => {
+    if (escape in UNESCAPES) return UNESCAPES[escape];
+    if (/^[0-7]+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+    if (escape[0] === "x") return String.fromCharCode(parseInt(escape.slice(1), 16));
+    return escape;
+  });
+}
+
+/**
+ * Split a PO file into entries
+ * @param {string} text - PO file content
+ * @returns {Array} Entries with msgctxt, msgid, msgstr, flags and extractedComments
+ */
+function readPoEntries(text) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const startEntry = () => {
+    if (!entry || entry.msgid !== undefined) {
+      entry = { flags: [], extractedComments: [], obsolete: false };
+      entries.push(entry);
+    }
+    field = null;
+  };
+
+  text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.trim();
+
+      if (line === "") {
+        entry = null;
+        field = null;
+        return;
+      }
+
+      if (line.startsWith("#")) {
+        if (!entry || field) startEntry();
+        if (line.startsWith("#~")) {
+          entry.obsolete = true;
+        } else if (line.startsWith("#.")) {
+          entry.extractedComments.push(rawLine.trimStart().slice(2).replace(/^ /, ""));
+        } else if (line.startsWith("#,")) {
+          entry.flags.push(...line.slice(2).split(",").map((flag) => flag.trim()).filter(Boolean));
+        }
+        return;
+      }
+
+      const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+      if (keyword) {
+        const [, name, pluralIndex, value] = keyword;
+        if (name === "msgctxt" || (name === "msgid" && (!entry || entry.msgstr !== undefined))) {
+          startEntry();
+        } else if (!entry) {
+          startEntry();
+        }
+
+        // Plural entries keep their first form; we have no plurals of our own
+        if (name === "msgid_plural" || (pluralIndex !== undefined && pluralIndex !== "0")) {
+          field = null;
+          return;
+        }
+
+        field = name.startsWith("msgstr") ? "msgstr" : name;
+        entry[field] = unescapePoString(value);
+        return;
+      }
+
+      const continuation = line.match(/^"(.*)"$/);
+      if (continuation && entry) {
+        if (field) entry[field] += unescapePoString(continuation[1]);
+        return;
+      }
+
+      throw new Error(`Invalid PO file: cannot read line ${index + 1}: ${rawLine}`);
+    });
+
+  return entries.filter((item) => item.msgid !== undefined && !item.obsolete);
+}
+
+/**
+ * Parse a PO file into rows shaped like a language CSV
+ * @param {string} text - PO file content
+ * @param {Object} options - Import options
+ * @param {string} [options.language] - Expected language column; the file's
+ *   Language header must match it when it names a known language
+ * @param {Array} [options.languages] - Columns the Language header may map to
+ * @returns {Object} Object with language and rows
+ * @throws {Error} When the file can't be read or is for another language
+ */
+export function parsePo(text, options = {}) {
+  const entries = readPoEntries(text);
+  const header = entries.find((entry) => entry.msgid === "" && entry.msgctxt === undefined);
+  const languageCode = header
+    ? ((header.msgstr || "").match(/^Language:[ \t]*(.*)$/m) || [])[1]
+    : null;
+  const fileLanguage = findLanguageByCode(languageCode, options.languages);
+
+  if (options.language && fileLanguage && fileLanguage !== options.language) {
+    throw new Error(`This PO file is for ${fileLanguage}, not ${options.language}`);
+  }
+
+  const language = options.language || fileLanguage;
+  if (!language) {
+    throw new Error(
+      languageCode
+        ? `Unknown PO language "${languageCode}". Add it to languageRegistry.js`
+        : "PO file has no Language header"
+    );
+  }
+
+  const rows = entries
+    .filter((entry) => entry !== header && entry.msgctxt)
+    .map((entry) => ({
+      termID: entry.msgctxt,
+      notes: entry.extractedComments.join("\n"),
+      shouldBeTranslated: entry.flags.includes(READ_ONLY_FLAG) ? "FALSE" : "TRUE",
+      translationNeedsToBeUpdated: entry.flags.includes(FUZZY_FLAG) ? "TRUE" : "FALSE",
+      English: entry.msgid,
+      [language]: entry.msgstr || "",
+    }));
+
+  return { language, rows };
+}
@@ -0,0 +1,246 @@
+/**
+ * Test Suite for the PO Module
+ * Round-trips the real localization.csv through gettext PO and reads files in
+ * the shape Poedit and Weblate write them
+ *
+ * Usage: node poTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV } from "./csvParser.js";
+import { generateLanguageExportRows } from "./localisationCore.js";
+import { generatePo, parsePo, isPoFile } from "./po.js";
+
+const LANGUAGE = "Polish";
+const FIELDS = [
+  "termID",
+  "notes",
+  "shouldBeTranslated",
+  "translationNeedsToBeUpdated",
+  "English",
+  LANGUAGE,
+];
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+const exportRows = generateLanguageExportRows(loadLocalizationData(), LANGUAGE);
+
+/**
+ * Compare rows read back from PO with the rows that were written, field by field
+ * @param {Array} rows - Rows read back
+ * @param {Array} expected - Rows written
+ * @returns {Object} Test result
+ */
+function compareRows(rows, expected) {
+  if (rows.length !== expected.length) {
+    return { success: false, message: `Expected ${expected.length} rows, got ${rows.length}` };
+  }
+
+  for (let i = 0; i < rows.length; i++) {
+    const field = FIELDS.find((name) => rows[i][name] !== (expected[i][name] || ""));
+    if (field) {
+      return {
+        success: false,
+        message: `${expected[i].termID}.${field}: ${JSON.stringify(rows[i][field])} !== ${JSON.stringify(expected[i][field])}`,
+      };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting PO Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Round trip - language file", test: testRoundTrip },
+    { name: "Round trip - multiline strings and markup", test: testEscaping },
+    { name: "Export - fuzzy and read-only flags", test: testFlags },
+    { name: "Export - template from English", test: testTemplate },
+    { name: "Import - Poedit file", test: testPoeditFile },
+    { name: "Import - language is checked", test: testLanguageMismatch },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testRoundTrip() {
+  const { language, rows } = parsePo(generatePo(exportRows, LANGUAGE));
+
+  if (language !== LANGUAGE) {
+    return { success: false, message: `Unexpected language: ${language}` };
+  }
+  return compareRows(rows, exportRows);
+}
+
+function testEscaping() {
+  const rows = [
+    {
+      termID: "multiline",
+      notes: "first line\nsecond line",
+      shouldBeTranslated: "TRUE",
+      translationNeedsToBeUpdated: "FALSE",
+      English: "<b>Hello</b>\r\n[username]\n\n",
+      [LANGUAGE]: "<b>Cześć</b>\r\n[username]\n\n",
+    },
+    {
+      termID: 'quote "and" \\ backslash',
+      notes: "",
+      shouldBeTranslated: "TRUE",
+      translationNeedsToBeUpdated: "FALSE",
+      English: 'say "hi"\t\\n is not a line break',
+      [LANGUAGE]: 'powiedz "cześć"\t\\n',
+    },
+  ];
+  const po = generatePo(rows, LANGUAGE);
+
+  if (!po.includes('msgid ""\n"<b>Hello</b>\\r\\n"\n"[username]\\n"\n"\\n"')) {
+    return { success: false, message: "Multiline strings should be split after each line break" };
+  }
+  return compareRows(parsePo(po).rows, rows);
+}
+
+function testFlags() {
+  const rows = [
+    { termID: "stale", English: "Quit", [LANGUAGE]: "Wyjdź", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "TRUE" },
+    { termID: "brand", English: "beeswax games", [LANGUAGE]: "beeswax games", shouldBeTranslated: "FALSE", translationNeedsToBeUpdated: "FALSE" },
+  ];
+  const po = generatePo(rows, LANGUAGE);
+
+  if (!po.includes('#, fuzzy\nmsgctxt "stale"') || !po.includes('#, read-only\nmsgctxt "brand"')) {
+    return { success: false, message: "Expected fuzzy and read-only flags" };
+  }
+  return compareRows(parsePo(po).rows, rows);
+}
+
+function testTemplate() {
+  const pot = generatePo(exportRows, null, { template: true });
+
+  if (!pot.includes('"Language: \\n"') || pot.includes("#, fuzzy")) {
+    return { success: false, message: "Template should have no language and no fuzzy entries" };
+  }
+
+  const { rows } = parsePo(pot, { language: LANGUAGE });
+  if (rows.length !== exportRows.length || rows.some((row) => row[LANGUAGE] !== "")) {
+    return { success: false, message: "Template translations should be empty" };
+  }
+  if (!isPoFile("template.pot") || !isPoFile("Polish.PO") || isPoFile("Polish.csv")) {
+    return { success: false, message: "PO file names not recognised" };
+  }
+  return { success: true };
+}
+
+function testPoeditFile() {
+  const po = [
+    '# Translator comment',
+    'msgid ""',
+    'msgstr ""',
+    '"Language: pl_PL\\n"',
+    '"Plural-Forms: nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);\\n"',
+    "",
+    "# Checked by Ola",
+    "#. button label",
+    "#: menu.cs:12",
+    "#, fuzzy, c-format",
+    "#| msgid \"Play\"",
+    'msgctxt "play"',
+    'msgid "Play now"',
+    'msgstr "Graj teraz"',
+    "",
+    'msgctxt "friends"',
+    'msgid "friend"',
+    'msgid_plural "friends"',
+    'msgstr[0] "znajomy"',
+    'msgstr[1] "znajomi"',
+    "",
+    '#~ msgctxt "removed"',
+    '#~ msgid "Old"',
+    '#~ msgstr "Stare"',
+    "",
+  ].join("\r\n");
+
+  const { language, rows } = parsePo(po);
+  const expected = [
+    { termID: "play", notes: "button label", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "TRUE", English: "Play now", [LANGUAGE]: "Graj teraz" },
+    { termID: "friends", notes: "", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "friend", [LANGUAGE]: "znajomy" },
+  ];
+
+  if (language !== LANGUAGE) {
+    return { success: false, message: `pl_PL should map to ${LANGUAGE}, got ${language}` };
+  }
+  return compareRows(rows, expected);
+}
+
+function testLanguageMismatch() {
+  const po = generatePo(exportRows.slice(0, 3), "German");
+
+  try {
+    parsePo(po, { language: LANGUAGE });
+    return { success: false, message: "German file accepted as Polish" };
+  } catch (error) {
+    if (!error.message.includes("for German, not Polish")) {
+      return { success: false, message: `Unexpected error: ${error.message}` };
+    }
+  }
+
+  try {
+    parsePo('msgctxt "a"\nmsgid "a"\nmsgstr "b"\n');
+    return { success: false, message: "File without a language accepted" };
+  } catch (error) {
+    if (!error.message.includes("no Language header")) {
+      return { success: false, message: `Unexpected error: ${error.message}` };
+    }
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
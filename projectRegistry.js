@@ -0,0 +1,222 @@
+/**
+ * Project Registry Module
+ * Loads projects.json and applies the selected project's sheet, server
+ * namespace, language list and standard columns to CONFIG and csvParser, so
+ * every page and the CLI work on one project at a time
+ */
+
+import { CONFIG } from "./config.js";
+import { configureColumns, DEFAULT_STANDARD_COLUMNS } from "./csvParser.js";
+
+const PROJECT_STORAGE_KEY = "selectedProject";
+const PROJECT_ID_PATTERN = /^[A-Za-z0-9-]{1,40}$/;
+// No underscores, so "<namespace>__<id>" splits unambiguously
+const NAMESPACE_PATTERN = /^[A-Za-z0-9-]{0,40}$/;
+
+/**
+ * Check a registry and fill in the optional fields of each project
+ * @param {Object} registry - Parsed projects.json
+ * @returns {Object} Object with defaultProject and projects
+ * @throws {Error} When the registry is invalid
+ */
+export function normalizeProjectRegistry(registry) {
+  if (!registry || !Array.isArray(registry.projects) || registry.projects.length === 0) {
+    throw new Error("Project registry has no projects");
+  }
+
+  const ids = new Set();
+  const namespaces = new Set();
+
+  const projects = registry.projects.map((project) => {
+    const label = project && project.id ? `Project "${project.id}"` : "Project";
+
+    if (!project || !PROJECT_ID_PATTERN.test(project.id || "")) {
+      throw new Error(`${label} needs an id of letters, digits and dashes`);
+    }
+    if (ids.has(project.id)) {
+      throw new Error(`${label} is listed twice`);
+    }
+    if (!project.sheetUrl) {
+      throw new Error(`${label} has no sheetUrl`);
+    }
+
+    const serverNamespace = project.serverNamespace || "";
+    if (!NAMESPACE_PATTERN.test(serverNamespace)) {
+      throw new Error(`${label} has an invalid serverNamespace: use letters, digits and dashes`);
+    }
+    if (namespaces.has(serverNamespace)) {
+      throw new Error(`${label} shares its serverNamespace with another project`);
+    }
+
+    const standardColumns = project.standardColumns || DEFAULT_STANDARD_COLUMNS;
+    if (!standardColumns.includes("termID") || !standardColumns.includes("English")) {
+      throw new Error(`${label} standardColumns must include termID and English`);
+    }
+
+    ids.add(project.id);
+    namespaces.add(serverNamespace);
+
+    return {
+      id: project.id,
+      name: project.name || project.id,
+      sheetUrl: project.sheetUrl,
+      originalSheetUrl: project.originalSheetUrl || "",
+      sheetsWriteUrl: project.sheetsWriteUrl || "",
+      serverNamespace,
+      languages: Array.isArray(project.languages) ? project.languages : null,
+      standardColumns: [...standardColumns],
+    };
+  });
+
+  const defaultProject = ids.has(registry.defaultProject)
+    ? registry.defaultProject
+    : projects[0].id;
+
+  return { defaultProject, projects };
+}
+
+/**
+ * Load the project registry from a URL (browser) or a file path (Node.js)
+ * @param {string} source - Registry location
+ * @returns {Promise<Object>} Normalized registry
+ */
+export async function loadProjectRegistry(source = CONFIG.PROJECTS_FILE) {
+  let text;
+  if (typeof window === "undefined") {
+    const { readFile } = await import("fs/promises");
+    text = await readFile(source, "utf8");
+  } else {
+    const response = await fetch(source, { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`Could not load ${source}: ${response.status}`);
+    }
+    text = await response.text();
+  }
+
+  return normalizeProjectRegistry(JSON.parse(text));
+}
+
+/**
+ * Find a project, falling back to the registry's default project
+ * @param {Object} registry - Normalized registry
+ * @param {string|null} projectId - Requested project id
+ * @returns {Object} Project
+ */
+export function findProject(registry, projectId) {
+  return (
+    registry.projects.find((project) => project.id === projectId) ||
+    registry.projects.find((project) => project.id === registry.defaultProject)
+  );
+}
+
+/**
+ * Point CONFIG and the CSV column setup at a project
+ * @param {Object} project - Normalized project
+ */
+export function applyProject(project) {
+  CONFIG.PROJECT_ID = project.id;
+  CONFIG.APP_NAME = project.name;
+  CONFIG.GOOGLE_SHEETS_URL = project.sheetUrl;
+  CONFIG.ORIGINAL_SHEET_URL = project.originalSheetUrl;
+  CONFIG.SERVER_NAMESPACE = project.serverNamespace;
+  if (!CONFIG.USE_LOCAL_SERVER) {
+    CONFIG.SHEETS_WRITE_URL = project.sheetsWriteUrl;
+  }
+
+  configureColumns({
+    standardColumns: project.standardColumns,
+    languages: project.languages,
+  });
+}
+
+/**
+ * Project id selected in the browser: the ?project= parameter, then the last choice
+ * @returns {string|null} Project id
+ */
+export function getSelectedProjectId() {
+  if (typeof window === "undefined") return null;
+
+  const fromUrl = new URLSearchParams(window.location.search).get("project");
+  return fromUrl || localStorage.getItem(PROJECT_STORAGE_KEY);
+}
+
+/**
+ * Remember the selected project for the other pages
+ * @param {string} projectId - Project id
+ */
+export function setSelectedProjectId(projectId) {
+  localStorage.setItem(PROJECT_STORAGE_KEY, projectId);
+}
+
+/**
+ * Storage key scoped to the selected project. The project without a server
+ * namespace keeps the plain key, so its saved state survives the upgrade.
+ * @param {string} key - Base key
+ * @returns {string} Scoped key
+ */
+export function projectStorageKey(key) {
+  return CONFIG.SERVER_NAMESPACE ? `${key}:${CONFIG.SERVER_NAMESPACE}` : key;
+}
+
+/**
+ * Load the registry and apply the selected project. Without a registry the
+ * pages keep the defaults from config.js.
+ * @param {string|null} projectId - Project to select
+ * @returns {Promise<Object|null>} Object with registry and project, or null without a registry
+ */
+export async function initProject(projectId = getSelectedProjectId()) {
+  let registry;
+  try {
+    registry = await loadProjectRegistry();
+  } catch (error) {
+    console.warn(`Project registry not loaded, using config.js: ${error.message}`);
+    return null;
+  }
+
+  const project = findProject(registry, projectId);
+  applyProject(project);
+
+  if (typeof window !== "undefined") {
+    setSelectedProjectId(project.id);
+  }
+
+  return { registry, project };
+}
+
+/**
+ * Show the project name in a page header, with a selector when there are several projects
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object|null} selection - Result of initProject
+ */
+export function renderProjectSelector(container, selection) {
+  if (!container || !selection) return;
+
+  const { registry, project } = selection;
+  document.title = `${document.title} - ${project.name}`;
+
+  if (registry.projects.length < 2) {
+    container.textContent = project.name;
+    return;
+  }
+
+  const select = document.createElement("select");
+  select.id = "projectSelect";
+  select.setAttribute("aria-label", "Project");
+  registry.projects.forEach((entry) => {
+    const option = document.createElement("option");
+    option.value = entry.id;
+    option.textContent = entry.name;
+    option.selected = entry.id === project.id;
+    select.appendChild(option);
+  });
+
+  select.addEventListener("change", () => {
+    setSelectedProjectId(select.value);
+    // Reload so every module starts from the new project's config
+    const url = new URL(window.location.href);
+    url.searchParams.set("project", select.value);
+    window.location.href = url.toString();
+  });
+
+  container.replaceChildren(select);
+}
@@ -0,0 +1,243 @@
+/**
+ * Test Suite for the Project Registry Module
+ * Checks registry validation and that applying a project rescopes the config
+ * and the CSV column setup
+ *
+ * Usage: node projectRegistryTests.js
+ */
+
+import Papa from "papaparse";
+import { CONFIG } from "./config.js";
+import {
+  configureColumns,
+  extractLanguages,
+  generateLocalizationCSV,
+  getStandardColumns,
+  setPapaParseInstance,
+  DEFAULT_STANDARD_COLUMNS,
+} from "./csvParser.js";
+import {
+  normalizeProjectRegistry,
+  loadProjectRegistry,
+  findProject,
+  applyProject,
+  projectStorageKey,
+} from "./projectRegistry.js";
+
+// Sheet URL from config.js, before any project is applied
+const CONFIG_SHEET_URL = CONFIG.GOOGLE_SHEETS_URL;
+
+const REGISTRY = {
+  defaultProject: "npo",
+  projects: [
+    { id: "npo", name: "No Players Online", sheetUrl: "https://example.invalid/npo.csv" },
+    {
+      id: "second-game",
+      name: "Second Game",
+      sheetUrl: "https://example.invalid/second.csv",
+      serverNamespace: "second-game",
+      languages: ["German", "Polish"],
+      standardColumns: ["termID", "context", "English"],
+    },
+  ],
+};
+
+const ROWS = [
+  { termID: "a", context: "menu", English: "Play", German: "Spielen", Polish: "Graj", French: "Jouer" },
+];
+
+/**
+ * Expect a registry to be rejected with a message containing some text
+ * @param {Object} registry - Registry to check
+ * @param {string} text - Expected part of the message
+ * @returns {Object} Test result
+ */
+function expectInvalid(registry, text) {
+  try {
+    normalizeProjectRegistry(registry);
+    return { success: false, message: `Expected an error about "${text}"` };
+  } catch (error) {
+    if (!error.message.includes(text)) {
+      return { success: false, message: `Unexpected error: ${error.message}` };
+    }
+    return { success: true };
+  }
+}
+
+/**
+ * Test runner function
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function runTests() {
+  console.log("🧪 Starting Project Registry Tests\n");
+
+  setPapaParseInstance(Papa);
+  const savedConfig = { ...CONFIG };
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Registry - defaults are filled in", test: testNormalizeDefaults },
+    { name: "Registry - invalid projects are rejected", test: testInvalidRegistry },
+    { name: "Registry - unknown id falls back to default", test: testFindProject },
+    { name: "Registry - projects.json is valid", test: testProjectsFile },
+    { name: "Apply - config points at the project", test: testApplyConfig },
+    { name: "Apply - languages and standard columns", test: testApplyColumns },
+    { name: "Apply - storage keys are scoped", test: testStorageKey },
+  ];
+
+  try {
+    for (const testCase of tests) {
+      try {
+        const result = await testCase.test();
+        if (result.success) {
+          console.log(`✅ ${testCase.name}`);
+          passed++;
+        } else {
+          console.log(`❌ ${testCase.name}: ${result.message}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ${testCase.name}: ${error.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    Object.assign(CONFIG, savedConfig);
+    configureColumns();
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+async function testNormalizeDefaults() {
+  const registry = normalizeProjectRegistry(REGISTRY);
+  const [npo] = registry.projects;
+
+  if (
+    npo.serverNamespace !== "" ||
+    npo.languages !== null ||
+    npo.standardColumns.join() !== DEFAULT_STANDARD_COLUMNS.join()
+  ) {
+    return { success: false, message: `Unexpected defaults: ${JSON.stringify(npo)}` };
+  }
+
+  return { success: true };
+}
+
+async function testInvalidRegistry() {
+  const [npo, second] = REGISTRY.projects;
+  const cases = [
+    [{ projects: [] }, "no projects"],
+    [{ projects: [npo, { ...npo }] }, "listed twice"],
+    [{ projects: [{ id: "x" }] }, "no sheetUrl"],
+    [{ projects: [{ ...npo, id: "bad id" }] }, "needs an id"],
+    [{ projects: [{ ...npo, serverNamespace: "a__b" }] }, "invalid serverNamespace"],
+    [{ projects: [second, { ...npo, serverNamespace: "second-game" }] }, "shares its serverNamespace"],
+    [{ projects: [{ ...npo, standardColumns: ["notes", "English"] }] }, "termID and English"],
+  ];
+
+  for (const [registry, text] of cases) {
+    const result = expectInvalid(registry, text);
+    if (!result.success) return result;
+  }
+
+  return { success: true };
+}
+
+async function testFindProject() {
+  const registry = normalizeProjectRegistry(REGISTRY);
+
+  if (findProject(registry, "second-game").id !== "second-game") {
+    return { success: false, message: "Requested project not found" };
+  }
+  if (findProject(registry, "removed-game").id !== "npo" || findProject(registry, null).id !== "npo") {
+    return { success: false, message: "Expected the default project" };
+  }
+
+  return { success: true };
+}
+
+async function testProjectsFile() {
+  const registry = await loadProjectRegistry("projects.json");
+  const project = findProject(registry, null);
+
+  // The original project keeps unprefixed ids so existing server files stay visible
+  if (project.serverNamespace !== "" || project.sheetUrl !== CONFIG_SHEET_URL) {
+    return { success: false, message: "Default project does not match config.js" };
+  }
+
+  return { success: true };
+}
+
+async function testApplyConfig() {
+  const registry = normalizeProjectRegistry(REGISTRY);
+  applyProject(findProject(registry, "second-game"));
+
+  if (
+    CONFIG.PROJECT_ID !== "second-game" ||
+    CONFIG.APP_NAME !== "Second Game" ||
+    CONFIG.GOOGLE_SHEETS_URL !== "https://example.invalid/second.csv" ||
+    CONFIG.SERVER_NAMESPACE !== "second-game"
+  ) {
+    return { success: false, message: `Config not applied: ${JSON.stringify(CONFIG)}` };
+  }
+
+  return { success: true };
+}
+
+async function testApplyColumns() {
+  const registry = normalizeProjectRegistry(REGISTRY);
+  applyProject(findProject(registry, "second-game"));
+
+  const languages = extractLanguages(ROWS);
+  if (languages.join() !== "German,Polish") {
+    return { success: false, message: `Unexpected languages: ${languages.join()}` };
+  }
+
+  const header = Papa.parse(generateLocalizationCSV(ROWS, languages)).data[0].join();
+  if (header !== "termID,context,English,German,Polish") {
+    return { success: false, message: `Unexpected header: ${header}` };
+  }
+
+  applyProject(findProject(registry, "npo"));
+  if (getStandardColumns().join() !== DEFAULT_STANDARD_COLUMNS.join()) {
+    return { success: false, message: "Columns were not reset by the next project" };
+  }
+  if (extractLanguages(ROWS).join() !== "context,German,Polish,French") {
+    return { success: false, message: "Every language column should be offered" };
+  }
+
+  return { success: true };
+}
+
+async function testStorageKey() {
+  const registry = normalizeProjectRegistry(REGISTRY);
+
+  applyProject(findProject(registry, "npo"));
+  const plain = projectStorageKey("state");
+  applyProject(findProject(registry, "second-game"));
+  const scoped = projectStorageKey("state");
+
+  if (plain !== "state" || scoped !== "state:second-game") {
+    return { success: false, message: `Unexpected keys: ${plain}, ${scoped}` };
+  }
+
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = (await runTests()) > 0 ? 1 : 0;
+}
@@ -0,0 +1,182 @@
+/**
+ * Runtime Bundle Export Module
+ * Builds the per-language JSON files the game loads at runtime: one file per
+ * language keyed by termID, plus a manifest listing the files, their coverage
+ * and the registry details the game needs to display them (direction, script,
+ * plural categories)
+ */
+
+import { CONFIG } from "./config.js";
+import { getLanguageCode, getLanguageInfo, getFallbackChain } from "./languageRegistry.js";
+
+export const MANIFEST_FILE = "manifest.json";
+
+// What to do with shouldBeTranslated FALSE terms in the translated bundles
+export const UNTRANSLATABLE_MODES = ["english", "skip"];
+
+/**
+ * Build the runtime bundles. The English bundle always has every term;
+ * untranslated terms use the language's fallback from the registry (English
+ * for most languages) in the other bundles.
+ * @param {Array} data - Main sheet rows
+ * @param {Array} languages - Language columns to export, besides English
+ * @param {Object} options - Export options
+ * @param {string} [options.untranslatable=CONFIG.BUNDLE_UNTRANSLATABLE] - "english" to
+ *   use the English text for shouldBeTranslated FALSE terms, "skip" to leave them
+ *   out so the game reads them from the English bundle
+ * @returns {Object} Object with bundles (language, code, file, strings) and manifest
+ */
+export function generateRuntimeBundles(data, languages, options = {}) {
+  const { untranslatable = CONFIG.BUNDLE_UNTRANSLATABLE } = options;
+  if (!UNTRANSLATABLE_MODES.includes(untranslatable)) {
+    throw new Error(
+      `Unknown untranslatable mode "${untranslatable}". Use ${UNTRANSLATABLE_MODES.join(" or ")}`
+    );
+  }
+
+  const rows = data.filter((row) => row.termID);
+  const bundles = ["English", ...languages.filter((language) => language !== "English")].map(
+    (language) => buildBundle(rows, language, untranslatable)
+  );
+
+  const manifest = {
+    name: CONFIG.APP_NAME,
+    version: CONFIG.VERSION,
+    generatedAt: new Date().toISOString(),
+    sourceLanguage: getLanguageCode("English"),
+    untranslatable,
+    languages: bundles.map(({ language, code, file, coverage }) => ({
+      language,
+      code,
+      file,
+      ...getDisplayDetails(language),
+      fallbackLanguage: getFallbackChain(language)[1] || null,
+      terms: coverage.terms,
+      translated: coverage.translated,
+      fallback: coverage.fallbackTerms.length,
+      outdated: coverage.outdatedTerms.length,
+      coverage: coverage.percent,
+    })),
+  };
+
+  return { bundles, manifest };
+}
+
+/**
+ * Build one language bundle and its coverage
+ * @param {Array} rows - Sheet rows with a termID
+ * @param {string} language - Language column
+ * @param {string} untranslatable - See generateRuntimeBundles
+ * @returns {Object} Object with language, code, file, strings and coverage
+ */
+function buildBundle(rows, language, untranslatable) {
+  const strings = {};
+  const fallbackTerms = [];
+  const outdatedTerms = [];
+  let translatable = 0;
+
+  rows.forEach((row) => {
+    const english = row.English || "";
+
+    if (language === "English") {
+      strings[row.termID] = english;
+      return;
+    }
+
+    if (row.shouldBeTranslated === "FALSE") {
+      if (untranslatable === "english") strings[row.termID] = english;
+      return;
+    }
+
+    translatable++;
+    const text = row[language] || "";
+    if (text.trim() === "") {
+      fallbackTerms.push(row.termID);
+      strings[row.termID] = fallbackText(row, language);
+      return;
+    }
+
+    if (row.translationNeedsToBeUpdated === "TRUE") {
+      outdatedTerms.push(row.termID);
+    }
+    strings[row.termID] = text;
+  });
+
+  const terms = language === "English" ? rows.length : translatable;
+  const translated = terms - fallbackTerms.length;
+  const code = getLanguageCode(language);
+
+  return {
+    language,
+    code,
+    file: `${code}.json`,
+    strings,
+    coverage: {
+      terms,
+      translated,
+      percent: terms === 0 ? 100 : Math.round((translated / terms) * 1000) / 10,
+      fallbackTerms,
+      outdatedTerms,
+    },
+  };
+}
+
+/**
+ * Text of the first language in the fallback chain that has a translation
+ * @param {Object} row - Sheet row
+ * @param {string} language - Language column without a translation
+ * @returns {string} Fallback text, English when nothing else is translated
+ */
+function fallbackText(row, language) {
+  const fallback = getFallbackChain(language)
+    .slice(1)
+    .find((column) => (row[column] || "").trim() !== "");
+  return fallback ? row[fallback] : row.English || "";
+}
+
+/**
+ * Registry details of a language for the manifest
+ * @param {string} language - Language column
+ * @returns {Object} name, nativeName, direction, script and pluralCategories
+ */
+function getDisplayDetails(language) {
+  const info = getLanguageInfo(language);
+  if (!info) {
+    return { name: language, nativeName: language, direction: "ltr", script: null, pluralCategories: ["other"] };
+  }
+  const { name, nativeName, direction, script, pluralCategories } = info;
+  return { name, nativeName, direction, script, pluralCategories };
+}
+
+/**
+ * Turn runtime bundles into files for writing to disk or a ZIP archive
+ * @param {Object} result - Result of generateRuntimeBundles
+ * @returns {Array} Array of { name, data } with JSON strings
+ */
+export function getRuntimeBundleFiles({ bundles, manifest }) {
+  return [
+    ...bundles.map((bundle) => ({
+      name: bundle.file,
+      data: `${JSON.stringify(bundle.strings, null, 2)}\n`,
+    })),
+    { name: MANIFEST_FILE, data: `${JSON.stringify(manifest, null, 2)}\n` },
+  ];
+}
+
+/**
+ * One line of coverage per language, for logs and status messages
+ * @param {Object} manifest - Bundle manifest
+ * @returns {Array} Lines such as "Polish (pl): 520/548 translated (94.9%), 28 fall back to English"
+ */
+export function formatCoverageLines(manifest) {
+  return manifest.languages.map((entry) => {
+    const parts = [
+      `${entry.language} (${entry.code}): ${entry.translated}/${entry.terms} translated (${entry.coverage}%)`,
+    ];
+    if (entry.fallback > 0) {
+      parts.push(`${entry.fallback} fall back to ${entry.fallbackLanguage || "English"}`);
+    }
+    if (entry.outdated > 0) parts.push(`${entry.outdated} need an update`);
+    return parts.join(", ");
+  });
+}
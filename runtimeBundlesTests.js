@@ -0,0 +1,221 @@
+/**
+ * Test Suite for the Runtime Bundle Module
+ * Builds the game's JSON bundles from small fixtures and the real localization.csv
+ *
+ * Usage: node runtimeBundlesTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV, extractLanguages } from "./csvParser.js";
+import {
+  generateRuntimeBundles,
+  getRuntimeBundleFiles,
+  formatCoverageLines,
+  MANIFEST_FILE,
+} from "./runtimeBundles.js";
+import { registerLanguage } from "./languageRegistry.js";
+
+const ROWS = [
+  { termID: "play", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "Play", Polish: "Graj", German: "Spielen" },
+  { termID: "quit", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "TRUE", English: "Quit", Polish: "Wyjdź", German: "" },
+  { termID: "lobby", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "Lobby\nwith friends", Polish: "  ", German: "Lobby\nmit Freunden" },
+  { termID: "studio", shouldBeTranslated: "FALSE", translationNeedsToBeUpdated: "FALSE", English: "beeswax games", Polish: "", German: "" },
+  { termID: "", English: "row without an id" },
+];
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Find a bundle by language
+ * @param {Object} result - Result of generateRuntimeBundles
+ * @param {string} language - Language column
+ * @returns {Object} Bundle
+ */
+function bundleFor(result, language) {
+  return result.bundles.find((bundle) => bundle.language === language);
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Runtime Bundle Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Bundles - one file per language", test: testBundleFiles },
+    { name: "Bundles - English fallback and coverage", test: testFallback },
+    { name: "Bundles - untranslatable terms", test: testUntranslatable },
+    { name: "Bundles - registry fallback and details", test: testRegistryFallback },
+    { name: "Bundles - coverage of the real sheet", test: testSheetCoverage },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testBundleFiles() {
+  const result = generateRuntimeBundles(ROWS, ["Polish", "German"]);
+  const files = getRuntimeBundleFiles(result);
+  const names = files.map((file) => file.name).join();
+
+  if (names !== `en.json,pl.json,de.json,${MANIFEST_FILE}`) {
+    return { success: false, message: `Unexpected files: ${names}` };
+  }
+
+  const polish = JSON.parse(files[1].data);
+  if (Object.keys(polish).join() !== "play,quit,lobby,studio") {
+    return { success: false, message: `Unexpected keys: ${Object.keys(polish).join()}` };
+  }
+
+  const manifest = JSON.parse(files[3].data);
+  if (manifest.sourceLanguage !== "en" || manifest.languages.map((entry) => entry.file).join() !== "en.json,pl.json,de.json") {
+    return { success: false, message: `Unexpected manifest: ${files[3].data}` };
+  }
+  return { success: true };
+}
+
+function testFallback() {
+  const result = generateRuntimeBundles(ROWS, ["Polish", "German"]);
+  const polish = bundleFor(result, "Polish");
+  const german = bundleFor(result, "German");
+
+  if (polish.strings.lobby !== "Lobby\nwith friends" || german.strings.quit !== "Quit") {
+    return { success: false, message: "Untranslated terms should fall back to English" };
+  }
+  if (polish.strings.quit !== "Wyjdź") {
+    return { success: false, message: "Outdated translations are still used" };
+  }
+
+  const [english, polishEntry, germanEntry] = result.manifest.languages;
+  if (
+    english.coverage !== 100 ||
+    polishEntry.translated !== 2 || polishEntry.terms !== 3 || polishEntry.coverage !== 66.7 ||
+    polishEntry.fallback !== 1 || polishEntry.outdated !== 1 ||
+    germanEntry.fallback !== 1 || germanEntry.outdated !== 0
+  ) {
+    return { success: false, message: `Unexpected coverage: ${JSON.stringify(result.manifest.languages)}` };
+  }
+
+  const line = formatCoverageLines(result.manifest)[1];
+  if (line !== "Polish (pl): 2/3 translated (66.7%), 1 fall back to English, 1 need an update") {
+    return { success: false, message: `Unexpected coverage line: ${line}` };
+  }
+  return { success: true };
+}
+
+function testUntranslatable() {
+  const mapped = generateRuntimeBundles(ROWS, ["Polish"], { untranslatable: "english" });
+  const skipped = generateRuntimeBundles(ROWS, ["Polish"], { untranslatable: "skip" });
+
+  if (bundleFor(mapped, "Polish").strings.studio !== "beeswax games") {
+    return { success: false, message: "Untranslatable terms should map to English" };
+  }
+  if ("studio" in bundleFor(skipped, "Polish").strings) {
+    return { success: false, message: "Untranslatable terms should be skipped" };
+  }
+  if (bundleFor(skipped, "English").strings.studio !== "beeswax games") {
+    return { success: false, message: "The English bundle keeps every term" };
+  }
+
+  try {
+    generateRuntimeBundles(ROWS, ["Polish"], { untranslatable: "drop" });
+    return { success: false, message: "Unknown mode accepted" };
+  } catch (error) {
+    return { success: true };
+  }
+}
+
+function testRegistryFallback() {
+  registerLanguage("Swiss German", { code: "de-CH", nativeName: "Schwiizerdütsch", fallback: "German" });
+  const rows = ROWS.map((row) => ({ ...row, "Swiss German": row.termID === "play" ? "Spile" : "" }));
+  const result = generateRuntimeBundles(rows, ["German", "Swiss German"]);
+  const swiss = bundleFor(result, "Swiss German");
+
+  if (swiss.strings.play !== "Spile" || swiss.strings.lobby !== "Lobby\nmit Freunden" || swiss.strings.quit !== "Quit") {
+    return { success: false, message: `Unexpected fallback: ${JSON.stringify(swiss.strings)}` };
+  }
+
+  const entry = result.manifest.languages[2];
+  if (
+    entry.fallbackLanguage !== "German" || entry.nativeName !== "Schwiizerdütsch" ||
+    entry.direction !== "ltr" || entry.pluralCategories.join() !== "other"
+  ) {
+    return { success: false, message: `Unexpected manifest entry: ${JSON.stringify(entry)}` };
+  }
+  if (result.manifest.languages[1].pluralCategories.join() !== "one,other") {
+    return { success: false, message: "German plural categories missing" };
+  }
+  if (!formatCoverageLines(result.manifest)[2].includes("2 fall back to German")) {
+    return { success: false, message: `Unexpected coverage line: ${formatCoverageLines(result.manifest)[2]}` };
+  }
+  return { success: true };
+}
+
+function testSheetCoverage() {
+  const data = loadLocalizationData();
+  const languages = extractLanguages(data);
+  const { bundles, manifest } = generateRuntimeBundles(data, languages);
+
+  const termCount = data.filter((row) => row.termID).length;
+  const incomplete = bundles.find(
+    (bundle) => Object.keys(bundle.strings).length !== termCount
+  );
+  if (incomplete) {
+    return { success: false, message: `${incomplete.language} bundle is missing terms` };
+  }
+  if (manifest.languages.length !== languages.length + 1) {
+    return { success: false, message: "Every language should be in the manifest" };
+  }
+  if (new Set(bundles.map((bundle) => bundle.file)).size !== bundles.length) {
+    return { success: false, message: "Bundle file names should be unique" };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
@@ -0,0 +1,428 @@
+/**
+ * Server Client Module
+ * Single wrapper around the PHP storage server's ?action= endpoints with
+ * request timeouts, retries for idempotent reads and typed errors
+ */
+
+import { CONFIG } from "./config.js";
+
+/**
+ * Base class for every server error
+ */
+export class ServerError extends Error {
+  constructor(message, { status = null, action = null, cause = null } = {}) {
+    super(message);
+    this.name = "ServerError";
+    this.status = status;
+    this.action = action;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The requested id or version does not exist on the server
+ */
+export class NotFoundError extends ServerError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * The server could not be reached, timed out or failed with a 5xx error
+ */
+export class ServerUnavailableError extends ServerError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ServerUnavailableError";
+  }
+}
+
+/**
+ * The server answered but refused the request (4xx or success: false)
+ */
+export class RequestRejectedError extends ServerError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RequestRejectedError";
+  }
+}
+
+/**
+ * The server refused the credentials (401 missing, 403 invalid)
+ */
+export class UnauthorizedError extends RequestRejectedError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "UnauthorizedError";
+  }
+}
+
+// Joins a project namespace and a file id, e.g. "other-game__Polish"
+const NAMESPACE_SEPARATOR = "__";
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Read the error message of a failed response, if the server sent one
+ * @param {Response} response - Failed response
+ * @returns {Promise<string|null>} Error message
+ */
+async function readErrorMessage(response) {
+  try {
+    const text = await response.text();
+    try {
+      const result = JSON.parse(text);
+      return result.error || result.message || null;
+    } catch (error) {
+      return text.trim().slice(0, 200) || null;
+    }
+  } catch (error) {
+    return null;
+  }
+}
+
+export class ServerClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} [options.baseUrl=CONFIG.PHP_SERVER_URL] - Server URL
+   * @param {number} [options.timeout=15000] - Request timeout in milliseconds
+   * @param {number} [options.retries=2] - Extra attempts for reads that fail with ServerUnavailableError
+   * @param {number} [options.retryDelay=500] - Delay before the first retry, doubled on each attempt
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {string} [options.adminToken] - Admin token, sent with every request
+   * @param {string} [options.translatorKey] - Translator key, sent with uploads
+   * @param {string} [options.namespace=CONFIG.SERVER_NAMESPACE] - Project prefix of the ids on the server
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || CONFIG.PHP_SERVER_URL;
+    this.timeout = options.timeout ?? 15000;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 500;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.adminToken = options.adminToken || null;
+    this.translatorKey = options.translatorKey || null;
+    this.namespace = options.namespace ?? CONFIG.SERVER_NAMESPACE ?? "";
+  }
+
+  /**
+   * Server id of a project id ("<namespace>__<id>", or the id itself without a namespace)
+   * @param {string} id - File id
+   * @returns {string} Server id
+   */
+  scopeId(id) {
+    return this.namespace ? `${this.namespace}${NAMESPACE_SEPARATOR}${id}` : id;
+  }
+
+  /**
+   * Project id of a server id
+   * @param {string} serverId - Server id
+   * @returns {string|null} File id, or null when the id belongs to another project
+   */
+  unscopeId(serverId) {
+    const separator = serverId.indexOf(NAMESPACE_SEPARATOR);
+    if (!this.namespace) {
+      return separator === -1 ? serverId : null;
+    }
+    if (separator === -1 || serverId.slice(0, separator) !== this.namespace) {
+      return null;
+    }
+    return serverId.slice(separator + NAMESPACE_SEPARATOR.length);
+  }
+
+  /**
+   * Build the credential headers of a request
+   * @param {string} action - Server action
+   * @returns {Object} Headers
+   */
+  buildHeaders(action) {
+    const headers = {};
+    if (this.adminToken) {
+      headers["X-Admin-Token"] = this.adminToken;
+    }
+    if (this.translatorKey && action === "upload") {
+      headers["X-Translator-Key"] = this.translatorKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the URL of an action
+   * @param {string} action - Server action
+   * @param {Object} params - Extra query parameters
+   * @returns {string} URL
+   */
+  buildUrl(action, params = {}) {
+    const query = new URLSearchParams({ action });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query.append(key, value);
+      }
+    });
+    return `${this.baseUrl}?${query.toString()}`;
+  }
+
+  /**
+   * Send a request, retrying GET requests while the server is unavailable
+   * @param {string} action - Server action
+   * @param {Object} options - Request options
+   * @param {Object} [options.params] - Query parameters
+   * @param {string} [options.method="GET"] - HTTP method
+   * @param {FormData} [options.body] - Request body
+   * @param {string} [options.responseType="json"] - "json" or "text"
+   * @param {Array} [options.notFoundStatuses=[404]] - Statuses meaning the resource does not exist
+   * @returns {Promise<Object|string>} Parsed response
+   */
+  async request(action, options = {}) {
+    const { method = "GET" } = options;
+    const attempts = method === "GET" ? this.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.send(action, options);
+      } catch (error) {
+        if (!(error instanceof ServerUnavailableError) || attempt >= attempts) {
+          throw error;
+        }
+        await delay(this.retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Send a single request and turn failures into typed errors
+   * @param {string} action - Server action
+   * @param {Object} options - Same options as request()
+   * @returns {Promise<Object|string>} Parsed response
+   */
+  async send(action, options = {}) {
+    const {
+      params = {},
+      method = "GET",
+      body = undefined,
+      responseType = "json",
+      notFoundStatuses = [404],
+    } = options;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await this.fetch(this.buildUrl(action, params), {
+        method,
+        body,
+        headers: this.buildHeaders(action),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const message =
+        error.name === "AbortError"
+          ? `Server did not respond within ${this.timeout / 1000}s`
+          : "Server is unreachable";
+      throw new ServerUnavailableError(message, { action, cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const details = { status: response.status, action };
+      const message = await readErrorMessage(response);
+
+      if (response.status === 401 || response.status === 403) {
+        throw new UnauthorizedError(
+          message ||
+            (response.status === 401
+              ? "Login required"
+              : "Credentials were not accepted"),
+          details
+        );
+      }
+      if (notFoundStatuses.includes(response.status)) {
+        throw new NotFoundError(message || "Not found on server", details);
+      }
+      if (response.status >= 500) {
+        throw new ServerUnavailableError(
+          message || `Server error: ${response.status}`,
+          details
+        );
+      }
+      throw new RequestRejectedError(
+        message || `Request rejected: ${response.status}`,
+        details
+      );
+    }
+
+    if (responseType === "text") {
+      return response.text();
+    }
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (error) {
+      throw new ServerUnavailableError("Server sent an invalid response", {
+        status: response.status,
+        action,
+        cause: error,
+      });
+    }
+
+    if (result && result.success === false) {
+      throw new RequestRejectedError(result.error || "Request failed", {
+        status: response.status,
+        action,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * List the current file and backups of an id
+   * @param {string} id - File id
+   * @returns {Promise<Array>} Versions, or an empty array when the id has no files
+   */
+  async getBackups(id) {
+    try {
+      const result = await this.request("backups", {
+        params: { id: this.scopeId(id) },
+        notFoundStatuses: [400, 404], // The server answers 400 when an id has no files
+      });
+      return result.backups || [];
+    } catch (error) {
+      if (error instanceof NotFoundError) return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Download the CSV content of a file version
+   * @param {string} id - File id
+   * @param {string|number} version - "current" or a backup number
+   * @returns {Promise<string>} CSV content
+   * @throws {NotFoundError} When the id or version does not exist
+   */
+  async getData(id, version = "current") {
+    return this.request("data", {
+      params: { id: this.scopeId(id), version: version === "current" ? null : version },
+      responseType: "text",
+      notFoundStatuses: [400, 404],
+    });
+  }
+
+  /**
+   * Upload a CSV file as the new current version of an id
+   * @param {string} id - File id
+   * @param {string} csvContent - CSV content
+   * @param {Object} fields - Extra form fields, objects are sent as JSON
+   * @returns {Promise<Object>} Server response
+   */
+  async upload(id, csvContent, fields = {}) {
+    const formData = new FormData();
+    const blob = new Blob([csvContent], { type: "text/csv" });
+    formData.append("file", blob, `${id}.csv`);
+
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === undefined || value === null) return;
+      formData.append(
+        key,
+        typeof value === "string" ? value : JSON.stringify(value)
+      );
+    });
+
+    return this.request("upload", {
+      params: { id: this.scopeId(id) },
+      method: "POST",
+      body: formData,
+    });
+  }
+
+  /**
+   * List every file id of this project stored on the server. The list of added
+   * languages (CONFIG.LANGUAGE_LIST_ID) is project data rather than a file, so
+   * it is left out of the file manager and of deleteProject.
+   * @returns {Promise<Array>} Array of { id, fileCount, totalSize, lastModified, metadata }
+   */
+  async listAll() {
+    const result = await this.request("list_all");
+    return (result.ids || [])
+      .map((entry) => ({ ...entry, id: this.unscopeId(entry.id) }))
+      .filter((entry) => entry.id !== null && entry.id !== CONFIG.LANGUAGE_LIST_ID);
+  }
+
+  /**
+   * Delete every version of an id
+   * @param {string} id - File id
+   * @returns {Promise<Object>} Server response
+   */
+  async deleteId(id) {
+    return this.request("delete", {
+      params: { id: this.scopeId(id) },
+      method: "POST",
+      body: new FormData(),
+    });
+  }
+
+  /**
+   * Delete every id of this project, leaving other projects' files alone
+   * @returns {Promise<Object>} Object with success, deleted and message
+   */
+  async deleteProject() {
+    const entries = await this.listAll();
+    for (const entry of entries) {
+      await this.deleteId(entry.id);
+    }
+    return {
+      success: true,
+      deleted: entries.length,
+      message: `${entries.length} ids deleted`,
+    };
+  }
+
+  /**
+   * Delete every file on the server, of every project
+   * @returns {Promise<Object>} Server response
+   */
+  async deleteAll() {
+    return this.request("delete_all", {
+      method: "POST",
+      body: new FormData(),
+    });
+  }
+
+  /**
+   * Check the admin token with the server
+   * @returns {Promise<Object>} Server response
+   * @throws {UnauthorizedError} When the token is missing or invalid
+   */
+  async verifyAdminToken() {
+    return this.request("auth");
+  }
+
+  /**
+   * URL that serves the current CSV of an id, for links
+   * @param {string} id - File id
+   * @returns {string} URL
+   */
+  getDataUrl(id) {
+    return this.buildUrl("data", { id: this.scopeId(id) });
+  }
+
+  /**
+   * URL that serves a ZIP of every version of an id, for links
+   * @param {string} id - File id
+   * @returns {string} URL
+   */
+  getZipUrl(id) {
+    return this.buildUrl("download_zip", { id: this.scopeId(id) });
+  }
+}
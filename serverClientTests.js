@@ -0,0 +1,384 @@
+/**
+ * Test Suite for the Server Client Module
+ * Runs against the mock storage server and a scripted fetch for failures
+ *
+ * Usage: node serverClientTests.js
+ */
+
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { CONFIG } from "./config.js";
+import { createMockServer } from "./mockServer.js";
+import {
+  ServerClient,
+  NotFoundError,
+  ServerUnavailableError,
+  RequestRejectedError,
+  UnauthorizedError,
+} from "./serverClient.js";
+
+let mockClient = null;
+
+/**
+ * Build a client whose fetch returns scripted responses in order
+ * @param {Array} script - Responses or errors (or functions returning them)
+ * @param {Object} options - Extra client options
+ * @returns {Object} Object with the client and the recorded calls
+ */
+function scriptedClient(script, options = {}) {
+  const calls = [];
+  const client = new ServerClient({
+    baseUrl: "http://example.invalid/",
+    retryDelay: 1,
+    ...options,
+    fetch: async (url, init) => {
+      calls.push({ url, method: init.method, headers: init.headers });
+      const step = script[Math.min(calls.length - 1, script.length - 1)];
+      const result = typeof step === "function" ? await step(init) : step;
+      if (result instanceof Error) throw result;
+      return result.clone();
+    },
+  });
+  return { client, calls };
+}
+
+/**
+ * Expect a promise to reject with a given error class
+ * @param {Promise} promise - Promise to check
+ * @param {Function} ErrorClass - Expected error class
+ * @returns {Promise<Object>} Test result
+ */
+async function expectError(promise, ErrorClass) {
+  try {
+    await promise;
+    return { success: false, message: `Expected ${ErrorClass.name}, got success` };
+  } catch (error) {
+    if (!(error instanceof ErrorClass)) {
+      return {
+        success: false,
+        message: `Expected ${ErrorClass.name}, got ${error.name}: ${error.message}`,
+      };
+    }
+    return { success: true };
+  }
+}
+
+/**
+ * Test runner function
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function runTests() {
+  console.log("🧪 Starting Server Client Tests\n");
+
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), "npo-server-client-"));
+  const server = createMockServer({ dataDir });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  mockClient = new ServerClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}/`,
+    retryDelay: 1,
+  });
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    // Against the mock server
+    { name: "Mock - no files is an empty list", test: testNoBackups },
+    { name: "Mock - missing data is NotFoundError", test: testMissingData },
+    { name: "Mock - upload, list and download", test: testUploadRoundTrip },
+    { name: "Mock - invalid id is rejected", test: testInvalidIdRejected },
+    { name: "Mock - delete", test: testDelete },
+    { name: "Mock - projects are namespaced", test: testProjectNamespaces },
+    { name: "Mock - language list is not a file", test: testLanguageListHidden },
+
+    // Failure handling
+    { name: "Failure - network error is ServerUnavailableError", test: testNetworkError },
+    { name: "Failure - timeout is ServerUnavailableError", test: testTimeout },
+    { name: "Failure - reads are retried", test: testReadRetry },
+    { name: "Failure - retries give up", test: testRetryGivesUp },
+    { name: "Failure - uploads are not retried", test: testNoUploadRetry },
+    { name: "Failure - success false is rejected", test: testSuccessFalse },
+    { name: "Failure - 403 is rejected", test: testForbidden },
+
+    // Credentials
+    { name: "Auth - token checked by the mock server", test: testAdminTokenAgainstMock },
+    { name: "Auth - credential headers", test: testCredentialHeaders },
+  ];
+
+  try {
+    for (const testCase of tests) {
+      try {
+        const result = await testCase.test();
+        if (result.success) {
+          console.log(`✅ ${testCase.name}`);
+          passed++;
+        } else {
+          console.log(`❌ ${testCase.name}: ${result.message}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ${testCase.name}: ${error.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+// Mock server tests
+async function testNoBackups() {
+  const backups = await mockClient.getBackups("Polish");
+  if (!Array.isArray(backups) || backups.length !== 0) {
+    return { success: false, message: "Expected an empty list" };
+  }
+  return { success: true };
+}
+
+async function testMissingData() {
+  return expectError(mockClient.getData("Polish"), NotFoundError);
+}
+
+async function testUploadRoundTrip() {
+  const csv = "termID,English,Traditional Chinese\na,One,一";
+  await mockClient.upload("Traditional Chinese", csv, {
+    warnings: [{ termID: "a", message: "x" }],
+  });
+  await mockClient.upload("Traditional Chinese", `${csv}!`);
+
+  const backups = await mockClient.getBackups("Traditional Chinese");
+  const backup = await mockClient.getData("Traditional Chinese", 1);
+  const ids = await mockClient.listAll();
+
+  if (backups.length !== 2 || backup !== csv) {
+    return { success: false, message: "Backup content or count is wrong" };
+  }
+
+  if (!Array.isArray(backups[1].warnings)) {
+    return { success: false, message: "Warnings were not sent as JSON" };
+  }
+
+  if (ids.length !== 1 || ids[0].id !== "Traditional Chinese") {
+    return { success: false, message: "list_all did not return the id" };
+  }
+
+  return { success: true };
+}
+
+async function testInvalidIdRejected() {
+  return expectError(mockClient.upload("../etc", "a"), RequestRejectedError);
+}
+
+async function testDelete() {
+  await mockClient.deleteId("Traditional Chinese");
+  const backups = await mockClient.getBackups("Traditional Chinese");
+  if (backups.length !== 0) {
+    return { success: false, message: "Files still listed after delete" };
+  }
+  return expectError(mockClient.deleteId("Traditional Chinese"), NotFoundError);
+}
+
+async function testProjectNamespaces() {
+  const other = new ServerClient({
+    baseUrl: mockClient.baseUrl,
+    retryDelay: 1,
+    namespace: "second-game",
+  });
+
+  await mockClient.upload("Polish", "termID,English,Polish\na,One,Jeden");
+  await other.upload("Polish", "termID,English,Polish\na,One,Raz");
+
+  const mainIds = (await mockClient.listAll()).map((entry) => entry.id);
+  const otherIds = (await other.listAll()).map((entry) => entry.id);
+  if (mainIds.join() !== "Polish" || otherIds.join() !== "Polish") {
+    return { success: false, message: `Ids leaked between projects: ${mainIds}, ${otherIds}` };
+  }
+
+  if (!(await other.getData("Polish")).endsWith("Raz")) {
+    return { success: false, message: "Namespaced client read the other project's file" };
+  }
+
+  const result = await other.deleteProject();
+  const remaining = await mockClient.getBackups("Polish");
+  await mockClient.deleteId("Polish");
+
+  if (result.deleted !== 1 || remaining.length !== 1) {
+    return { success: false, message: "Deleting a project touched another project" };
+  }
+  return { success: true };
+}
+
+async function testLanguageListHidden() {
+  const other = new ServerClient({
+    baseUrl: mockClient.baseUrl,
+    retryDelay: 1,
+    namespace: "second-game",
+  });
+
+  await other.upload(CONFIG.LANGUAGE_LIST_ID, "language,code\nWelsh,cy");
+  await other.upload("Polish", "termID,English,Polish\na,One,Jeden");
+
+  const ids = (await other.listAll()).map((entry) => entry.id);
+  const result = await other.deleteProject();
+  const kept = await other.getData(CONFIG.LANGUAGE_LIST_ID);
+  await other.deleteId(CONFIG.LANGUAGE_LIST_ID);
+
+  if (ids.join() !== "Polish") {
+    return { success: false, message: `The language list should not be listed: ${ids}` };
+  }
+  if (result.deleted !== 1 || !kept.includes("Welsh")) {
+    return { success: false, message: "Deleting the project files removed the language list" };
+  }
+  return { success: true };
+}
+
+// Failure handling tests
+async function testNetworkError() {
+  const { client, calls } = scriptedClient([new TypeError("fetch failed")]);
+  const result = await expectError(client.listAll(), ServerUnavailableError);
+  if (result.success && calls.length !== 3) {
+    return { success: false, message: `Expected 3 attempts, got ${calls.length}` };
+  }
+  return result;
+}
+
+async function testTimeout() {
+  const hang = (init) =>
+    new Promise((resolve, reject) => {
+      init.signal.addEventListener("abort", () => {
+        const error = new Error("aborted");
+        error.name = "AbortError";
+        reject(error);
+      });
+    });
+  const { client } = scriptedClient([hang], { timeout: 20, retries: 0 });
+  return expectError(client.getData("Polish"), ServerUnavailableError);
+}
+
+async function testReadRetry() {
+  const { client, calls } = scriptedClient([
+    new Response("down", { status: 503 }),
+    new TypeError("fetch failed"),
+    new Response("csv", { status: 200 }),
+  ]);
+
+  const data = await client.getData("Polish");
+  if (data !== "csv" || calls.length !== 3) {
+    return { success: false, message: `Expected data after 3 attempts, got ${calls.length}` };
+  }
+  return { success: true };
+}
+
+async function testRetryGivesUp() {
+  const { client, calls } = scriptedClient(
+    [new Response("down", { status: 502 })],
+    { retries: 1 }
+  );
+  const result = await expectError(client.getBackups("Polish"), ServerUnavailableError);
+  if (result.success && calls.length !== 2) {
+    return { success: false, message: `Expected 2 attempts, got ${calls.length}` };
+  }
+  return result;
+}
+
+async function testNoUploadRetry() {
+  const { client, calls } = scriptedClient([new Response("down", { status: 500 })]);
+  const result = await expectError(client.upload("Polish", "a"), ServerUnavailableError);
+  if (result.success && calls.length !== 1) {
+    return { success: false, message: `Upload was sent ${calls.length} times` };
+  }
+  return result;
+}
+
+async function testSuccessFalse() {
+  const { client } = scriptedClient([
+    Response.json({ success: false, error: "Disk full" }),
+  ]);
+  try {
+    await client.deleteAll();
+    return { success: false, message: "Expected RequestRejectedError" };
+  } catch (error) {
+    if (!(error instanceof RequestRejectedError) || error.message !== "Disk full") {
+      return { success: false, message: `Got ${error.name}: ${error.message}` };
+    }
+  }
+  return { success: true };
+}
+
+async function testForbidden() {
+  const { client, calls } = scriptedClient([
+    Response.json({ success: false, error: "Forbidden" }, { status: 403 }),
+  ]);
+  const result = await expectError(client.listAll(), RequestRejectedError);
+  if (result.success && calls.length !== 1) {
+    return { success: false, message: "Rejected requests should not be retried" };
+  }
+  return result;
+}
+
+// Credential tests
+async function testAdminTokenAgainstMock() {
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), "npo-server-client-"));
+  const server = createMockServer({ dataDir, adminToken: "secret" });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+  try {
+    const anonymous = new ServerClient({ baseUrl });
+    const wrong = new ServerClient({ baseUrl, adminToken: "guess" });
+    const admin = new ServerClient({ baseUrl, adminToken: "secret" });
+
+    for (const client of [anonymous, wrong]) {
+      const result = await expectError(client.deleteAll(), UnauthorizedError);
+      if (!result.success) return result;
+    }
+
+    const verified = await admin.verifyAdminToken();
+    await admin.deleteAll();
+    if (verified.role !== "admin") {
+      return { success: false, message: "Token was not verified" };
+    }
+    return { success: true };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function testCredentialHeaders() {
+  const { client, calls } = scriptedClient([Response.json({ success: true })], {
+    adminToken: "secret",
+    translatorKey: "key-ana",
+  });
+
+  await client.listAll();
+  await client.upload("Polish", "a");
+
+  const [list, upload] = calls;
+  if (list.headers["X-Admin-Token"] !== "secret" || list.headers["X-Translator-Key"]) {
+    return { success: false, message: "Reads should carry only the admin token" };
+  }
+  if (upload.headers["X-Translator-Key"] !== "key-ana") {
+    return { success: false, message: "Uploads should carry the translator key" };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = (await runTests()) > 0 ? 1 : 0;
+}
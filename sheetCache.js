@@ -0,0 +1,316 @@
+/**
+ * Sheet Cache Module
+ * Keeps the last fetched copy of the published sheet (IndexedDB in the browser,
+ * a JSON file in Node.js) so the tools still open when Google is slow or down,
+ * and so a fresh fetch can be compared with what the user saw last time.
+ * The same store keeps a snapshot of each translator download for the digest page.
+ */
+
+import { CONFIG } from "./config.js";
+
+const DB_NAME = "npo-localisation";
+const DB_STORE = "sheetSnapshots";
+
+// Uploads kept per export snapshot; a new full download starts over
+const MAX_SNAPSHOT_UPLOADS = 20;
+
+/**
+ * SHA-256 of a text, as hex
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashText(text) {
+  const subtle =
+    globalThis.crypto?.subtle || (await import("crypto")).webcrypto.subtle;
+  const digest = await subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Snapshot store backed by IndexedDB
+ * @param {Object} options - Store options
+ * @param {string} [options.dbName] - Database name
+ * @param {string} [options.storeName] - Object store name
+ * @returns {Object} Store with get(key) and set(key, snapshot)
+ */
+export function createIndexedDBStore({ dbName = DB_NAME, storeName = DB_STORE } = {}) {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, action) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    async get(key) {
+      return (await run("readonly", (store) => store.get(key))) ?? null;
+    },
+    async set(key, snapshot) {
+      await run("readwrite", (store) => store.put(snapshot, key));
+    },
+  };
+}
+
+/**
+ * Snapshot store backed by one JSON file per key
+ * @param {string} [directory=CONFIG.SHEET_CACHE_DIR] - Cache directory
+ * @returns {Object} Store with get(key) and set(key, snapshot)
+ */
+export function createFileStore(directory = CONFIG.SHEET_CACHE_DIR) {
+  const fileFor = async (key) => {
+    const path = await import("path");
+    return path.join(directory, `sheet-${(await hashText(key)).slice(0, 16)}.json`);
+  };
+
+  return {
+    async get(key) {
+      const { readFile } = await import("fs/promises");
+      try {
+        return JSON.parse(await readFile(await fileFor(key), "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    async set(key, snapshot) {
+      const { mkdir, writeFile } = await import("fs/promises");
+      await mkdir(directory, { recursive: true });
+      await writeFile(await fileFor(key), JSON.stringify(snapshot), "utf8");
+    },
+  };
+}
+
+/**
+ * Default store for the current environment
+ * @returns {Object|null} Store, or null when nothing can be cached
+ */
+export function createDefaultStore() {
+  if (typeof window === "undefined") {
+    return createFileStore();
+  }
+  return typeof indexedDB === "undefined" ? null : createIndexedDBStore();
+}
+
+/**
+ * Read a snapshot, treating a broken cache as empty
+ * @param {Object|null} store - Snapshot store
+ * @param {string} key - Snapshot key
+ * @returns {Promise<Object|null>} Snapshot
+ */
+async function readSnapshot(store, key) {
+  if (!store) return null;
+  try {
+    return await store.get(key);
+  } catch (error) {
+    console.warn(`Sheet cache could not be read: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch the sheet CSV, falling back to the cached copy when the fetch fails.
+ * The cache is revalidated with the ETag when the server sent one, and
+ * compared by content hash otherwise.
+ * @param {string} url - Published CSV URL
+ * @param {Object} options - Fetch options
+ * @param {Object|null} [options.store] - Snapshot store, createDefaultStore() by default
+ * @param {number} [options.timeout=CONFIG.SHEET_FETCH_TIMEOUT] - Fetch timeout in milliseconds
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Promise<Object>} Object with csvText, fetchedAt, offline, error (when offline),
+ *   changed and previousCsvText (the cached copy, when the sheet changed since)
+ * @throws {Error} When the fetch fails and nothing is cached
+ */
+export async function fetchSheetSnapshot(url, options = {}) {
+  const store = options.store === undefined ? createDefaultStore() : options.store;
+  const timeout = options.timeout ?? CONFIG.SHEET_FETCH_TIMEOUT;
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+
+  const cached = await readSnapshot(store, url);
+
+  let response;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    response = await fetchImpl(url, {
+      headers: cached && cached.etag ? { "If-None-Match": cached.etag } : {},
+      signal: controller.signal,
+    });
+    if (!response.ok && !(response.status === 304 && cached)) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+  } catch (error) {
+    if (!cached) {
+      throw error.name === "AbortError"
+        ? new Error(`Sheet did not respond within ${timeout / 1000}s`)
+        : error;
+    }
+    return {
+      csvText: cached.csvText,
+      fetchedAt: cached.fetchedAt,
+      offline: true,
+      error,
+      changed: false,
+      previousCsvText: null,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // 304: the cached copy is still current, only its time is refreshed
+  const csvText = response.status === 304 ? cached.csvText : await response.text();
+  const snapshot = {
+    url,
+    etag: response.status === 304 ? cached.etag : response.headers.get("ETag"),
+    hash: response.status === 304 ? cached.hash : await hashText(csvText),
+    csvText,
+    fetchedAt: new Date().toISOString(),
+  };
+
+  if (store) {
+    try {
+      await store.set(url, snapshot);
+    } catch (error) {
+      console.warn(`Sheet cache could not be written: ${error.message}`);
+    }
+  }
+
+  const changed = Boolean(cached) && cached.hash !== snapshot.hash;
+  return {
+    csvText,
+    fetchedAt: snapshot.fetchedAt,
+    offline: false,
+    changed,
+    previousCsvText: changed ? cached.csvText : null,
+  };
+}
+
+/**
+ * Key of a language's export snapshot, scoped to the selected project
+ * @param {string} language - Language column
+ * @returns {string} Store key
+ */
+function exportSnapshotKey(language) {
+  return `export:${CONFIG.PROJECT_ID || "default"}:${language}`;
+}
+
+/**
+ * Remember what a translator downloaded, for the "since my last export" digest
+ * @param {string} language - Language column
+ * @param {Array} rows - Exported rows (see generateLanguageExportRows)
+ * @param {Object|null} [store] - Snapshot store, createDefaultStore() by default
+ * @param {Object} options - Save options
+ * @param {boolean} [options.partial=false] - The rows are a to-do export: update only
+ *   these terms in the previous snapshot and keep the rest
+ * @returns {Promise<Object|null>} Saved snapshot, or null when it could not be stored
+ */
+export async function saveExportSnapshot(
+  language,
+  rows,
+  store = createDefaultStore(),
+  { partial = false } = {}
+) {
+  if (!store) return null;
+
+  const exportedRows = rows.map((row) => ({
+    termID: row.termID,
+    English: row.English || "",
+    [language]: row[language] || "",
+  }));
+  let uploads = [];
+
+  if (partial) {
+    // Without a full download to update, a to-do export alone would make every
+    // other term look new on the digest page
+    const previous = await loadExportSnapshot(language, store);
+    if (!previous) return null;
+
+    const exportedIds = new Set(exportedRows.map((row) => row.termID));
+    exportedRows.unshift(...previous.rows.filter((row) => !exportedIds.has(row.termID)));
+    uploads = previous.uploads || [];
+  }
+
+  const snapshot = {
+    language,
+    exportedAt: new Date().toISOString(),
+    rows: exportedRows,
+    uploads,
+  };
+
+  try {
+    await store.set(exportSnapshotKey(language), snapshot);
+    return snapshot;
+  } catch (error) {
+    console.warn(`Export snapshot could not be saved: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load the snapshot of a translator's last download
+ * @param {string} language - Language column
+ * @param {Object|null} [store] - Snapshot store, createDefaultStore() by default
+ * @returns {Promise<Object|null>} Object with language, exportedAt, rows and
+ *   uploads, or null
+ */
+export async function loadExportSnapshot(language, store = createDefaultStore()) {
+  return readSnapshot(store, exportSnapshotKey(language));
+}
+
+/**
+ * Remember the translations a translator uploaded since their last download,
+ * so the digest doesn't list them as changed by someone else once merged.
+ * Only the last MAX_SNAPSHOT_UPLOADS uploads are kept.
+ * @param {string} language - Language column
+ * @param {Array} rows - Rows of the file the translator uploaded
+ * @param {Object|null} [store] - Snapshot store, createDefaultStore() by default
+ * @returns {Promise<Object|null>} Updated snapshot, or null without a download to add to
+ */
+export async function addUploadToExportSnapshot(
+  language,
+  rows,
+  store = createDefaultStore()
+) {
+  const snapshot = await loadExportSnapshot(language, store);
+  if (!snapshot) return null;
+
+  const values = {};
+  rows.forEach((row) => {
+    if (row.termID && row[language] && row[language].trim() !== "") {
+      values[row.termID] = row[language];
+    }
+  });
+
+  const updated = {
+    ...snapshot,
+    uploads: [
+      ...(snapshot.uploads || []),
+      { uploadedAt: new Date().toISOString(), values },
+    ].slice(-MAX_SNAPSHOT_UPLOADS),
+  };
+
+  try {
+    await store.set(exportSnapshotKey(language), updated);
+    return updated;
+  } catch (error) {
+    console.warn(`Export snapshot could not be saved: ${error.message}`);
+    return null;
+  }
+}
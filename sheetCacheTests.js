@@ -0,0 +1,260 @@
+/**
+ * Test Suite for the Sheet Cache Module
+ * Runs fetchSheetSnapshot against a scripted fetch and a file store in a
+ * temporary directory
+ *
+ * Usage: node sheetCacheTests.js
+ */
+
+import { mkdtemp, readdir, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  createFileStore,
+  fetchSheetSnapshot,
+  saveExportSnapshot,
+  loadExportSnapshot,
+  addUploadToExportSnapshot,
+} from "./sheetCache.js";
+
+const URL = "https://example.invalid/sheet.csv";
+const CSV_V1 = "termID,English,Polish\na,One,Jeden";
+const CSV_V2 = "termID,English,Polish\na,One,Jeden\nb,Two,";
+
+let cacheDir = "";
+
+/**
+ * Build a fetch that returns scripted responses in order and records requests
+ * @param {Array} script - Responses or errors
+ * @returns {Object} Object with fetch and the recorded calls
+ */
+function scriptedFetch(script) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    const step = script[Math.min(calls.length - 1, script.length - 1)];
+    if (step instanceof Error) throw step;
+    return step.clone();
+  };
+  return { fetch, calls };
+}
+
+/**
+ * Fetch the test sheet through a fresh store on the shared cache directory
+ * @param {Array} script - Scripted responses
+ * @returns {Promise<Object>} Object with result and calls
+ */
+async function fetchWith(script) {
+  const { fetch, calls } = scriptedFetch(script);
+  const result = await fetchSheetSnapshot(URL, {
+    store: createFileStore(cacheDir),
+    fetch,
+    timeout: 1000,
+  });
+  return { result, calls };
+}
+
+/**
+ * Test runner function
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function runTests() {
+  console.log("🧪 Starting Sheet Cache Tests\n");
+
+  cacheDir = await mkdtemp(path.join(os.tmpdir(), "npo-sheet-cache-"));
+
+  let passed = 0;
+  let failed = 0;
+
+  // Tests share the cache directory and run in order
+  const tests = [
+    { name: "Fetch - no cache and offline throws", test: testOfflineWithoutCache },
+    { name: "Fetch - first fetch is cached", test: testFirstFetch },
+    { name: "Fetch - same content is unchanged", test: testSameContent },
+    { name: "Fetch - changed content returns the cached copy", test: testChangedContent },
+    { name: "Fetch - offline falls back to the cache", test: testOfflineFallback },
+    { name: "Fetch - server errors fall back to the cache", test: testServerErrorFallback },
+    { name: "Fetch - ETag revalidation", test: testEtagRevalidation },
+    { name: "Export - snapshot per language", test: testExportSnapshot },
+    { name: "Export - to-do export updates the snapshot", test: testPartialExportSnapshot },
+    { name: "Export - uploads since the download", test: testUploadSnapshot },
+  ];
+
+  try {
+    for (const testCase of tests) {
+      try {
+        const result = await testCase.test();
+        if (result.success) {
+          console.log(`✅ ${testCase.name}`);
+          passed++;
+        } else {
+          console.log(`❌ ${testCase.name}: ${result.message}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ${testCase.name}: ${error.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    await rm(cacheDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+async function testOfflineWithoutCache() {
+  try {
+    await fetchWith([new TypeError("fetch failed")]);
+    return { success: false, message: "Expected the fetch error" };
+  } catch (error) {
+    if (error.message !== "fetch failed") {
+      return { success: false, message: `Unexpected error: ${error.message}` };
+    }
+  }
+  return { success: true };
+}
+
+async function testFirstFetch() {
+  const { result } = await fetchWith([new Response(CSV_V1)]);
+  const files = await readdir(cacheDir);
+
+  if (result.csvText !== CSV_V1 || result.offline || result.changed || files.length !== 1) {
+    return { success: false, message: `Unexpected result: ${JSON.stringify(result)}` };
+  }
+  return { success: true };
+}
+
+async function testSameContent() {
+  const { result } = await fetchWith([new Response(CSV_V1)]);
+  if (result.changed || result.previousCsvText !== null) {
+    return { success: false, message: "Identical content reported as changed" };
+  }
+  return { success: true };
+}
+
+async function testChangedContent() {
+  const { result } = await fetchWith([new Response(CSV_V2)]);
+  if (!result.changed || result.previousCsvText !== CSV_V1 || result.csvText !== CSV_V2) {
+    return { success: false, message: "Change was not detected" };
+  }
+
+  // The new content is now the cached copy
+  const again = await fetchWith([new Response(CSV_V2)]);
+  if (again.result.changed) {
+    return { success: false, message: "Cache was not updated" };
+  }
+  return { success: true };
+}
+
+async function testOfflineFallback() {
+  const { result } = await fetchWith([new TypeError("fetch failed")]);
+  if (!result.offline || result.csvText !== CSV_V2 || !result.fetchedAt) {
+    return { success: false, message: `Unexpected result: ${JSON.stringify(result)}` };
+  }
+  return { success: true };
+}
+
+async function testServerErrorFallback() {
+  const { result } = await fetchWith([new Response("down", { status: 503 })]);
+  if (!result.offline || result.error.message !== "HTTP error! status: 503") {
+    return { success: false, message: "503 did not fall back to the cache" };
+  }
+  return { success: true };
+}
+
+async function testEtagRevalidation() {
+  await fetchWith([new Response(CSV_V1, { headers: { ETag: '"v1"' } })]);
+  const { result, calls } = await fetchWith([new Response(null, { status: 304 })]);
+
+  if (calls[0].headers["If-None-Match"] !== '"v1"') {
+    return { success: false, message: "Cached ETag was not sent" };
+  }
+  if (result.csvText !== CSV_V1 || result.changed || result.offline) {
+    return { success: false, message: "304 did not return the cached copy" };
+  }
+  return { success: true };
+}
+
+async function testExportSnapshot() {
+  const store = createFileStore(cacheDir);
+  const rows = [{ termID: "a", notes: "", English: "One", Polish: "Jeden", German: "Eins" }];
+
+  await saveExportSnapshot("Polish", rows, store);
+  const snapshot = await loadExportSnapshot("Polish", store);
+
+  const expected = [{ termID: "a", English: "One", Polish: "Jeden" }];
+  if (!snapshot || !snapshot.exportedAt || JSON.stringify(snapshot.rows) !== JSON.stringify(expected)) {
+    return { success: false, message: `Unexpected snapshot: ${JSON.stringify(snapshot)}` };
+  }
+  if ((await loadExportSnapshot("German", store)) !== null) {
+    return { success: false, message: "Snapshots should be kept per language" };
+  }
+  return { success: true };
+}
+
+async function testPartialExportSnapshot() {
+  const store = createFileStore(cacheDir);
+  const todo = [{ termID: "b", English: "Two", Polish: "" }];
+
+  if ((await saveExportSnapshot("French", todo, store, { partial: true })) !== null) {
+    return { success: false, message: "A to-do export alone should not be saved" };
+  }
+
+  await saveExportSnapshot("Polish", todo, store, { partial: true });
+  const snapshot = await loadExportSnapshot("Polish", store);
+  if (snapshot.rows.map((row) => row.termID).join() !== "a,b") {
+    return { success: false, message: `Unexpected rows: ${JSON.stringify(snapshot.rows)}` };
+  }
+  return { success: true };
+}
+
+async function testUploadSnapshot() {
+  const store = createFileStore(cacheDir);
+  const uploaded = [
+    { termID: "a", English: "One", Polish: "Jeden!" },
+    { termID: "b", English: "Two", Polish: " " },
+  ];
+
+  if ((await addUploadToExportSnapshot("German", uploaded, store)) !== null) {
+    return { success: false, message: "Uploads without a download should not be saved" };
+  }
+
+  await addUploadToExportSnapshot("Polish", uploaded, store);
+  await saveExportSnapshot("Polish", [{ termID: "b", English: "Two", Polish: "" }], store, { partial: true });
+  const snapshot = await loadExportSnapshot("Polish", store);
+  if (snapshot.uploads.length !== 1 || JSON.stringify(snapshot.uploads[0].values) !== '{"a":"Jeden!"}') {
+    return { success: false, message: `Unexpected uploads: ${JSON.stringify(snapshot.uploads)}` };
+  }
+
+  // Only the latest uploads are kept
+  for (let i = 0; i < 25; i++) {
+    await addUploadToExportSnapshot("Polish", [{ termID: "a", Polish: `Wersja ${i}` }], store);
+  }
+  const { uploads } = await loadExportSnapshot("Polish", store);
+  if (uploads.length !== 20 || uploads[19].values.a !== "Wersja 24") {
+    return { success: false, message: `Expected the last 20 uploads, got ${uploads.length}` };
+  }
+
+  // A full download starts over
+  await saveExportSnapshot("Polish", [{ termID: "a", English: "One", Polish: "Jeden!" }], store);
+  if ((await loadExportSnapshot("Polish", store)).uploads.length !== 0) {
+    return { success: false, message: "A new download should forget earlier uploads" };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = (await runTests()) > 0 ? 1 : 0;
+}
@@ -0,0 +1,181 @@
+/**
+ * Sheet Write-Back Endpoint (Google Apps Script)
+ * Receives the changed cells from the admin panel (sheetsWriter.js) and writes
+ * them into the localisation spreadsheet. The mock server's sheet_write action
+ * (mockServer.js) implements the same protocol against a local CSV file.
+ *
+ * Setup:
+ *   1. Open the spreadsheet, Extensions > Apps Script, and paste this file.
+ *   2. Project Settings > Script Properties: set ADMIN_TOKEN to the admin token
+ *      used on the PHP server, and SHEET_NAME if the terms are not on the first sheet.
+ *   3. Deploy > New deployment > Web app, execute as "Me", access "Anyone".
+ *   4. Put the web app URL in CONFIG.SHEETS_WRITE_URL (config.js).
+ *
+ * Request body (sent as text/plain JSON):
+ *   { token, dryRun, force,
+ *     addColumns: [column],
+ *     changes: [{ termID, column, expected, value }],
+ *     appendRows: [{ termID, values: { column: value } }] }
+ *
+ * Response:
+ *   { success, dryRun, updated, addedColumns,
+ *     cells: [{ termID, column, cell, before, after, status }],
+ *     appended: [{ termID, row }], missing: [{ termID, column, reason }] }
+ * A cell is "stale" when the sheet no longer holds the expected value; stale
+ * cells are only written with force. Errors come back as
+ *   { success: false, status, error }
+ * because web apps can't set an HTTP status.
+ */
+
+/**
+ * Web app entry point
+ * @param {Object} e - Apps Script event with postData
+ * @returns {TextOutput} JSON response
+ */
+function doPost(e) {
+  try {
+    const payload = JSON.parse(e.postData.contents);
+    const properties = PropertiesService.getScriptProperties();
+    const token = properties.getProperty("ADMIN_TOKEN");
+
+    if (!token) return respond({ success: false, status: 500, error: "ADMIN_TOKEN is not set" });
+    if (!payload.token) return respond({ success: false, status: 401, error: "Admin token required" });
+    if (payload.token !== token) return respond({ success: false, status: 403, error: "Invalid admin token" });
+
+    // One write at a time, so two admins can't interleave their changes
+    const lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      return respond(applyUpdate(getSheet(properties.getProperty("SHEET_NAME")), payload));
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    return respond({ success: false, status: 500, error: String(error.message || error) });
+  }
+}
+
+/**
+ * Find the sheet holding the terms
+ * @param {string|null} name - Sheet name, or null for the first sheet
+ * @returns {Sheet} Sheet
+ */
+function getSheet(name) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = name ? spreadsheet.getSheetByName(name) : spreadsheet.getSheets()[0];
+  if (!sheet) throw new Error(`Sheet not found: ${name}`);
+  return sheet;
+}
+
+/**
+ * Apply (or with dryRun, only check) the changes of a payload
+ * @param {Sheet} sheet - Sheet to edit
+ * @param {Object} payload - Request body
+ * @returns {Object} Response body
+ */
+function applyUpdate(sheet, payload) {
+  const table = sheet.getDataRange().getDisplayValues();
+  const header = table[0];
+  const termColumn = header.indexOf("termID");
+  if (termColumn === -1) {
+    return { success: false, status: 400, error: "Sheet has no termID column" };
+  }
+
+  // New columns (e.g. a language added on the admin page) go after the last one
+  const addedColumns = (payload.addColumns || []).filter(
+    (column) => column && header.indexOf(column) === -1
+  );
+  addedColumns.forEach((column) => {
+    header.push(column);
+    if (!payload.dryRun) sheet.getRange(1, header.length).setValue(asText(column));
+  });
+
+  const rowIndex = {};
+  table.forEach((row, r) => {
+    if (r > 0 && row[termColumn]) rowIndex[row[termColumn]] = r;
+  });
+
+  const cells = [];
+  const appended = [];
+  const missing = [];
+
+  (payload.changes || []).forEach((change) => {
+    const r = rowIndex[change.termID];
+    const c = header.indexOf(change.column);
+    if (r === undefined || c === -1) {
+      missing.push({
+        termID: change.termID,
+        column: change.column,
+        reason: r === undefined ? "Term not in sheet" : "Column not in sheet",
+      });
+      return;
+    }
+
+    const before = table[r][c] || "";
+    let status = "update";
+    if (before === change.value) {
+      status = "unchanged";
+    } else if (change.expected !== undefined && before !== change.expected && !payload.force) {
+      status = "stale";
+    }
+
+    const range = sheet.getRange(r + 1, c + 1);
+    cells.push({
+      termID: change.termID,
+      column: change.column,
+      cell: range.getA1Notation(),
+      before,
+      after: change.value,
+      status,
+    });
+    if (status === "update" && !payload.dryRun) range.setValue(asText(change.value));
+  });
+
+  let nextRow = table.length + 1;
+  (payload.appendRows || []).forEach((row) => {
+    if (rowIndex[row.termID] !== undefined) {
+      missing.push({ termID: row.termID, column: null, reason: "Term already in sheet" });
+      return;
+    }
+    appended.push({ termID: row.termID, row: nextRow });
+    rowIndex[row.termID] = nextRow - 1;
+    nextRow++;
+
+    if (!payload.dryRun) {
+      sheet.appendRow(header.map((column) => asText((row.values || {})[column] || "")));
+    }
+  });
+
+  return {
+    success: true,
+    dryRun: Boolean(payload.dryRun),
+    updated: cells.filter((cell) => cell.status === "update").length,
+    addedColumns,
+    cells,
+    appended,
+    missing,
+  };
+}
+
+/**
+ * Store a value as plain text. Sheets parses input like "=A1", "+1", "-5",
+ * "TRUE", "1/2" or "10%" into formulas, numbers, booleans and dates; a leading
+ * apostrophe keeps the text as is and is not part of the stored value, so
+ * every non-empty string gets one (text that starts with ' keeps it too).
+ * @param {string} value - Cell value
+ * @returns {string} Value safe for setValue
+ */
+function asText(value) {
+  return typeof value === "string" && value !== "" ? `'${value}` : value;
+}
+
+/**
+ * Serialize a response body
+ * @param {Object} body - Response body
+ * @returns {TextOutput} JSON output
+ */
+function respond(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
@@ -0,0 +1,155 @@
+/**
+ * Sheets Writer Module
+ * Client for the spreadsheet write-back endpoint (sheetsWriteBack.gs deployed as
+ * an Apps Script web app, or the mock server's sheet_write action). Sends only
+ * changed cells and supports a dry run that reports what would be written.
+ */
+
+import { CONFIG } from "./config.js";
+import {
+  ServerUnavailableError,
+  RequestRejectedError,
+  UnauthorizedError,
+} from "./serverClient.js";
+
+export class SheetsWriter {
+  /**
+   * @param {Object} options - Writer options
+   * @param {string} [options.endpoint=CONFIG.SHEETS_WRITE_URL] - Endpoint URL
+   * @param {string} [options.token] - Shared secret checked by the endpoint
+   * @param {number} [options.timeout=60000] - Request timeout in milliseconds
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint ?? CONFIG.SHEETS_WRITE_URL;
+    this.token = options.token || null;
+    this.timeout = options.timeout ?? 60000;
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+  }
+
+  /**
+   * Whether a write-back endpoint is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.endpoint);
+  }
+
+  /**
+   * Build the request payload from the output of computeCellChanges
+   * @param {Object} cellChanges - Object with cells, addedTerms and addedColumns
+   * @returns {Object} Payload without token and flags
+   */
+  buildPayload(cellChanges) {
+    return {
+      addColumns: cellChanges.addedColumns || [],
+      changes: cellChanges.cells.map((cell) => ({
+        termID: cell.termID,
+        column: cell.column,
+        expected: cell.oldValue,
+        value: cell.newValue,
+      })),
+      appendRows: (cellChanges.addedTerms || []).map((row) => {
+        const values = {};
+        Object.entries(row).forEach(([column, value]) => {
+          if (!column.startsWith("_")) values[column] = value ?? "";
+        });
+        return { termID: row.termID, values };
+      }),
+    };
+  }
+
+  /**
+   * Report what would be written, without changing the sheet
+   * @param {Object} cellChanges - Output of computeCellChanges
+   * @returns {Promise<Object>} Object with cells ({ termID, column, cell, before, after, status }),
+   *   appended and missing
+   */
+  async preview(cellChanges) {
+    return this.send({ ...this.buildPayload(cellChanges), dryRun: true });
+  }
+
+  /**
+   * Write the changed cells. Cells whose sheet value no longer matches the value
+   * they were loaded with are skipped as "stale" unless force is set.
+   * @param {Object} cellChanges - Output of computeCellChanges
+   * @param {Object} options - Write options
+   * @param {boolean} [options.force=false] - Overwrite stale cells too
+   * @returns {Promise<Object>} Same shape as preview()
+   */
+  async apply(cellChanges, { force = false } = {}) {
+    return this.send({ ...this.buildPayload(cellChanges), dryRun: false, force });
+  }
+
+  /**
+   * Post a payload and turn failures into the server client's typed errors
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Parsed response
+   */
+  async send(payload) {
+    if (!this.isConfigured()) {
+      throw new RequestRejectedError("No sheet write-back endpoint configured");
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const action = payload.dryRun ? "sheet_preview" : "sheet_write";
+
+    let response;
+    try {
+      // text/plain keeps the request "simple": Apps Script web apps don't answer CORS preflights
+      response = await this.fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "text/plain;charset=utf-8" },
+        body: JSON.stringify({ ...payload, token: this.token }),
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const message =
+        error.name === "AbortError"
+          ? `Sheet endpoint did not respond within ${this.timeout / 1000}s`
+          : "Sheet endpoint is unreachable";
+      throw new ServerUnavailableError(message, { action, cause: error });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let result = null;
+    try {
+      result = await response.json();
+    } catch (error) {
+      if (response.ok) {
+        throw new ServerUnavailableError("Sheet endpoint sent an invalid response", {
+          status: response.status,
+          action,
+          cause: error,
+        });
+      }
+    }
+
+    // Apps Script always answers 200, so the status can also come in the body
+    const status = (result && result.status) || response.status;
+    const message = result && result.error;
+
+    if (status === 401 || status === 403) {
+      throw new UnauthorizedError(message || "Sheet token was not accepted", {
+        status,
+        action,
+      });
+    }
+    if (status >= 500) {
+      throw new ServerUnavailableError(message || `Sheet endpoint error: ${status}`, {
+        status,
+        action,
+      });
+    }
+    if (!response.ok || !result || result.success === false) {
+      throw new RequestRejectedError(message || `Sheet update rejected: ${status}`, {
+        status,
+        action,
+      });
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Test Suite for the Sheets Writer Module
+ * Runs the write-back protocol against the mock server's sheet_write stand-in
+ *
+ * Usage: node sheetsWriterTests.js
+ */
+
+import { mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import Papa from "papaparse";
+import { createMockServer } from "./mockServer.js";
+import { SheetsWriter } from "./sheetsWriter.js";
+import { UnauthorizedError } from "./serverClient.js";
+
+const SHEET = [
+  ["termID", "notes", "shouldBeTranslated", "translationNeedsToBeUpdated", "English", "Polish"],
+  ["greeting", "", "TRUE", "FALSE", "Hello", "Cześć"],
+  ["farewell", "", "TRUE", "FALSE", "Goodbye", "Do widzenia"],
+  ["multiline", "", "TRUE", "FALSE", "Line one\nLine two", "Linia jeden\nLinia dwa"],
+];
+
+let sheetFile = "";
+let endpoint = "";
+
+/**
+ * Read the stand-in sheet back as rows
+ * @returns {Promise<Array>} Rows, header first
+ */
+async function readSheet() {
+  return Papa.parse(await readFile(sheetFile, "utf8"), { skipEmptyLines: true }).data;
+}
+
+/**
+ * Build a change set in the shape returned by computeCellChanges
+ * @param {Array} cells - Array of [termID, column, oldValue, newValue]
+ * @param {Array} addedTerms - Rows to append
+ * @returns {Object} Cell changes
+ */
+function cellChanges(cells, addedTerms = []) {
+  return {
+    cells: cells.map(([termID, column, oldValue, newValue]) => ({
+      termID,
+      column,
+      oldValue,
+      newValue,
+    })),
+    addedTerms,
+    removedTerms: [],
+  };
+}
+
+/**
+ * Test runner function
+ * @returns {Promise<number>} Number of failed tests
+ */
+async function runTests() {
+  console.log("🧪 Starting Sheets Writer Tests\n");
+
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), "npo-sheets-writer-"));
+  sheetFile = path.join(dataDir, "sheet.csv");
+  await writeFile(sheetFile, Papa.unparse(SHEET), "utf8");
+
+  const server = createMockServer({ dataDir, adminToken: "secret", sheetFile });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}/?action=sheet_write`;
+
+  let passed = 0;
+  let failed = 0;
+
+  // Tests share the sheet and run in order
+  const tests = [
+    { name: "Auth - missing token is rejected", test: testMissingToken },
+    { name: "Preview - reports cells without writing", test: testPreview },
+    { name: "Write - updates only the changed cells", test: testWrite },
+    { name: "Write - stale cells are skipped unless forced", test: testStaleCells },
+    { name: "Write - new terms are appended", test: testAppendRows },
+    { name: "Write - unknown terms are reported", test: testMissingTerms },
+    { name: "Write - new language columns are added", test: testAddColumns },
+  ];
+
+  try {
+    for (const testCase of tests) {
+      try {
+        const result = await testCase.test();
+        if (result.success) {
+          console.log(`✅ ${testCase.name}`);
+          passed++;
+        } else {
+          console.log(`❌ ${testCase.name}: ${result.message}`);
+          failed++;
+        }
+      } catch (error) {
+        console.log(`💥 ${testCase.name}: ${error.message}`);
+        failed++;
+      }
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(dataDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+async function testMissingToken() {
+  const writer = new SheetsWriter({ endpoint });
+  try {
+    await writer.preview(cellChanges([["greeting", "Polish", "Cześć", "Hej"]]));
+    return { success: false, message: "Expected UnauthorizedError" };
+  } catch (error) {
+    if (!(error instanceof UnauthorizedError)) {
+      return { success: false, message: `Got ${error.name}: ${error.message}` };
+    }
+  }
+  return { success: true };
+}
+
+async function testPreview() {
+  const writer = new SheetsWriter({ endpoint, token: "secret" });
+  const result = await writer.preview(
+    cellChanges([["greeting", "Polish", "Cześć", "Hej"]])
+  );
+  const [cell] = result.cells;
+
+  if (!result.dryRun || cell.cell !== "F2" || cell.before !== "Cześć" || cell.status !== "update") {
+    return { success: false, message: `Unexpected preview: ${JSON.stringify(result)}` };
+  }
+
+  if ((await readSheet())[1][5] !== "Cześć") {
+    return { success: false, message: "Dry run changed the sheet" };
+  }
+
+  return { success: true };
+}
+
+async function testWrite() {
+  const writer = new SheetsWriter({ endpoint, token: "secret" });
+  const result = await writer.apply(
+    cellChanges([
+      ["greeting", "Polish", "Cześć", "Hej"],
+      ["multiline", "Polish", "Linia jeden\nLinia dwa", "Linia 1\nLinia 2"],
+    ])
+  );
+  const sheet = await readSheet();
+
+  if (result.updated !== 2 || sheet[1][5] !== "Hej" || sheet[3][5] !== "Linia 1\nLinia 2") {
+    return { success: false, message: `Cells were not written: ${JSON.stringify(sheet)}` };
+  }
+
+  if (sheet[2][5] !== "Do widzenia" || sheet[1][4] !== "Hello") {
+    return { success: false, message: "Unchanged cells were modified" };
+  }
+
+  return { success: true };
+}
+
+async function testStaleCells() {
+  const writer = new SheetsWriter({ endpoint, token: "secret" });
+
+  // The page loaded "Cześć", but the sheet holds "Hej" since the last test
+  const changes = cellChanges([["greeting", "Polish", "Cześć", "Witaj"]]);
+  const skipped = await writer.apply(changes);
+  if (skipped.updated !== 0 || skipped.cells[0].status !== "stale") {
+    return { success: false, message: "Stale cell should be skipped" };
+  }
+
+  const forced = await writer.apply(changes, { force: true });
+  if (forced.updated !== 1 || (await readSheet())[1][5] !== "Witaj") {
+    return { success: false, message: "Forced write did not overwrite the cell" };
+  }
+
+  return { success: true };
+}
+
+async function testAppendRows() {
+  const writer = new SheetsWriter({ endpoint, token: "secret" });
+  const result = await writer.apply(
+    cellChanges([], [{ termID: "new_term", English: "New", Polish: "Nowy", _lqaApplied: true }])
+  );
+  const sheet = await readSheet();
+  const row = sheet[sheet.length - 1];
+
+  if (result.appended[0].row !== 5 || row[0] !== "new_term" || row[5] !== "Nowy") {
+    return { success: false, message: `Row was not appended: ${JSON.stringify(row)}` };
+  }
+
+  return { success: true };
+}
+
+async function testMissingTerms() {
+  const writer = new SheetsWriter({ endpoint, token: "secret" });
+  const result = await writer.preview(
+    cellChanges([
+      ["not_in_sheet", "Polish", "", "x"],
+      ["greeting", "Klingon", "", "x"],
+    ])
+  );
+
+  const reasons = result.missing.map((m) => m.reason).join(",");
+  if (reasons !== "Term not in sheet,Column not in sheet") {
+    return { success: false, message: `Unexpected missing list: ${reasons}` };
+  }
+
+  return { success: true };
+}
+
+async function testAddColumns() {
+  const writer = new SheetsWriter({ endpoint, token: "secret" });
+  const changes = {
+    ...cellChanges([["greeting", "Turkish", "", "Merhaba"]]),
+    addedColumns: ["Turkish"],
+  };
+
+  const preview = await writer.preview(changes);
+  if ((await readSheet())[0].includes("Turkish")) {
+    return { success: false, message: "Dry run added the column" };
+  }
+  if (preview.addedColumns.join() !== "Turkish" || preview.cells[0].status !== "update") {
+    return { success: false, message: `Unexpected preview: ${JSON.stringify(preview)}` };
+  }
+
+  const result = await writer.apply(changes);
+  const sheet = await readSheet();
+  const column = sheet[0].indexOf("Turkish");
+  const greeting = sheet.find((row) => row[0] === "greeting");
+
+  if (result.updated !== 1 || column === -1 || greeting[column] !== "Merhaba") {
+    return { success: false, message: `Column was not added: ${JSON.stringify(sheet[0])}` };
+  }
+  if (sheet.some((row) => row.length !== sheet[0].length)) {
+    return { success: false, message: "Every row should have the new column" };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = (await runTests()) > 0 ? 1 : 0;
+}
@@ -0,0 +1,219 @@
+/**
+ * Translation Memory Module
+ * Indexes the existing translations of a language by their English text and
+ * finds fuzzy matches for new or changed English strings, so translators can
+ * reuse the wording of near-duplicate terms ("add", "add friends", ...).
+ *
+ * Similarity is the Dice coefficient of the character trigrams of the
+ * normalized English texts, looked up through an inverted trigram index.
+ */
+
+import { CONFIG } from "./config.js";
+import { EXPORT_TYPE_COLUMN, SUGGESTIONS_COLUMN } from "./csvParser.js";
+import { escapeHtml } from "./htmlEscape.js";
+
+/**
+ * Normalize English text for matching: case and runs of whitespace don't count
+ * @param {string} text - English text
+ * @returns {string} Normalized text
+ */
+function normalizeForMatching(text) {
+  return (text || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Get the distinct character trigrams of a normalized text, padded with a
+ * space on each side so short words still have trigrams
+ * @param {string} text - Normalized text
+ * @returns {Set} Trigrams
+ */
+function getTrigrams(text) {
+  const padded = ` ${text} `;
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    trigrams.add(padded.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+/**
+ * Build a translation memory from the translated terms of a language
+ * @param {Array} data - Main sheet rows
+ * @param {string} language - Language column
+ * @returns {Object} Memory with language, entries and the trigram index
+ */
+export function buildTranslationMemory(data, language) {
+  const entries = [];
+  const index = new Map();
+
+  (data || []).forEach((row) => {
+    const english = row.English || "";
+    const translation = row[language] || "";
+    if (
+      !row.termID ||
+      row.shouldBeTranslated === "FALSE" ||
+      english.trim() === "" ||
+      translation.trim() === ""
+    ) {
+      return;
+    }
+
+    const trigrams = getTrigrams(normalizeForMatching(english));
+    const entryIndex = entries.length;
+    entries.push({
+      termID: row.termID,
+      english,
+      translation,
+      outdated: row.translationNeedsToBeUpdated === "TRUE",
+      trigramCount: trigrams.size,
+    });
+
+    trigrams.forEach((trigram) => {
+      if (!index.has(trigram)) index.set(trigram, []);
+      index.get(trigram).push(entryIndex);
+    });
+  });
+
+  return { language, entries, index };
+}
+
+/**
+ * Find the translated terms whose English is most similar to a string
+ * @param {Object} memory - Result of buildTranslationMemory
+ * @param {string} english - English text to translate
+ * @param {Object} options - Match options
+ * @param {number} [options.minScore=CONFIG.TM_MIN_SCORE] - Lowest similarity to report, 0-100
+ * @param {number} [options.limit=CONFIG.TM_MAX_SUGGESTIONS] - Maximum number of matches
+ * @param {string} [options.excludeTermID] - Term to leave out, usually the one being translated
+ * @returns {Array} Matches ({ termID, english, translation, outdated, score }), best first
+ */
+export function findFuzzyMatches(memory, english, options = {}) {
+  const {
+    minScore = CONFIG.TM_MIN_SCORE,
+    limit = CONFIG.TM_MAX_SUGGESTIONS,
+    excludeTermID = null,
+  } = options;
+
+  const normalized = normalizeForMatching(english);
+  if (normalized === "") return [];
+  const trigrams = getTrigrams(normalized);
+
+  // Count the trigrams each entry shares with the query
+  const shared = new Map();
+  trigrams.forEach((trigram) => {
+    (memory.index.get(trigram) || []).forEach((entryIndex) => {
+      shared.set(entryIndex, (shared.get(entryIndex) || 0) + 1);
+    });
+  });
+
+  const matches = [];
+  shared.forEach((count, entryIndex) => {
+    const entry = memory.entries[entryIndex];
+    if (entry.termID === excludeTermID) return;
+
+    const score = Math.round((200 * count) / (trigrams.size + entry.trigramCount));
+    if (score < minScore) return;
+
+    matches.push({
+      termID: entry.termID,
+      english: entry.english,
+      translation: entry.translation,
+      outdated: entry.outdated,
+      score,
+    });
+  });
+
+  return matches
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        Number(a.outdated) - Number(b.outdated) ||
+        a.termID.localeCompare(b.termID)
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Find suggestions for a list of terms
+ * @param {Object} memory - Result of buildTranslationMemory
+ * @param {Array} data - Main sheet rows, for the English of each term
+ * @param {Array} termIDs - Terms that need a translation or an update
+ * @param {Object} options - Options for findFuzzyMatches
+ * @returns {Object} termID -> matches, only for terms with at least one match
+ */
+export function suggestTranslations(memory, data, termIDs, options = {}) {
+  const englishByTerm = new Map(
+    (data || []).filter((row) => row.termID).map((row) => [row.termID, row.English || ""])
+  );
+  const suggestions = {};
+
+  termIDs.forEach((termID) => {
+    const matches = findFuzzyMatches(memory, englishByTerm.get(termID) || "", {
+      ...options,
+      excludeTermID: termID,
+    });
+    if (matches.length > 0) suggestions[termID] = matches;
+  });
+
+  return suggestions;
+}
+
+/**
+ * Format matches as a one-line hint for exported files
+ * @param {Array} matches - Output of findFuzzyMatches
+ * @returns {string} e.g. '87% "add friends" → "dodaj znajomych"'
+ */
+export function formatSuggestionHint(matches) {
+  const oneLine = (text) => text.replace(/\s+/g, " ").trim();
+  return matches
+    .map(
+      (match) =>
+        `${match.score}% "${oneLine(match.english)}" → "${oneLine(match.translation)}"${
+          match.outdated ? " (outdated)" : ""
+        }`
+    )
+    .join(" | ");
+}
+
+/**
+ * Add translation memory hints to the to-do rows of a partial export
+ * @param {Array} rows - Output of generateTodoExportRows
+ * @param {Object} memory - Result of buildTranslationMemory
+ * @param {Object} options - Options for findFuzzyMatches
+ * @returns {Array} Rows with a SUGGESTIONS_COLUMN value; context rows get an empty one
+ */
+export function addSuggestionHints(rows, memory, options = {}) {
+  return rows.map((row) => {
+    const matches =
+      row[EXPORT_TYPE_COLUMN] === "todo"
+        ? findFuzzyMatches(memory, row.English, { ...options, excludeTermID: row.termID })
+        : [];
+    return { ...row, [SUGGESTIONS_COLUMN]: formatSuggestionHint(matches) };
+  });
+}
+
+/**
+ * Generate HTML listing the suggestions of one term
+ * @param {Array} matches - Output of findFuzzyMatches
+ * @returns {string} HTML string, empty without matches
+ */
+export function generateSuggestionsHTML(matches) {
+  if (!matches || matches.length === 0) return "";
+
+  return `
+    <ul class="tm-suggestions">
+      ${matches
+        .map(
+          (match) => `
+        <li class="tm-suggestion${match.outdated ? " outdated" : ""}"
+            title="From ${escapeHtml(match.termID)}${match.outdated ? " (needs an update)" : ""}">
+          <span class="tm-score">${match.score}%</span>
+          <span class="tm-english">${escapeHtml(match.english)}</span>
+          →
+          <span class="tm-translation">${escapeHtml(match.translation)}</span>
+        </li>`
+        )
+        .join("")}
+    </ul>
+  `;
+}
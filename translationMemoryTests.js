@@ -0,0 +1,226 @@
+/**
+ * Test Suite for the Translation Memory Module
+ * Checks fuzzy matching, suggestion hints for to-do files and the real localization.csv
+ *
+ * Usage: node translationMemoryTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import {
+  setPapaParseInstance,
+  parseCSV,
+  extractLanguages,
+  EXPORT_TYPE_COLUMN,
+  SUGGESTIONS_COLUMN,
+} from "./csvParser.js";
+import {
+  buildTranslationMemory,
+  findFuzzyMatches,
+  suggestTranslations,
+  addSuggestionHints,
+  formatSuggestionHint,
+  generateSuggestionsHTML,
+} from "./translationMemory.js";
+
+const ROWS = [
+  { termID: "add", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "Add", Polish: "Dodaj" },
+  { termID: "add friends", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "Add friends", Polish: "Dodaj znajomych" },
+  { termID: "add friend", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "TRUE", English: "Add  friend", Polish: "Dodaj znajomego" },
+  { termID: "remove friends", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "Remove friends", Polish: "" },
+  { termID: "studio", shouldBeTranslated: "FALSE", translationNeedsToBeUpdated: "FALSE", English: "Add friends studio", Polish: "Add friends studio" },
+  { termID: "quit", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE", English: "Quit <b>now</b>", Polish: "Wyjdź <b>teraz</b>" },
+];
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Translation Memory Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Memory - only translated, translatable terms", test: testMemoryEntries },
+    { name: "Memory - near-duplicates ranked by similarity", test: testFuzzyMatches },
+    { name: "Memory - minimum score and limit", test: testMatchOptions },
+    { name: "Memory - suggestions skip the term itself", test: testSuggestTranslations },
+    { name: "Memory - hints on to-do rows only", test: testSuggestionHints },
+    { name: "Memory - suggestions HTML is escaped", test: testSuggestionsHTML },
+    { name: "Memory - suggestions from the real sheet", test: testSheetSuggestions },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testMemoryEntries() {
+  const memory = buildTranslationMemory(ROWS, "Polish");
+  const termIDs = memory.entries.map((entry) => entry.termID);
+
+  if (termIDs.join() !== "add,add friends,add friend,quit") {
+    return { success: false, message: `Unexpected entries: ${termIDs.join()}` };
+  }
+  if (!memory.entries[2].outdated || memory.entries[1].outdated) {
+    return { success: false, message: "Outdated flag should follow translationNeedsToBeUpdated" };
+  }
+  if (buildTranslationMemory(ROWS, "German").entries.length !== 0) {
+    return { success: false, message: "A language without translations should have no entries" };
+  }
+  return { success: true };
+}
+
+function testFuzzyMatches() {
+  const memory = buildTranslationMemory(ROWS, "Polish");
+  const matches = findFuzzyMatches(memory, "add FRIENDS");
+
+  if (matches[0].termID !== "add friends" || matches[0].score !== 100) {
+    return { success: false, message: `Case should not count: ${JSON.stringify(matches[0])}` };
+  }
+  if (matches[1].termID !== "add friend" || !matches[1].outdated) {
+    return { success: false, message: `Expected the outdated near-duplicate second: ${JSON.stringify(matches)}` };
+  }
+  if (matches.some((match) => match.termID === "studio")) {
+    return { success: false, message: "shouldBeTranslated FALSE terms are not translations" };
+  }
+  if (findFuzzyMatches(memory, "   ").length !== 0) {
+    return { success: false, message: "Blank text should have no matches" };
+  }
+  return { success: true };
+}
+
+function testMatchOptions() {
+  const memory = buildTranslationMemory(ROWS, "Polish");
+
+  const one = findFuzzyMatches(memory, "Remove friends", { limit: 1 });
+  if (one.length !== 1 || one[0].termID !== "add friends") {
+    return { success: false, message: `Expected one match: ${JSON.stringify(one)}` };
+  }
+  const strict = findFuzzyMatches(memory, "Remove friends", { minScore: 90 });
+  if (strict.length !== 0) {
+    return { success: false, message: `Expected no match above 90%: ${JSON.stringify(strict)}` };
+  }
+  const scores = findFuzzyMatches(memory, "Add", { minScore: 0, limit: 10 }).map((match) => match.score);
+  if (scores.some((score, index) => index > 0 && score > scores[index - 1])) {
+    return { success: false, message: `Matches should be best first: ${scores.join()}` };
+  }
+  return { success: true };
+}
+
+function testSuggestTranslations() {
+  const memory = buildTranslationMemory(ROWS, "Polish");
+  const suggestions = suggestTranslations(memory, ROWS, ["add friends", "remove friends", "missing"]);
+
+  if (suggestions["add friends"].some((match) => match.termID === "add friends")) {
+    return { success: false, message: "A term should not be suggested for itself" };
+  }
+  if (suggestions["remove friends"][0].translation !== "Dodaj znajomych") {
+    return { success: false, message: `Unexpected suggestion: ${JSON.stringify(suggestions["remove friends"])}` };
+  }
+  if ("missing" in suggestions) {
+    return { success: false, message: "Terms without matches should be left out" };
+  }
+  return { success: true };
+}
+
+function testSuggestionHints() {
+  const memory = buildTranslationMemory(ROWS, "Polish");
+  const rows = addSuggestionHints(
+    [
+      { ...ROWS[0], [EXPORT_TYPE_COLUMN]: "context" },
+      { ...ROWS[3], [EXPORT_TYPE_COLUMN]: "todo" },
+    ],
+    memory
+  );
+
+  if (rows[0][SUGGESTIONS_COLUMN] !== "") {
+    return { success: false, message: "Context rows should have no hint" };
+  }
+  const hint = rows[1][SUGGESTIONS_COLUMN];
+  if (!hint.startsWith('56% "Add friends" → "Dodaj znajomych" | ') || !hint.includes("(outdated)")) {
+    return { success: false, message: `Unexpected hint: ${hint}` };
+  }
+  if (formatSuggestionHint([{ ...memory.entries[0], english: "Add\n", translation: "Do\r\ndaj", score: 50 }]) !== '50% "Add" → "Do daj"') {
+    return { success: false, message: "Hints should be on one line" };
+  }
+  if (extractLanguages(rows).includes(SUGGESTIONS_COLUMN)) {
+    return { success: false, message: "The hint column is not a language" };
+  }
+  return { success: true };
+}
+
+function testSuggestionsHTML() {
+  const memory = buildTranslationMemory(ROWS, "Polish");
+  const html = generateSuggestionsHTML(findFuzzyMatches(memory, "Quit now"));
+
+  if (!html.includes("Wyjdź &lt;b&gt;teraz&lt;/b&gt;") || html.includes("<b>")) {
+    return { success: false, message: "Translations should be escaped" };
+  }
+  if (generateSuggestionsHTML([]) !== "" || generateSuggestionsHTML(undefined) !== "") {
+    return { success: false, message: "No matches should render nothing" };
+  }
+  return { success: true };
+}
+
+function testSheetSuggestions() {
+  const data = loadLocalizationData();
+  const language = extractLanguages(data).find((column) => column !== "English");
+  const memory = buildTranslationMemory(data, language);
+
+  const row = memory.entries.find((entry) => entry.termID && entry.english.trim().length > 3);
+  const matches = findFuzzyMatches(memory, row.english);
+  if (matches.length === 0 || matches[0].score !== 100) {
+    return { success: false, message: `${row.termID} should match its own English exactly` };
+  }
+  if (matches.some((match) => match.score < 40 || match.score > 100)) {
+    return { success: false, message: `Scores out of range: ${JSON.stringify(matches)}` };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
@@ -0,0 +1,172 @@
+/**
+ * Pre-upload validation
+ * Runs a set of rules on a processed language file before it is pushed to the
+ * server. Errors block the upload, warnings are sent along with it.
+ */
+
+import { validateLocalizationCSV } from "./csvParser.js";
+import { checkTranslationMarkup } from "./markupChecker.js";
+import { normalizeText } from "./mergeChecker.js";
+
+/**
+ * Markup issues that make a string unusable in game. Everything else
+ * (an extra tag, a pause with a different duration) is only a warning.
+ * @param {Object} issue - Issue returned by checkTranslationMarkup
+ * @returns {boolean} True if the issue should block the upload
+ */
+function isBlockingMarkupIssue(issue) {
+  return (
+    issue.category === "placeholder" ||
+    issue.type === "missing" ||
+    issue.type === "unbalanced"
+  );
+}
+
+/**
+ * Build a map of termID to translation for a language
+ * @param {Array} data - Localization rows
+ * @param {string} language - Language column
+ * @returns {Object} Map of termID to non-empty translation
+ */
+function buildTranslationMap(data, language) {
+  const map = {};
+  if (!data) return map;
+
+  data.forEach((row) => {
+    if (row.termID && row[language] && row[language].trim() !== "") {
+      map[row.termID] = row[language];
+    }
+  });
+
+  return map;
+}
+
+/**
+ * Upload rules. Each rule returns an array of { severity, termID, message }.
+ * Context: { data, language, previousData, mainData }
+ */
+export const UPLOAD_RULES = [
+  {
+    id: "file-structure",
+    description: "File structure and duplicate termIDs",
+    run({ data }) {
+      const validation = validateLocalizationCSV(data);
+      return validation.issues.map((issue) => ({
+        severity: "error",
+        termID: null,
+        message: issue,
+      }));
+    },
+  },
+  {
+    id: "broken-markup",
+    description: "Missing, renamed or unbalanced tags and placeholders",
+    run({ data, language, previousData, mainData }) {
+      const serverTranslations = buildTranslationMap(previousData, language);
+      const mainTranslations = buildTranslationMap(mainData, language);
+      const results = [];
+
+      data.forEach((row) => {
+        if (!row.termID || row.shouldBeTranslated === "FALSE") return;
+
+        // Issues this upload doesn't introduce are already on the server or in
+        // the sheet, and blocking on them would stop every later upload
+        const translation = normalizeText(row[language] || "");
+        const isUnchanged = [serverTranslations, mainTranslations].some(
+          (map) =>
+            map[row.termID] !== undefined &&
+            normalizeText(map[row.termID]) === translation
+        );
+
+        checkTranslationMarkup(row.English || "", row[language] || "").forEach(
+          (issue) => {
+            results.push({
+              severity:
+                isBlockingMarkupIssue(issue) && !isUnchanged ? "error" : "warning",
+              termID: row.termID,
+              message: isUnchanged
+                ? `${issue.message} (not changed by this upload)`
+                : issue.message,
+            });
+          }
+        );
+      });
+
+      return results;
+    },
+  },
+  {
+    id: "emptied-translations",
+    description: "Terms that had a translation before but are now empty",
+    run({ data, language, previousData, mainData }) {
+      const previousTranslations = {
+        ...buildTranslationMap(mainData, language),
+        ...buildTranslationMap(previousData, language),
+      };
+      const results = [];
+
+      data.forEach((row) => {
+        if (!row.termID || row.shouldBeTranslated === "FALSE") return;
+
+        const translation = row[language] || "";
+        if (translation.trim() === "" && previousTranslations[row.termID]) {
+          results.push({
+            severity: "error",
+            termID: row.termID,
+            message: "Translation is empty but was translated before",
+          });
+        }
+      });
+
+      return results;
+    },
+  },
+];
+
+/**
+ * Run every upload rule on a file
+ * @param {Array} data - Rows that are about to be uploaded
+ * @param {string} language - Language column of the file
+ * @param {Object} options - Optional context
+ * @param {Array} [options.previousData] - Current server version of the file
+ * @param {Array} [options.mainData] - Main sheet data
+ * @param {Array} [options.rules] - Rules to run, defaults to UPLOAD_RULES
+ * @returns {Object} Object with errors, warnings and canUpload flag
+ */
+export function validateBeforeUpload(data, language, options = {}) {
+  const {
+    previousData = null,
+    mainData = null,
+    rules = UPLOAD_RULES,
+  } = options;
+
+  const context = { data: data || [], language, previousData, mainData };
+  const errors = [];
+  const warnings = [];
+
+  rules.forEach((rule) => {
+    rule.run(context).forEach((result) => {
+      const entry = { rule: rule.id, ...result };
+      if (result.severity === "error") {
+        errors.push(entry);
+      } else {
+        warnings.push(entry);
+      }
+    });
+  });
+
+  return {
+    errors,
+    warnings,
+    canUpload: errors.length === 0,
+  };
+}
+
+/**
+ * Format a validation entry as a single line
+ * @param {Object} entry - Error or warning returned by validateBeforeUpload
+ * @returns {string} Human readable line
+ */
+export function formatValidationEntry(entry) {
+  return entry.termID ? `${entry.termID}: ${entry.message}` : entry.message;
+}
@@ -0,0 +1,304 @@
+/**
+ * Test Suite for the Pre-upload Validator
+ * Checks each upload rule, the error/warning split and the real localization.csv
+ *
+ * Usage: node uploadValidatorTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV, extractLanguages } from "./csvParser.js";
+import {
+  UPLOAD_RULES,
+  validateBeforeUpload,
+  formatValidationEntry,
+} from "./uploadValidator.js";
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Build a localization row
+ * @param {string} termID - Term ID
+ * @param {string} english - English text
+ * @param {string} polish - Polish translation
+ * @param {string} [shouldBeTranslated] - "TRUE" or "FALSE"
+ * @returns {Object} Row
+ */
+function row(termID, english, polish, shouldBeTranslated = "TRUE") {
+  return { termID, shouldBeTranslated, English: english, Polish: polish };
+}
+
+/**
+ * Run a single upload rule
+ * @param {string} id - Rule id
+ * @param {Object} context - Rule context
+ * @returns {Array} Rule results
+ */
+function runRule(id, context) {
+  const rule = UPLOAD_RULES.find((candidate) => candidate.id === id);
+  if (!rule) throw new Error(`No rule ${id}`);
+  return rule.run({ language: "Polish", previousData: null, mainData: null, ...context });
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting Upload Validator Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Upload - every rule has an id and a description", test: testRuleList },
+    { name: "Upload - file structure rule", test: testFileStructure },
+    { name: "Upload - broken markup rule", test: testBrokenMarkup },
+    { name: "Upload - unchanged broken markup only warns", test: testUnchangedMarkup },
+    { name: "Upload - emptied translations rule", test: testEmptiedTranslations },
+    { name: "Upload - errors block, warnings don't", test: testValidateBeforeUpload },
+    { name: "Upload - custom rule list", test: testCustomRules },
+    { name: "Upload - validation entries as lines", test: testFormatValidationEntry },
+    { name: "Upload - real sheet export", test: testSheetUpload },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testRuleList() {
+  const ids = UPLOAD_RULES.map((rule) => rule.id);
+  if (ids.join() !== "file-structure,broken-markup,emptied-translations") {
+    return { success: false, message: `Unexpected rules: ${ids.join()}` };
+  }
+  if (UPLOAD_RULES.some((rule) => !rule.description || typeof rule.run !== "function")) {
+    return { success: false, message: "Rules need a description and a run function" };
+  }
+  return { success: true };
+}
+
+function testFileStructure() {
+  if (runRule("file-structure", { data: [row("a", "Hi", "Cześć")] }).length !== 0) {
+    return { success: false, message: "A valid file should pass" };
+  }
+
+  const results = runRule("file-structure", {
+    data: [row("a", "Hi", "Cześć"), row("a", "Hi", "Cześć"), row(" ", "Bye", "Pa")],
+  });
+  const messages = results.map((result) => result.message);
+  if (
+    results.length !== 2 ||
+    results.some((result) => result.severity !== "error" || result.termID !== null) ||
+    !messages.some((message) => message.includes("duplicate termIDs: a")) ||
+    !messages.some((message) => message.includes("1 rows with empty"))
+  ) {
+    return { success: false, message: `Unexpected results: ${JSON.stringify(results)}` };
+  }
+
+  const [empty] = runRule("file-structure", { data: [] });
+  if (!empty || !empty.message.includes("empty")) {
+    return { success: false, message: "An empty file should be an error" };
+  }
+  return { success: true };
+}
+
+function testBrokenMarkup() {
+  const results = runRule("broken-markup", {
+    data: [
+      row("placeholder", "Hi [username]", "Cześć [name]"),
+      row("missing", "<b>Hi</b>", "Cześć</b>"),
+      row("unbalanced", "<b>Hi</b>", "</b>Cześć<b>"),
+      row("pause", "Wait<pause:0.5>", "Czekaj<pause:1>"),
+      row("extra", "Hi", "<i>Cześć</i>"),
+      row("skipped", "<b>Hi</b>", "Cześć", "FALSE"),
+      row("fine", "<b>Hi</b>", "<b>Cześć</b>"),
+    ],
+  });
+
+  const described = results.map((result) => `${result.termID} ${result.severity}`);
+  const expected = [
+    "placeholder error",
+    "missing error",
+    "missing error",
+    "unbalanced error",
+    "unbalanced error",
+    "pause warning",
+    "extra warning",
+    "extra warning",
+  ];
+  if (described.join() !== expected.join()) {
+    return { success: false, message: `Unexpected results: ${described.join()}` };
+  }
+  if (results[0].message !== "[username] was changed to [name]") {
+    return { success: false, message: `Unexpected message: ${results[0].message}` };
+  }
+  return { success: true };
+}
+
+function testUnchangedMarkup() {
+  const data = [
+    row("server", "Hi [username]", "Cześć"),
+    row("main", "<b>Hi</b>", "Cześć</b>\r\nPa"),
+    row("changed", "Hi [username]", "Hej"),
+  ];
+  const results = runRule("broken-markup", {
+    data,
+    previousData: [row("server", "Hi [username]", "Cześć"), row("changed", "Hi [username]", "Cześć")],
+    mainData: [row("main", "<b>Hi</b>", "Cześć</b>\nPa"), row("changed", "Hi [username]", "Hej [username]")],
+  });
+
+  const described = results.map((result) => `${result.termID} ${result.severity}`);
+  if (described.join() !== "server warning,main warning,main warning,changed error") {
+    return { success: false, message: `Unexpected results: ${described.join()}` };
+  }
+  if (!results[0].message.endsWith("(not changed by this upload)")) {
+    return { success: false, message: `Unexpected message: ${results[0].message}` };
+  }
+  return { success: true };
+}
+
+function testEmptiedTranslations() {
+  const data = [
+    row("server", "Hi", ""),
+    row("main", "Bye", " "),
+    row("new", "Quit", ""),
+    row("skipped", "Play", "", "FALSE"),
+    row("kept", "Back", "Wróć"),
+  ];
+  const results = runRule("emptied-translations", {
+    data,
+    previousData: [row("server", "Hi", "Cześć"), row("skipped", "Play", "Graj")],
+    mainData: [row("main", "Bye", "Pa"), row("kept", "Back", "Wstecz")],
+  });
+
+  if (results.map((result) => result.termID).join() !== "server,main") {
+    return { success: false, message: `Unexpected terms: ${results.map((r) => r.termID).join()}` };
+  }
+  if (results.some((result) => result.severity !== "error")) {
+    return { success: false, message: "Emptied translations should block the upload" };
+  }
+  if (runRule("emptied-translations", { data }).length !== 0) {
+    return { success: false, message: "Nothing was translated before without previous data" };
+  }
+  return { success: true };
+}
+
+function testValidateBeforeUpload() {
+  const warningsOnly = validateBeforeUpload([row("a", "Hi", "<i>Cześć</i>")], "Polish");
+  if (!warningsOnly.canUpload || warningsOnly.errors.length !== 0 || warningsOnly.warnings.length !== 2) {
+    return { success: false, message: `Warnings should not block: ${JSON.stringify(warningsOnly)}` };
+  }
+  if (warningsOnly.warnings[0].rule !== "broken-markup") {
+    return { success: false, message: "Entries should name their rule" };
+  }
+
+  const blocked = validateBeforeUpload([row("a", "Hi", "")], "Polish", {
+    previousData: [row("a", "Hi", "Cześć")],
+  });
+  if (blocked.canUpload || blocked.errors[0].rule !== "emptied-translations") {
+    return { success: false, message: `Errors should block: ${JSON.stringify(blocked)}` };
+  }
+
+  const empty = validateBeforeUpload(null, "Polish");
+  if (empty.canUpload || empty.errors[0].rule !== "file-structure") {
+    return { success: false, message: "A missing file should not be uploadable" };
+  }
+  return { success: true };
+}
+
+function testCustomRules() {
+  const rules = [
+    {
+      id: "no-exclamation",
+      description: "Translations without exclamation marks",
+      run: ({ data, language }) =>
+        data
+          .filter((item) => (item[language] || "").includes("!"))
+          .map((item) => ({ severity: "warning", termID: item.termID, message: "Exclamation mark" })),
+    },
+  ];
+  const result = validateBeforeUpload([row("a", "Hi", "Cześć!"), row("a", "Hi", "")], "Polish", { rules });
+
+  if (!result.canUpload || result.warnings.length !== 1 || result.warnings[0].rule !== "no-exclamation") {
+    return { success: false, message: `Only the given rules should run: ${JSON.stringify(result)}` };
+  }
+  return { success: true };
+}
+
+function testFormatValidationEntry() {
+  const withTerm = formatValidationEntry({ rule: "broken-markup", termID: "menu/quit", message: "<b> is missing" });
+  if (withTerm !== "menu/quit: <b> is missing") {
+    return { success: false, message: `Unexpected line: ${withTerm}` };
+  }
+  const withoutTerm = formatValidationEntry({ rule: "file-structure", termID: null, message: "Missing required column: English" });
+  if (withoutTerm !== "Missing required column: English") {
+    return { success: false, message: `Unexpected line: ${withoutTerm}` };
+  }
+  return { success: true };
+}
+
+function testSheetUpload() {
+  const data = loadLocalizationData();
+  const language = extractLanguages(data).find((column) => column !== "English");
+
+  // Re-uploading the sheet as it is never empties a translation
+  const result = validateBeforeUpload(data, language, { mainData: data });
+  if (result.errors.some((entry) => entry.rule === "emptied-translations")) {
+    return { success: false, message: "The sheet itself should not count as emptied" };
+  }
+  if ([...result.errors, ...result.warnings].some((entry) => !formatValidationEntry(entry))) {
+    return { success: false, message: "Every entry should format to a line" };
+  }
+
+  // Markup issues already in the sheet never block an upload of any language
+  const blocked = extractLanguages(data).filter(
+    (column) => !validateBeforeUpload(data, column, { mainData: data }).canUpload
+  );
+  if (blocked.length > 0) {
+    return { success: false, message: `Sheet values block uploads for ${blocked.join(", ")}` };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}
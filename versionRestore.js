@@ -0,0 +1,107 @@
+/**
+ * Restoring older versions of server files
+ * Shared by the translator and admin pages: shows what a restore would change
+ * and uploads the chosen backup again as the new current version
+ */
+
+import { parseCSV } from "./csvParser.js";
+import { generateTermDiffs } from "./localisationCore.js";
+import { generateTermDiffListHTML } from "./diffModule.js";
+
+/**
+ * Show the changes a restore would make and ask for confirmation
+ * @param {string} title - Modal title
+ * @param {string} diffHTML - Rendered diff from the current file to the restored version
+ * @returns {Promise<boolean>} True when the user confirmed
+ */
+export function confirmRestore(title, diffHTML) {
+  return new Promise((resolve) => {
+    const modal = document.createElement("div");
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+      background: rgba(0,0,0,0.8); display: flex; align-items: center;
+      justify-content: center; z-index: 2000;
+    `;
+
+    const content = document.createElement("div");
+    content.style.cssText = `
+      background: var(--secondary-bg); padding: 2rem; border-radius: 8px;
+      width: 900px; max-width: 90%; max-height: 80%; overflow-y: auto;
+      color: var(--text-color);
+    `;
+
+    content.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; margin-bottom: 1rem;">
+        <h3 style="color: var(--link-color); margin: 0;"></h3>
+        <div style="display: flex; gap: 0.5rem;">
+          <button class="btn" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="restore">Restore this version</button>
+        </div>
+      </div>
+      <p style="margin-bottom: 1.5rem; opacity: 0.8;">
+        The version is uploaded again as the new current file, so the current
+        file stays available as a backup. Changes compared to the current file:
+      </p>
+      ${diffHTML}
+    `;
+    content.querySelector("h3").textContent = title;
+
+    const close = (confirmed) => {
+      modal.remove();
+      resolve(confirmed);
+    };
+
+    content
+      .querySelector('[data-action="cancel"]')
+      .addEventListener("click", () => close(false));
+    content
+      .querySelector('[data-action="restore"]')
+      .addEventListener("click", () => close(true));
+
+    modal.className = "modal";
+    modal.appendChild(content);
+    document.body.appendChild(modal);
+
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) close(false);
+    });
+  });
+}
+
+/**
+ * Compare a backup with the current file, ask for confirmation and upload the
+ * backup as is; the server keeps the current file as a backup
+ * @param {Object} options - Restore options
+ * @param {string} options.id - File id
+ * @param {string|number} options.version - Backup number to restore
+ * @param {string} options.language - Language column to compare
+ * @param {Function} options.download - (id, version) => Promise of the CSV content
+ * @param {Function} options.upload - (csv, fields) => Promise of the server response, null when cancelled
+ * @param {Function} options.showStatus - Shows a progress message
+ * @param {Function} options.hideStatus - Hides the progress message
+ * @returns {Promise<boolean>} True when the backup was restored
+ */
+export async function restoreBackup(options) {
+  const { id, version, language, download, upload, showStatus, hideStatus } = options;
+
+  showStatus(`Loading backup ${version} of ${id}...`);
+  const [backupCsv, currentCsv] = await Promise.all([
+    download(id, version),
+    download(id, "current"),
+  ]);
+  hideStatus();
+
+  const diff = generateTermDiffs(parseCSV(currentCsv), parseCSV(backupCsv), language);
+  const confirmed = await confirmRestore(
+    `Restore backup ${version} of ${id}?`,
+    generateTermDiffListHTML(diff)
+  );
+  if (!confirmed) return false;
+
+  showStatus(`Restoring backup ${version} of ${id}...`);
+  const result = await upload(backupCsv, {
+    changeNote: `Restored backup ${version}`,
+    restoredFrom: version,
+  });
+  return Boolean(result);
+}
@@ -0,0 +1,373 @@
+/**
+ * XLIFF Import and Export Module
+ * Converts language export rows to XLIFF 1.2 or 2.0 for CAT tools (Trados,
+ * memoQ, OmegaT) and reads their files back into rows for the same report
+ * and merge logic as CSV uploads.
+ *
+ * Mapping: termID -> unit id, English -> source, language column -> target,
+ * notes -> note, shouldBeTranslated FALSE -> translate="no",
+ * translationNeedsToBeUpdated TRUE -> needs-review-translation state
+ */
+
+import { CONFIG } from "./config.js";
+import { getLanguageCode, findLanguageByCode } from "./languageRegistry.js";
+
+export const XLIFF_VERSIONS = ["1.2", "2.0"];
+
+const XLIFF_NAMESPACES = {
+  "1.2": "urn:oasis:names:tc:xliff:document:1.2",
+  "2.0": "urn:oasis:names:tc:xliff:document:2.0",
+};
+
+// XLIFF 2.0 has no needs-review state, so ours goes in subState
+const NEEDS_UPDATE_SUBSTATE = "npo:needs-review-translation";
+
+// XLIFF 1.2 target states that mean the translation has to be looked at again
+const NEEDS_UPDATE_STATES = [
+  "needs-review-translation",
+  "needs-review-adaptation",
+  "needs-review-l10n",
+  "needs-adaptation",
+  "needs-l10n",
+];
+
+/**
+ * Check if a file name is an XLIFF file
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True for .xlf and .xliff files
+ */
+export function isXliffFile(fileName) {
+  return /\.(xlf|xliff)$/i.test(fileName || "");
+}
+
+/**
+ * Escape text for XML content or attribute values. Carriage returns are
+ * written as character references because XML parsers drop them otherwise.
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\r/g, "&#13;");
+}
+
+/**
+ * Generate an XLIFF document from language export rows
+ * @param {Array} rows - Rows with termID, notes, shouldBeTranslated,
+ *   translationNeedsToBeUpdated, English and the language column
+ * @param {string} language - Target language column
+ * @param {Object} options - Export options
+ * @param {string} [options.version=CONFIG.XLIFF_VERSION] - "1.2" or "2.0"
+ * @param {string} [options.original=CONFIG.APP_NAME] - Name of the source document
+ * @returns {string} XLIFF document
+ */
+export function generateXliff(rows, language, options = {}) {
+  const { version = CONFIG.XLIFF_VERSION, original = CONFIG.APP_NAME } = options;
+  if (!XLIFF_VERSIONS.includes(version)) {
+    throw new Error(`Unsupported XLIFF version "${version}". Use ${XLIFF_VERSIONS.join(" or ")}`);
+  }
+
+  const sourceLanguage = getLanguageCode("English");
+  const targetLanguage = getLanguageCode(language);
+  const unitIds = new Set();
+  const units = rows
+    .filter((row) => row.termID)
+    .map((row) =>
+      version === "2.0"
+        ? generateUnit20(row, language, unitIds)
+        : generateUnit12(row, language)
+    )
+    .join("\n");
+
+  const header =
+    version === "2.0"
+      ? `<xliff xmlns="${XLIFF_NAMESPACES[version]}" version="2.0" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">
+  <file id="f1" original="${escapeXml(original)}">`
+      : `<xliff xmlns="${XLIFF_NAMESPACES[version]}" version="1.2">
+  <file original="${escapeXml(original)}" source-language="${escapeXml(sourceLanguage)}" target-language="${escapeXml(targetLanguage)}" datatype="plaintext">
+    <body>`;
+  const footer = version === "2.0" ? "  </file>" : "    </body>\n  </file>";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+${header}
+${units}
+${footer}
+</xliff>
+`;
+}
+
+/**
+ * One XLIFF 1.2 trans-unit
+ * @param {Object} row - Export row
+ * @param {string} language - Target language column
+ * @returns {string} trans-unit element
+ */
+function generateUnit12(row, language) {
+  const target = row[language] || "";
+  let state = "translated";
+  if (!target.trim()) {
+    state = "needs-translation";
+  } else if (row.translationNeedsToBeUpdated === "TRUE") {
+    state = "needs-review-translation";
+  }
+
+  const translate = row.shouldBeTranslated === "FALSE" ? ' translate="no"' : "";
+  const note = row.notes ? `\n        <note>${escapeXml(row.notes)}</note>` : "";
+
+  return `      <trans-unit id="${escapeXml(row.termID)}" resname="${escapeXml(row.termID)}" xml:space="preserve"${translate}>
+        <source>${escapeXml(row.English)}</source>
+        <target state="${state}">${escapeXml(target)}</target>${note}
+      </trans-unit>`;
+}
+
+/**
+ * One XLIFF 2.0 unit. Unit ids must be NMTOKENs, so the termID goes in name
+ * and the id is the termID with other characters replaced.
+ * @param {Object} row - Export row
+ * @param {string} language - Target language column
+ * @param {Set} unitIds - Ids used so far in the file
+ * @returns {string} unit element
+ */
+function generateUnit20(row, language, unitIds) {
+  const baseId = row.termID.replace(/[^\w.-]/g, "_");
+  let id = baseId;
+  for (let suffix = 2; unitIds.has(id); suffix++) {
+    id = `${baseId}_${suffix}`;
+  }
+  unitIds.add(id);
+
+  const target = row[language] || "";
+  let state = ' state="translated"';
+  if (!target.trim()) {
+    state = ' state="initial"';
+  } else if (row.translationNeedsToBeUpdated === "TRUE") {
+    state = ` state="initial" subState="${NEEDS_UPDATE_SUBSTATE}"`;
+  }
+
+  const translate = row.shouldBeTranslated === "FALSE" ? ' translate="no"' : "";
+  const notes = row.notes
+    ? `\n      <notes>\n        <note>${escapeXml(row.notes)}</note>\n      </notes>`
+    : "";
+  const targetElement = target ? `\n        <target>${escapeXml(target)}</target>` : "";
+
+  return `    <unit id="${escapeXml(id)}" name="${escapeXml(row.termID)}" xml:space="preserve"${translate}>${notes}
+      <segment${state}>
+        <source>${escapeXml(row.English)}</source>${targetElement}
+      </segment>
+    </unit>`;
+}
+
+/**
+ * Decode XML character and entity references
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    if (entity[0] !== "#") return named[entity.toLowerCase()];
+    const codePoint =
+      entity[1].toLowerCase() === "x"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+/**
+ * Parse XML into a tree of { name, attributes, children } elements, with text
+ * children as strings. Namespace prefixes are dropped from element and
+ * attribute names. Covers what XLIFF files use; no DTDs or external entities.
+ * @param {string} xmlText - XML document
+ * @returns {Object} Root element
+ */
+function parseXml(xmlText) {
+  const root = { name: "#document", attributes: {}, children: [] };
+  const stack = [root];
+  const tokenRegex =
+    /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+  const localName = (name) => name.slice(name.indexOf(":") + 1);
+  // XML parsers turn line breaks into \n; &#13; survives because it is decoded afterwards
+  const text = xmlText.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+
+  for (const match of text.matchAll(tokenRegex)) {
+    const [token, cdata, closing, name, attributeText, selfClosing, textContent] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.children.push(cdata);
+    } else if (textContent !== undefined) {
+      current.children.push(decodeXml(textContent));
+    } else if (name) {
+      if (closing) {
+        if (stack.length === 1 || current.name !== localName(name)) {
+          throw new Error(`Invalid XML: unexpected </${name}>`);
+        }
+        stack.pop();
+        continue;
+      }
+
+      const attributes = {};
+      for (const [, key, , doubleQuoted, singleQuoted] of attributeText.matchAll(
+        /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g
+      )) {
+        attributes[localName(key)] = decodeXml(
+          doubleQuoted ?? singleQuoted
+        );
+      }
+
+      const element = { name: localName(name), attributes, children: [] };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (token === "<") {
+      throw new Error("Invalid XML: stray <");
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  return root;
+}
+
+/**
+ * Find the descendant elements with a name
+ * @param {Object} element - Element to search
+ * @param {string} name - Element name without prefix
+ * @returns {Array} Matching elements, in document order
+ */
+function findElements(element, name) {
+  const found = [];
+  for (const child of element.children) {
+    if (typeof child === "string") continue;
+    if (child.name === name) found.push(child);
+    found.push(...findElements(child, name));
+  }
+  return found;
+}
+
+/**
+ * Text of an element. Inline codes added by CAT tools (<g>, <ph>, <mrk>, ...)
+ * are flattened to their text content.
+ * @param {Object|undefined} element - Element
+ * @returns {string} Text content
+ */
+function textOf(element) {
+  if (!element) return "";
+  return element.children
+    .map((child) => (typeof child === "string" ? child : textOf(child)))
+    .join("");
+}
+
+/**
+ * Parse an XLIFF 1.2 or 2.0 document into rows shaped like a language CSV
+ * @param {string} xmlText - XLIFF document
+ * @param {Object} options - Import options
+ * @param {string} [options.language] - Expected target language column; the file's
+ *   target language must match it when it names a known language
+ * @param {Array} [options.languages] - Columns the target language code may map to
+ * @returns {Object} Object with language, version and rows
+ * @throws {Error} When the document is not XLIFF or is for another language
+ */
+export function parseXliff(xmlText, options = {}) {
+  const document = parseXml(xmlText);
+  const xliff = document.children.find(
+    (child) => typeof child !== "string" && child.name === "xliff"
+  );
+  if (!xliff) {
+    throw new Error("Not an XLIFF file: missing <xliff> root element");
+  }
+
+  const version = xliff.attributes.version || "1.2";
+  const isVersion2 = version.startsWith("2.");
+  const files = findElements(xliff, "file");
+  if (files.length === 0) {
+    throw new Error("XLIFF file contains no <file> element");
+  }
+
+  const targetCode = isVersion2
+    ? xliff.attributes.trgLang
+    : files[0].attributes["target-language"];
+  const fileLanguage = findLanguageByCode(targetCode, options.languages);
+
+  if (options.language && fileLanguage && fileLanguage !== options.language) {
+    throw new Error(
+      `This XLIFF file is for ${fileLanguage}, not ${options.language}`
+    );
+  }
+
+  const language = options.language || fileLanguage;
+  if (!language) {
+    throw new Error(
+      targetCode
+        ? `Unknown XLIFF target language "${targetCode}". Add it to languageRegistry.js`
+        : "XLIFF file has no target language"
+    );
+  }
+
+  const rows = isVersion2
+    ? findElements(xliff, "unit").map((unit) => readUnit20(unit, language))
+    : findElements(xliff, "trans-unit").map((unit) => readUnit12(unit, language));
+
+  return { language, version, rows };
+}
+
+/**
+ * Row of an XLIFF 1.2 trans-unit
+ * @param {Object} unit - trans-unit element
+ * @param {string} language - Language column
+ * @returns {Object} Row
+ */
+function readUnit12(unit, language) {
+  const [source] = findElements(unit, "source");
+  const [target] = findElements(unit, "target");
+  const state = target ? target.attributes.state : "";
+
+  return {
+    termID: unit.attributes.resname || unit.attributes.id || "",
+    notes: findElements(unit, "note").map(textOf).join("\n"),
+    shouldBeTranslated: unit.attributes.translate === "no" ? "FALSE" : "TRUE",
+    translationNeedsToBeUpdated: NEEDS_UPDATE_STATES.includes(state) ? "TRUE" : "FALSE",
+    English: textOf(source),
+    [language]: textOf(target),
+  };
+}
+
+/**
+ * Row of an XLIFF 2.0 unit; multiple segments are joined back together
+ * @param {Object} unit - unit element
+ * @param {string} language - Language column
+ * @returns {Object} Row
+ */
+function readUnit20(unit, language) {
+  const segments = findElements(unit, "segment");
+  const parts = unit.children.filter(
+    (child) => typeof child !== "string" && ["segment", "ignorable"].includes(child.name)
+  );
+  // Ignorable parts are whitespace between segments and often have no target
+  const text = (name) =>
+    parts
+      .map((part) => {
+        const [element] = findElements(part, name);
+        if (!element && part.name === "ignorable") return textOf(findElements(part, "source")[0]);
+        return textOf(element);
+      })
+      .join("");
+
+  return {
+    termID: unit.attributes.name || unit.attributes.id || "",
+    notes: findElements(unit, "note").map(textOf).join("\n"),
+    shouldBeTranslated: unit.attributes.translate === "no" ? "FALSE" : "TRUE",
+    translationNeedsToBeUpdated: segments.some(
+      (segment) => segment.attributes.subState === NEEDS_UPDATE_SUBSTATE
+    )
+      ? "TRUE"
+      : "FALSE",
+    English: text("source"),
+    [language]: text("target"),
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Test Suite for the XLIFF Module
+ * Round-trips the real localization.csv through XLIFF 1.2 and 2.0 and reads
+ * files in the shape CAT tools write them
+ *
+ * Usage: node xliffTests.js
+ */
+
+import fs from "fs";
+import Papa from "papaparse";
+import { setPapaParseInstance, parseCSV } from "./csvParser.js";
+import {
+  compareAndGenerateReport,
+  generateLanguageExportRows,
+} from "./localisationCore.js";
+import { generateXliff, parseXliff, isXliffFile } from "./xliff.js";
+
+const LANGUAGE = "Polish";
+
+/**
+ * Load localization.csv without the parser's progress logging
+ * @returns {Array} Parsed rows
+ */
+function loadLocalizationData() {
+  setPapaParseInstance(Papa);
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return parseCSV(fs.readFileSync("localization.csv", "utf8"));
+  } finally {
+    console.log = log;
+  }
+}
+
+const exportRows = generateLanguageExportRows(loadLocalizationData(), LANGUAGE);
+
+/**
+ * Compare parsed XLIFF rows with the exported rows, field by field
+ * @param {Array} rows - Rows read back from XLIFF
+ * @returns {Object} Test result
+ */
+function compareWithExport(rows) {
+  if (rows.length !== exportRows.length) {
+    return { success: false, message: `Expected ${exportRows.length} rows, got ${rows.length}` };
+  }
+
+  const fields = [
+    "termID",
+    "notes",
+    "shouldBeTranslated",
+    "translationNeedsToBeUpdated",
+    "English",
+    LANGUAGE,
+  ];
+  for (let i = 0; i < rows.length; i++) {
+    const field = fields.find((name) => rows[i][name] !== (exportRows[i][name] || ""));
+    if (field) {
+      return {
+        success: false,
+        message: `${exportRows[i].termID}.${field}: ${JSON.stringify(rows[i][field])} !== ${JSON.stringify(exportRows[i][field])}`,
+      };
+    }
+  }
+  return { success: true };
+}
+
+/**
+ * Test runner function
+ * @returns {number} Number of failed tests
+ */
+function runTests() {
+  console.log("🧪 Starting XLIFF Tests\n");
+
+  let passed = 0;
+  let failed = 0;
+
+  const tests = [
+    { name: "Round trip - XLIFF 1.2", test: testRoundTrip12 },
+    { name: "Round trip - XLIFF 2.0", test: testRoundTrip20 },
+    { name: "Export - states and translate flag", test: testStates },
+    { name: "Import - CAT tool markup", test: testCatToolFile },
+    { name: "Import - language is checked", test: testLanguageMismatch },
+    { name: "Import - same report as CSV", test: testReportMatchesCsv },
+  ];
+
+  for (const testCase of tests) {
+    try {
+      const result = testCase.test();
+      if (result.success) {
+        console.log(`✅ ${testCase.name}`);
+        passed++;
+      } else {
+        console.log(`❌ ${testCase.name}: ${result.message}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`💥 ${testCase.name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
+
+  if (failed > 0) {
+    console.log("\n🔍 Failed tests indicate issues that need to be addressed.");
+  } else {
+    console.log("\n🎉 All tests passed!");
+  }
+
+  return failed;
+}
+
+function testRoundTrip12() {
+  const xliff = generateXliff(exportRows, LANGUAGE, { version: "1.2" });
+  const { language, version, rows } = parseXliff(xliff);
+
+  if (language !== LANGUAGE || version !== "1.2") {
+    return { success: false, message: `Unexpected file: ${language} ${version}` };
+  }
+  return compareWithExport(rows);
+}
+
+function testRoundTrip20() {
+  const xliff = generateXliff(exportRows, LANGUAGE, { version: "2.0" });
+
+  // Unit ids are NMTOKENs; termIDs with spaces only appear in name
+  const badId = [...xliff.matchAll(/<unit id="([^"]*)"/g)].find(
+    ([, id]) => !/^[\w.-]+$/.test(id)
+  );
+  if (badId) {
+    return { success: false, message: `Invalid unit id: ${badId[1]}` };
+  }
+
+  return compareWithExport(parseXliff(xliff, { language: LANGUAGE }).rows);
+}
+
+function testStates() {
+  const rows = [
+    { termID: "done", English: "Play", [LANGUAGE]: "Graj", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE" },
+    { termID: "stale", English: "Quit", [LANGUAGE]: "Wyjdź", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "TRUE" },
+    { termID: "empty", English: "Lobby", [LANGUAGE]: "", shouldBeTranslated: "TRUE", translationNeedsToBeUpdated: "FALSE" },
+    { termID: "brand", English: "beeswax games", [LANGUAGE]: "beeswax games", shouldBeTranslated: "FALSE", translationNeedsToBeUpdated: "FALSE" },
+  ];
+  const xliff = generateXliff(rows, LANGUAGE, { version: "1.2" });
+
+  const expected = [
+    'id="done" resname="done" xml:space="preserve">',
+    '<target state="needs-review-translation">Wyjdź</target>',
+    '<target state="needs-translation"></target>',
+    'id="brand" resname="brand" xml:space="preserve" translate="no">',
+  ];
+  const missing = expected.find((text) => !xliff.includes(text));
+  if (missing) {
+    return { success: false, message: `Missing ${missing}` };
+  }
+
+  const xliff20 = generateXliff(rows, LANGUAGE, { version: "2.0" });
+  if (!xliff20.includes('subState="npo:needs-review-translation"')) {
+    return { success: false, message: "XLIFF 2.0 should keep the needs-update flag in subState" };
+  }
+  return { success: true };
+}
+
+function testCatToolFile() {
+  const xliff = `\uFEFF<?xml version="1.0" encoding="utf-8"?>
+<!-- Saved by a CAT tool -->
+<x:xliff xmlns:x="urn:oasis:names:tc:xliff:document:1.2" version="1.2">
+  <x:file original="npo.xlf" source-language="en-US" target-language="pl-PL" datatype="plaintext">
+    <x:body>
+      <x:trans-unit id="1" resname="greeting">
+        <x:source>Hello <x:g id="1">[username]</x:g></x:source>
+        <x:target state='translated'>Cześć <x:g id="1">[username]</x:g></x:target>
+        <x:note>from the translator</x:note>
+      </x:trans-unit>
+      <x:trans-unit id="2" resname="bold">
+        <x:source><![CDATA[<b>bold</b> & more]]></x:source>
+        <x:target state="needs-review-translation"><![CDATA[<b>pogrubione</b> & więcej]]></x:target>
+      </x:trans-unit>
+    </x:body>
+  </x:file>
+</x:xliff>`;
+
+  const { language, rows } = parseXliff(xliff);
+  const [greeting, bold] = rows;
+
+  if (language !== LANGUAGE) {
+    return { success: false, message: `pl-PL should map to ${LANGUAGE}, got ${language}` };
+  }
+  if (greeting.termID !== "greeting" || greeting[LANGUAGE] !== "Cześć [username]" || greeting.notes !== "from the translator") {
+    return { success: false, message: `Unexpected row: ${JSON.stringify(greeting)}` };
+  }
+  if (bold[LANGUAGE] !== "<b>pogrubione</b> & więcej" || bold.translationNeedsToBeUpdated !== "TRUE") {
+    return { success: false, message: `Unexpected row: ${JSON.stringify(bold)}` };
+  }
+  if (!isXliffFile("Polish_latest.XLF") || isXliffFile("Polish_latest.csv")) {
+    return { success: false, message: "XLIFF file names not recognised" };
+  }
+  return { success: true };
+}
+
+function testLanguageMismatch() {
+  const xliff = generateXliff(exportRows.slice(0, 3), "German");
+
+  try {
+    parseXliff(xliff, { language: LANGUAGE });
+    return { success: false, message: "German file accepted as Polish" };
+  } catch (error) {
+    if (!error.message.includes("for German, not Polish")) {
+      return { success: false, message: `Unexpected error: ${error.message}` };
+    }
+  }
+
+  try {
+    parseXliff(xliff.replace('target-language="de"', 'target-language="tlh"'));
+    return { success: false, message: "Unknown target language accepted" };
+  } catch (error) {
+    if (!error.message.includes('"tlh"')) {
+      return { success: false, message: `Unexpected error: ${error.message}` };
+    }
+  }
+  return { success: true };
+}
+
+function testReportMatchesCsv() {
+  const mainData = loadLocalizationData();
+  const edited = exportRows.map((row, index) =>
+    index === 0 ? { ...row, English: `${row.English} (old)` } : row
+  );
+  const { rows } = parseXliff(generateXliff(edited, LANGUAGE), { language: LANGUAGE });
+
+  const fromCsv = compareAndGenerateReport(mainData, edited, LANGUAGE).report;
+  const fromXliff = compareAndGenerateReport(mainData, rows, LANGUAGE).report;
+
+  if (JSON.stringify(fromCsv) !== JSON.stringify(fromXliff) || fromXliff.totalNeedsUpdate !== 1) {
+    return { success: false, message: "XLIFF upload should give the same report as CSV" };
+  }
+  return { success: true };
+}
+
+// Export the test runner
+export { runTests };
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  process.exitCode = runTests() > 0 ? 1 : 0;
+}